@@ -2,7 +2,9 @@
 # Principle of Least Privilege — grants ONLY the minimum access required.
 #
 # This policy is attached to the AppRole used by the payment gateway service.
-# The service can ONLY read processor credentials from the single allowed path.
+# The service can ONLY read processor credentials from secret/flexpay/processors
+# (and the per-processor secrets below it), encrypt/decrypt card data with the single card Transit key, and renew its
+# own AppRole SecretID.
 # All other paths are denied by Vault's default-deny policy engine.
 #
 # PCI-DSS Requirement 7: Restrict access to system components and cardholder
@@ -18,9 +20,47 @@ path "secret/metadata/flexpay/processors" {
   capabilities = ["read"]
 }
 
+# Processors whose registry entry sets its own vaultPath
+# (service/config/processors.json) keep their credentials below the shared
+# path, e.g. secret/flexpay/processors/acquirer-d. The registry rejects any
+# vaultPath outside it, so these two rules cover every path it can name.
+path "secret/data/flexpay/processors/*" {
+  capabilities = ["read"]
+}
+
+path "secret/metadata/flexpay/processors/*" {
+  capabilities = ["read"]
+}
+
+# Card tokenization: encrypt card numbers on intake and decrypt them for a
+# charge by token. The key itself cannot be read, exported, rotated or
+# deleted with this policy — only used.
+path "transit/encrypt/flexpay-card" {
+  capabilities = ["update"]
+}
+
+path "transit/decrypt/flexpay-card" {
+  capabilities = ["update"]
+}
+
+# SecretID rotation (VAULT_SECRET_ID_ROTATION=true): request a fresh SecretID
+# for this role before the current one expires, and look up the expiry of the
+# one in use. Scoped to the payment-service role — the service cannot read its
+# role, change it, or issue SecretIDs for any other role. Unwrapping a
+# response-wrapped SecretID needs no policy: it authenticates with the wrapping
+# token itself.
+path "auth/approle/role/payment-service/secret-id" {
+  capabilities = ["update"]
+}
+
+path "auth/approle/role/payment-service/secret-id/lookup" {
+  capabilities = ["update"]
+}
+
 # Vault denies all other paths by default — no explicit deny needed.
 # This includes:
-#   - secret/data/flexpay/* (other secrets in the same namespace)
+#   - secret/data/flexpay/* outside processors/ (other secrets in the same namespace)
+#   - transit/keys/* (reading, rotating or exporting the card key)
 #   - sys/* (Vault system endpoints)
-#   - auth/* (authentication management)
+#   - auth/* other than the two SecretID paths above (authentication management)
 #   - Any other path not listed above
@@ -16,6 +16,15 @@ VAULT_ADDR="${VAULT_ADDR:-http://vault:8200}"
 VAULT_TOKEN="${VAULT_TOKEN:-root}"  # Root token used only for initialization
 CREDENTIALS_DIR="${CREDENTIALS_DIR:-/vault/credentials}"
 POLICIES_DIR="${POLICIES_DIR:-/vault/policies}"
+# How the SecretID reaches the payment service:
+#   plain   — secret_id file, readable by every replica (default; replicas share the volume)
+#   wrapped — secret_id.wrapped holds a single-use response-wrapping token
+#             (VAULT_SECRET_ID_WRAPPED_FILE). Only one process can unwrap it, so
+#             use it where each instance receives its own wrap
+SECRET_ID_DELIVERY="${SECRET_ID_DELIVERY:-plain}"
+SECRET_ID_WRAP_TTL="${SECRET_ID_WRAP_TTL:-1h}"
+SECRET_ID_TTL="${SECRET_ID_TTL:-24h}"
+SECRET_ID_NUM_USES="${SECRET_ID_NUM_USES:-0}"
 
 log() {
   echo "[$(date -u '+%Y-%m-%dT%H:%M:%SZ')] [vault-init] $*"
@@ -38,7 +47,8 @@ wait_for_vault() {
 }
 
 check_already_initialized() {
-  if [ -f "${CREDENTIALS_DIR}/role_id" ] && [ -f "${CREDENTIALS_DIR}/secret_id" ]; then
+  if [ -f "${CREDENTIALS_DIR}/role_id" ] && \
+     { [ -f "${CREDENTIALS_DIR}/secret_id" ] || [ -f "${CREDENTIALS_DIR}/secret_id.wrapped" ]; }; then
     log "Vault already initialized (credentials found). Skipping initialization."
     exit 0
   fi
@@ -58,6 +68,32 @@ enable_kv_secrets_engine() {
   fi
 }
 
+enable_transit_engine() {
+  log "Enabling Transit secrets engine for card tokenization..."
+  if vault secrets list -address="${VAULT_ADDR}" | grep -q "^transit/"; then
+    log "Transit secrets engine already enabled. Skipping."
+  else
+    vault secrets enable \
+      -address="${VAULT_ADDR}" \
+      transit
+    log "Transit secrets engine enabled."
+  fi
+
+  # Card numbers are encrypted with this key (service/src/card-tokens.js).
+  # Not exportable and not deletable: ciphertexts stay decryptable only inside Vault.
+  if vault read -address="${VAULT_ADDR}" transit/keys/flexpay-card > /dev/null 2>&1; then
+    log "Transit key 'flexpay-card' already exists. Skipping."
+  else
+    vault write \
+      -address="${VAULT_ADDR}" \
+      -f \
+      transit/keys/flexpay-card \
+      type=aes256-gcm96 \
+      exportable=false
+    log "Transit key 'flexpay-card' created (aes256-gcm96, non-exportable)."
+  fi
+}
+
 seed_processor_credentials() {
   log "Writing payment processor credentials to Vault..."
   # PoC NOTE: These mock credential values will appear in vault-init container logs
@@ -67,7 +103,24 @@ seed_processor_credentials() {
   # Terraform Vault provider with state encryption. See DESIGN_DECISIONS.md Section 3.
   log "NOTE: Seeding mock credentials for PoC. In production, real credentials are injected via secure introduction (wrapped tokens) — never as CLI arguments."
 
-  # Write all 6 credentials for 3 processors in a single KV write
+  # Admin/audit route API keys are stored as SHA-256 hashes only (see
+  # service/src/admin-auth.js). Demo keys: flexpay_operator_mock_abc123
+  # (operator) and flexpay_auditor_mock_abc123 (auditor).
+  operator_hash="$(printf '%s' 'flexpay_operator_mock_abc123' | sha256sum | cut -d' ' -f1)"
+  auditor_hash="$(printf '%s' 'flexpay_auditor_mock_abc123' | sha256sum | cut -d' ' -f1)"
+  admin_api_keys="[{\"id\":\"demo-operator\",\"roles\":[\"operator\"],\"sha256\":\"${operator_hash}\"},{\"id\":\"demo-auditor\",\"roles\":[\"auditor\"],\"sha256\":\"${auditor_hash}\"}]"
+
+  # Merchant API keys for POST /pay, also hashes only (service/src/merchant-auth.js).
+  # Demo keys: flexpay_merchant_mock_abc123 (m_demo, any processor) and
+  # flexpay_merchant_usd_mock_abc123 (m_demo_usd, processor A in USD only).
+  merchant_hash="$(printf '%s' 'flexpay_merchant_mock_abc123' | sha256sum | cut -d' ' -f1)"
+  merchant_usd_hash="$(printf '%s' 'flexpay_merchant_usd_mock_abc123' | sha256sum | cut -d' ' -f1)"
+  merchant_api_keys="[{\"id\":\"m_demo\",\"sha256\":\"${merchant_hash}\"},{\"id\":\"m_demo_usd\",\"sha256\":\"${merchant_usd_hash}\",\"processors\":[\"A\"],\"currencies\":[\"USD\"]}]"
+
+  # Write all 9 credentials for 3 processors in a single KV write
+  # (API credentials plus each processor's webhook signing secret), together
+  # with the key that HMAC-signs the service's audit log entries, the key
+  # that signs rotation notifications, and the admin and merchant API key hashes
   # This ensures atomic updates — all credentials update together
   vault kv put \
     -address="${VAULT_ADDR}" \
@@ -77,9 +130,16 @@ seed_processor_credentials() {
     PROCESSOR_B_MERCHANT_ID="ADYEN_MERCHANT_FLEXPAY_001" \
     PROCESSOR_B_API_KEY="AQEyhmfxK4mock_adyen_key_9f2x" \
     PROCESSOR_C_ENDPOINT="https://regional-acquirer.mock/api/v1" \
-    PROCESSOR_C_TOKEN="tok_regional_mock_abc123def456"
+    PROCESSOR_C_TOKEN="tok_regional_mock_abc123def456" \
+    PROCESSOR_A_WEBHOOK_SECRET="whsec_mock_stripe_webhook_abc123" \
+    PROCESSOR_B_WEBHOOK_SECRET="mock_adyen_hmac_key_9f2x" \
+    PROCESSOR_C_WEBHOOK_SECRET="whk_regional_mock_abc123" \
+    AUDIT_HMAC_KEY="audit_hmac_mock_key_abc123" \
+    ROTATION_NOTIFY_SECRET="rotation_notify_mock_abc123" \
+    ADMIN_API_KEYS="${admin_api_keys}" \
+    MERCHANT_API_KEYS="${merchant_api_keys}"
 
-  log "Processor credentials written (3 processors, 6 credentials total)."
+  log "Processor credentials written (3 processors, 9 credentials total, plus audit HMAC key, rotation notify key and admin/merchant API key hashes)."
   log "Stored at: secret/flexpay/processors"
 }
 
@@ -103,7 +163,7 @@ create_policy() {
     -address="${VAULT_ADDR}" \
     payment-service \
     "${POLICIES_DIR}/payment-service.hcl"
-  log "Policy 'payment-service' created — read-only access to secret/data/flexpay/processors"
+  log "Policy 'payment-service' created — read-only access to secret/data/flexpay/processors (and per-processor paths below it), encrypt/decrypt with transit/flexpay-card, SecretID renewal for its own role"
 }
 
 enable_approle_auth() {
@@ -127,8 +187,8 @@ create_approle() {
     token_ttl="1h" \
     token_max_ttl="4h" \
     token_num_uses=0 \
-    secret_id_ttl="24h" \
-    secret_id_num_uses=0
+    secret_id_ttl="${SECRET_ID_TTL}" \
+    secret_id_num_uses="${SECRET_ID_NUM_USES}"
 
   log "AppRole 'payment-service' created with policy attachment."
 }
@@ -143,18 +203,33 @@ write_auth_credentials() {
     -field=role_id \
     auth/approle/role/payment-service/role-id)
 
-  # Generate a secret_id (dynamic, like a password for the role)
-  SECRET_ID=$(vault write \
-    -address="${VAULT_ADDR}" \
-    -field=secret_id \
-    -force \
-    auth/approle/role/payment-service/secret-id)
-
   # Write to shared volume (mounted by payment-service containers)
   # Files are used instead of environment variables to avoid exposure in
   # process listings, docker inspect output, or CI logs.
   printf '%s' "${ROLE_ID}" > "${CREDENTIALS_DIR}/role_id"
-  printf '%s' "${SECRET_ID}" > "${CREDENTIALS_DIR}/secret_id"
+
+  if [ "${SECRET_ID_DELIVERY}" = "wrapped" ]; then
+    # Response-wrapped secret_id: the file holds a single-use wrapping token,
+    # never the secret_id itself. The service unwraps it (checking the creation
+    # path) and refuses to start if it was already unwrapped — by anyone.
+    WRAPPING_TOKEN=$(vault write \
+      -address="${VAULT_ADDR}" \
+      -wrap-ttl="${SECRET_ID_WRAP_TTL}" \
+      -field=wrapping_token \
+      -force \
+      auth/approle/role/payment-service/secret-id)
+    printf '%s' "${WRAPPING_TOKEN}" > "${CREDENTIALS_DIR}/secret_id.wrapped"
+    SECRET_ID_FILE_NAME="secret_id.wrapped"
+  else
+    # Generate a secret_id (dynamic, like a password for the role)
+    SECRET_ID=$(vault write \
+      -address="${VAULT_ADDR}" \
+      -field=secret_id \
+      -force \
+      auth/approle/role/payment-service/secret-id)
+    printf '%s' "${SECRET_ID}" > "${CREDENTIALS_DIR}/secret_id"
+    SECRET_ID_FILE_NAME="secret_id"
+  fi
 
   # Set file permissions to world-readable (644) so the non-root appuser (uid 1001)
   # in the payment-service container can read them from the shared Docker volume.
@@ -162,11 +237,15 @@ write_auth_credentials() {
   # In production, use a secrets manager that handles injection directly (e.g., Vault
   # Agent sidecar) to avoid cross-container file ownership issues entirely.
   chmod 644 "${CREDENTIALS_DIR}/role_id"
-  chmod 644 "${CREDENTIALS_DIR}/secret_id"
+  chmod 644 "${CREDENTIALS_DIR}/${SECRET_ID_FILE_NAME}"
 
   log "AppRole credentials written to ${CREDENTIALS_DIR}/"
   log "  role_id:   ${CREDENTIALS_DIR}/role_id   (static role identifier)"
-  log "  secret_id: ${CREDENTIALS_DIR}/secret_id (ephemeral auth token)"
+  if [ "${SECRET_ID_DELIVERY}" = "wrapped" ]; then
+    log "  secret_id: ${CREDENTIALS_DIR}/secret_id.wrapped (single-use wrapping token, expires in ${SECRET_ID_WRAP_TTL})"
+  else
+    log "  secret_id: ${CREDENTIALS_DIR}/secret_id (expires in ${SECRET_ID_TTL}; the service rotates it)"
+  fi
   log "SECURITY: These files are mounted via Docker volume — NOT baked into any image."
 }
 
@@ -181,18 +260,19 @@ verify_setup() {
     secret/flexpay/processors | \
     grep -o '"PROCESSOR_' | wc -l | tr -d ' ' 2>/dev/null || echo "0")
 
-  if [ "${SECRET_COUNT}" -ge 6 ]; then
+  if [ "${SECRET_COUNT}" -ge 9 ]; then
     log "PASS: ${SECRET_COUNT} credentials found in Vault at secret/flexpay/processors"
   else
-    log "WARN: Expected 6 credentials, found ${SECRET_COUNT}. Check Vault setup."
+    log "WARN: Expected 9 credentials, found ${SECRET_COUNT}. Check Vault setup."
   fi
 
   log "Vault initialization complete."
   log "Summary:"
   log "  - KV v2 secrets engine: enabled at secret/"
-  log "  - Payment processor credentials: 3 processors, 6 credentials"
-  log "  - Policy: payment-service (read-only on secret/data/flexpay/processors)"
-  log "  - Auth method: AppRole (payment-service role)"
+  log "  - Transit secrets engine: enabled at transit/ (card key: flexpay-card)"
+  log "  - Payment processor credentials: 3 processors, 9 credentials"
+  log "  - Policy: payment-service (read-only on secret/data/flexpay/processors and below, encrypt/decrypt on transit/flexpay-card)"
+  log "  - Auth method: AppRole (payment-service role, secret_id ttl ${SECRET_ID_TTL}, delivered ${SECRET_ID_DELIVERY})"
   log "  - Credentials written to: ${CREDENTIALS_DIR}/"
 }
 
@@ -204,6 +284,7 @@ main() {
   check_already_initialized
   wait_for_vault
   enable_kv_secrets_engine
+  enable_transit_engine
   seed_processor_credentials
   configure_audit_log
   create_policy
@@ -8,12 +8,15 @@
 #   ./rotate-secret.sh PROCESSOR_A_API_KEY "pk_live_new_key_abc999"
 #   ./rotate-secret.sh PROCESSOR_B_API_KEY "AQEyhmfxNewKey123"
 #   ./rotate-secret.sh PROCESSOR_C_TOKEN "tok_regional_new_456xyz"
+#   SECRET_PATH=secret/flexpay/processors/acquirer-d ./rotate-secret.sh ...
+#     (a processor whose registry entry sets its own vaultPath)
 #
 # HOW ZERO-DOWNTIME ROTATION WORKS:
 #   1. This script writes the new value to Vault (KV v2 creates a new version)
 #   2. The OLD version is still accessible to clients reading the previous version
-#   3. Running payment service containers will pick up the new value on their
-#      next secret refresh cycle (configurable, default: 60 seconds)
+#   3. The script sends a signed POST /admin/rotation-notify to every replica
+#      in FLEXPAY_NOTIFY_URLS, which reload immediately. Replicas it cannot
+#      reach pick up the new value on their next poll (default: ~60 seconds)
 #   4. No container restart required — no downtime
 #   5. If the new credential is invalid, rollback with:
 #      vault kv rollback secret/flexpay/processors -version=<prev_version>
@@ -27,7 +30,12 @@ set -e
 VAULT_ADDR="${VAULT_ADDR:-http://localhost:8200}"
 VAULT_TOKEN="${VAULT_TOKEN:-root}"
 VAULT_CONTAINER="${VAULT_CONTAINER:-flexpay-vault}"
-SECRET_PATH="secret/flexpay/processors"
+SHARED_SECRET_PATH="secret/flexpay/processors"
+SECRET_PATH="${SECRET_PATH:-${SHARED_SECRET_PATH}}"
+# The KV v2 data path the service reads — what its registry's vaultPath names
+KV_DATA_PATH=$(printf '%s' "${SECRET_PATH}" | sed 's|^secret/|secret/data/|')
+# Replicas to notify after the write (space-separated base URLs; empty = rely on polling)
+FLEXPAY_NOTIFY_URLS="${FLEXPAY_NOTIFY_URLS-http://localhost:3000 http://localhost:3001 http://localhost:3002}"
 
 # Determine how to run vault CLI: prefer local binary, fall back to docker exec.
 # This allows the script to work without a local Vault installation.
@@ -76,6 +84,9 @@ usage() {
   echo "  PROCESSOR_B_API_KEY    - Processor B API key"
   echo "  PROCESSOR_C_ENDPOINT   - Processor C regional acquirer endpoint"
   echo "  PROCESSOR_C_TOKEN      - Processor C auth token"
+  echo "  PROCESSOR_A_WEBHOOK_SECRET - Processor A webhook signing secret"
+  echo "  PROCESSOR_B_WEBHOOK_SECRET - Processor B webhook HMAC key"
+  echo "  PROCESSOR_C_WEBHOOK_SECRET - Processor C webhook signing secret"
   echo ""
   echo "Examples:"
   echo "  $0 PROCESSOR_A_API_KEY 'pk_live_rotated_key_xyz'"
@@ -85,13 +96,24 @@ usage() {
 
 validate_field_name() {
   FIELD="$1"
+  # A processor's own path holds the keys its registry entry declares
+  if [ "${SECRET_PATH}" != "${SHARED_SECRET_PATH}" ]; then
+    if printf '%s' "${FIELD}" | grep -Eq '^[A-Z][A-Z0-9_]*$'; then
+      return 0
+    fi
+    log_error "Invalid field name: '${FIELD}' (expected UPPER_SNAKE_CASE)"
+    exit 1
+  fi
   case "${FIELD}" in
     PROCESSOR_A_API_KEY|\
     PROCESSOR_A_SECRET|\
     PROCESSOR_B_MERCHANT_ID|\
     PROCESSOR_B_API_KEY|\
     PROCESSOR_C_ENDPOINT|\
-    PROCESSOR_C_TOKEN)
+    PROCESSOR_C_TOKEN|\
+    PROCESSOR_A_WEBHOOK_SECRET|\
+    PROCESSOR_B_WEBHOOK_SECRET|\
+    PROCESSOR_C_WEBHOOK_SECRET)
       return 0
       ;;
     *)
@@ -127,38 +149,19 @@ rotate_secret() {
   PREV_VERSION=$(get_current_version)
   log "Current Vault KV version before rotation: ${PREV_VERSION}"
 
-  # Read all current values so we can patch just the target field
-  # This is required for KV v2 — writes replace the entire secret
-  # Using vault kv get -field=<name> avoids a python3 / jq dependency
-  log "Reading current processor credentials for patch update..."
-
-  # Verify connectivity by reading one field; exit early if Vault is unreachable
-  if ! ${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_A_API_KEY "${SECRET_PATH}" > /dev/null 2>&1; then
+  # Verify connectivity by reading the secret; exit early if Vault is unreachable
+  if ! ${VAULT_CMD} kv get -address="${VAULT_ADDR}" "${SECRET_PATH}" > /dev/null 2>&1; then
     log_error "Could not read current secrets from Vault. Is Vault running?"
     exit 1
   fi
 
-  # Extract each field individually — vault kv get -field returns the raw value
-  PROCESSOR_A_API_KEY=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_A_API_KEY "${SECRET_PATH}" 2>/dev/null || echo "")
-  PROCESSOR_A_SECRET=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_A_SECRET "${SECRET_PATH}" 2>/dev/null || echo "")
-  PROCESSOR_B_MERCHANT_ID=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_B_MERCHANT_ID "${SECRET_PATH}" 2>/dev/null || echo "")
-  PROCESSOR_B_API_KEY=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_B_API_KEY "${SECRET_PATH}" 2>/dev/null || echo "")
-  PROCESSOR_C_ENDPOINT=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_C_ENDPOINT "${SECRET_PATH}" 2>/dev/null || echo "")
-  PROCESSOR_C_TOKEN=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=PROCESSOR_C_TOKEN "${SECRET_PATH}" 2>/dev/null || echo "")
-
-  # Update the target field with the new value
-  eval "${FIELD_NAME}=\"${NEW_VALUE}\""
-
-  log "Writing updated credentials to Vault (patch operation)..."
-  ${VAULT_CMD} kv put \
+  # kv patch writes a new KV v2 version that changes only the target field —
+  # every other key (webhook secrets, audit and API key material) is carried over
+  log "Writing updated credential to Vault (patch operation)..."
+  ${VAULT_CMD} kv patch \
     -address="${VAULT_ADDR}" \
     "${SECRET_PATH}" \
-    PROCESSOR_A_API_KEY="${PROCESSOR_A_API_KEY}" \
-    PROCESSOR_A_SECRET="${PROCESSOR_A_SECRET}" \
-    PROCESSOR_B_MERCHANT_ID="${PROCESSOR_B_MERCHANT_ID}" \
-    PROCESSOR_B_API_KEY="${PROCESSOR_B_API_KEY}" \
-    PROCESSOR_C_ENDPOINT="${PROCESSOR_C_ENDPOINT}" \
-    PROCESSOR_C_TOKEN="${PROCESSOR_C_TOKEN}"
+    "${FIELD_NAME}=${NEW_VALUE}" > /dev/null
 
   NEW_VERSION=$(get_current_version)
   log_success "Secret rotated successfully!"
@@ -166,6 +169,45 @@ rotate_secret() {
   log "  New version:      ${NEW_VERSION}"
 }
 
+notify_services() {
+  NEW_VERSION="$1"
+
+  if [ -z "${FLEXPAY_NOTIFY_URLS}" ]; then
+    log "FLEXPAY_NOTIFY_URLS is empty — services will pick up the change on their next poll."
+    return 0
+  fi
+  if ! command -v curl > /dev/null 2>&1 || ! command -v openssl > /dev/null 2>&1; then
+    log_warn "curl and openssl are needed to notify services — they will pick up the change on their next poll."
+    return 0
+  fi
+
+  NOTIFY_SECRET=$(${VAULT_CMD} kv get -address="${VAULT_ADDR}" -field=ROTATION_NOTIFY_SECRET "${SHARED_SECRET_PATH}" 2>/dev/null || echo "")
+  if [ -z "${NOTIFY_SECRET}" ]; then
+    log_warn "ROTATION_NOTIFY_SECRET is not set in Vault — services will pick up the change on their next poll."
+    return 0
+  fi
+
+  # Same scheme the service verifies: HMAC-SHA256 over "<unix seconds>.<raw body>"
+  case "${NEW_VERSION}" in
+    ''|*[!0-9]*) BODY="{\"path\":\"${KV_DATA_PATH}\",\"source\":\"rotate-secret.sh\"}" ;;
+    *)           BODY="{\"version\":${NEW_VERSION},\"path\":\"${KV_DATA_PATH}\",\"source\":\"rotate-secret.sh\"}" ;;
+  esac
+  TIMESTAMP=$(date +%s)
+  SIGNATURE=$(printf '%s' "${TIMESTAMP}.${BODY}" | openssl dgst -sha256 -hmac "${NOTIFY_SECRET}" | sed 's/^.*= //')
+
+  log "Notifying payment services of version ${NEW_VERSION}..."
+  for url in ${FLEXPAY_NOTIFY_URLS}; do
+    if curl -fsS -m 5 -o /dev/null -X POST "${url}/admin/rotation-notify" \
+      -H 'Content-Type: application/json' \
+      -H "X-FlexPay-Signature: t=${TIMESTAMP},v1=${SIGNATURE}" \
+      -d "${BODY}"; then
+      log_success "Notified ${url}"
+    else
+      log_warn "Could not notify ${url} — it will pick up the change on its next poll."
+    fi
+  done
+}
+
 print_rollback_instructions() {
   PREV_VERSION="$1"
   NEW_VERSION="$2"
@@ -180,6 +222,11 @@ print_rollback_instructions() {
   log ""
   log "  Running services will pick up the rollback on their next"
   log "  refresh cycle (default: 60 seconds) — no restart needed."
+  log ""
+  log "  Until then, services retry rejected calls with version ${PREV_VERSION}"
+  log "  for the credential grace period (default: 15 minutes), and roll a"
+  log "  processor back to it if the new version keeps failing (see"
+  log "  credentialRotation in /health)."
   log "============================================"
 }
 
@@ -187,7 +234,7 @@ print_verification_instructions() {
   log "============================================"
   log "VERIFICATION STEPS:"
   log ""
-  log "  1. Wait for payment services to refresh (up to 60s):"
+  log "  1. Notified services reload within a second; others within ~60s:"
   log "     watch -n 5 'curl -s http://localhost:3000/health | python3 -m json.tool'"
   log ""
   log "  2. Verify health endpoint still shows 'healthy':"
@@ -196,6 +243,7 @@ print_verification_instructions() {
   log "  3. Test a payment with the new credential:"
   log "     curl -X POST http://localhost:3000/pay \\"
   log "       -H 'Content-Type: application/json' \\"
+  log "       -H 'X-API-Key: flexpay_merchant_mock_abc123' \\"
   log "       -d '{\"processor\": \"A\", \"amount\": 1}'"
   log ""
   log "  4. Check audit log for rotation event:"
@@ -235,12 +283,14 @@ main() {
 
   NEW_VERSION=$(get_current_version)
 
+  notify_services "${NEW_VERSION}"
+
   print_rollback_instructions "${PREV_VERSION}" "${NEW_VERSION}"
   print_verification_instructions
 
   log_success "Rotation complete. No container restart required."
-  log "Running containers will pick up the new credential on their next"
-  log "Vault poll cycle without any downtime or service interruption."
+  log "Running containers reload the new credential on notification, or on"
+  log "their next Vault poll, without any downtime or service interruption."
 }
 
 main "$@"
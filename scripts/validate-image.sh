@@ -195,7 +195,7 @@ info "Image exported. Scanning layer archives..."
 # legitimately in node_modules library code and documentation. Instead we scan for the exact
 # mock credential strings that were seeded into Vault — if any appear in the image it means
 # secrets were accidentally baked in at build time.
-LAYER_GREP_PATTERN="pk_live_mock|sk_live_mock|ADYEN_MERCHANT_FLEXPAY|tok_regional_mock|AQEyhmfxK4mock|regional-acquirer\.mock"
+LAYER_GREP_PATTERN="pk_live_mock|sk_live_mock|ADYEN_MERCHANT_FLEXPAY|tok_regional_mock|AQEyhmfxK4mock|regional-acquirer\.mock|whsec_mock|mock_adyen_hmac|whk_regional_mock|audit_hmac_mock|rotation_notify_mock|flexpay_operator_mock|flexpay_auditor_mock|flexpay_merchant_mock|flexpay_merchant_usd_mock"
 
 LAYER_SECRETS_FOUND=false
 LAYERS_SCANNED=0
@@ -99,6 +99,23 @@ KNOWN_SECRET_VALUES=(
   "ADYEN_MERCHANT_FLEXPAY_001"
   "AQEyhmfxK4"
   "tok_regional_mock_abc123def456"
+  "whsec_mock_stripe_webhook_abc123"
+  "mock_adyen_hmac_key_9f2x"
+  "whk_regional_mock_abc123"
+  "audit_hmac_mock_key_abc123"
+  "rotation_notify_mock_abc123"
+  "flexpay_operator_mock_abc123"
+  "flexpay_auditor_mock_abc123"
+  "flexpay_merchant_mock_abc123"
+  "flexpay_merchant_usd_mock_abc123"
+)
+
+# Test card numbers used in the README and mock flows (POST /cards, POST /pay).
+# Card data is tokenized on intake — a raw number in any log is a PCI-DSS failure.
+KNOWN_TEST_CARD_NUMBERS=(
+  "4242424242424242"
+  "5555555555554444"
+  "378282246310005"
 )
 
 # Structural patterns that indicate a secret was accidentally logged
@@ -111,7 +128,14 @@ STRUCTURAL_PATTERNS=(
   'PROCESSOR_B_MERCHANT_ID\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
   'PROCESSOR_C_TOKEN\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
   'PROCESSOR_C_ENDPOINT\s*[:=]\s*["\x27]?https://'
+  'PROCESSOR_[ABC]_WEBHOOK_SECRET\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
+  'AUDIT_HMAC_KEY\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
+  'ROTATION_NOTIFY_SECRET\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
+  '(ADMIN|MERCHANT)_API_KEYS\s*[:=]\s*["\x27]?\['
   'VAULT_SECRET_ID\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-]'
+  'VAULT_SECRET_ID_WRAPPED\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-.]'
+  '"(secret_id|secretId|wrapping_token)"\s*:\s*"[^"]'
+  'VAULT_TOKEN\s*[:=]\s*["\x27]?[a-zA-Z0-9_\-.]'
   '"api_key"\s*:\s*"[^"]'
   '"secret"\s*:\s*"[^"]'
   '"password"\s*:\s*"[^"]'
@@ -132,6 +156,14 @@ scan_content_for_secrets() {
     fi
   done
 
+  # Check for test card numbers submitted during demos and CI runs
+  for card_number in "${KNOWN_TEST_CARD_NUMBERS[@]}"; do
+    if echo "${content}" | grep -qF "${card_number}"; then
+      fail "${source_label}: Test card number found in logs (ending ${card_number: -4})"
+      found=true
+    fi
+  done
+
   # Check for structural secret patterns
   for pattern in "${STRUCTURAL_PATTERNS[@]}"; do
     MATCHES=$(echo "${content}" | grep -iP "${pattern}" 2>/dev/null || \
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Mock Adyen-style acquirer (Processor B).
+ * X-API-Key auth, JSON bodies carrying merchantAccount, resultCode responses.
+ */
+
+const express = require('express');
+const { SCENARIO, scenarioFor, stall, randomId } = require('./scenarios');
+
+const REFUSALS = {
+  [SCENARIO.INSUFFICIENT_FUNDS]: { refusalReasonCode: '12', refusalReason: 'Not enough balance' },
+  [SCENARIO.DO_NOT_HONOR]:       { refusalReasonCode: '5', refusalReason: 'Blocked Card' },
+  [SCENARIO.EXPIRED_CARD]:       { refusalReasonCode: '6', refusalReason: 'Expired Card' },
+};
+
+/**
+ * @param {object} credentials - Expected PROCESSOR_B_API_KEY and PROCESSOR_B_MERCHANT_ID
+ */
+function createAdyenLikeApp(credentials) {
+  const app = express();
+  const payments = new Map();
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.get('X-API-Key') !== credentials.PROCESSOR_B_API_KEY) {
+      return res.status(401).json({ status: 401, errorCode: '000', message: 'HTTP Status Response - Unauthorized' });
+    }
+    if (!req.body || req.body.merchantAccount !== credentials.PROCESSOR_B_MERCHANT_ID) {
+      return res.status(403).json({ status: 403, errorCode: '901', message: 'Invalid Merchant Account' });
+    }
+    next();
+  });
+
+  function invalid(res, message) {
+    return res.status(422).json({ status: 422, errorCode: '137', message });
+  }
+
+  app.post('/v71/payments', (req, res) => {
+    const amount = req.body.amount || {};
+    if (!(amount.value > 0) || !amount.currency) return invalid(res, 'Invalid amount');
+
+    const scenario = scenarioFor(amount.value);
+    if (scenario === SCENARIO.TIMEOUT) return stall(res);
+    if (scenario === SCENARIO.PROCESSOR_ERROR) {
+      return res.status(500).json({ status: 500, errorCode: '905', message: 'Payment details are not supported' });
+    }
+
+    const pspReference = randomId('PSP');
+    if (REFUSALS[scenario]) {
+      return res.status(200).json({ pspReference, resultCode: 'Refused', ...REFUSALS[scenario] });
+    }
+
+    const captured = req.body.captureDelayHours === 0;
+    payments.set(pspReference, {
+      value: amount.value,
+      captured: captured ? amount.value : 0,
+      refunded: 0,
+      state: captured ? 'captured' : 'authorised',
+    });
+    return res.status(200).json({ pspReference, resultCode: 'Authorised', merchantReference: req.body.reference });
+  });
+
+  function modification(type, validate) {
+    return (req, res) => {
+      const payment = payments.get(req.params.psp);
+      if (!payment) return invalid(res, 'Original pspReference is invalid');
+
+      const error = validate(payment, req.body.amount ? req.body.amount.value : undefined);
+      if (error) return invalid(res, error);
+
+      return res.status(201).json({
+        paymentPspReference: req.params.psp,
+        pspReference: randomId('PSP'),
+        status: 'received',
+        type,
+      });
+    };
+  }
+
+  app.post('/v71/payments/:psp/captures', modification('capture', (p, value) => {
+    if (p.state !== 'authorised') return 'Payment is not in an authorised state';
+    const amount = value || p.value;
+    if (amount > p.value) return 'Capture amount exceeds authorised amount';
+    p.captured = amount;
+    p.state = 'captured';
+    return null;
+  }));
+
+  app.post('/v71/payments/:psp/cancels', modification('cancel', (p) => {
+    if (p.state !== 'authorised') return 'Payment is not in an authorised state';
+    p.state = 'cancelled';
+    return null;
+  }));
+
+  app.post('/v71/payments/:psp/refunds', modification('refund', (p, value) => {
+    if (p.state !== 'captured') return 'Payment has not been captured';
+    const amount = value || p.captured - p.refunded;
+    if (amount > p.captured - p.refunded) return 'Refund amount exceeds the refundable amount';
+    p.refunded += amount;
+    return null;
+  }));
+
+  return app;
+}
+
+module.exports = { createAdyenLikeApp };
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Credentials the mock acquirers expect: MOCK_ACQUIRER_CREDENTIALS_FILE (JSON)
+ * or the mock secret provider's placeholder values.
+ */
+
+const fs = require('fs');
+const { DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+
+function loadCredentials() {
+  const file = process.env.MOCK_ACQUIRER_CREDENTIALS_FILE;
+  if (!file) return DEFAULT_MOCK_SECRETS;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { loadCredentials };
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Local mock acquirers for offline development and CI.
+ *
+ * Starts one HTTP server per processor, each verifying credentials the way the
+ * real API would:
+ *   - Processor A (Stripe-like)  :4101  Bearer PROCESSOR_A_API_KEY
+ *   - Processor B (Adyen-like)   :4102  X-API-Key + merchantAccount
+ *   - Processor C (regional)     :4103  HMAC-SHA256 signed with PROCESSOR_C_TOKEN
+ *
+ * Expected credentials come from MOCK_ACQUIRER_CREDENTIALS_FILE (JSON) or
+ * default to the mock secret provider's placeholder values, so
+ * `SECRET_PROVIDER=mock npm start` + `npm run mock-acquirers` works end to end.
+ *
+ * Usage: npm run mock-acquirers
+ * Outcomes are driven by magic amounts — see scenarios.js.
+ * Signed webhooks can be sent to the service with send-webhook.js.
+ */
+
+const pino = require('pino');
+const { loadCredentials } = require('./credentials');
+const { createStripeLikeApp } = require('./stripe-like');
+const { createAdyenLikeApp } = require('./adyen-like');
+const { createRegionalApp } = require('./regional');
+
+const logger = pino({ name: 'mock-acquirers', level: process.env.LOG_LEVEL || 'info' });
+
+function main() {
+  const credentials = loadCredentials();
+  const regionalPath = new URL(credentials.PROCESSOR_C_ENDPOINT).pathname.replace(/\/$/, '');
+
+  const servers = [
+    { name: 'A (stripe-like)', app: createStripeLikeApp(credentials), port: parseInt(process.env.MOCK_A_PORT || '4101', 10) },
+    { name: 'B (adyen-like)', app: createAdyenLikeApp(credentials), port: parseInt(process.env.MOCK_B_PORT || '4102', 10) },
+    { name: 'C (regional)', app: createRegionalApp(credentials, regionalPath), port: parseInt(process.env.MOCK_C_PORT || '4103', 10) },
+  ].map(({ name, app, port }) => app.listen(port, '0.0.0.0', () => {
+    logger.info({ processor: name, port }, 'Mock acquirer listening');
+  }));
+
+  const shutdown = () => servers.forEach((s) => s.close());
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+main();
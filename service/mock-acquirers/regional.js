@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Mock regional acquirer (Processor C).
+ * Verifies the HMAC-SHA256 request signature with the shared PROCESSOR_C_TOKEN
+ * and answers with ISO 8583-style response codes.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { computeSignature } = require('../src/adapters/hmac-adapter');
+const { SCENARIO, scenarioFor, stall, randomId } = require('./scenarios');
+
+const TIMESTAMP_TOLERANCE_SECONDS = 300;
+
+const RESPONSE_CODES = {
+  [SCENARIO.INSUFFICIENT_FUNDS]: { response_code: '51', message: 'Insufficient funds' },
+  [SCENARIO.DO_NOT_HONOR]:       { response_code: '05', message: 'Do not honor' },
+  [SCENARIO.EXPIRED_CARD]:       { response_code: '54', message: 'Expired card' },
+};
+
+/**
+ * @param {object} credentials - Expected PROCESSOR_C_TOKEN
+ * @param {string} [basePath='/api/v1'] - Path prefix of PROCESSOR_C_ENDPOINT
+ */
+function createRegionalApp(credentials, basePath = '/api/v1') {
+  const app = express();
+  const router = express.Router();
+  const transactions = new Map();
+
+  // Keep the raw body — the signature covers the exact bytes sent
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+
+  app.use((req, res, next) => {
+    const timestamp = parseInt(req.get('X-Timestamp'), 10);
+    const signature = req.get('X-Signature') || '';
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+      return res.status(401).json({ message: 'Missing or stale X-Timestamp' });
+    }
+
+    const expected = computeSignature(credentials.PROCESSOR_C_TOKEN, timestamp, req.method, req.path, req.rawBody || '');
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+    next();
+  });
+
+  function reply(res, txn, extra = {}) {
+    return res.status(200).json({ transaction_id: txn.id, state: txn.state, response_code: '00', message: 'Approved', ...extra });
+  }
+
+  function rejected(res, message) {
+    return res.status(200).json({ response_code: '12', message });
+  }
+
+  router.post('/transactions', (req, res) => {
+    const { amount, currency, capture } = req.body;
+    if (!(amount > 0) || !currency) return res.status(400).json({ message: 'Invalid amount or currency' });
+
+    const scenario = scenarioFor(amount);
+    if (scenario === SCENARIO.TIMEOUT) return stall(res);
+    if (scenario === SCENARIO.PROCESSOR_ERROR) {
+      return res.status(200).json({ response_code: '96', message: 'System malfunction' });
+    }
+    if (RESPONSE_CODES[scenario]) {
+      return res.status(200).json({ transaction_id: randomId('rg_'), state: 'DECLINED', ...RESPONSE_CODES[scenario] });
+    }
+
+    const txn = { id: randomId('rg_'), amount, captured: capture ? amount : 0, refunded: 0, state: capture ? 'CAPTURED' : 'AUTHORIZED' };
+    transactions.set(txn.id, txn);
+    return reply(res, txn);
+  });
+
+  router.post('/transactions/:id/capture', (req, res) => {
+    const txn = transactions.get(req.params.id);
+    if (!txn) return res.status(404).json({ message: 'Unknown transaction' });
+    const amount = req.body.amount || txn.amount;
+    if (txn.state !== 'AUTHORIZED' || amount > txn.amount) return rejected(res, 'Invalid capture');
+    txn.captured = amount;
+    txn.state = 'CAPTURED';
+    return reply(res, txn);
+  });
+
+  router.post('/transactions/:id/void', (req, res) => {
+    const txn = transactions.get(req.params.id);
+    if (!txn) return res.status(404).json({ message: 'Unknown transaction' });
+    if (txn.state !== 'AUTHORIZED') return rejected(res, 'Invalid void');
+    txn.state = 'VOIDED';
+    return reply(res, txn);
+  });
+
+  router.post('/transactions/:id/refund', (req, res) => {
+    const txn = transactions.get(req.params.id);
+    if (!txn) return res.status(404).json({ message: 'Unknown transaction' });
+    const amount = req.body.amount || txn.captured - txn.refunded;
+    if (txn.state !== 'CAPTURED' || amount > txn.captured - txn.refunded) return rejected(res, 'Invalid refund');
+    txn.refunded += amount;
+    return reply(res, txn, { refund_id: randomId('rf_') });
+  });
+
+  app.use(basePath, router);
+  return app;
+}
+
+module.exports = { createRegionalApp };
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Deterministic test scenarios shared by all mock acquirers, keyed on the
+ * last two digits of the amount in cents (like processor sandbox "magic amounts"):
+ *
+ *   xx51 → insufficient funds       xx05 → do not honor
+ *   xx54 → expired card             xx96 → processor error (HTTP 500)
+ *   xx98 → never answers in time (exercises client timeouts)
+ *   anything else → approved
+ */
+
+const SCENARIO = {
+  APPROVE:            'approve',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  DO_NOT_HONOR:       'do_not_honor',
+  EXPIRED_CARD:       'expired_card',
+  PROCESSOR_ERROR:    'processor_error',
+  TIMEOUT:            'timeout',
+};
+
+const BY_CENTS = {
+  51: SCENARIO.INSUFFICIENT_FUNDS,
+  5:  SCENARIO.DO_NOT_HONOR,
+  54: SCENARIO.EXPIRED_CARD,
+  96: SCENARIO.PROCESSOR_ERROR,
+  98: SCENARIO.TIMEOUT,
+};
+
+const TIMEOUT_DELAY_MS = 30_000;
+
+function scenarioFor(amount) {
+  return BY_CENTS[Number(amount) % 100] || SCENARIO.APPROVE;
+}
+
+/**
+ * Hold the response long enough for the client to give up.
+ */
+function stall(res) {
+  const timer = setTimeout(() => res.status(504).end(), TIMEOUT_DELAY_MS);
+  res.on('close', () => clearTimeout(timer));
+}
+
+function randomId(prefix) {
+  return `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+module.exports = { SCENARIO, scenarioFor, stall, randomId };
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Send a signed webhook to the payment service, in the native format and
+ * signature scheme of the chosen processor.
+ *
+ * Usage:
+ *   node mock-acquirers/send-webhook.js <A|B|C> <event> <paymentReference> [options]
+ *
+ *   event: refund.succeeded | refund.failed | chargeback | settlement
+ *   --refund <ref>    processor refund id (refund events)
+ *   --amount <cents>  amount carried by the event
+ *   --event-id <id>   fixed event id (repeat it to exercise replay protection)
+ *   --url <base>      service base URL (default http://localhost:3000)
+ *
+ * The payment reference is the `processorReference` returned by POST /pay.
+ * Signing secrets come from the same credentials as the mock acquirers.
+ */
+
+const crypto = require('crypto');
+const { loadCredentials } = require('./credentials');
+const stripeWebhook = require('../src/webhooks/stripe-webhook');
+const adyenWebhook = require('../src/webhooks/adyen-webhook');
+const hmacWebhook = require('../src/webhooks/hmac-webhook');
+
+const STRIPE_TYPES = {
+  'refund.succeeded': ['refund.updated', { status: 'succeeded' }],
+  'refund.failed':    ['refund.updated', { status: 'failed' }],
+  'chargeback':       ['charge.dispute.created', { reason: 'fraudulent' }],
+};
+
+const ADYEN_CODES = {
+  'refund.succeeded': ['REFUND', 'true'],
+  'refund.failed':    ['REFUND', 'false'],
+  'chargeback':       ['CHARGEBACK', 'true'],
+  'settlement':       ['SETTLEMENT', 'true'],
+};
+
+const REGIONAL_TYPES = {
+  'refund.succeeded': 'REFUND_COMPLETED',
+  'refund.failed':    'REFUND_FAILED',
+  'chargeback':       'CHARGEBACK',
+  'settlement':       'SETTLED',
+};
+
+function parseArgs(argv) {
+  const [processor, event, reference, ...rest] = argv;
+  const options = { url: 'http://localhost:3000' };
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase())] = rest[i + 1];
+  }
+  if (options.amount !== undefined) options.amount = parseInt(options.amount, 10);
+  return { processor, event, reference, options };
+}
+
+function eventId(prefix, options) {
+  return options.eventId || `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function buildStripe(credentials, event, reference, options) {
+  const mapping = STRIPE_TYPES[event];
+  if (!mapping) throw new Error(`Processor A does not send "${event}" events`);
+  const [type, fields] = mapping;
+  const object = { payment_intent: reference, amount: options.amount, ...fields };
+  if (type.startsWith('refund.')) object.id = options.refund;
+  const body = JSON.stringify({ id: eventId('evt_', options), type, created: Math.floor(Date.now() / 1000), data: { object } });
+  return { body, headers: stripeWebhook.sign(credentials.PROCESSOR_A_WEBHOOK_SECRET, body) };
+}
+
+function buildAdyen(credentials, event, reference, options) {
+  const mapping = ADYEN_CODES[event];
+  if (!mapping) throw new Error(`Processor B does not send "${event}" events`);
+  const [eventCode, success] = mapping;
+  const isRefund = eventCode === 'REFUND';
+  const item = adyenWebhook.signItem(credentials.PROCESSOR_B_WEBHOOK_SECRET, {
+    eventCode,
+    success,
+    pspReference: isRefund ? options.refund : (options.eventId || `PSP${crypto.randomBytes(6).toString('hex')}`),
+    originalReference: reference,
+    merchantAccountCode: credentials.PROCESSOR_B_MERCHANT_ID,
+    merchantReference: '',
+    amount: { value: options.amount, currency: 'USD' },
+    eventDate: new Date().toISOString(),
+  });
+  const body = JSON.stringify({ live: 'false', notificationItems: [{ NotificationRequestItem: item }] });
+  return { body, headers: {} };
+}
+
+function buildRegional(credentials, event, reference, options, path) {
+  const type = REGIONAL_TYPES[event];
+  if (!type) throw new Error(`Processor C does not send "${event}" events`);
+  const body = JSON.stringify({
+    event_id: eventId('rgev_', options),
+    event_type: type,
+    transaction_id: reference,
+    refund_id: options.refund,
+    amount: options.amount,
+  });
+  return { body, headers: hmacWebhook.sign(credentials.PROCESSOR_C_WEBHOOK_SECRET, path, body) };
+}
+
+async function main() {
+  const { processor, event, reference, options } = parseArgs(process.argv.slice(2));
+  if (!processor || !event || !reference) {
+    console.error('Usage: send-webhook.js <A|B|C> <event> <paymentReference> [--refund ref] [--amount cents] [--event-id id] [--url base]');
+    process.exit(2);
+  }
+
+  const credentials = loadCredentials();
+  const path = `/webhooks/${processor}`;
+  const builders = { A: buildStripe, B: buildAdyen, C: buildRegional };
+  if (!builders[processor]) throw new Error(`Unknown processor "${processor}"`);
+
+  const { body, headers } = builders[processor](credentials, event, reference, options, path);
+  const response = await fetch(`${options.url.replace(/\/$/, '')}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+  });
+  console.log(response.status, await response.text());
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
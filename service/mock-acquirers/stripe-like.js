@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Mock Stripe-style acquirer (Processor A).
+ * Bearer auth, form-encoded bodies, PaymentIntents-shaped responses.
+ */
+
+const express = require('express');
+const { SCENARIO, scenarioFor, stall, randomId } = require('./scenarios');
+
+const DECLINES = {
+  [SCENARIO.INSUFFICIENT_FUNDS]: { decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  [SCENARIO.DO_NOT_HONOR]:       { decline_code: 'do_not_honor', message: 'Your card was declined.' },
+  [SCENARIO.EXPIRED_CARD]:       { decline_code: 'expired_card', message: 'Your card has expired.' },
+};
+
+/**
+ * @param {object} credentials - Expected PROCESSOR_A_API_KEY
+ */
+function createStripeLikeApp(credentials) {
+  const app = express();
+  const intents = new Map();
+
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${credentials.PROCESSOR_A_API_KEY}`) {
+      return res.status(401).json({ error: { type: 'invalid_request_error', message: 'Invalid API Key provided.' } });
+    }
+    next();
+  });
+
+  function invalid(res, message) {
+    return res.status(400).json({ error: { type: 'invalid_request_error', message } });
+  }
+
+  app.post('/v1/payment_intents', (req, res) => {
+    const amount = parseInt(req.body.amount, 10);
+    if (!(amount > 0) || !req.body.currency) return invalid(res, 'Missing amount or currency.');
+
+    const scenario = scenarioFor(amount);
+    if (scenario === SCENARIO.TIMEOUT) return stall(res);
+    if (scenario === SCENARIO.PROCESSOR_ERROR) {
+      return res.status(500).json({ error: { type: 'api_error', message: 'An unknown error occurred.' } });
+    }
+    if (DECLINES[scenario]) {
+      return res.status(402).json({ error: { type: 'card_error', code: 'card_declined', ...DECLINES[scenario] } });
+    }
+
+    const manual = req.body.capture_method === 'manual';
+    const intent = {
+      id: randomId('pi_'),
+      amount,
+      currency: req.body.currency,
+      status: manual ? 'requires_capture' : 'succeeded',
+      amount_received: manual ? 0 : amount,
+      amount_refunded: 0,
+    };
+    intents.set(intent.id, intent);
+    return res.status(200).json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/capture', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return res.status(404).json({ error: { type: 'invalid_request_error', message: 'No such payment_intent.' } });
+    if (intent.status !== 'requires_capture') return invalid(res, `PaymentIntent has status ${intent.status}.`);
+
+    const amount = req.body.amount_to_capture ? parseInt(req.body.amount_to_capture, 10) : intent.amount;
+    if (!(amount > 0) || amount > intent.amount) return invalid(res, 'amount_to_capture exceeds authorized amount.');
+
+    intent.status = 'succeeded';
+    intent.amount_received = amount;
+    return res.status(200).json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return res.status(404).json({ error: { type: 'invalid_request_error', message: 'No such payment_intent.' } });
+    if (intent.status !== 'requires_capture') return invalid(res, `PaymentIntent has status ${intent.status}.`);
+
+    intent.status = 'canceled';
+    return res.status(200).json(intent);
+  });
+
+  app.post('/v1/refunds', (req, res) => {
+    const intent = intents.get(req.body.payment_intent);
+    if (!intent) return res.status(404).json({ error: { type: 'invalid_request_error', message: 'No such payment_intent.' } });
+
+    const amount = req.body.amount ? parseInt(req.body.amount, 10) : intent.amount_received - intent.amount_refunded;
+    if (intent.status !== 'succeeded' || !(amount > 0) || amount > intent.amount_received - intent.amount_refunded) {
+      return invalid(res, 'Refund amount exceeds the refundable amount.');
+    }
+
+    intent.amount_refunded += amount;
+    return res.status(200).json({ id: randomId('re_'), payment_intent: intent.id, amount, status: 'succeeded' });
+  });
+
+  return app;
+}
+
+module.exports = { createStripeLikeApp };
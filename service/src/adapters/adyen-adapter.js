@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * adyen-adapter.js
+ *
+ * Adyen-style processor (Processor B): JSON bodies carrying the merchant
+ * account, authenticated with an `X-API-Key` header.
+ *
+ *   authorize → POST /v71/payments                 (captureDelayHours 0 = immediate capture)
+ *   capture   → POST /v71/payments/:psp/captures
+ *   void      → POST /v71/payments/:psp/cancels
+ *   refund    → POST /v71/payments/:psp/refunds
+ *
+ * Credentials: PROCESSOR_B_API_KEY (header), PROCESSOR_B_MERCHANT_ID (body).
+ * A card is sent as a `scheme` paymentMethod.
+ */
+
+const { sendRequest, declineForStatus } = require('./http-client');
+const { DECLINE_CODE, approved, declined } = require('./result');
+
+// Adyen refusalReasonCode → common decline code
+const REFUSAL_MAP = {
+  '2':  DECLINE_CODE.CARD_DECLINED,   // Refused
+  '5':  DECLINE_CODE.DO_NOT_HONOR,    // Blocked card / do not honor
+  '6':  DECLINE_CODE.EXPIRED_CARD,    // Expired Card
+  '12': DECLINE_CODE.INSUFFICIENT_FUNDS, // Not enough balance
+};
+
+async function post(ctx, path, payload) {
+  const response = await sendRequest({
+    method: 'POST',
+    url: `${ctx.baseUrl}${path}`,
+    headers: {
+      'X-API-Key': ctx.credentials.PROCESSOR_B_API_KEY,
+      'Content-Type': 'application/json',
+      ...(ctx.idempotencyKey ? { 'Idempotency-Key': ctx.idempotencyKey } : {}),
+    },
+    body: JSON.stringify({ merchantAccount: ctx.credentials.PROCESSOR_B_MERCHANT_ID, ...payload }),
+    timeoutMs: ctx.timeoutMs,
+  });
+  if (!response.ok) return response.result;
+
+  const { status, body } = response;
+  if (status >= 200 && status < 300 && body) {
+    if (body.resultCode === 'Refused') {
+      const rawCode = String(body.refusalReasonCode);
+      return declined(REFUSAL_MAP[rawCode] || DECLINE_CODE.CARD_DECLINED, body.refusalReason || 'Refused', {
+        rawCode,
+        processorReference: body.pspReference || null,
+      });
+    }
+    if (body.pspReference) {
+      return approved(body.pspReference, { rawStatus: body.resultCode || body.status });
+    }
+  }
+
+  const result = declineForStatus(status);
+  return body && body.message ? { ...result, message: body.message, rawCode: body.errorCode } : result;
+}
+
+function paymentMethod(card) {
+  const method = {
+    type: 'scheme',
+    number: card.number,
+    expiryMonth: String(card.expMonth).padStart(2, '0'),
+    expiryYear: String(card.expYear),
+  };
+  if (card.cvc) method.cvc = card.cvc;
+  if (card.holderName) method.holderName = card.holderName;
+  return method;
+}
+
+module.exports = {
+  name: 'adyen',
+
+  authorize(ctx, { amount, currency, capture, reference, card }) {
+    const payload = { amount: { value: amount, currency }, reference };
+    if (card) payload.paymentMethod = paymentMethod(card);
+    if (capture) payload.captureDelayHours = 0;
+    return post(ctx, '/v71/payments', payload);
+  },
+
+  capture(ctx, { processorReference, amount, currency }) {
+    return post(ctx, `/v71/payments/${encodeURIComponent(processorReference)}/captures`, {
+      amount: { value: amount, currency },
+    });
+  },
+
+  void(ctx, { processorReference }) {
+    return post(ctx, `/v71/payments/${encodeURIComponent(processorReference)}/cancels`, {});
+  },
+
+  refund(ctx, { processorReference, amount, currency }) {
+    return post(ctx, `/v71/payments/${encodeURIComponent(processorReference)}/refunds`, {
+      amount: { value: amount, currency },
+    });
+  },
+};
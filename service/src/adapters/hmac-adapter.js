@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * hmac-adapter.js
+ *
+ * Regional acquirer (Processor C): JSON requests to PROCESSOR_C_ENDPOINT,
+ * each signed with HMAC-SHA256 keyed by PROCESSOR_C_TOKEN.
+ *
+ *   X-Timestamp: <unix seconds>
+ *   X-Signature: hex(HMAC-SHA256(token, "<timestamp>\n<METHOD>\n<path>\n<body>"))
+ *
+ *   authorize → POST {endpoint}/transactions
+ *   capture   → POST {endpoint}/transactions/:id/capture
+ *   void      → POST {endpoint}/transactions/:id/void
+ *   refund    → POST {endpoint}/transactions/:id/refund
+ *
+ * Responses carry ISO 8583-style `response_code` values ('00' = approved).
+ * The token itself is never sent over the wire. A card is sent as `card`
+ * (pan, expiry_month, expiry_year, cvv, cardholder_name).
+ */
+
+const crypto = require('crypto');
+const { sendRequest, declineForStatus } = require('./http-client');
+const { DECLINE_CODE, approved, declined } = require('./result');
+
+// ISO 8583 response code → common decline code
+const RESPONSE_CODE_MAP = {
+  '05': DECLINE_CODE.DO_NOT_HONOR,
+  '51': DECLINE_CODE.INSUFFICIENT_FUNDS,
+  '54': DECLINE_CODE.EXPIRED_CARD,
+  '96': DECLINE_CODE.PROCESSOR_ERROR,
+};
+
+/**
+ * Compute the request signature. Shared with the mock acquirer so both sides
+ * agree on the canonical string.
+ *
+ * @param {string} token
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string} method
+ * @param {string} path             - URL path including any endpoint prefix
+ * @param {string} body
+ * @returns {string} Hex digest
+ */
+function computeSignature(token, timestamp, method, path, body) {
+  return crypto
+    .createHmac('sha256', token)
+    .update(`${timestamp}\n${method.toUpperCase()}\n${path}\n${body}`)
+    .digest('hex');
+}
+
+async function post(ctx, path, payload) {
+  let url;
+  try {
+    url = new URL(`${ctx.credentials.PROCESSOR_C_ENDPOINT.replace(/\/$/, '')}${path}`);
+  } catch {
+    // Never echo the configured value — it comes from the secret store
+    return declined(DECLINE_CODE.INVALID_REQUEST, 'PROCESSOR_C_ENDPOINT is not a valid URL');
+  }
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await sendRequest({
+    method: 'POST',
+    url: url.toString(),
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Timestamp': String(timestamp),
+      'X-Signature': computeSignature(ctx.credentials.PROCESSOR_C_TOKEN, timestamp, 'POST', url.pathname, body),
+      ...(ctx.idempotencyKey ? { 'Idempotency-Key': ctx.idempotencyKey } : {}),
+    },
+    body,
+    timeoutMs: ctx.timeoutMs,
+  });
+  if (!response.ok) return response.result;
+
+  const { status, body: res } = response;
+  if (status >= 200 && status < 300 && res && res.response_code) {
+    if (res.response_code === '00') {
+      // Refunds are identified by their own id so refund webhooks can be matched
+      return approved(res.refund_id || res.transaction_id, { rawStatus: res.state });
+    }
+    return declined(RESPONSE_CODE_MAP[res.response_code] || DECLINE_CODE.CARD_DECLINED, res.message || 'Declined', {
+      rawCode: res.response_code,
+      processorReference: res.transaction_id || null,
+    });
+  }
+
+  const result = declineForStatus(status);
+  return res && res.message ? { ...result, message: res.message } : result;
+}
+
+module.exports = {
+  name: 'hmac',
+  computeSignature,
+
+  authorize(ctx, { amount, currency, capture, reference, card }) {
+    const payload = { amount, currency, capture, reference };
+    if (card) {
+      payload.card = { pan: card.number, expiry_month: card.expMonth, expiry_year: card.expYear };
+      if (card.cvc) payload.card.cvv = card.cvc;
+      if (card.holderName) payload.card.cardholder_name = card.holderName;
+    }
+    return post(ctx, '/transactions', payload);
+  },
+
+  capture(ctx, { processorReference, amount }) {
+    return post(ctx, `/transactions/${encodeURIComponent(processorReference)}/capture`, { amount });
+  },
+
+  void(ctx, { processorReference }) {
+    return post(ctx, `/transactions/${encodeURIComponent(processorReference)}/void`, {});
+  },
+
+  refund(ctx, { processorReference, amount }) {
+    return post(ctx, `/transactions/${encodeURIComponent(processorReference)}/refund`, { amount });
+  },
+};
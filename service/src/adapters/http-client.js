@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * http-client.js
+ *
+ * Minimal outbound HTTP helper for processor adapters, built on Node's global
+ * fetch. Enforces a per-request timeout and converts transport failures into
+ * common decline results so adapters only deal with HTTP responses.
+ *
+ * Requests made while handling an API request carry a W3C `traceparent`
+ * naming the active processor span (request-context.js).
+ *
+ * NEVER logs request headers or bodies — they carry credentials.
+ */
+
+const { DECLINE_CODE, declined } = require('./result');
+const { outboundTraceparent } = require('../request-context');
+
+// Errors raised before a connection exists — no request bytes were written
+const PRE_SEND_ERRORS = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Decline result for a request that failed below HTTP (timeout, refused, reset).
+ */
+function transportFailure(err, timeoutMs) {
+  if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+    return { ok: false, result: declined(DECLINE_CODE.TIMEOUT, `Processor did not respond within ${timeoutMs}ms`) };
+  }
+  const code = err.cause ? err.cause.code || err.message : err.message;
+  if (PRE_SEND_ERRORS.has(code)) {
+    return { ok: false, result: declined(DECLINE_CODE.CONNECTION_FAILED, `Processor unreachable: ${code}`) };
+  }
+  return { ok: false, result: declined(DECLINE_CODE.NETWORK_ERROR, `Connection to processor lost: ${code}`) };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.method
+ * @param {string} options.url
+ * @param {object} [options.headers]
+ * @param {string} [options.body]      - Already-serialised request body
+ * @param {number} options.timeoutMs
+ * @returns {Promise<{ ok: true, status: number, body: any }|{ ok: false, result: object }>}
+ */
+async function sendRequest({ method, url, headers = {}, body, timeoutMs }) {
+  const traceparent = outboundTraceparent();
+  let response;
+  let text;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: traceparent ? { ...headers, traceparent } : headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // The timeout covers the body too — a stalled or reset body is a transport failure
+    text = await response.text();
+  } catch (err) {
+    return transportFailure(err, timeoutMs);
+  }
+
+  let parsed = null;
+  if (text) {
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = { raw: text.slice(0, 200) };
+    }
+  }
+
+  return { ok: true, status: response.status, body: parsed };
+}
+
+/**
+ * Map an HTTP status with no recognisable body onto a decline result.
+ * @param {number} status
+ */
+function declineForStatus(status) {
+  if (status === 401 || status === 403) {
+    return declined(DECLINE_CODE.AUTHENTICATION_FAILED, `Processor rejected credentials (HTTP ${status})`, { httpStatus: status });
+  }
+  if (status >= 500) {
+    return declined(DECLINE_CODE.PROCESSOR_ERROR, `Processor error (HTTP ${status})`, { httpStatus: status });
+  }
+  return declined(DECLINE_CODE.INVALID_REQUEST, `Processor rejected request (HTTP ${status})`, { httpStatus: status });
+}
+
+module.exports = { sendRequest, declineForStatus };
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Processor adapter lookup. A registry entry's `adapter` field names one of these.
+ *
+ * Every adapter implements authorize / capture / void / refund with the signature
+ *   (ctx, params) => Promise<result>
+ * where ctx = { credentials, baseUrl, timeoutMs, idempotencyKey } and the
+ * result follows the common model in result.js.
+ */
+
+const stripeAdapter = require('./stripe-adapter');
+const adyenAdapter = require('./adyen-adapter');
+const hmacAdapter = require('./hmac-adapter');
+
+const ADAPTERS = {
+  [stripeAdapter.name]: stripeAdapter,
+  [adyenAdapter.name]: adyenAdapter,
+  [hmacAdapter.name]: hmacAdapter,
+};
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getAdapter(name) {
+  return ADAPTERS[name] || null;
+}
+
+module.exports = { getAdapter, ADAPTER_NAMES: Object.keys(ADAPTERS) };
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * result.js
+ *
+ * Common result / decline-code model shared by all processor adapters.
+ * Each adapter maps its native response codes onto DECLINE_CODE so the rest
+ * of the service never branches on processor-specific values.
+ */
+
+const DECLINE_CODE = {
+  INSUFFICIENT_FUNDS:    'insufficient_funds',
+  DO_NOT_HONOR:          'do_not_honor',
+  EXPIRED_CARD:          'expired_card',
+  CARD_DECLINED:         'card_declined',
+  INVALID_REQUEST:       'invalid_request',
+  AUTHENTICATION_FAILED: 'authentication_failed',
+  PROCESSOR_ERROR:       'processor_error',
+  TIMEOUT:               'timeout',
+  // Connection lost after the request may have been sent — the outcome is unknown
+  NETWORK_ERROR:         'network_error',
+  // No connection was made (refused, DNS), so the request was never sent
+  CONNECTION_FAILED:     'connection_failed',
+};
+
+/**
+ * Approved processor response.
+ * @param {string} processorReference - The processor's id for this payment/operation
+ * @param {object} [extra]
+ */
+function approved(processorReference, extra = {}) {
+  return { approved: true, processorReference, declineCode: null, ...extra };
+}
+
+/**
+ * Declined or failed processor response.
+ * @param {string} declineCode - One of DECLINE_CODE.*
+ * @param {string} message     - Safe, human-readable reason (never credential values)
+ * @param {object} [extra]     - e.g. { rawCode, httpStatus, processorReference }
+ */
+function declined(declineCode, message, extra = {}) {
+  return { approved: false, processorReference: null, declineCode, message, ...extra };
+}
+
+module.exports = { DECLINE_CODE, approved, declined };
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * stripe-adapter.js
+ *
+ * Stripe-style processor (Processor A): bearer-token auth with
+ * form-encoded request bodies against the PaymentIntents API shape.
+ *
+ *   authorize → POST /v1/payment_intents            (confirm=true, capture_method)
+ *   capture   → POST /v1/payment_intents/:id/capture (amount_to_capture)
+ *   void      → POST /v1/payment_intents/:id/cancel
+ *   refund    → POST /v1/refunds                     (payment_intent, amount)
+ *
+ * Credentials: PROCESSOR_A_API_KEY is sent as the bearer token.
+ * A card is sent as inline `payment_method_data[card]` fields.
+ */
+
+const { sendRequest, declineForStatus } = require('./http-client');
+const { DECLINE_CODE, approved, declined } = require('./result');
+
+// Stripe decline_code / code → common decline code
+const DECLINE_MAP = {
+  insufficient_funds: DECLINE_CODE.INSUFFICIENT_FUNDS,
+  do_not_honor:       DECLINE_CODE.DO_NOT_HONOR,
+  expired_card:       DECLINE_CODE.EXPIRED_CARD,
+  generic_decline:    DECLINE_CODE.CARD_DECLINED,
+  card_declined:      DECLINE_CODE.CARD_DECLINED,
+};
+
+async function post(ctx, path, params) {
+  const response = await sendRequest({
+    method: 'POST',
+    url: `${ctx.baseUrl}${path}`,
+    headers: {
+      Authorization: `Bearer ${ctx.credentials.PROCESSOR_A_API_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(ctx.idempotencyKey ? { 'Idempotency-Key': ctx.idempotencyKey } : {}),
+    },
+    body: new URLSearchParams(params).toString(),
+    timeoutMs: ctx.timeoutMs,
+  });
+  if (!response.ok) return response.result;
+
+  const { status, body } = response;
+  if (status >= 200 && status < 300 && body && body.id) {
+    return approved(body.id, { rawStatus: body.status });
+  }
+
+  const error = body && body.error;
+  if (status === 402 && error) {
+    const rawCode = error.decline_code || error.code;
+    return declined(DECLINE_MAP[rawCode] || DECLINE_CODE.CARD_DECLINED, error.message || 'Card declined', { rawCode, httpStatus: status });
+  }
+  const result = declineForStatus(status);
+  return error && error.message ? { ...result, message: error.message } : result;
+}
+
+function cardFields(card) {
+  if (!card) return {};
+  const fields = {
+    'payment_method_data[type]': 'card',
+    'payment_method_data[card][number]': card.number,
+    'payment_method_data[card][exp_month]': String(card.expMonth),
+    'payment_method_data[card][exp_year]': String(card.expYear),
+  };
+  if (card.cvc) fields['payment_method_data[card][cvc]'] = card.cvc;
+  if (card.holderName) fields['payment_method_data[billing_details][name]'] = card.holderName;
+  return fields;
+}
+
+module.exports = {
+  name: 'stripe',
+
+  authorize(ctx, { amount, currency, capture, reference, card }) {
+    return post(ctx, '/v1/payment_intents', {
+      amount: String(amount),
+      currency: currency.toLowerCase(),
+      capture_method: capture ? 'automatic' : 'manual',
+      confirm: 'true',
+      'metadata[flexpay_reference]': reference,
+      ...cardFields(card),
+    });
+  },
+
+  capture(ctx, { processorReference, amount }) {
+    return post(ctx, `/v1/payment_intents/${encodeURIComponent(processorReference)}/capture`, {
+      amount_to_capture: String(amount),
+    });
+  },
+
+  void(ctx, { processorReference }) {
+    return post(ctx, `/v1/payment_intents/${encodeURIComponent(processorReference)}/cancel`, {});
+  },
+
+  refund(ctx, { processorReference, amount }) {
+    return post(ctx, '/v1/refunds', { payment_intent: processorReference, amount: String(amount) });
+  },
+};
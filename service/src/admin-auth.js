@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * admin-auth.js
+ *
+ * Authentication and role checks for the admin and audit routes.
+ *
+ * ADMIN_AUTH_MODE selects how callers prove who they are:
+ *   - api-key (default) — `X-API-Key` header. Only SHA-256 hashes of the keys
+ *     are stored, as ADMIN_API_KEYS in the secret store:
+ *       [{ "id": "ops-oncall", "roles": ["operator"], "sha256": "<hex>" }, ...]
+ *     so a leaked secret snapshot does not hand out admin access, and keys
+ *     rotate with the rest of the secrets (no restart).
+ *   - mtls — a client certificate signed by ADMIN_MTLS_CA_FILE. The server
+ *     then listens with TLS (ADMIN_MTLS_CERT_FILE / ADMIN_MTLS_KEY_FILE) and
+ *     asks for, but does not require, a client certificate, so payment
+ *     clients keep working without one. The certificate's subject CN is the
+ *     caller identity; ADMIN_MTLS_ROLES maps it to roles:
+ *       ops.flexpay.internal=operator,audit.flexpay.internal=auditor|operator
+ *
+ * Roles:
+ *   - operator — POST /admin/*
+ *   - auditor  — GET /audit, /audit/summary, /audit/verify
+ *
+ * 401 when the credential is missing or unknown, 403 when the caller lacks the
+ * role, 503 when the key store has not been loaded. Every attempt, granted or
+ * denied, goes to the audit log with the caller identity — key id or CN,
+ * never the credential itself.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { createLogger } = require('./logger');
+const { getCachedSecrets } = require('./secret-provider');
+const { parseHashedKeys, findByKey } = require('./api-keys');
+const auditLogger = require('./audit-logger');
+
+const logger = createLogger('admin-auth');
+
+const AUTH_MODE = {
+  API_KEY: 'api-key',
+  MTLS:    'mtls',
+};
+
+const ROLE = {
+  OPERATOR: 'operator',
+  AUDITOR:  'auditor',
+};
+
+const DENY_REASON = {
+  MISSING_CREDENTIALS: 'missing_credentials',
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  FORBIDDEN:           'insufficient_role',
+  UNAVAILABLE:         'auth_unavailable',
+};
+
+const API_KEY_HEADER = 'X-API-Key';
+
+// Internal state — parsed ADMIN_API_KEYS, re-parsed when the secret changes
+let _keysSource = null;
+let _keys = [];
+
+function getAuthMode() {
+  const mode = process.env.ADMIN_AUTH_MODE || AUTH_MODE.API_KEY;
+  if (!Object.values(AUTH_MODE).includes(mode)) {
+    throw new Error(`Unknown ADMIN_AUTH_MODE "${mode}". Valid options: ${Object.values(AUTH_MODE).join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Parse ADMIN_API_KEYS. A malformed value disables every key (fail closed)
+ * rather than taking the service down.
+ * @param {string} raw
+ * @returns {Array<{ id: string, roles: string[], hash: Buffer }>}
+ */
+function parseApiKeys(raw) {
+  try {
+    return parseHashedKeys(raw, (entry) => {
+      if (!Array.isArray(entry.roles) || entry.roles.some((r) => !Object.values(ROLE).includes(r))) {
+        throw new Error(`entry "${entry.id}": "roles" must list only ${Object.values(ROLE).join(', ')}`);
+      }
+      return { roles: entry.roles };
+    });
+  } catch (err) {
+    logger.error({ err: err.message }, 'ADMIN_API_KEYS is invalid — all admin API keys are disabled');
+    return [];
+  }
+}
+
+/**
+ * Current admin keys from the secret cache, or null before secrets load.
+ */
+function getApiKeys() {
+  const secrets = getCachedSecrets();
+  if (!secrets) return null;
+
+  const raw = secrets.ADMIN_API_KEYS || '[]';
+  if (raw !== _keysSource) {
+    _keys = parseApiKeys(raw);
+    _keysSource = raw;
+    logger.info({ keyCount: _keys.length }, 'Admin API keys loaded');
+  }
+  return _keys;
+}
+
+/**
+ * @returns {{ identity: string, roles: string[] } | { reason: string }}
+ */
+function authenticateApiKey(req) {
+  const presented = req.get(API_KEY_HEADER);
+  if (!presented) return { reason: DENY_REASON.MISSING_CREDENTIALS };
+
+  const keys = getApiKeys();
+  if (!keys) return { reason: DENY_REASON.UNAVAILABLE };
+
+  const match = findByKey(keys, presented);
+  return match ? { identity: match.id, roles: match.roles } : { reason: DENY_REASON.INVALID_CREDENTIALS };
+}
+
+/**
+ * Parse ADMIN_MTLS_ROLES ("cn=role|role,cn=role").
+ * @returns {Map<string, string[]>}
+ */
+function parseCertificateRoles(raw = process.env.ADMIN_MTLS_ROLES || '') {
+  const roles = new Map();
+  for (const pair of raw.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const separator = pair.lastIndexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid ADMIN_MTLS_ROLES entry "${pair}". Expected <subject CN>=<role>[|<role>]`);
+    }
+    roles.set(pair.slice(0, separator), pair.slice(separator + 1).split('|'));
+  }
+  return roles;
+}
+
+/**
+ * @returns {{ identity: string, roles: string[] } | { reason: string, identity?: string }}
+ */
+function authenticateClientCertificate(req) {
+  const socket = req.socket;
+  const certificate = typeof socket.getPeerCertificate === 'function' ? socket.getPeerCertificate() : null;
+  if (!certificate || !certificate.subject) return { reason: DENY_REASON.MISSING_CREDENTIALS };
+
+  const identity = certificate.subject.CN || null;
+  if (!socket.authorized || !identity) {
+    return { reason: DENY_REASON.INVALID_CREDENTIALS, identity };
+  }
+  return { identity, roles: parseCertificateRoles().get(identity) || [] };
+}
+
+/**
+ * Express middleware: authenticate the caller and require `role`.
+ * @param {string} role - One of ROLE.*
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const authMethod = getAuthMode();
+    const route = req.originalUrl.split('?')[0]; // req.path is relative to a mount point
+    const caller = authMethod === AUTH_MODE.MTLS ? authenticateClientCertificate(req) : authenticateApiKey(req);
+    const meta = {
+      method: req.method,
+      caller: caller.identity || null,
+      authMethod,
+      requiredRole: role,
+      sourceIp: req.ip,
+    };
+
+    let status = null;
+    if (caller.reason === DENY_REASON.UNAVAILABLE) {
+      status = 503;
+    } else if (caller.reason) {
+      status = 401;
+    } else if (!caller.roles.includes(role)) {
+      status = 403;
+      caller.reason = DENY_REASON.FORBIDDEN;
+    }
+
+    if (status) {
+      auditLogger.recordAdminAccess(route, false, { ...meta, reason: caller.reason });
+      logger.warn({ path: route, ...meta, reason: caller.reason }, 'Admin access denied');
+      if (status === 401 && authMethod === AUTH_MODE.API_KEY) {
+        res.set('WWW-Authenticate', `ApiKey header="${API_KEY_HEADER}"`);
+      }
+      const error = status === 403 ? 'Forbidden' : status === 401 ? 'Unauthorized' : 'Service unavailable';
+      return res.status(status).json({ error, reason: caller.reason });
+    }
+
+    auditLogger.recordAdminAccess(route, true, meta);
+    req.caller = { identity: caller.identity, roles: caller.roles, authMethod };
+    return next();
+  };
+}
+
+/**
+ * Create the HTTP server for `app`: plain HTTP, or TLS that requests (but
+ * does not require) client certificates in mtls mode.
+ * @param {Function} app - Express application
+ */
+function createServer(app) {
+  if (getAuthMode() !== AUTH_MODE.MTLS) {
+    return http.createServer(app);
+  }
+
+  for (const name of ['ADMIN_MTLS_CERT_FILE', 'ADMIN_MTLS_KEY_FILE', 'ADMIN_MTLS_CA_FILE']) {
+    if (!process.env[name]) throw new Error(`ADMIN_AUTH_MODE=mtls requires ${name}`);
+  }
+  parseCertificateRoles(); // fail fast on a malformed mapping
+
+  logger.info('Admin routes authenticated by client certificate — serving HTTPS');
+  return https.createServer({
+    cert: fs.readFileSync(process.env.ADMIN_MTLS_CERT_FILE),
+    key: fs.readFileSync(process.env.ADMIN_MTLS_KEY_FILE),
+    ca: fs.readFileSync(process.env.ADMIN_MTLS_CA_FILE),
+    requestCert: true,
+    rejectUnauthorized: false, // checked per route, so payment clients need no certificate
+  }, app);
+}
+
+module.exports = {
+  AUTH_MODE,
+  ROLE,
+  DENY_REASON,
+  requireRole,
+  createServer,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * api-keys.js
+ *
+ * Hashed API key lists kept in the secret store (ADMIN_API_KEYS,
+ * MERCHANT_API_KEYS). Each list is a JSON array of entries carrying the
+ * SHA-256 hex digest of a key — never the key itself:
+ *
+ *   [{ "id": "...", "sha256": "<hex>", ...list-specific fields }]
+ *
+ * A presented key is hashed and compared against every entry in constant
+ * time per entry, so response timing does not reveal which entry nearly
+ * matched.
+ */
+
+const crypto = require('crypto');
+
+const SHA256_HEX = /^[a-f0-9]{64}$/;
+
+/**
+ * Parse and validate a hashed key list.
+ *
+ * @param {string}   raw        - JSON text from the secret store
+ * @param {Function} [describe] - (entry) => extra fields for the parsed entry;
+ *                                throws to reject the entry
+ * @returns {Array<{ id: string, hash: Buffer }>}
+ * @throws {Error} On the first invalid entry (callers fail closed)
+ */
+function parseHashedKeys(raw, describe = () => ({})) {
+  const entries = JSON.parse(raw);
+  if (!Array.isArray(entries)) throw new Error('must be a JSON array');
+
+  const ids = new Set();
+  return entries.map((entry, i) => {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+      throw new Error(`entry ${i}: "id" must be a non-empty string`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`entry "${entry.id}": duplicate id`);
+    }
+    if (typeof entry.sha256 !== 'string' || !SHA256_HEX.test(entry.sha256)) {
+      throw new Error(`entry "${entry.id}": "sha256" must be a lowercase hex SHA-256 digest`);
+    }
+    ids.add(entry.id);
+    return { ...describe(entry), id: entry.id, hash: Buffer.from(entry.sha256, 'hex') };
+  });
+}
+
+/**
+ * Find the entry whose hash matches the presented key.
+ * @param {Array<{ hash: Buffer }>} entries
+ * @param {string} presented
+ * @returns {object|null}
+ */
+function findByKey(entries, presented) {
+  const digest = crypto.createHash('sha256').update(presented).digest();
+  let match = null;
+  for (const entry of entries) {
+    // No early exit — every entry is compared
+    if (crypto.timingSafeEqual(digest, entry.hash) && !match) match = entry;
+  }
+  return match;
+}
+
+module.exports = { parseHashedKeys, findByKey };
@@ -10,20 +10,42 @@
  *
  * This supplements Vault's own audit log (which records every API request at
  * the Vault server side) with application-level context such as the HTTP
- * request that triggered the secret fetch and the service instance ID.
+ * request that triggered the secret fetch (requestId / traceId, see
+ * request-context.js) and the service instance ID.
  *
  * PCI-DSS Requirement 10: "Track and monitor all access to network resources
  * and cardholder data."
  *
+ * Entries are persisted to a hash-chained, append-only file (audit-sink.js,
+ * PCI-DSS Requirement 10.5) so they survive restarts and any alteration is
+ * detectable with verifyChain(). GET /audit queries those files
+ * (audit-query.js); the in-memory buffer only keeps recent entries.
+ *
  * IMPORTANT: Credential VALUES are never written to this log. Only metadata
- * (path, version, success/failure) is recorded.
+ * (path, version, success/failure) is recorded. A value that slips into an
+ * entry anyway is masked before it is persisted (redaction.js).
  */
 
+const { createLogger } = require('./logger');
+const auditSink = require('./audit-sink');
+const { scrubAuditEntry } = require('./redaction');
+const { correlation } = require('./request-context');
+const metrics = require('./metrics');
+
+const logger = createLogger('audit-logger');
+
 const INSTANCE_ID = process.env.INSTANCE_ID || require('os').hostname();
-const MAX_ENTRIES = 1000; // Circular buffer — keeps memory bounded
+const MAX_ENTRIES = 1000; // Recent-entry cache — the full history is in the audit file
 
-// In-memory circular buffer of audit entries
+// In-memory circular buffer of recent audit entries
 const _entries = [];
+let _totalCount = 0;
+
+const auditEvents = metrics.counter(
+  'flexpay_audit_events_total',
+  'Audit events recorded by type and outcome',
+  ['event', 'success']
+);
 
 /**
  * Event types for structured filtering.
@@ -34,6 +56,21 @@ const EVENT = {
   AUTH_SUCCESS:    'AUTH_SUCCESS',
   AUTH_FAILURE:    'AUTH_FAILURE',
   ROTATION_DETECTED: 'ROTATION_DETECTED',
+  TOKEN_RENEWED:   'TOKEN_RENEWED',
+  TOKEN_EXPIRED:   'TOKEN_EXPIRED',
+  REAUTH:          'REAUTH',
+  WEBHOOK_VERIFIED: 'WEBHOOK_VERIFIED',
+  WEBHOOK_REJECTED: 'WEBHOOK_REJECTED',
+  ADMIN_ACCESS_GRANTED: 'ADMIN_ACCESS_GRANTED',
+  ADMIN_ACCESS_DENIED:  'ADMIN_ACCESS_DENIED',
+  CREDENTIAL_VERSION_BAD: 'CREDENTIAL_VERSION_BAD',
+  SECRET_VALIDATION_FAILED: 'SECRET_VALIDATION_FAILED',
+  CARD_TOKENIZED:   'CARD_TOKENIZED',
+  CARD_DETOKENIZED: 'CARD_DETOKENIZED',
+  SENSITIVE_DATA_REDACTED: 'SENSITIVE_DATA_REDACTED',
+  PAYMENT_ABANDONED: 'PAYMENT_ABANDONED',
+  SECRET_ID_UNWRAPPED: 'SECRET_ID_UNWRAPPED',
+  SECRET_ID_ROTATED:   'SECRET_ID_ROTATED',
 };
 
 /**
@@ -46,18 +83,29 @@ const EVENT = {
  * @param {object} [meta]  - Optional extra metadata (version, error message, etc.)
  */
 function record(event, path, success, meta = {}) {
-  const entry = {
+  // Secret values and card numbers are masked before the entry is persisted (redaction.js)
+  let entry = scrubAuditEntry({
     timestamp:  new Date().toISOString(),
     instanceId: INSTANCE_ID,
     event,
     path,
     success,
+    ...correlation(),
     ...meta,
-  };
+  });
+
+  try {
+    entry = auditSink.appendAuditEntry(entry);
+  } catch (err) {
+    // Keep serving, but make the gap loud — the stdout copy below still reaches log collectors
+    logger.error({ err: err.message, event }, 'Failed to persist audit entry to the audit file');
+  }
 
   _entries.push(entry);
+  _totalCount++;
+  auditEvents.inc({ event, success });
 
-  // Evict oldest entries to keep the buffer bounded
+  // Evict oldest entries to keep the buffer bounded (they remain in the audit file)
   if (_entries.length > MAX_ENTRIES) {
     _entries.shift();
   }
@@ -84,7 +132,35 @@ function getRecentEntries(limit = 100) {
  * Return the total number of entries recorded since process start.
  */
 function getTotalCount() {
-  return _entries.length;
+  return _totalCount;
+}
+
+/**
+ * Open the persistent audit file and resume its hash chain. Called at startup
+ * so an unwritable audit location stops the service instead of losing entries.
+ */
+function initAuditLog() {
+  const { file, seq } = auditSink.initAuditSink();
+  logger.info({ file, seq }, 'Audit log opened');
+}
+
+/**
+ * Key the entry HMACs with AUDIT_HMAC_KEY from the secret store (optional).
+ * Called after secrets load and again after rotation.
+ * @param {object|null} secrets
+ */
+function applyHmacKey(secrets) {
+  const key = secrets ? secrets.AUDIT_HMAC_KEY : null;
+  auditSink.setHmacKey(key);
+  logger.info({ hmacEnabled: !!key }, key ? 'Audit entries are HMAC-signed' : 'AUDIT_HMAC_KEY not set — audit entries are hash-chained only');
+}
+
+/**
+ * Verify the audit file's hash chain (see audit-sink.verifyAuditChain).
+ * @param {object} [options] - { instanceId }
+ */
+function verifyChain(options) {
+  return auditSink.verifyAuditChain(options);
 }
 
 // ── Convenience helpers ───────────────────────────────────────────────────────
@@ -120,20 +196,168 @@ function recordSecretRefresh(path, version, rotationDetected = false) {
   }
 }
 
+// Path of the login a Vault auth event refers to, unless the caller names another
+const APPROLE_LOGIN_PATH = 'auth/approle/login';
+
 /**
- * Record a successful AppRole authentication.
+ * Record a successful Vault authentication.
  * @param {number} leaseDuration - Token lease duration in seconds
+ * @param {object} [meta]        - authMethod
+ * @param {string} [path]        - 'auth/approle/login', or 'auth/token/lookup-self' for a supplied token
  */
-function recordAuthSuccess(leaseDuration) {
-  record(EVENT.AUTH_SUCCESS, 'auth/approle/login', true, { leaseDuration });
+function recordAuthSuccess(leaseDuration, meta = {}, path = APPROLE_LOGIN_PATH) {
+  record(EVENT.AUTH_SUCCESS, path, true, { leaseDuration, ...meta });
 }
 
 /**
- * Record a failed AppRole authentication.
+ * Record a failed Vault authentication.
  * @param {string} errorMessage
+ * @param {object} [meta] - authMethod
+ * @param {string} [path]
+ */
+function recordAuthFailure(errorMessage, meta = {}, path = APPROLE_LOGIN_PATH) {
+  record(EVENT.AUTH_FAILURE, path, false, { error: errorMessage, ...meta });
+}
+
+/**
+ * Record a successful `auth/token/renew-self` call.
+ * @param {number} leaseDuration - New token lease duration in seconds
+ */
+function recordTokenRenewed(leaseDuration) {
+  record(EVENT.TOKEN_RENEWED, 'auth/token/renew-self', true, { leaseDuration });
+}
+
+/**
+ * Record that the current token can no longer be extended.
+ * @param {string} reason          - 'renewal_refused' or 'max_ttl_reached'
+ * @param {string} [errorMessage]  - Vault error text, when renewal was refused
+ */
+function recordTokenExpired(reason, errorMessage) {
+  const meta = { reason };
+  if (errorMessage) meta.error = errorMessage;
+  record(EVENT.TOKEN_EXPIRED, 'auth/token/renew-self', false, meta);
+}
+
+/**
+ * Record the outcome of re-authentication: a fresh AppRole login after token
+ * expiry, or a new token picked up from the Vault Agent sink file.
+ * @param {boolean} success
+ * @param {object} [meta] - reason, authMethod, leaseDuration or error
+ * @param {string} [path]
+ */
+function recordReauth(success, meta = {}, path = APPROLE_LOGIN_PATH) {
+  record(EVENT.REAUTH, path, success, meta);
+}
+
+/**
+ * Record the verification outcome of an inbound processor webhook. Forged or
+ * replayed webhooks are a PCI concern, so every delivery is recorded.
+ * @param {string}  processor - Processor id from the URL
+ * @param {boolean} verified  - Whether the signature (and timestamp) checked out
+ * @param {object}  [meta]    - eventId, eventType, outcome or rejection reason
+ */
+function recordWebhook(processor, verified, meta = {}) {
+  record(verified ? EVENT.WEBHOOK_VERIFIED : EVENT.WEBHOOK_REJECTED, `webhooks/${processor}`, verified, meta);
+}
+
+/**
+ * Record an access attempt on an admin or audit route, granted or denied.
+ * @param {string}  route   - Request path (e.g. '/admin/refresh-secrets')
+ * @param {boolean} granted
+ * @param {object}  [meta]  - caller identity (key id or certificate CN — never
+ *                            the credential), authMethod, requiredRole, reason
+ */
+function recordAdminAccess(route, granted, meta = {}) {
+  record(granted ? EVENT.ADMIN_ACCESS_GRANTED : EVENT.ADMIN_ACCESS_DENIED, route.replace(/^\//, ''), granted, meta);
+}
+
+/**
+ * Record a rotated secret version marked bad for a processor (its calls were
+ * rolled back to the previous version).
+ * @param {string} processor - Processor id (e.g. 'A')
+ * @param {object} [meta]    - kvVersion, rolledBackTo, consecutiveAuthFailures
+ */
+function recordCredentialVersionBad(processor, meta = {}) {
+  record(EVENT.CREDENTIAL_VERSION_BAD, `credentials/${processor}`, false, meta);
+}
+
+/**
+ * Record a fetched secret set that failed validation.
+ * @param {string} path   - Secret path or source
+ * @param {object} [meta] - kvVersion, action, failures ([{ key, processor, rule }]
+ *                          — key names and rules only, never values)
+ */
+function recordSecretValidationFailed(path, meta = {}) {
+  record(EVENT.SECRET_VALIDATION_FAILED, path, false, meta);
+}
+
+/**
+ * Record a card encrypted under a new token (card-tokens.js).
+ * @param {string|null} cardToken - The new token, or null when encryption failed
+ * @param {boolean}     success
+ * @param {object}      [meta]    - merchantId, brand, last4, tokenizer, reason —
+ *                                  never the card number or CVC
+ */
+function recordCardTokenized(cardToken, success, meta = {}) {
+  record(EVENT.CARD_TOKENIZED, cardToken ? `cards/${cardToken}` : 'cards', success, meta);
+}
+
+/**
+ * Record a tokenized card decrypted for a processor call — an access to
+ * cardholder data.
+ * @param {string}  cardToken
+ * @param {boolean} success
+ * @param {object}  [meta] - merchantId, brand, last4, tokenizer, reason
+ */
+function recordCardDetokenized(cardToken, success, meta = {}) {
+  record(EVENT.CARD_DETOKENIZED, `cards/${cardToken}`, success, meta);
+}
+
+/**
+ * Record sensitive values masked on their way out of the process
+ * (redaction.js) — a code path tried to emit a secret or card number.
+ * @param {string} channel - 'log' | 'audit' | 'http'
+ * @param {string} source  - Logger name, audit event type or "METHOD /path"
+ * @param {object} [meta]  - secretValues and pans (counts), secretKeys (key
+ *                           names only — never the values)
+ */
+function recordRedaction(channel, source, meta = {}) {
+  record(EVENT.SENSITIVE_DATA_REDACTED, `redaction/${channel}`, true, { source, ...meta });
+}
+
+/**
+ * Record a payment operation still running when shutdown's drain deadline
+ * passed (drain.js) — its outcome at the processor is unknown.
+ * @param {string|null} transactionId - Known for capture / void / refund
+ * @param {object}      [meta]        - operation, merchantId, processor, amount,
+ *                                      currency, requestId, traceId, runningMs
+ */
+function recordPaymentAbandoned(transactionId, meta = {}) {
+  record(EVENT.PAYMENT_ABANDONED, transactionId ? `payments/${transactionId}` : 'payments', false, meta);
+}
+
+/**
+ * Record the unwrap of a response-wrapped SecretID — at startup or during a
+ * rotation (secret-id-manager.js). A failure with reason "wrap_invalid" means
+ * the wrapping token was already used or has expired: if this replica did not
+ * use it, someone else may have.
+ * @param {boolean} success
+ * @param {object}  [meta] - context ('startup' | 'rotation'), creationPath,
+ *                           secretIdAccessor, reason and error on failure
+ */
+function recordSecretIdUnwrap(success, meta = {}) {
+  record(EVENT.SECRET_ID_UNWRAPPED, 'sys/wrapping/unwrap', success, meta);
+}
+
+/**
+ * Record a SecretID rotation attempt (secret-id-manager.js).
+ * @param {string}  path    - e.g. 'auth/approle/role/payment-service/secret-id'
+ * @param {boolean} success
+ * @param {object}  [meta]  - secretIdAccessor, previousAccessor, expiresAt,
+ *                            persisted, or error and consecutiveFailures
  */
-function recordAuthFailure(errorMessage) {
-  record(EVENT.AUTH_FAILURE, 'auth/approle/login', false, { error: errorMessage });
+function recordSecretIdRotation(path, success, meta = {}) {
+  record(EVENT.SECRET_ID_ROTATED, path, success, meta);
 }
 
 module.exports = {
@@ -141,9 +365,25 @@ module.exports = {
   record,
   getRecentEntries,
   getTotalCount,
+  initAuditLog,
+  applyHmacKey,
+  verifyChain,
   recordSecretFetch,
   recordSecretFetchError,
   recordSecretRefresh,
   recordAuthSuccess,
   recordAuthFailure,
+  recordTokenRenewed,
+  recordTokenExpired,
+  recordReauth,
+  recordWebhook,
+  recordAdminAccess,
+  recordCredentialVersionBad,
+  recordSecretValidationFailed,
+  recordCardTokenized,
+  recordCardDetokenized,
+  recordRedaction,
+  recordPaymentAbandoned,
+  recordSecretIdUnwrap,
+  recordSecretIdRotation,
 };
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * audit-query.js
+ *
+ * Filtering, cursor pagination, summaries and NDJSON / CSV export over the
+ * persistent audit log of ALL replicas (every chain file in the shared audit
+ * directory — see audit-sink.js), for GET /audit.
+ *
+ * Entries are ordered by (timestamp, instanceId, seq), newest first by
+ * default; the cursor encodes that key, so pages stay stable while new
+ * entries are appended.
+ *
+ * Nothing here holds the whole log: each replica's chain is streamed in time
+ * order and merged, a page stops reading once it is full, and summaries and
+ * exports consume the stream as it is read.
+ */
+
+const { readAuditChains } = require('./audit-sink');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Fixed CSV columns. Event-specific metadata goes into `details` as JSON so
+ * the column set never changes with new event types.
+ */
+const CSV_COLUMNS = ['timestamp', 'instanceId', 'seq', 'event', 'path', 'success', 'details', 'prevHash', 'hash', 'hmac'];
+const CORE_FIELDS = new Set([...CSV_COLUMNS, 'hmacKeyId']);
+
+function compareKey(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+  if (a.instanceId !== b.instanceId) return a.instanceId < b.instanceId ? -1 : 1;
+  return (a.seq || 0) - (b.seq || 0);
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.timestamp, entry.instanceId, entry.seq || 0])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, instanceId, seq] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof timestamp !== 'string' || typeof instanceId !== 'string' || typeof seq !== 'number') {
+      throw new Error('bad cursor');
+    }
+    return { timestamp, instanceId, seq };
+  } catch {
+    throw new Error('Invalid "cursor"');
+  }
+}
+
+function matchesFilters(entry, f) {
+  if (f.event && !f.event.includes(entry.event)) return false;
+  if (f.success !== undefined && entry.success !== f.success) return false;
+  if (f.path && !(typeof entry.path === 'string' && entry.path.startsWith(f.path))) return false;
+  if (f.instance && entry.instanceId !== f.instance) return false;
+  if (f.requestId && entry.requestId !== f.requestId) return false;
+  if (f.from && entry.timestamp < f.from) return false;
+  if (f.to && entry.timestamp > f.to) return false;
+  return true;
+}
+
+/**
+ * Counts per event type (with success/failure split) and per UTC hour.
+ * @param {AsyncIterable<object>} entries
+ */
+async function summarise(entries) {
+  const byEvent = {};
+  const hours = new Map();
+  let total = 0;
+
+  for await (const entry of entries) {
+    total++;
+    const outcome = entry.success ? 'success' : 'failure';
+
+    if (!byEvent[entry.event]) byEvent[entry.event] = { total: 0, success: 0, failure: 0 };
+    byEvent[entry.event].total++;
+    byEvent[entry.event][outcome]++;
+
+    const hour = `${entry.timestamp.slice(0, 13)}:00:00Z`;
+    if (!hours.has(hour)) hours.set(hour, { hour, total: 0, failures: 0, events: {} });
+    const bucket = hours.get(hour);
+    bucket.total++;
+    if (!entry.success) bucket.failures++;
+    bucket.events[entry.event] = (bucket.events[entry.event] || 0) + 1;
+  }
+
+  return {
+    totalMatched: total,
+    byEvent,
+    byHour: [...hours.values()].sort((a, b) => (a.hour < b.hour ? -1 : 1)),
+  };
+}
+
+/**
+ * Entries matching the filters, in the requested order, merged from every
+ * replica's chain as they are read. Entries at or before `after` (a decoded
+ * cursor) are skipped.
+ */
+async function* matchingEntries(filters, after = null) {
+  const order = filters.order === 'asc' ? 'asc' : 'desc';
+  const direction = order === 'asc' ? 1 : -1;
+  const chains = readAuditChains({ from: filters.from, to: filters.to, instance: filters.instance, order })
+    .map((chain) => chain[Symbol.asyncIterator]());
+
+  try {
+    const heads = await Promise.all(chains.map((it) => it.next()));
+    for (;;) {
+      let next = -1;
+      for (let i = 0; i < heads.length; i++) {
+        if (heads[i].done) continue;
+        if (next === -1 || compareKey(heads[i].value, heads[next].value) * direction < 0) next = i;
+      }
+      if (next === -1) return;
+
+      const entry = heads[next].value;
+      heads[next] = await chains[next].next();
+      if (after && compareKey(entry, after) * direction <= 0) continue;
+      if (matchesFilters(entry, filters)) yield entry;
+    }
+  } finally {
+    // Close the files of chains not read to the end
+    await Promise.all(chains.map((it) => it.return()));
+  }
+}
+
+/**
+ * Query one page of the audit log. Reading stops once the page is full, so
+ * counts over every match come from summariseAudit().
+ *
+ * @param {object} [filters]
+ * @param {string[]} [filters.event]  - One or more EVENT.* types
+ * @param {boolean} [filters.success]
+ * @param {string} [filters.path]     - Path prefix (e.g. "webhooks/")
+ * @param {string} [filters.instance] - Instance id
+ * @param {string} [filters.requestId] - X-Request-Id of the request that wrote the entries
+ * @param {string} [filters.from]     - ISO timestamp, inclusive
+ * @param {string} [filters.to]       - ISO timestamp, inclusive
+ * @param {string} [filters.order]    - 'desc' (default, newest first) or 'asc'
+ * @param {string} [filters.cursor]   - nextCursor from a previous page
+ * @param {number} [filters.limit]    - Page size (default 100, max 1000)
+ * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>}
+ */
+async function queryAudit(filters = {}) {
+  const limit = Math.min(Math.max(1, filters.limit || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+
+  const items = [];
+  let hasMore = false;
+  for await (const entry of matchingEntries(filters, after)) {
+    if (items.length === limit) {
+      hasMore = true;
+      break;
+    }
+    items.push(entry);
+  }
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
+
+/**
+ * Counts over every matching entry (GET /audit/summary).
+ * @param {object} [filters] - Same filters as queryAudit (paging ignored)
+ * @returns {Promise<{ totalMatched: number, byEvent: object, byHour: Array<object> }>}
+ */
+function summariseAudit(filters = {}) {
+  return summarise(matchingEntries(filters));
+}
+
+/**
+ * Quote a CSV field. Values that a spreadsheet would evaluate as a formula
+ * are prefixed with a single quote (CSV injection).
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry) {
+  const details = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!CORE_FIELDS.has(key)) details[key] = value;
+  }
+  const row = { ...entry, details: Object.keys(details).length ? JSON.stringify(details) : '' };
+  return CSV_COLUMNS.map((column) => csvField(row[column])).join(',');
+}
+
+/**
+ * Export every entry matching the filters (cursor/limit ignored), one line
+ * at a time as it is read — pipe it with stream.Readable.from().
+ *
+ * @param {object} filters
+ * @param {'ndjson'|'csv'} format
+ * @returns {AsyncIterable<string>}
+ */
+async function* exportAudit(filters, format) {
+  if (format === 'csv') yield CSV_COLUMNS.join(',') + '\r\n';
+  for await (const entry of matchingEntries(filters)) {
+    yield format === 'csv' ? toCsvRow(entry) + '\r\n' : JSON.stringify(entry) + '\n';
+  }
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  queryAudit,
+  summariseAudit,
+  exportAudit,
+};
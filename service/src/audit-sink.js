@@ -0,0 +1,416 @@
+'use strict';
+
+/**
+ * audit-sink.js
+ *
+ * Tamper-evident, append-only file sink for the audit log (PCI-DSS 10.5).
+ *
+ * Every entry carries:
+ *   - seq       — monotonically increasing sequence number (no gaps)
+ *   - prevHash  — `hash` of the previous entry ('0'×64 for the first)
+ *   - hash      — sha256(prevHash + JSON of the entry without hash/hmac)
+ *   - hmac      — optional HMAC-SHA256(hash) keyed with AUDIT_HMAC_KEY from the
+ *                 secret store, plus `hmacKeyId` (a key fingerprint, never the key)
+ *
+ * Editing, inserting, deleting or reordering any line breaks the chain at
+ * that point. The HMAC additionally stops someone with file access but no
+ * Vault access from rewriting the whole chain from a given point onwards:
+ * an HMAC covers `hash`, which chains over every earlier entry, so one
+ * verified HMAC vouches for everything before it. Once the chain is signed
+ * (or a key is configured), unsigned entries must therefore be followed by a
+ * verified HMAC — the entries a replica writes before its key loads are —
+ * and an unsigned tail, as left by stripping the HMACs, is a break.
+ *
+ * Files live in AUDIT_LOG_DIR, one chain per instance (replicas sharing a
+ * volume never interleave writes). The active segment is
+ * `audit-<instanceId>.ndjson`; it is rotated to
+ * `audit-<instanceId>.<UTC timestamp>.ndjson` when it exceeds
+ * AUDIT_LOG_MAX_BYTES or is older than AUDIT_LOG_ROTATE_MS. The chain
+ * continues across segments and restarts. Rotated segments are never deleted
+ * here — retention is an archival concern.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const INSTANCE_ID = process.env.INSTANCE_ID || require('os').hostname();
+const DEFAULT_DIR = 'data/audit';
+const MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const ROTATE_MS = parseInt(process.env.AUDIT_LOG_ROTATE_MS || String(24 * 60 * 60 * 1000), 10);
+const GENESIS_HASH = '0'.repeat(64);
+const SAFE_INSTANCE_ID = /^[A-Za-z0-9._-]+$/;
+
+// Internal state
+let _dir = null;
+let _file = null;
+let _seq = 0;
+let _lastHash = GENESIS_HASH;
+let _segmentBytes = 0;
+let _segmentStartedAt = 0;
+let _hmacKey = null;
+let _hmacKeyId = null;
+
+function activeFileName(instanceId) {
+  return `audit-${instanceId}.ndjson`;
+}
+
+function computeHash(prevHash, body) {
+  return crypto.createHash('sha256').update(prevHash).update(JSON.stringify(body)).digest('hex');
+}
+
+function computeHmac(key, hash) {
+  return crypto.createHmac('sha256', key).update(hash).digest('hex');
+}
+
+function keyFingerprint(key) {
+  return crypto.createHash('sha256').update(`audit-hmac:${key}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Segments of one instance's chain, oldest first (rotated segments sort by
+ * their timestamp suffix; the active segment is always last).
+ */
+function listSegments(dir, instanceId) {
+  if (!fs.existsSync(dir)) return [];
+  const active = activeFileName(instanceId);
+  const prefix = `audit-${instanceId}.`;
+  const rotated = fs.readdirSync(dir)
+    .filter((name) => name !== active && name.startsWith(prefix) && name.endsWith('.ndjson')
+      && /^\d{8}T\d{6}\d{3}Z$/.test(name.slice(prefix.length, -'.ndjson'.length)))
+    .sort();
+  return fs.existsSync(path.join(dir, active)) ? [...rotated, active] : rotated;
+}
+
+function lastLine(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter((l) => l.trim());
+  return lines.length ? lines[lines.length - 1] : null;
+}
+
+/**
+ * Open the sink and resume the chain from the last written entry.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Defaults to AUDIT_LOG_DIR or data/audit
+ */
+function initAuditSink({ dir = process.env.AUDIT_LOG_DIR || DEFAULT_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  _dir = dir;
+  _file = path.join(dir, activeFileName(INSTANCE_ID));
+  _seq = 0;
+  _lastHash = GENESIS_HASH;
+  _segmentBytes = 0;
+  _segmentStartedAt = Date.now();
+
+  // Resume from the newest segment that has entries
+  const segments = listSegments(dir, INSTANCE_ID);
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const line = lastLine(path.join(dir, segments[i]));
+    if (!line) continue;
+    const last = JSON.parse(line);
+    _seq = last.seq;
+    _lastHash = last.hash;
+    break;
+  }
+
+  if (fs.existsSync(_file)) {
+    const content = fs.readFileSync(_file, 'utf8');
+    const firstLine = content.slice(0, content.indexOf('\n'));
+    _segmentBytes = Buffer.byteLength(content);
+    // The segment's age is that of its first entry
+    if (firstLine) _segmentStartedAt = Date.parse(JSON.parse(firstLine).timestamp) || Date.now();
+  } else {
+    fs.writeFileSync(_file, '', { mode: 0o600 });
+  }
+
+  return { file: _file, seq: _seq };
+}
+
+function ensureInitialised() {
+  if (!_file) initAuditSink();
+}
+
+function rotateIfNeeded() {
+  const tooBig = _segmentBytes >= MAX_BYTES;
+  const tooOld = Date.now() - _segmentStartedAt >= ROTATE_MS;
+  if (_segmentBytes === 0 || (!tooBig && !tooOld)) return;
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  fs.renameSync(_file, path.join(_dir, `audit-${INSTANCE_ID}.${stamp}.ndjson`));
+  fs.writeFileSync(_file, '', { mode: 0o600 });
+  _segmentBytes = 0;
+  _segmentStartedAt = Date.now();
+}
+
+/**
+ * Set (or clear) the HMAC key. Entries written afterwards carry an HMAC.
+ * @param {string|null} key
+ */
+function setHmacKey(key) {
+  _hmacKey = key || null;
+  _hmacKeyId = key ? keyFingerprint(key) : null;
+}
+
+/**
+ * Chain and append one entry.
+ *
+ * @param {object} entry - Audit fields (timestamp, event, path, success, ...)
+ * @returns {object} The entry as written, including seq / prevHash / hash
+ */
+function appendAuditEntry(entry) {
+  ensureInitialised();
+  rotateIfNeeded();
+
+  const body = { seq: _seq + 1, ...entry, prevHash: _lastHash };
+  if (_hmacKeyId) body.hmacKeyId = _hmacKeyId;
+
+  const hash = computeHash(_lastHash, body);
+  const chained = { ...body, hash };
+  if (_hmacKey) chained.hmac = computeHmac(_hmacKey, hash);
+
+  const line = JSON.stringify(chained) + '\n';
+  fs.appendFileSync(_file, line);
+
+  _seq = body.seq;
+  _lastHash = hash;
+  _segmentBytes += Buffer.byteLength(line);
+  return chained;
+}
+
+/**
+ * Walk an instance's chain across all its segments and report the first
+ * broken link.
+ *
+ * @param {object} [options]
+ * @param {string} [options.instanceId] - Defaults to this instance
+ * @param {string} [options.dir]
+ * @returns {{ valid: boolean, instanceId: string, segments: string[], entriesChecked: number,
+ *             hmacChecked: number, hmacUnchecked: number, unsigned: number, lastSeq: number|null,
+ *             firstBrokenLink: object|null }}
+ */
+function verifyAuditChain({ instanceId = INSTANCE_ID, dir } = {}) {
+  if (!SAFE_INSTANCE_ID.test(instanceId)) {
+    throw new Error('Invalid instance id');
+  }
+  dir = dir || _dir || process.env.AUDIT_LOG_DIR || DEFAULT_DIR;
+
+  const segments = listSegments(dir, instanceId);
+  const report = {
+    valid: true,
+    instanceId,
+    segments,
+    entriesChecked: 0,
+    hmacChecked: 0,
+    hmacUnchecked: 0,
+    unsigned: 0,
+    lastSeq: null,
+    firstBrokenLink: null,
+  };
+
+  let expectedSeq = null;
+  let prevHash = null;
+  let signed = !!_hmacKey;
+  let unvouched = null; // first unsigned entry not yet covered by a verified HMAC
+
+  const broken = (segment, line, seq, reason) => {
+    report.valid = false;
+    report.firstBrokenLink = { segment, line, seq, reason };
+    return report;
+  };
+
+  for (const segment of segments) {
+    const lines = fs.readFileSync(path.join(dir, segment), 'utf8').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        return broken(segment, i + 1, null, 'unparseable_entry');
+      }
+
+      const { hash, hmac, ...body } = entry;
+
+      // The first entry seen may follow segments that were archived away
+      if (expectedSeq !== null && body.seq !== expectedSeq) {
+        return broken(segment, i + 1, body.seq, `sequence_gap (expected ${expectedSeq})`);
+      }
+      if (prevHash !== null && body.prevHash !== prevHash) {
+        return broken(segment, i + 1, body.seq, 'prev_hash_mismatch');
+      }
+      if (expectedSeq === null && body.seq === 1 && body.prevHash !== GENESIS_HASH) {
+        return broken(segment, i + 1, body.seq, 'prev_hash_mismatch');
+      }
+      if (computeHash(body.prevHash, body) !== hash) {
+        return broken(segment, i + 1, body.seq, 'hash_mismatch');
+      }
+
+      if (hmac !== undefined || body.hmacKeyId) {
+        if (_hmacKey && body.hmacKeyId === _hmacKeyId) {
+          if (hmac !== computeHmac(_hmacKey, hash)) {
+            return broken(segment, i + 1, body.seq, 'hmac_mismatch');
+          }
+          report.hmacChecked++;
+          unvouched = null;
+        } else {
+          // Signed with a key this process does not hold (rotated or not loaded yet)
+          report.hmacUnchecked++;
+          // Without any key nothing can be checked; with one, a foreign key id proves nothing
+          if (!_hmacKey) unvouched = null;
+        }
+        signed = true;
+      } else {
+        report.unsigned++;
+        if (signed && !unvouched) unvouched = { segment, line: i + 1, seq: body.seq };
+      }
+
+      report.entriesChecked++;
+      report.lastSeq = body.seq;
+      expectedSeq = body.seq + 1;
+      prevHash = hash;
+    }
+  }
+
+  if (unvouched) {
+    return broken(unvouched.segment, unvouched.line, unvouched.seq, 'unsigned_after_signed');
+  }
+  return report;
+}
+
+const SEGMENT_NAME = /^audit-(.+?)(?:\.(\d{8}T\d{9}Z))?\.ndjson$/;
+
+function stampToIso(stamp) {
+  return `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+    `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`;
+}
+
+/**
+ * First entry of a segment, reading only as far as its first line.
+ */
+async function firstEntry(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * Stream one segment's entries inside the window, in file (= time) order.
+ * Returns early, closing the file, once an entry is past `to`.
+ */
+async function* segmentEntries(file, { from, to }) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Reported by verifyAuditChain()
+      }
+      if (typeof entry.timestamp !== 'string') continue;
+      if (from && entry.timestamp < from) continue;
+      if (to && entry.timestamp > to) return;
+      yield entry;
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * One instance's chain within the window, oldest or newest first. A chain is
+ * written in time order, so reading stops at the window's far edge: rotated
+ * segments that closed before `from` and segments that start after `to` are
+ * never read. Newest-first buffers one segment at a time (at most
+ * AUDIT_LOG_MAX_BYTES) to reverse it.
+ */
+async function* chainEntries(dir, segments, { from, to, order }) {
+  const closedAt = (name) => {
+    const stamp = SEGMENT_NAME.exec(name)[2];
+    return stamp ? stampToIso(stamp) : null; // The active segment is still open
+  };
+
+  if (order === 'desc') {
+    for (const name of [...segments].reverse()) {
+      const closed = closedAt(name);
+      if (from && closed && closed < from) return;
+      const file = path.join(dir, name);
+      const first = to ? await firstEntry(file) : null;
+      if (first && first.timestamp > to) continue;
+
+      const buffered = [];
+      for await (const entry of segmentEntries(file, { from, to })) buffered.push(entry);
+      yield* buffered.reverse();
+    }
+    return;
+  }
+
+  for (const name of segments) {
+    const closed = closedAt(name);
+    if (from && closed && closed < from) continue;
+    let past = true;
+    for await (const entry of segmentEntries(path.join(dir, name), { from, to })) {
+      past = false;
+      yield entry;
+    }
+    // Stop at the first segment that yields nothing because it starts after `to`
+    if (past && to) {
+      const first = await firstEntry(path.join(dir, name));
+      if (first && first.timestamp > to) return;
+    }
+  }
+}
+
+/**
+ * Stream the entries of every instance's chain in the audit directory
+ * (replicas share it on the data volume), one async iterable per instance,
+ * each in time order. Unparseable lines are skipped here —
+ * verifyAuditChain() is what reports them.
+ *
+ * @param {object} [options]
+ * @param {string} [options.from]     - ISO timestamp, inclusive
+ * @param {string} [options.to]       - ISO timestamp, inclusive
+ * @param {string} [options.instance] - Only this instance's chain
+ * @param {'asc'|'desc'} [options.order='asc']
+ * @returns {Array<AsyncIterable<object>>}
+ */
+function readAuditChains({ from, to, instance, order = 'asc' } = {}) {
+  const dir = _dir || process.env.AUDIT_LOG_DIR || DEFAULT_DIR;
+  if (!fs.existsSync(dir)) return [];
+
+  const instances = new Set();
+  for (const name of fs.readdirSync(dir)) {
+    const match = SEGMENT_NAME.exec(name);
+    if (match && SAFE_INSTANCE_ID.test(match[1])) instances.add(match[1]);
+  }
+  if (instance) {
+    if (!instances.has(instance)) return [];
+    instances.clear();
+    instances.add(instance);
+  }
+
+  return [...instances].map((id) => chainEntries(dir, listSegments(dir, id), { from, to, order }));
+}
+
+module.exports = {
+  initAuditSink,
+  readAuditChains,
+  appendAuditEntry,
+  setHmacKey,
+  verifyAuditChain,
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * card-tokens.js
+ *
+ * Card tokenization for POST /cards and POST /pay.
+ *
+ * A submitted card is validated (card-validation.js), and its number and
+ * holder name are encrypted at once with Vault's Transit engine — the key
+ * never leaves Vault. The service keeps only the ciphertext, under a random
+ * `ctok_…` token, with brand, last4 and expiry; callers get back the token
+ * and those display fields. The CVC is never stored: it goes to the acquirer
+ * with an immediate charge and is then dropped, so later charges by token are
+ * sent without one (card on file).
+ *
+ * Charging by token decrypts the number for that one processor call. Tokens
+ * are scoped to the merchant that created them (another merchant's token is
+ * unknown) and expire with the card.
+ *
+ * Encryption is selected with CARD_TOKENIZER:
+ *   - transit (default) — Vault Transit key CARD_TRANSIT_KEY; needs the
+ *                         Vault secret provider's authenticated client
+ *   - mock              — AES-256-GCM with a random in-process key (default
+ *                         with SECRET_PROVIDER=mock; refused in production).
+ *                         Tokens stop decrypting when the process restarts
+ *
+ * Token records are stored with CARD_TOKEN_STORE:
+ *   - memory (default) — in-process, lost on restart
+ *   - file             — CARD_TOKEN_STORE_FILE on a volume, shared by replicas
+ *
+ * Every tokenization and detokenization is written to the audit log
+ * (PCI-DSS Requirement 10.2.1). Card numbers and CVCs are NEVER logged,
+ * persisted in plaintext or returned.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const vaultClient = require('./vault-client');
+const { validateCard, isExpired, expiresAt } = require('./card-validation');
+const { createMemoryStore } = require('./stores/memory-store');
+const { createFileStore } = require('./stores/file-store');
+const auditLogger = require('./audit-logger');
+const metrics = require('./metrics');
+
+const logger = createLogger('card-tokens');
+
+const TOKEN_PREFIX = 'ctok_';
+const TOKEN_PATTERN = /^ctok_[A-Za-z0-9_-]{24}$/;
+
+const CARD_REASON = {
+  INVALID_CARD:  'invalid_card',
+  UNKNOWN_TOKEN: 'unknown_card_token',
+  CARD_EXPIRED:  'card_expired',
+  UNAVAILABLE:   'tokenization_unavailable',
+};
+
+// Internal state
+let _tokenizer = null;
+let _store = null;
+
+const cardOperations = metrics.counter(
+  'flexpay_card_token_operations_total',
+  'Card tokenizations and detokenizations by outcome',
+  ['operation', 'outcome']
+);
+
+function createTransitTokenizer() {
+  return {
+    name: 'transit',
+    encrypt: (plaintext) => vaultClient.transitEncrypt(plaintext),
+    decrypt: (ciphertext) => vaultClient.transitDecrypt(ciphertext),
+  };
+}
+
+function createMockTokenizer() {
+  const key = crypto.randomBytes(32);
+  return {
+    name: 'mock',
+    async encrypt(plaintext) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+      return `mock:v1:${[iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.')}`;
+    },
+    async decrypt(ciphertext) {
+      const [iv, tag, data] = ciphertext.replace(/^mock:v1:/, '').split('.').map((p) => Buffer.from(p, 'base64url'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    },
+  };
+}
+
+/**
+ * Build the tokenizer named by CARD_TOKENIZER.
+ */
+function createCardTokenizer(name = process.env.CARD_TOKENIZER || (process.env.SECRET_PROVIDER === 'mock' ? 'mock' : 'transit')) {
+  switch (name) {
+    case 'transit':
+      return createTransitTokenizer();
+    case 'mock':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('CARD_TOKENIZER=mock is not allowed when NODE_ENV=production');
+      }
+      return createMockTokenizer();
+    default:
+      throw new Error(`Unknown CARD_TOKENIZER "${name}". Valid options: transit, mock`);
+  }
+}
+
+/**
+ * Build the store named by CARD_TOKEN_STORE.
+ */
+function createCardTokenStore(name = process.env.CARD_TOKEN_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ file: process.env.CARD_TOKEN_STORE_FILE || 'data/card-tokens.json' });
+    default:
+      throw new Error(`Unknown CARD_TOKEN_STORE "${name}". Valid options: memory, file`);
+  }
+}
+
+/**
+ * Select the tokenizer and token store. Call once at startup — throws on an
+ * unknown or disallowed CARD_TOKENIZER / CARD_TOKEN_STORE.
+ */
+function initCardTokens() {
+  _tokenizer = createCardTokenizer();
+  _store = createCardTokenStore();
+  logger.info({ tokenizer: _tokenizer.name, store: _store.name }, 'Card tokenization initialised');
+}
+
+function getTokenizer() {
+  if (!_tokenizer) initCardTokens();
+  return _tokenizer;
+}
+
+function getStore() {
+  if (!_store) initCardTokens();
+  return _store;
+}
+
+function storeKey(merchantId, cardToken) {
+  return `${merchantId}:${cardToken}`;
+}
+
+function fail(reason, error, extra = {}) {
+  return { success: false, reason, error, ...extra };
+}
+
+/**
+ * Fields returned to callers and recorded on transactions.
+ */
+function summarise(cardToken, record) {
+  return {
+    cardToken,
+    brand: record.brand,
+    last4: record.last4,
+    expMonth: record.expMonth,
+    expYear: record.expYear,
+  };
+}
+
+/**
+ * Validate a card and store it encrypted under a new token.
+ *
+ * @param {object} input      - Request body `card`
+ * @param {string} merchantId - Merchant the token belongs to
+ * @returns {Promise<object>} `{ success: true, summary, card }` — `card` holds the
+ *          validated details (with CVC) for an immediate charge and must not
+ *          be persisted — or `{ success: false, reason, error, errors? }`
+ */
+async function tokenizeCard(input, merchantId) {
+  const { card, errors } = validateCard(input);
+  if (!card) {
+    cardOperations.inc({ operation: 'tokenize', outcome: 'invalid' });
+    return fail(CARD_REASON.INVALID_CARD, 'Invalid card details.', { errors });
+  }
+
+  const tokenizer = getTokenizer();
+  let ciphertext;
+  try {
+    ciphertext = await tokenizer.encrypt(JSON.stringify({ number: card.number, holderName: card.holderName }));
+  } catch (err) {
+    cardOperations.inc({ operation: 'tokenize', outcome: 'unavailable' });
+    auditLogger.recordCardTokenized(null, false, { merchantId, tokenizer: tokenizer.name, reason: CARD_REASON.UNAVAILABLE });
+    logger.error({ merchantId, tokenizer: tokenizer.name, err: err.message }, 'Card tokenization failed');
+    return fail(CARD_REASON.UNAVAILABLE, 'Card tokenization is unavailable.');
+  }
+
+  const cardToken = `${TOKEN_PREFIX}${crypto.randomBytes(18).toString('base64url')}`;
+  const record = {
+    ciphertext,
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.expMonth,
+    expYear: card.expYear,
+    createdAt: new Date().toISOString(),
+  };
+  await getStore().set(storeKey(merchantId, cardToken), record, expiresAt(card.expMonth, card.expYear) - Date.now());
+
+  cardOperations.inc({ operation: 'tokenize', outcome: 'success' });
+  auditLogger.recordCardTokenized(cardToken, true, { merchantId, brand: card.brand, last4: card.last4, tokenizer: tokenizer.name });
+  logger.info({ merchantId, cardToken, brand: card.brand, last4: card.last4 }, 'Card tokenized');
+
+  return { success: true, summary: summarise(cardToken, record), card };
+}
+
+/**
+ * Decrypt a stored card for one processor call.
+ *
+ * @param {string} cardToken
+ * @param {string} merchantId - Must be the merchant that created the token
+ * @returns {Promise<object>} `{ success: true, summary, card }` — `card` has no
+ *          CVC — or `{ success: false, reason, error }`
+ */
+async function detokenizeCard(cardToken, merchantId) {
+  const record = typeof cardToken === 'string' && TOKEN_PATTERN.test(cardToken)
+    ? await getStore().get(storeKey(merchantId, cardToken))
+    : null;
+  if (!record) {
+    cardOperations.inc({ operation: 'detokenize', outcome: 'unknown' });
+    return fail(CARD_REASON.UNKNOWN_TOKEN, 'Unknown "cardToken".');
+  }
+  if (isExpired(record.expMonth, record.expYear)) {
+    cardOperations.inc({ operation: 'detokenize', outcome: 'expired' });
+    return fail(CARD_REASON.CARD_EXPIRED, 'The card behind this "cardToken" has expired.');
+  }
+
+  const tokenizer = getTokenizer();
+  let stored;
+  try {
+    stored = JSON.parse(await tokenizer.decrypt(record.ciphertext));
+  } catch (err) {
+    cardOperations.inc({ operation: 'detokenize', outcome: 'unavailable' });
+    auditLogger.recordCardDetokenized(cardToken, false, { merchantId, tokenizer: tokenizer.name, reason: CARD_REASON.UNAVAILABLE });
+    logger.error({ merchantId, cardToken, tokenizer: tokenizer.name, err: err.message }, 'Card detokenization failed');
+    return fail(CARD_REASON.UNAVAILABLE, 'Card tokenization is unavailable.');
+  }
+
+  cardOperations.inc({ operation: 'detokenize', outcome: 'success' });
+  auditLogger.recordCardDetokenized(cardToken, true, { merchantId, brand: record.brand, last4: record.last4, tokenizer: tokenizer.name });
+
+  return {
+    success: true,
+    summary: summarise(cardToken, record),
+    card: {
+      number: stored.number,
+      brand: record.brand,
+      last4: record.last4,
+      expMonth: record.expMonth,
+      expYear: record.expYear,
+      cvc: null,
+      holderName: stored.holderName,
+    },
+  };
+}
+
+/**
+ * Resolve the card for POST /pay: a new `card` is tokenized first, a
+ * `cardToken` is detokenized. Neither is fine — the payment carries no card.
+ *
+ * @param {object} body       - { card?, cardToken? }
+ * @param {string} merchantId
+ * @returns {Promise<object>} `{ success: true, summary, card }` (both null
+ *          without card data) or `{ success: false, reason, error }`
+ */
+async function cardForPayment({ card, cardToken }, merchantId) {
+  if (card !== undefined && cardToken !== undefined) {
+    return fail(CARD_REASON.INVALID_CARD, 'Send either "card" or "cardToken", not both.');
+  }
+  if (card !== undefined) return tokenizeCard(card, merchantId);
+  if (cardToken !== undefined) return detokenizeCard(cardToken, merchantId);
+  return { success: true, summary: null, card: null };
+}
+
+module.exports = {
+  CARD_REASON,
+  initCardTokens,
+  tokenizeCard,
+  detokenizeCard,
+  cardForPayment,
+};
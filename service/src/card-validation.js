@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * card-validation.js
+ *
+ * Card input model for POST /cards and POST /pay:
+ *
+ *   { "number": "4242 4242 4242 4242", "expMonth": 12, "expYear": 2030,
+ *     "cvc": "123", "holderName": "Ada Lovelace" }
+ *
+ *   - number     — digits, spaces or dashes; Luhn-checked; brand detected
+ *                  from the prefix and the length checked for that brand
+ *   - expMonth   — 1-12; expYear — four digits (two are read as 20xx).
+ *                  The card is valid through the last day of that month (UTC)
+ *   - cvc        — required; 3 digits, 4 for American Express. Checked here,
+ *                  forwarded to the acquirer on an immediate charge, never stored
+ *   - holderName — optional, up to 100 characters
+ *
+ * Errors name the field and the rule only — never the submitted value.
+ */
+
+const BRAND = {
+  VISA:       'visa',
+  MASTERCARD: 'mastercard',
+  AMEX:       'amex',
+  DISCOVER:   'discover',
+  JCB:        'jcb',
+  DINERS:     'diners',
+};
+
+// Checked in order; the first matching prefix decides the brand
+const BRAND_RULES = [
+  { brand: BRAND.AMEX,       prefix: /^3[47]/,                                 lengths: [15],         cvcLength: 4 },
+  { brand: BRAND.DINERS,     prefix: /^3(0[0-5]|[689])/,                       lengths: [14, 16, 19], cvcLength: 3 },
+  { brand: BRAND.JCB,        prefix: /^35(2[89]|[3-8])/,                       lengths: [16, 17, 18, 19], cvcLength: 3 },
+  { brand: BRAND.VISA,       prefix: /^4/,                                     lengths: [13, 16, 19], cvcLength: 3 },
+  { brand: BRAND.MASTERCARD, prefix: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], cvcLength: 3 },
+  { brand: BRAND.DISCOVER,   prefix: /^(6011|64[4-9]|65)/,                     lengths: [16, 17, 18, 19], cvcLength: 3 },
+];
+
+const MAX_HOLDER_NAME = 100;
+const MAX_YEARS_AHEAD = 20;
+
+/**
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = digits.charCodeAt(digits.length - 1 - i) - 48;
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * @param {string} digits
+ * @returns {object|null} Matching BRAND_RULES entry
+ */
+function detectBrand(digits) {
+  return BRAND_RULES.find((rule) => rule.prefix.test(digits)) || null;
+}
+
+/**
+ * Whether a digit string is a plausible card number: Luhn-valid, with a
+ * supported brand prefix and a length valid for that brand.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isCardNumber(digits) {
+  const rule = detectBrand(digits);
+  return !!rule && rule.lengths.includes(digits.length) && luhnValid(digits);
+}
+
+function toInteger(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) return value;
+  if (typeof value === 'string' && /^\d{1,4}$/.test(value)) return parseInt(value, 10);
+  return null;
+}
+
+/**
+ * Whether a card expiring at the end of `expMonth`/`expYear` is still valid.
+ * @param {number} expMonth
+ * @param {number} expYear
+ * @param {Date}   [now]
+ */
+function isExpired(expMonth, expYear, now = new Date()) {
+  return Date.UTC(expYear, expMonth) <= now.getTime();
+}
+
+/**
+ * Epoch ms when a card stops being valid (start of the month after expiry, UTC).
+ */
+function expiresAt(expMonth, expYear) {
+  return Date.UTC(expYear, expMonth);
+}
+
+function checkNumber(value, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ field: 'number', message: 'must be a string of digits' });
+    return null;
+  }
+  const digits = value.replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(digits)) {
+    errors.push({ field: 'number', message: 'must be 12-19 digits' });
+    return null;
+  }
+  if (!luhnValid(digits)) {
+    errors.push({ field: 'number', message: 'failed the Luhn check' });
+    return null;
+  }
+  const rule = detectBrand(digits);
+  if (!rule) {
+    errors.push({ field: 'number', message: `card brand not supported (supported: ${Object.values(BRAND).join(', ')})` });
+    return null;
+  }
+  if (!rule.lengths.includes(digits.length)) {
+    errors.push({ field: 'number', message: `invalid length for ${rule.brand} cards` });
+    return null;
+  }
+  return { digits, rule };
+}
+
+function checkExpiry(input, now, errors) {
+  const expMonth = toInteger(input.expMonth);
+  let expYear = toInteger(input.expYear);
+  if (expYear !== null && expYear < 100) expYear += 2000;
+
+  if (expMonth === null || expMonth < 1 || expMonth > 12) {
+    errors.push({ field: 'expMonth', message: 'must be an integer from 1 to 12' });
+  }
+  if (expYear === null || expYear < 2000) {
+    errors.push({ field: 'expYear', message: 'must be a four-digit year' });
+  }
+  if (errors.some((e) => e.field === 'expMonth' || e.field === 'expYear')) return null;
+
+  if (isExpired(expMonth, expYear, now)) {
+    errors.push({ field: 'expYear', message: 'card has expired' });
+    return null;
+  }
+  if (expYear > now.getUTCFullYear() + MAX_YEARS_AHEAD) {
+    errors.push({ field: 'expYear', message: `must be within ${MAX_YEARS_AHEAD} years` });
+    return null;
+  }
+  return { expMonth, expYear };
+}
+
+/**
+ * Validate and normalise card input.
+ *
+ * @param {object} input - Request body `card`
+ * @param {Date}   [now]
+ * @returns {{ card: object|null, errors: Array<{ field: string, message: string }> }}
+ *          `card` = { number, brand, last4, expMonth, expYear, cvc, holderName }
+ *          when there are no errors
+ */
+function validateCard(input, now = new Date()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { card: null, errors: [{ field: 'card', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  const number = checkNumber(input.number, errors);
+  const expiry = checkExpiry(input, now, errors);
+
+  const cvcLength = number ? number.rule.cvcLength : null;
+  if (typeof input.cvc !== 'string' || !/^\d{3,4}$/.test(input.cvc)) {
+    errors.push({ field: 'cvc', message: 'must be 3 or 4 digits' });
+  } else if (cvcLength && input.cvc.length !== cvcLength) {
+    errors.push({ field: 'cvc', message: `must be ${cvcLength} digits for ${number.rule.brand} cards` });
+  }
+
+  let holderName = null;
+  if (input.holderName !== undefined && input.holderName !== null) {
+    if (typeof input.holderName !== 'string' || !input.holderName.trim() || input.holderName.length > MAX_HOLDER_NAME) {
+      errors.push({ field: 'holderName', message: `must be a non-empty string of at most ${MAX_HOLDER_NAME} characters` });
+    } else {
+      holderName = input.holderName.trim();
+    }
+  }
+
+  if (errors.length > 0) return { card: null, errors };
+
+  return {
+    card: {
+      number: number.digits,
+      brand: number.rule.brand,
+      last4: number.digits.slice(-4),
+      expMonth: expiry.expMonth,
+      expYear: expiry.expYear,
+      cvc: input.cvc,
+      holderName,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Card fields that are safe to hash, log or return: BIN (first six digits),
+ * last four and expiry. Malformed input yields only what can be read safely.
+ * @param {object} input - Raw or validated card
+ * @returns {object}
+ */
+function maskCard(input) {
+  if (!input || typeof input !== 'object') return null;
+  const digits = typeof input.number === 'string' ? input.number.replace(/[\s-]/g, '') : '';
+  const readable = /^\d{12,19}$/.test(digits);
+  return {
+    bin: readable ? digits.slice(0, 6) : null,
+    last4: readable ? digits.slice(-4) : null,
+    expMonth: input.expMonth === undefined ? null : input.expMonth,
+    expYear: input.expYear === undefined ? null : input.expYear,
+  };
+}
+
+module.exports = {
+  BRAND,
+  validateCard,
+  maskCard,
+  isCardNumber,
+  isExpired,
+  expiresAt,
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * circuit-breaker.js
+ *
+ * Per-processor circuit breakers. Each processor starts CLOSED; after
+ * CIRCUIT_FAILURE_THRESHOLD consecutive failures (processor errors, timeouts,
+ * network/auth failures, or calls slower than CIRCUIT_SLOW_CALL_MS) it trips
+ * OPEN and is skipped by routing for CIRCUIT_OPEN_MS. It then goes HALF_OPEN
+ * and lets a single probe through: success closes it, failure re-opens it.
+ *
+ * Card-level declines (insufficient funds, expired card, ...) are healthy
+ * answers from the acquirer and never count as failures.
+ *
+ * Breaker state is per replica and in memory — each instance observes its own
+ * traffic, which is what it needs to decide where to send its next request.
+ */
+
+const { createLogger } = require('./logger');
+const { DECLINE_CODE } = require('./adapters/result');
+
+const logger = createLogger('circuit-breaker');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+const OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS || '30000', 10);
+const SLOW_CALL_MS = parseInt(process.env.CIRCUIT_SLOW_CALL_MS || '3000', 10);
+
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+// Outcomes that say the acquirer itself is unhealthy
+const FAILURE_CODES = new Set([
+  DECLINE_CODE.PROCESSOR_ERROR,
+  DECLINE_CODE.TIMEOUT,
+  DECLINE_CODE.NETWORK_ERROR,
+  DECLINE_CODE.CONNECTION_FAILED,
+  DECLINE_CODE.AUTHENTICATION_FAILED,
+]);
+
+// Internal state — processor id → breaker
+const _breakers = new Map();
+
+function breaker(processorId) {
+  if (!_breakers.has(processorId)) {
+    _breakers.set(processorId, {
+      state: STATE.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      probeInFlight: false,
+      lastFailure: null,
+      lastLatencyMs: null,
+    });
+  }
+  return _breakers.get(processorId);
+}
+
+function transition(processorId, b, state, meta = {}) {
+  const from = b.state;
+  b.state = state;
+  if (state === STATE.OPEN) {
+    b.openedAt = Date.now();
+  }
+  if (state === STATE.CLOSED) {
+    b.openedAt = null;
+    b.consecutiveFailures = 0;
+  }
+  const log = state === STATE.OPEN ? logger.warn.bind(logger) : logger.info.bind(logger);
+  log({ processor: processorId, from, to: state, ...meta }, `Circuit breaker ${from} → ${state}`);
+}
+
+/**
+ * Whether a call to this processor may be attempted now. Moves an OPEN
+ * breaker whose cool-down has elapsed to HALF_OPEN and reserves the probe,
+ * so only one caller tests a recovering processor at a time.
+ *
+ * @param {string} processorId
+ * @returns {boolean}
+ */
+function tryAcquire(processorId) {
+  const b = breaker(processorId);
+
+  if (b.state === STATE.OPEN && Date.now() - b.openedAt >= OPEN_MS) {
+    transition(processorId, b, STATE.HALF_OPEN);
+  }
+
+  if (b.state === STATE.CLOSED) return true;
+  if (b.state === STATE.HALF_OPEN && !b.probeInFlight) {
+    b.probeInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether routing should consider this processor, without reserving a probe.
+ * @param {string} processorId
+ * @returns {boolean}
+ */
+function isAvailable(processorId) {
+  const b = breaker(processorId);
+  if (b.state === STATE.OPEN) return Date.now() - b.openedAt >= OPEN_MS;
+  if (b.state === STATE.HALF_OPEN) return !b.probeInFlight;
+  return true;
+}
+
+/**
+ * Record the outcome of a processor call.
+ *
+ * @param {string} processorId
+ * @param {object} outcome   - Adapter result ({ approved, declineCode })
+ * @param {number} latencyMs - Wall-clock duration of the call
+ */
+function recordOutcome(processorId, outcome, latencyMs) {
+  const b = breaker(processorId);
+  b.probeInFlight = false;
+  b.lastLatencyMs = latencyMs;
+
+  const slow = latencyMs > SLOW_CALL_MS;
+  const failed = (!outcome.approved && FAILURE_CODES.has(outcome.declineCode)) || slow;
+
+  if (!failed) {
+    if (b.state !== STATE.CLOSED) {
+      transition(processorId, b, STATE.CLOSED, { latencyMs });
+    }
+    b.consecutiveFailures = 0;
+    return;
+  }
+
+  b.consecutiveFailures += 1;
+  b.lastFailure = {
+    reason: slow && outcome.approved ? 'slow_call' : outcome.declineCode,
+    latencyMs,
+    at: new Date().toISOString(),
+  };
+
+  if (b.state === STATE.HALF_OPEN) {
+    transition(processorId, b, STATE.OPEN, { reason: b.lastFailure.reason });
+  } else if (b.state === STATE.CLOSED && b.consecutiveFailures >= FAILURE_THRESHOLD) {
+    transition(processorId, b, STATE.OPEN, {
+      reason: b.lastFailure.reason,
+      consecutiveFailures: b.consecutiveFailures,
+    });
+  }
+}
+
+/**
+ * Give back a reserved half-open probe when the call was never made
+ * (e.g. credentials missing), so it says nothing about processor health.
+ * @param {string} processorId
+ */
+function release(processorId) {
+  breaker(processorId).probeInFlight = false;
+}
+
+/**
+ * Seconds until an OPEN breaker allows a probe (0 when not open).
+ * @param {string} processorId
+ * @returns {number}
+ */
+function retryAfterSeconds(processorId) {
+  const b = breaker(processorId);
+  if (b.state !== STATE.OPEN) return 0;
+  return Math.max(0, Math.ceil((b.openedAt + OPEN_MS - Date.now()) / 1000));
+}
+
+/**
+ * Breaker snapshot for GET /health.
+ * @param {string[]} processorIds
+ * @returns {object} processor id → { state, consecutiveFailures, ... }
+ */
+function getBreakerStates(processorIds) {
+  const states = {};
+  for (const id of processorIds) {
+    const b = breaker(id);
+    states[id] = {
+      state: b.state === STATE.OPEN && Date.now() - b.openedAt >= OPEN_MS ? STATE.HALF_OPEN : b.state,
+      consecutiveFailures: b.consecutiveFailures,
+      openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+      retryAfterSeconds: retryAfterSeconds(id),
+      lastFailure: b.lastFailure,
+      lastLatencyMs: b.lastLatencyMs,
+    };
+  }
+  return states;
+}
+
+module.exports = {
+  STATE,
+  OPEN_MS,
+  tryAcquire,
+  release,
+  isAvailable,
+  recordOutcome,
+  retryAfterSeconds,
+  getBreakerStates,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * credential-versions.js
+ *
+ * Grace period and automatic rollback for rotated processor credentials.
+ *
+ * When the secret set changes version, the previous set is kept in memory for
+ * CREDENTIAL_GRACE_MS. During that window a processor call rejected with
+ * `authentication_failed` is retried once with the previous version's
+ * credentials (processors.js), so a rotation that reached Vault before the
+ * acquirer does not fail payments.
+ *
+ * After CREDENTIAL_BAD_THRESHOLD consecutive auth failures on the new version
+ * for one processor, that version is marked bad for it: a
+ * CREDENTIAL_VERSION_BAD audit event is written, /health reports it, and the
+ * processor is rolled back to the previous credentials until a newer version
+ * arrives. The previous set is kept past the grace window while any
+ * processor is rolled back. Vault itself is never written — `vault kv
+ * rollback` (or a corrected rotation) remains the operator's fix.
+ *
+ * State is per replica and in memory; a restart starts from the current
+ * version with no fallback.
+ */
+
+const { createLogger } = require('./logger');
+const { getCachedSecrets, getSecretsVersion } = require('./secret-provider');
+const auditLogger = require('./audit-logger');
+const metrics = require('./metrics');
+
+const logger = createLogger('credential-versions');
+
+const GRACE_MS = parseInt(process.env.CREDENTIAL_GRACE_MS || '900000', 10);
+const BAD_THRESHOLD = parseInt(process.env.CREDENTIAL_BAD_THRESHOLD || '3', 10);
+
+// Internal state
+let _current = null;   // { version, secrets } — last version seen
+let _previous = null;  // { version, secrets, rotatedAt } — version it replaced
+const _processors = new Map(); // processor id → { consecutiveAuthFailures, badVersion, markedBadAt }
+
+const fallbacks = metrics.counter(
+  'flexpay_credential_fallbacks_total',
+  'Processor calls retried with the previous secret version after an auth failure',
+  ['processor', 'outcome']
+);
+
+metrics.gauge('flexpay_credential_rollbacks', 'Processors currently rolled back to the previous secret version', [],
+  () => rolledBackProcessors().length);
+
+function processorState(processorId) {
+  if (!_processors.has(processorId)) {
+    _processors.set(processorId, { consecutiveAuthFailures: 0, badVersion: null, markedBadAt: null });
+  }
+  return _processors.get(processorId);
+}
+
+function rolledBackProcessors() {
+  if (!_current || !_previous) return [];
+  return [..._processors].filter(([, s]) => s.badVersion === _current.version).map(([id]) => id);
+}
+
+function isRolledBack(processorId) {
+  return !!_current && !!_previous && processorState(processorId).badVersion === _current.version;
+}
+
+function withinGrace() {
+  return !!_previous && Date.now() - _previous.rotatedAt < GRACE_MS;
+}
+
+// Drop the previous set once the grace window is over, unless a rollback still uses it
+function prunePrevious() {
+  if (_previous && !withinGrace() && rolledBackProcessors().length === 0) {
+    logger.info({ previousVersion: _previous.version }, 'Credential grace period over — previous version discarded');
+    _previous = null;
+  }
+}
+
+/**
+ * Record the version loaded at startup. Call once after the initial load.
+ */
+function initCredentialVersions() {
+  _current = { version: getSecretsVersion(), secrets: getCachedSecrets() };
+  _previous = null;
+  _processors.clear();
+}
+
+/**
+ * Keep the outgoing set as the fallback. Call from the rotation callback,
+ * after the provider cache holds the new version.
+ */
+function handleRotation() {
+  const secrets = getCachedSecrets();
+  if (!_current || !secrets) return initCredentialVersions();
+
+  _previous = { ..._current, rotatedAt: Date.now() };
+  _current = { version: getSecretsVersion(), secrets };
+  // A newer version clears every rollback — it may be the fix
+  _processors.clear();
+
+  logger.info(
+    { previousVersion: _previous.version, newVersion: _current.version, graceMs: GRACE_MS },
+    'Secret rotation — previous version kept for the grace period'
+  );
+}
+
+/**
+ * The secret set a processor's calls should use: the current one, or the
+ * previous one when the processor has been rolled back.
+ * @param {string} processorId
+ * @returns {{ version: number|null, secrets: object|null, rolledBack: boolean }}
+ */
+function activeSecrets(processorId) {
+  prunePrevious();
+  if (isRolledBack(processorId)) {
+    return { version: _previous.version, secrets: _previous.secrets, rolledBack: true };
+  }
+  // Before initCredentialVersions() (or with no rotation yet) the provider cache is authoritative
+  return { version: getSecretsVersion(), secrets: getCachedSecrets(), rolledBack: false };
+}
+
+/**
+ * The previous version's values for `keys`, when an auth failure on the
+ * current version may be retried with them: within the grace window (or
+ * rolled back by that very failure), and the previous values exist and differ.
+ * @param {string}   processorId
+ * @param {string[]} keys - The processor's requiredKeys
+ * @returns {{ version: number, credentials: object } | null}
+ */
+function fallbackCredentials(processorId, keys) {
+  prunePrevious();
+  if (!withinGrace() && !isRolledBack(processorId)) return null;
+
+  const credentials = {};
+  for (const key of keys) {
+    if (!_previous.secrets[key]) return null;
+    credentials[key] = _previous.secrets[key];
+  }
+  const current = getCachedSecrets() || {};
+  if (keys.every((key) => current[key] === credentials[key])) return null;
+
+  return { version: _previous.version, credentials };
+}
+
+/**
+ * Record whether a call authenticated with the given version. Only the
+ * current version is tracked; reaching CREDENTIAL_BAD_THRESHOLD while a
+ * previous version is held marks it bad and rolls the processor back.
+ *
+ * @param {string}  processorId
+ * @param {number}  version
+ * @param {boolean} authenticated
+ */
+function recordAuthResult(processorId, version, authenticated) {
+  if (!_current || version !== _current.version) return;
+  const state = processorState(processorId);
+
+  if (authenticated) {
+    state.consecutiveAuthFailures = 0;
+    return;
+  }
+
+  state.consecutiveAuthFailures += 1;
+  if (state.badVersion === version || !_previous || state.consecutiveAuthFailures < BAD_THRESHOLD) return;
+
+  state.badVersion = version;
+  state.markedBadAt = Date.now();
+  auditLogger.recordCredentialVersionBad(processorId, {
+    kvVersion: version,
+    rolledBackTo: _previous.version,
+    consecutiveAuthFailures: state.consecutiveAuthFailures,
+  });
+  logger.error(
+    { processor: processorId, badVersion: version, rolledBackTo: _previous.version, consecutiveAuthFailures: state.consecutiveAuthFailures },
+    'Rotated credentials keep failing authentication — rolled back to the previous version'
+  );
+}
+
+/**
+ * Count a retry with the previous version.
+ * @param {string}  processorId
+ * @param {boolean} authenticated
+ */
+function recordFallback(processorId, authenticated) {
+  fallbacks.inc({ processor: processorId, outcome: authenticated ? 'authenticated' : 'rejected' });
+}
+
+/**
+ * Rotation snapshot for GET /health.
+ * @returns {object}
+ */
+function getRotationState() {
+  prunePrevious();
+  const badVersions = {};
+  for (const [id, s] of _processors) {
+    if (s.badVersion !== null) {
+      badVersions[id] = { version: s.badVersion, markedBadAt: new Date(s.markedBadAt).toISOString() };
+    }
+  }
+  return {
+    currentVersion: _current ? _current.version : getSecretsVersion(),
+    previousVersion: _previous ? _previous.version : null,
+    graceEndsAt: _previous ? new Date(_previous.rotatedAt + GRACE_MS).toISOString() : null,
+    inGracePeriod: withinGrace(),
+    rolledBack: rolledBackProcessors(),
+    badVersions,
+  };
+}
+
+module.exports = {
+  GRACE_MS,
+  BAD_THRESHOLD,
+  initCredentialVersions,
+  handleRotation,
+  activeSecrets,
+  fallbackCredentials,
+  recordAuthResult,
+  recordFallback,
+  getRotationState,
+};
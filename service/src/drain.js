@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * drain.js
+ *
+ * Connection draining for graceful shutdown, so a rolling deploy never drops
+ * a payment that a closing replica had already accepted:
+ *
+ *   1. Not ready — /health and /ready return 503 at once, so the load
+ *      balancer stops routing here. The process keeps serving.
+ *   2. Pre-stop delay (SHUTDOWN_PRESTOP_DELAY_MS) — time for the balancer
+ *      to notice. Requests that still arrive are handled normally.
+ *   3. Refuse — new payment operations get 503 with Retry-After
+ *      (SHUTDOWN_RETRY_AFTER_SECONDS). The listener stays open until the
+ *      drain ends, so callers get that answer instead of a refused connection.
+ *   4. Wait — for in-flight payments (processPayment), capture / void /
+ *      refund calls and Idempotency-Key requests to finish, up to
+ *      SHUTDOWN_DRAIN_TIMEOUT_MS.
+ *
+ * A payment still running at the deadline is abandoned: its outcome at the
+ * processor is unknown, so it is written to the audit log as
+ * PAYMENT_ABANDONED for reconciliation. Keep the total of both delays below
+ * the orchestrator's stop timeout (`docker stop --time 30` in deploy.sh).
+ */
+
+const { createLogger } = require('./logger');
+const auditLogger = require('./audit-logger');
+const { correlation } = require('./request-context');
+
+const logger = createLogger('drain');
+
+const PRESTOP_DELAY_MS = parseInt(process.env.SHUTDOWN_PRESTOP_DELAY_MS || '5000', 10);
+const DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '20000', 10);
+const RETRY_AFTER_SECONDS = parseInt(process.env.SHUTDOWN_RETRY_AFTER_SECONDS || '5', 10);
+
+const PHASE = {
+  SERVING:  'serving',
+  PRESTOP:  'prestop',
+  DRAINING: 'draining',
+};
+
+// Operations whose abandonment is a payment with an unknown outcome
+const PAYMENT_OPERATIONS = new Set(['payment', 'capture', 'void', 'refund']);
+
+// Internal state
+let _phase = PHASE.SERVING;
+let _drainStartedAt = null;
+let _nextId = 1;
+const _inFlight = new Map(); // id → { operation, details, startedAt }
+let _onIdle = null;          // resolves the drain wait when the last operation finishes
+
+/**
+ * Register an operation that shutdown must wait for.
+ *
+ * @param {string} operation - 'payment' | 'capture' | 'void' | 'refund' | 'idempotent'
+ * @param {object} [details] - merchantId, processor, amount, currency, transactionId, … —
+ *                             recorded if the operation is abandoned
+ * @returns {Function} Call once when the operation has finished
+ */
+function trackInFlight(operation, details = {}) {
+  const id = _nextId++;
+  _inFlight.set(id, { operation, details: { ...details, ...correlation() }, startedAt: Date.now() });
+  return () => {
+    _inFlight.delete(id);
+    if (_inFlight.size === 0 && _onIdle) _onIdle();
+  };
+}
+
+/**
+ * Whether shutdown has begun (the replica reports not ready).
+ */
+function isDraining() {
+  return _phase !== PHASE.SERVING;
+}
+
+/**
+ * Express middleware: once the pre-stop delay is over, refuse new payment
+ * operations so the client retries on another replica.
+ */
+function drainGuard(req, res, next) {
+  if (_phase !== PHASE.DRAINING) return next();
+  res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+  return res.status(503).json({
+    error: 'This instance is shutting down. Retry the request.',
+    reason: 'shutting_down',
+    retryAfterSeconds: RETRY_AFTER_SECONDS,
+  });
+}
+
+/**
+ * Shutdown progress for GET /health, or null while serving.
+ */
+function getDrainState() {
+  if (!isDraining()) return null;
+  return {
+    phase: _phase,
+    startedAt: new Date(_drainStartedAt).toISOString(),
+    inFlight: _inFlight.size,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function waitForIdle(timeoutMs) {
+  if (_inFlight.size === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    _onIdle = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+  });
+}
+
+/**
+ * Audit every payment still in flight and report the rest.
+ * @returns {number} Operations abandoned
+ */
+function abandonInFlight() {
+  const now = Date.now();
+  for (const { operation, details, startedAt } of _inFlight.values()) {
+    const runningMs = now - startedAt;
+    if (PAYMENT_OPERATIONS.has(operation)) {
+      const { transactionId = null, ...meta } = details;
+      auditLogger.recordPaymentAbandoned(transactionId, { operation, ...meta, runningMs });
+    }
+    logger.error({ operation, ...details, runningMs }, 'Operation abandoned at shutdown — outcome unknown');
+  }
+  const count = _inFlight.size;
+  _inFlight.clear();
+  return count;
+}
+
+/**
+ * Run the drain phases. Resolves once nothing is in flight or the deadline
+ * has passed; the caller closes the server, releases resources and exits.
+ *
+ * @returns {Promise<{ abandoned: number }>}
+ */
+async function drain() {
+  _phase = PHASE.PRESTOP;
+  _drainStartedAt = Date.now();
+  logger.info({ prestopDelayMs: PRESTOP_DELAY_MS, drainTimeoutMs: DRAIN_TIMEOUT_MS, inFlight: _inFlight.size },
+    'Draining — reporting not ready');
+  await sleep(PRESTOP_DELAY_MS);
+
+  _phase = PHASE.DRAINING;
+  logger.info({ inFlight: _inFlight.size }, 'Pre-stop delay over — refusing new payment operations');
+
+  const idle = await waitForIdle(DRAIN_TIMEOUT_MS);
+  _onIdle = null;
+  if (idle) {
+    logger.info({ drainMs: Date.now() - _drainStartedAt }, 'Drain complete — no operations in flight');
+    return { abandoned: 0 };
+  }
+
+  const abandoned = abandonInFlight();
+  logger.warn({ abandoned, drainTimeoutMs: DRAIN_TIMEOUT_MS }, 'Drain deadline passed');
+  return { abandoned };
+}
+
+module.exports = {
+  PHASE,
+  trackInFlight,
+  isDraining,
+  drainGuard,
+  getDrainState,
+  abandonInFlight,
+  drain,
+};
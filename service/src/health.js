@@ -1,56 +1,191 @@
 'use strict';
 
-const { areSecretsLoaded } = require('./vault-client');
+const { areSecretsLoaded, getProviderName, getSecretsVersion, getSecretsStatus } = require('./secret-provider');
 const { getAvailableProcessors } = require('./processors');
+const { getEnabledProcessorIds } = require('./processor-registry');
+const { getBreakerStates, STATE } = require('./circuit-breaker');
+const { getRotationState } = require('./credential-versions');
+const { getValidationFailure } = require('./secret-validation');
+const { getDrainState } = require('./drain');
+
+// Secrets older than this (since the last successful refresh) report "degraded"
+const STALE_WARN_SECONDS = parseInt(process.env.SECRETS_STALE_WARN_SECONDS || '300', 10);
+// ...and older than this make the replica not ready (503). 0 disables either check
+const MAX_STALE_SECONDS = parseInt(process.env.SECRETS_MAX_STALE_SECONDS || '3600', 10);
+
+function isoOrNull(ms) {
+  return ms === null || ms === undefined ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Secret freshness: age of the cached set and the refreshes failing since.
+ */
+function secretsSnapshot(loaded) {
+  const { lastRefreshAt, consecutiveFailures, lastFailureAt } = getSecretsStatus();
+  const staleSeconds = loaded && lastRefreshAt !== null ? Math.floor((Date.now() - lastRefreshAt) / 1000) : null;
+  return {
+    version: getSecretsVersion(),
+    lastRefreshAt: isoOrNull(lastRefreshAt),
+    staleSeconds,
+    staleWarnSeconds: STALE_WARN_SECONDS || null,
+    maxStaleSeconds: MAX_STALE_SECONDS || null,
+    consecutiveRefreshFailures: consecutiveFailures,
+    lastRefreshFailureAt: isoOrNull(lastFailureAt),
+  };
+}
+
+/**
+ * Backend reachability — Vault only; null for the file and mock providers.
+ */
+function connectivitySnapshot() {
+  const connectivity = getSecretsStatus().connectivity;
+  if (!connectivity) return null;
+  return {
+    ...connectivity,
+    lastSuccessAt: isoOrNull(connectivity.lastSuccessAt),
+    lastFailureAt: isoOrNull(connectivity.lastFailureAt),
+  };
+}
+
+/**
+ * Per-processor readiness: credentials present and breaker not open.
+ */
+function processorSnapshot(available, breakers, rolledBack) {
+  const status = {};
+  for (const id of getEnabledProcessorIds()) {
+    const hasCredentials = available.includes(id);
+    const circuit = breakers[id].state;
+    status[id] = {
+      ready: hasCredentials && circuit !== STATE.OPEN,
+      hasCredentials,
+      circuit,
+      rolledBack: rolledBack.includes(id),
+    };
+  }
+  return status;
+}
+
+/**
+ * Everything GET /health and GET /ready decide on.
+ *
+ * @returns {{ ready: boolean, degraded: boolean, reasons: string[], report: object }}
+ *          `reasons` explains both a 503 and a "degraded" status
+ */
+function evaluateHealth() {
+  const secretsLoaded = areSecretsLoaded();
+  const enabled = getEnabledProcessorIds();
+  const available = secretsLoaded ? getAvailableProcessors() : [];
+  const breakers = getBreakerStates(enabled);
+  const credentialRotation = getRotationState();
+  const secretValidation = getValidationFailure();
+  const secrets = secretsSnapshot(secretsLoaded);
+  const vault = connectivitySnapshot();
+  const shutdown = getDrainState();
+
+  const notReady = [];
+  const degraded = [];
+
+  if (shutdown) {
+    notReady.push(`Shutting down — ${shutdown.inFlight} operation(s) in flight`);
+  }
+  if (!secretsLoaded) {
+    notReady.push('Secrets not yet loaded from secret provider');
+  } else {
+    if (available.length < enabled.length) {
+      notReady.push(`Only ${available.length}/${enabled.length} processors have credentials`);
+    }
+    if (MAX_STALE_SECONDS && secrets.staleSeconds > MAX_STALE_SECONDS) {
+      notReady.push(`Secrets last refreshed ${secrets.staleSeconds}s ago (max ${MAX_STALE_SECONDS}s)`);
+    } else if (STALE_WARN_SECONDS && secrets.staleSeconds > STALE_WARN_SECONDS) {
+      degraded.push(`Secrets last refreshed ${secrets.staleSeconds}s ago (warn ${STALE_WARN_SECONDS}s)`);
+    }
+  }
+  if (secrets.consecutiveRefreshFailures > 0) {
+    degraded.push(`${secrets.consecutiveRefreshFailures} consecutive secret refresh failure(s)`);
+  }
+  if (vault && vault.reachable === false) {
+    degraded.push(`Vault unreachable (last failed operation: ${vault.failedOperation})`);
+  }
+  if (vault && vault.secretId) {
+    const { expiresInSeconds, rotation } = vault.secretId;
+    if (expiresInSeconds === 0) {
+      degraded.push('AppRole SecretID has expired — the next re-login will fail');
+    }
+    if (rotation.consecutiveFailures > 0) {
+      degraded.push(`${rotation.consecutiveFailures} consecutive SecretID rotation failure(s)`);
+    }
+  }
+  if (credentialRotation.rolledBack.length > 0) {
+    degraded.push(`Processors rolled back to the previous secret version: ${credentialRotation.rolledBack.join(', ')}`);
+  }
+  if (secretValidation) {
+    degraded.push('Last fetched secrets failed validation');
+  }
+
+  const ready = notReady.length === 0;
+  return {
+    ready,
+    degraded: degraded.length > 0,
+    reasons: [...notReady, ...degraded],
+    report: {
+      secretsLoaded,
+      secretProvider: getProviderName(),
+      processors: available,
+      processorCount: available.length,
+      processorStatus: processorSnapshot(available, breakers, credentialRotation.rolledBack),
+      secrets,
+      vault,
+      circuitBreakers: breakers,
+      credentialRotation,
+      secretValidation,
+      shutdown,
+    },
+  };
+}
 
 /**
  * GET /health
  *
- * Liveness + readiness health check used by:
+ * Readiness health check with diagnostics, used by:
  *   - Docker HEALTHCHECK instruction
  *   - Docker Compose health check (gates rolling update traffic routing)
  *   - Load balancer readiness probes
  *
- * Returns HTTP 200 only when secrets have been successfully loaded from Vault.
- * Returns HTTP 503 when the service is still initialising or Vault is unreachable.
+ * Returns HTTP 503 ("unhealthy") when the replica must not take traffic:
+ *   - it is shutting down (`shutdown` reports the drain phase, drain.js)
+ *   - secrets have not been loaded yet
+ *   - an enabled processor has no credentials (e.g. keys dropped on the
+ *     first load because they failed validation)
+ *   - the cached secrets are older than SECRETS_MAX_STALE_SECONDS — refreshes
+ *     keep the cache when Vault is unreachable, so without this a replica
+ *     would serve hours-old credentials while reporting healthy
+ *
+ * Otherwise 200, with status "degraded" and `reasons` when something needs
+ * attention but payments still flow:
+ *   - secrets older than SECRETS_STALE_WARN_SECONDS
+ *   - failed refreshes since the last success, or Vault unreachable
+ *   - the AppRole SecretID has expired or its rotation is failing
+ *     (`vault.secretId`, secret-id-manager.js)
+ *   - processors rolled back to the previous secret version (`credentialRotation`)
+ *   - the last fetched set failed validation (`secretValidation` names the
+ *     keys, never values) and the previous, valid credentials are in use
+ *
+ * `processorStatus` reports each processor's readiness — credentials present
+ * and circuit breaker not open. An open breaker means an acquirer is
+ * degraded, not this replica, so it does not change the status code —
+ * routing already steers traffic away from it.
  *
  * This is CRITICAL for zero-downtime deployments: the orchestrator will not
  * route production traffic to a new container until this endpoint returns 200.
  */
 function healthHandler(req, res) {
-  const secretsLoaded = areSecretsLoaded();
-  const availableProcessors = secretsLoaded ? getAvailableProcessors() : [];
-  const uptime = Math.floor(process.uptime());
+  const { ready, degraded, reasons, report } = evaluateHealth();
 
-  if (!secretsLoaded) {
-    return res.status(503).json({
-      status: 'unhealthy',
-      secretsLoaded: false,
-      reason: 'Secrets not yet loaded from Vault',
-      uptime,
-      timestamp: new Date().toISOString(),
-    });
-  }
-
-  const allProcessorsReady = availableProcessors.length === 3;
-
-  if (!allProcessorsReady) {
-    return res.status(503).json({
-      status: 'degraded',
-      secretsLoaded: true,
-      processors: availableProcessors,
-      reason: `Only ${availableProcessors.length}/3 processors have credentials`,
-      uptime,
-      timestamp: new Date().toISOString(),
-    });
-  }
-
-  return res.status(200).json({
-    status: 'healthy',
-    secretsLoaded: true,
-    processors: availableProcessors,
-    processorCount: availableProcessors.length,
-    uptime,
+  return res.status(ready ? 200 : 503).json({
+    status: !ready ? 'unhealthy' : degraded ? 'degraded' : 'healthy',
+    reasons,
+    ...report,
+    uptime: Math.floor(process.uptime()),
     timestamp: new Date().toISOString(),
   });
 }
@@ -58,17 +193,28 @@ function healthHandler(req, res) {
 /**
  * GET /ready
  *
- * Kubernetes-style readiness probe (subset of /health).
- * Returns 200 when ready to serve traffic, 503 otherwise.
+ * Kubernetes-style readiness probe: the status code of /health without the
+ * diagnostics. Returns 200 when ready to serve traffic, 503 otherwise.
  */
 function readinessHandler(req, res) {
-  const secretsLoaded = areSecretsLoaded();
+  const { ready, reasons } = evaluateHealth();
 
-  if (!secretsLoaded) {
-    return res.status(503).json({ ready: false, reason: 'Secrets not loaded' });
+  if (!ready) {
+    return res.status(503).json({ ready: false, reasons });
   }
 
   return res.status(200).json({ ready: true });
 }
 
-module.exports = { healthHandler, readinessHandler };
+/**
+ * GET /live
+ *
+ * Liveness probe: 200 whenever the process can answer. It checks no
+ * dependencies — a Vault outage or stale secrets must take a replica out of
+ * rotation (/ready), not get it restarted.
+ */
+function livenessHandler(req, res) {
+  return res.status(200).json({ alive: true, uptime: Math.floor(process.uptime()) });
+}
+
+module.exports = { healthHandler, readinessHandler, livenessHandler };
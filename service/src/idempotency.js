@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * idempotency.js
+ *
+ * `Idempotency-Key` handling for mutating payment routes, so a client retrying
+ * after a timeout never causes a double charge.
+ *
+ *   - First request with a key: a request fingerprint (method, path, canonical
+ *     body) is stored as "in flight", and the response is stored once sent.
+ *   - Replay with the same key and body: the stored response is returned with
+ *     `Idempotent-Replayed: true` — the handler does not run again.
+ *   - Replay with a different body: 409.
+ *   - Concurrent duplicate while the first is in flight: waits for it within
+ *     this replica (up to IDEMPOTENCY_WAIT_MS), otherwise 409 + Retry-After.
+ *
+ * 5xx responses are not stored, so the client can safely retry them; nor are
+ * responses sent without res.json. A failed store write releases the key
+ * instead of holding it until restart. A client that aborts does not release
+ * it: the handler may still be charging, so the claim stands until it ends —
+ * a retry then replays its result, or runs anew if there is none to store.
+ * Shutdown waits for claimed keys to complete (drain.js).
+ * A `card` in the body is fingerprinted by BIN, last4 and expiry only
+ * (card-validation.js maskCard), so no hash of a full card number or CVC is
+ * ever stored.
+ * Keys are scoped to the authenticated merchant (`req.merchant`), so two
+ * merchants using the same key never see each other's responses.
+ *
+ * Storage is selected with IDEMPOTENCY_STORE:
+ *   - memory (default) — in-process, lost on restart
+ *   - file             — IDEMPOTENCY_STORE_FILE on a volume, survives restarts
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { createMemoryStore } = require('./stores/memory-store');
+const { createFileStore } = require('./stores/file-store');
+const { maskCard } = require('./card-validation');
+const { trackInFlight } = require('./drain');
+
+const logger = createLogger('idempotency');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const RECORD_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+// An in-flight marker older than this is treated as abandoned (e.g. the replica crashed)
+const LOCK_TTL_MS = parseInt(process.env.IDEMPOTENCY_LOCK_MS || '30000', 10);
+const WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS || '10000', 10);
+
+// Internal state
+let _store = null;
+const _inFlight = new Map(); // storeKey → Promise resolved when the first request completes
+
+/**
+ * Build the store named by IDEMPOTENCY_STORE.
+ */
+function createIdempotencyStore(name = process.env.IDEMPOTENCY_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ file: process.env.IDEMPOTENCY_STORE_FILE || 'data/idempotency.json' });
+    default:
+      throw new Error(`Unknown IDEMPOTENCY_STORE "${name}". Valid options: memory, file`);
+  }
+}
+
+function getStore() {
+  if (!_store) {
+    _store = createIdempotencyStore();
+    logger.info({ store: _store.name, recordTtlMs: RECORD_TTL_MS }, 'Idempotency store initialised');
+  }
+  return _store;
+}
+
+/**
+ * Replace the backing store (e.g. with a fresh memory store in tests).
+ * @param {object} store
+ */
+function setIdempotencyStore(store) {
+  _store = store;
+}
+
+/**
+ * JSON.stringify with sorted object keys, so `{a,b}` and `{b,a}` fingerprint equally.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint of the request — a hash, so raw bodies are never persisted here.
+ */
+function fingerprintRequest(req) {
+  const body = req.body || {};
+  const fingerprinted = body.card === undefined ? body : { ...body, card: maskCard(body.card) };
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.path}\n${canonicalJson(fingerprinted)}`)
+    .digest('hex');
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), ms);
+    promise.then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+function conflict(res, error, retryAfterSeconds) {
+  if (retryAfterSeconds) res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(409).json({ error });
+}
+
+/**
+ * Express middleware enforcing Idempotency-Key semantics. Requests without the
+ * header pass straight through.
+ */
+async function idempotencyMiddleware(req, res, next) {
+  const key = req.get(HEADER);
+  if (key === undefined) return next();
+
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      error: `Invalid "${HEADER}" header. Must be 1-${MAX_KEY_LENGTH} printable ASCII characters.`,
+    });
+  }
+
+  const scope = req.merchant ? req.merchant.id : '-';
+  const storeKey = `${scope}:${req.method}:${req.path}:${key}`;
+  const fingerprint = fingerprintRequest(req);
+  let settle = null;
+
+  try {
+    // Same-replica duplicate: wait for the first request, then replay its result
+    const pending = _inFlight.get(storeKey);
+    if (pending) {
+      const finished = await withTimeout(pending, WAIT_MS);
+      if (!finished) {
+        return conflict(res, `A request with this ${HEADER} is still in progress.`, 1);
+      }
+    }
+
+    const store = getStore();
+    const existing = await store.get(storeKey);
+
+    if (existing && existing.fingerprint !== fingerprint) {
+      logger.warn({ path: req.path }, 'Idempotency key reused with a different request');
+      return conflict(res, `${HEADER} was already used with a different request body.`);
+    }
+
+    if (existing && existing.state === 'completed') {
+      logger.info({ path: req.path, statusCode: existing.statusCode }, 'Replaying stored idempotent response');
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    if (existing && existing.state === 'in_flight' && Date.now() - existing.startedAt < LOCK_TTL_MS) {
+      // In flight on another replica (or lost its local promise) — we cannot wait on it
+      return conflict(res, `A request with this ${HEADER} is already in progress.`, 1);
+    }
+
+    // A concurrent duplicate may have claimed the key while we awaited the store
+    if (_inFlight.has(storeKey)) {
+      return idempotencyMiddleware(req, res, next);
+    }
+
+    // First request: claim the key, then capture the response when it is sent
+    let release;
+    _inFlight.set(storeKey, new Promise((resolve) => { release = resolve; }));
+    const done = trackInFlight('idempotent', { method: req.method, path: req.path, merchantId: req.merchant ? req.merchant.id : null });
+    let settled = false;
+    settle = () => {
+      if (settled) return;
+      settled = true;
+      _inFlight.delete(storeKey);
+      release();
+      done();
+    };
+    await store.set(storeKey, { state: 'in_flight', fingerprint, startedAt: Date.now() }, LOCK_TTL_MS);
+
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+      const statusCode = res.statusCode;
+      const persist = statusCode >= 500
+        ? store.delete(storeKey)
+        : store.set(storeKey, { state: 'completed', fingerprint, statusCode, body, completedAt: Date.now() }, RECORD_TTL_MS);
+
+      persist
+        .catch((err) => logger.error({ err: err.message }, 'Failed to persist idempotency record'))
+        .finally(settle);
+
+      return originalJson(body);
+    };
+
+    // A response sent without res.json cannot be replayed — free the key for a
+    // retry. Wrapping end (not 'finish') also covers a client that already left
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+      if (!captured) {
+        captured = true;
+        store.delete(storeKey)
+          .catch((err) => logger.error({ err: err.message }, 'Failed to delete idempotency record'))
+          .finally(settle);
+      }
+      return originalEnd(...args);
+    };
+
+    return next();
+  } catch (err) {
+    // e.g. the file store could not write the in-flight marker
+    if (settle) settle();
+    return next(err);
+  }
+}
+
+module.exports = {
+  idempotencyMiddleware,
+  createIdempotencyStore,
+  setIdempotencyStore,
+  fingerprintRequest,
+};
@@ -1,28 +1,93 @@
 'use strict';
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
-const pino = require('pino');
+const { createLogger } = require('./logger');
+const { redactErrorResponses } = require('./redaction');
 
 const {
-  initVaultClient,
-  getSecrets,
+  initSecretProvider,
   refreshSecrets,
-  startPeriodicRefresh,
-  stopPeriodicRefresh,
-} = require('./vault-client');
-const { processPayment, logCredentialsSummary } = require('./processors');
-const { healthHandler, readinessHandler } = require('./health');
+  requestRefresh,
+  startWatching,
+  stopSecretProvider,
+  getProviderName,
+  getCachedSecrets,
+  getSecretsStatus,
+} = require('./secret-provider');
+const {
+  ROUTE_AUTO,
+  ROUTING_REASON,
+  processPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  logCredentialsSummary,
+} = require('./processors');
+const { getTransaction, REASON, STATUS } = require('./transactions');
+const { initLedger, queryTransactions } = require('./ledger');
+const {
+  loadProcessorRegistry,
+  getEnabledProcessorIds,
+  listProcessors,
+  supportsCurrency,
+} = require('./processor-registry');
+const { healthHandler, readinessHandler, livenessHandler } = require('./health');
 const auditLogger = require('./audit-logger');
+const { queryAudit, summariseAudit, exportAudit } = require('./audit-query');
+const { idempotencyMiddleware } = require('./idempotency');
+const { webhookHandler } = require('./webhook-receiver');
+const metrics = require('./metrics');
+const { requireRole, createServer, ROLE } = require('./admin-auth');
+const { merchantGuard, isProcessorAllowed, isCurrencyAllowed } = require('./merchant-auth');
+const credentialVersions = require('./credential-versions');
+const { rotationNotifyHandler } = require('./rotation-notify');
+const { requestContext } = require('./request-context');
+const { drain, drainGuard, abandonInFlight } = require('./drain');
+const { CARD_REASON, initCardTokens, tokenizeCard, cardForPayment } = require('./card-tokens');
 
-const logger = pino({
-  name: 'flexpay-service',
-  level: process.env.LOG_LEVEL || 'info',
-});
+const logger = createLogger('flexpay-service');
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const app = express();
 
-app.use(express.json());
+/**
+ * Express `trust proxy` from TRUST_PROXY. req.ip — the per-IP rate-limit key
+ * and the source address in audit entries — is the socket address unless
+ * the proxies in front of the service are trusted to set X-Forwarded-For:
+ *   - false (default) — no proxy; clients connect directly
+ *   - a hop count     — e.g. "1" for a single load balancer
+ *   - addresses       — comma-separated IPs, CIDRs or Express names
+ *                       ("loopback", "linklocal", "uniquelocal")
+ * "true" is refused: it would trust any X-Forwarded-For a client sends.
+ */
+function parseTrustProxy(raw = process.env.TRUST_PROXY || 'false') {
+  const value = raw.trim();
+  if (value === 'false') return false;
+  if (value === 'true') {
+    throw new Error('TRUST_PROXY=true trusts client-supplied X-Forwarded-For — set the hop count or the proxy addresses instead');
+  }
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+app.set('trust proxy', parseTrustProxy());
+
+// Webhook and rotation-notify signatures cover the exact bytes received, so keep them for those routes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.url.startsWith('/webhooks/') || req.url.startsWith('/admin/rotation-notify')) req.rawBody = buf;
+  },
+}));
+
+// Request id / trace context for every log line, audit entry and payment result
+// made while handling the request. Registered after the body parser, whose
+// stream callbacks would otherwise run outside the request's async context
+app.use(requestContext(logger));
+
+// Error bodies (4xx/5xx) are scrubbed of secret values and card numbers (redaction.js)
+app.use(redactErrorResponses);
 
 // ── Request logging middleware (no credential data ever flows through here) ──
 app.use((req, res, next) => {
@@ -30,24 +95,127 @@ app.use((req, res, next) => {
   next();
 });
 
-// ── Health & readiness routes ────────────────────────────────────────────────
+// ── Health, readiness & liveness routes ──────────────────────────────────────
 app.get('/health', healthHandler);
 app.get('/ready', readinessHandler);
+app.get('/live', livenessHandler);
+
+// ── Metrics ──────────────────────────────────────────────────────────────────
+/**
+ * GET /metrics
+ * Prometheus text exposition of this replica's counters, histograms and
+ * gauges (payments, Vault calls, secret freshness, token TTL, audit events).
+ * Scrape every replica — values are per process and reset on restart.
+ */
+app.get('/metrics', metrics.metricsHandler);
 
 // ── Mock payment endpoint ────────────────────────────────────────────────────
+const payments = metrics.counter(
+  'flexpay_payments_total',
+  'POST /pay outcomes by processor, status and currency',
+  ['processor', 'status', 'currency']
+);
+const paymentDuration = metrics.histogram(
+  'flexpay_payment_duration_seconds',
+  'POST /pay latency (including failover attempts) by processor and status',
+  ['processor', 'status']
+);
+
+/**
+ * Record a processed payment. `status` is the transaction status
+ * (authorized, captured, declined, unknown) or, when no transaction was created,
+ * the failure reason (circuit_open, no_processor_available, error).
+ */
+function observePayment(requestedProcessor, currency, result, start) {
+  const labels = {
+    processor: result.processor || requestedProcessor,
+    status: result.status || result.reason || 'error',
+  };
+  payments.inc({ ...labels, currency });
+  paymentDuration.observe(labels, metrics.secondsSince(start));
+}
+
+const CARD_STATUS = {
+  [CARD_REASON.INVALID_CARD]: 400,
+  [CARD_REASON.UNKNOWN_TOKEN]: 400,
+  [CARD_REASON.CARD_EXPIRED]: 422,
+  [CARD_REASON.UNAVAILABLE]: 503,
+};
+
+/**
+ * Send a failed card tokenization / lookup (card-tokens.js).
+ */
+function sendCardFailure(res, result) {
+  const { reason, error, errors } = result;
+  return res.status(CARD_STATUS[reason] || 400).json(errors ? { error, reason, errors } : { error, reason });
+}
+
+/**
+ * POST /cards
+ * Body: { card: { number, expMonth, expYear, cvc, holderName? } }
+ *
+ * Validates the card (Luhn, expiry, brand) and tokenizes it with Vault
+ * Transit without charging it. Returns 201 { cardToken, brand, last4,
+ * expMonth, expYear } — the token charges the card later through
+ * POST /pay { cardToken }. The CVC is checked but not kept.
+ *
+ * 400 — invalid card (`errors` names each failing field, never its value),
+ * 503 — tokenization unavailable. Requires X-API-Key; tokens belong to the
+ * calling merchant. Card numbers and CVCs are NEVER logged or stored in plaintext.
+ */
+app.post('/cards', drainGuard, merchantGuard, idempotencyMiddleware, async (req, res) => {
+  try {
+    const result = await tokenizeCard((req.body || {}).card, req.merchant.id);
+    if (!result.success) return sendCardFailure(res, result);
+    return res.status(201).json(result.summary);
+  } catch (err) {
+    logger.error({ merchantId: req.merchant.id, err: err.message }, 'Unexpected error tokenizing card');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /pay
- * Body: { processor: "A"|"B"|"C", amount: number, currency?: string }
+ * Body: { processor: string, amount: number, currency?: string, capture?: boolean,
+ *         card?: { number, expMonth, expYear, cvc, holderName? } | cardToken?: string }
+ *
+ * Headers: X-API-Key (required) — the merchant's API key (merchant-auth.js).
+ *          Idempotency-Key (optional) — retries with the same key and body
+ *          replay the original response instead of charging again.
+ *
+ * `processor` must be an enabled id from the processor registry
+ * (config/processors.json) that supports the requested currency, or "auto" to
+ * let the router pick by currency, weight and circuit-breaker state and fail
+ * over to the next processor on soft declines. Routed responses list every
+ * processor tried in `attempts`.
+ *
+ * Merchants may be limited to some processors and currencies (403); "auto"
+ * only routes to the merchant's processors. 429 + Retry-After when the
+ * merchant's or client IP's rate limit is exhausted.
+ *
+ * 503 + Retry-After when the chosen processor's circuit breaker is open, or
+ * when no processor can take a routed payment.
+ * `capture: false` only authorizes; capture later via POST /payments/:id/capture.
+ *
+ * `card` is validated and tokenized before the charge (see POST /cards); its
+ * CVC goes to the acquirer with this charge only. `cardToken` charges a card
+ * tokenized earlier by the same merchant, without a CVC. The result and the
+ * ledger carry `card: { cardToken, brand, last4, expMonth, expYear }`, never
+ * the card number. Invalid cards and unknown tokens return 400, an expired
+ * tokenized card 422, unavailable tokenization 503.
  *
  * Demonstrates that secrets loaded from Vault are available to process payments.
  * Credential values are NEVER included in the response or logs.
  */
-app.post('/pay', async (req, res) => {
-  const { processor, amount, currency } = req.body;
+app.post('/pay', drainGuard, merchantGuard, idempotencyMiddleware, async (req, res) => {
+  const { processor, amount } = req.body;
+  const { merchant } = req;
+  const currency = typeof req.body.currency === 'string' ? req.body.currency.toUpperCase() : 'USD';
+  const validProcessors = getEnabledProcessorIds();
 
-  if (!processor || !['A', 'B', 'C'].includes(processor)) {
+  if (!processor || (processor !== ROUTE_AUTO && !validProcessors.includes(processor))) {
     return res.status(400).json({
-      error: 'Invalid or missing "processor". Must be "A", "B", or "C".',
+      error: `Invalid or missing "processor". Must be one of: ${[...validProcessors, ROUTE_AUTO].join(', ')}.`,
     });
   }
 
@@ -57,60 +225,478 @@ app.post('/pay', async (req, res) => {
     });
   }
 
+  if (processor !== ROUTE_AUTO && !isProcessorAllowed(merchant, processor)) {
+    return res.status(403).json({
+      error: `Merchant "${merchant.id}" may not use processor "${processor}".`,
+      reason: 'processor_not_allowed',
+    });
+  }
+
+  if (!isCurrencyAllowed(merchant, currency)) {
+    return res.status(403).json({
+      error: `Merchant "${merchant.id}" may not charge in currency "${currency}".`,
+      reason: 'currency_not_allowed',
+    });
+  }
+
+  if (processor === ROUTE_AUTO) {
+    const routable = listProcessors({ enabledOnly: true }).filter((schema) => isProcessorAllowed(merchant, schema.id));
+    if (!routable.some((schema) => schema.currencies.includes(currency))) {
+      return res.status(400).json({ error: `No processor available to this merchant supports currency "${currency}".` });
+    }
+  } else if (!supportsCurrency(processor, currency)) {
+    return res.status(400).json({
+      error: `Processor "${processor}" does not support currency "${currency}".`,
+    });
+  }
+
+  if (req.body.capture !== undefined && typeof req.body.capture !== 'boolean') {
+    return res.status(400).json({ error: '"capture" must be a boolean when provided.' });
+  }
+
+  const start = process.hrtime.bigint();
   try {
-    const result = await processPayment(processor, amount, currency || 'USD');
+    const card = await cardForPayment(req.body, merchant.id);
+    if (!card.success) return sendCardFailure(res, card);
+
+    const result = await processPayment(processor, amount, currency, {
+      capture: req.body.capture !== false,
+      merchantId: merchant.id,
+      allowProcessor: (id) => isProcessorAllowed(merchant, id),
+      card: card.summary,
+      cardDetails: card.card,
+    });
+    observePayment(processor, currency, result, start);
     if (result.success) {
       return res.status(200).json(result);
-    } else {
-      return res.status(422).json(result);
     }
+    if (result.reason === ROUTING_REASON.CIRCUIT_OPEN || result.reason === ROUTING_REASON.NO_PROCESSOR_AVAILABLE) {
+      res.set('Retry-After', String(Math.max(1, result.retryAfterSeconds)));
+      return res.status(503).json(result);
+    }
+    return res.status(422).json(result);
+  } catch (err) {
+    observePayment(processor, currency, {}, start);
+    logger.error({ merchantId: merchant.id, err: err.message }, 'Unexpected error processing payment');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ── Payment lifecycle endpoints ─────────────────────────────────────────────
+// State machine: authorized → captured → partially_refunded → refunded,
+//                authorized → voided (see transactions.js)
+
+const LIFECYCLE_STATUS = {
+  [REASON.NOT_FOUND]: 404,
+  [REASON.INVALID_TRANSITION]: 409,
+  [REASON.INVALID_AMOUNT]: 422,
+};
+
+/**
+ * Send the result of a capture / void / refund operation.
+ */
+function sendLifecycleResult(res, result, successStatus = 200) {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+  return res.status(LIFECYCLE_STATUS[result.reason] || 422).json(result);
+}
+
+/**
+ * Run a lifecycle handler for the calling merchant's own transaction, with
+ * the shared 500 fallback. Another merchant's transaction is reported as not
+ * found, so ids cannot be probed.
+ */
+function lifecycleRoute(label, handler) {
+  return async (req, res) => {
+    const txn = getTransaction(req.params.id);
+    if (!txn || txn.merchantId !== req.merchant.id) {
+      return sendLifecycleResult(res, {
+        success: false,
+        reason: REASON.NOT_FOUND,
+        error: `Transaction "${req.params.id}" not found`,
+      });
+    }
+
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      logger.error({ err: err.message, operation: label, merchantId: req.merchant.id }, 'Unexpected error in payment lifecycle operation');
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Parse and validate GET /payments query parameters.
+ * @returns {{ filters?: object, error?: string }}
+ */
+function parsePaymentQuery(query) {
+  const filters = {};
+
+  if (query.processor) filters.processor = String(query.processor);
+  if (query.merchantId) filters.merchantId = String(query.merchantId);
+  if (query.currency) filters.currency = String(query.currency).toUpperCase();
+  if (query.status) {
+    if (!Object.values(STATUS).includes(query.status)) {
+      return { error: `Invalid "status". Must be one of: ${Object.values(STATUS).join(', ')}.` };
+    }
+    filters.status = query.status;
+  }
+
+  for (const param of ['minAmount', 'maxAmount', 'limit']) {
+    if (query[param] !== undefined) {
+      const value = Number(query[param]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `Invalid "${param}". Must be a non-negative number.` };
+      }
+      filters[param] = value;
+    }
+  }
+
+  for (const param of ['from', 'to']) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid "${param}". Must be an ISO 8601 timestamp.` };
+      }
+      filters[param] = date.toISOString();
+    }
+  }
+
+  if (query.cursor) filters.cursor = String(query.cursor);
+
+  return { filters };
+}
+
+/**
+ * Send one page of a ledger query.
+ */
+function sendPaymentPage(res, filters) {
+  try {
+    const page = queryTransactions(filters);
+    return res.status(200).json({
+      returned: page.items.length,
+      totalMatched: page.totalMatched,
+      nextCursor: page.nextCursor,
+      totals: page.totals,
+      items: page.items,
+    });
   } catch (err) {
-    logger.error({ err: err.message }, 'Unexpected error processing payment');
+    if (err.message === 'Invalid "cursor"') {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error({ err: err.message }, 'Ledger query failed');
     return res.status(500).json({ error: 'Internal server error' });
   }
+}
+
+/**
+ * GET /payments
+ * Queries the calling merchant's transactions in the ledger (latest state of
+ * each payment), newest first. Requires X-API-Key.
+ *
+ * Query params:
+ *   ?processor=A&status=captured&currency=USD
+ *   ?minAmount=100&maxAmount=5000         — requested amount, cents, inclusive
+ *   ?from=2026-01-01T00:00:00Z&to=...      — creation time window, inclusive
+ *   ?limit=50&cursor=<nextCursor>          — cursor pagination (max 500 per page)
+ *
+ * `merchantId` is always the caller's own. `totals` are per processor/currency
+ * over ALL matching transactions, not just the page.
+ */
+app.get('/payments', merchantGuard, (req, res) => {
+  const { filters, error } = parsePaymentQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  filters.merchantId = req.merchant.id;
+  return sendPaymentPage(res, filters);
+});
+
+/**
+ * GET /payments/:id
+ * Returns the current state, amounts and history of one of the calling
+ * merchant's transactions. Another merchant's transaction is reported as not
+ * found, like the lifecycle routes.
+ */
+app.get('/payments/:id', merchantGuard, (req, res) => {
+  const txn = getTransaction(req.params.id);
+  if (!txn || txn.merchantId !== req.merchant.id) {
+    return res.status(404).json({ error: `Transaction "${req.params.id}" not found` });
+  }
+  return res.status(200).json(txn);
 });
 
+/**
+ * POST /payments/:id/capture
+ * Body: { amount?: number } — defaults to the full authorized amount.
+ */
+app.post('/payments/:id/capture', drainGuard, merchantGuard, idempotencyMiddleware, lifecycleRoute('capture', async (req, res) => {
+  const result = await capturePayment(req.params.id, (req.body || {}).amount);
+  return sendLifecycleResult(res, result);
+}));
+
+/**
+ * POST /payments/:id/void
+ * Cancels an authorization that has not been captured.
+ */
+app.post('/payments/:id/void', drainGuard, merchantGuard, idempotencyMiddleware, lifecycleRoute('void', async (req, res) => {
+  const result = await voidPayment(req.params.id);
+  return sendLifecycleResult(res, result);
+}));
+
+/**
+ * POST /payments/:id/refunds
+ * Body: { amount?: number } — defaults to the full remaining refundable amount.
+ */
+app.post('/payments/:id/refunds', drainGuard, merchantGuard, idempotencyMiddleware, lifecycleRoute('refund', async (req, res) => {
+  const result = await refundPayment(req.params.id, (req.body || {}).amount);
+  return sendLifecycleResult(res, result, 201);
+}));
+
+// ── Processor webhooks ──────────────────────────────────────────────────────
+/**
+ * POST /webhooks/:processor
+ *
+ * Asynchronous outcomes from processors (refund completed/failed, chargeback,
+ * settlement). The signature is verified with the processor's webhook secret;
+ * stale timestamps and already-seen event ids are rejected as replays.
+ * See webhook-receiver.js.
+ *
+ * 200 — verified (per-event outcome in the body)
+ * 400 — malformed payload, 401 — bad/missing signature or stale timestamp,
+ * 404 — processor has no webhook configured, 503 — signing secret not loaded
+ */
+app.post('/webhooks/:processor', webhookHandler);
+
 // ── Secret refresh endpoint (manual trigger) ─────────────────────────────────
 /**
  * POST /admin/refresh-secrets
- * Triggers an immediate reload of secrets from Vault.
- * In production this would be protected by mutual TLS or an internal network policy.
+ * Triggers an immediate reload of secrets from the active secret provider.
+ * Requires the `operator` role (admin-auth.js). A refresh the provider could
+ * not complete (unreachable, or an update rejected by validation) returns 502
+ * — the previous secrets stay in use; /health has the details.
  */
-app.post('/admin/refresh-secrets', async (req, res) => {
+app.post('/admin/refresh-secrets', requireRole(ROLE.OPERATOR), async (req, res) => {
   try {
     await refreshSecrets();
-    logger.info('Manual secret refresh triggered via admin endpoint');
+    logger.info({ caller: req.caller.identity }, 'Manual secret refresh triggered via admin endpoint');
+    // Providers keep their cache on failure rather than throw
+    if (getSecretsStatus().consecutiveFailures > 0) {
+      return res.status(502).json({ error: 'Secret refresh failed — previous secrets kept', reason: 'refresh_failed' });
+    }
     return res.status(200).json({ message: 'Secrets refreshed successfully' });
   } catch (err) {
     logger.error({ err: err.message }, 'Manual secret refresh failed');
+    // Vault errors can echo request data; redactErrorResponses masks any secret value in `reason`
     return res.status(500).json({ error: 'Secret refresh failed', reason: err.message });
   }
 });
 
+/**
+ * POST /admin/rotation-notify
+ * Signed push trigger from rotate-secret.sh or a Vault event forwarder:
+ * schedules a debounced reload (see rotation-notify.js). Authenticated by
+ * the X-FlexPay-Signature HMAC, not an admin API key.
+ */
+app.post('/admin/rotation-notify', rotationNotifyHandler);
+
 // ── Audit log endpoint ────────────────────────────────────────────────────────
+// Every audit route requires the `auditor` role (admin-auth.js)
+app.use('/audit', requireRole(ROLE.AUDITOR));
+
 /**
- * GET /audit
- * Returns the last 100 application-level audit log entries.
- * Records every Vault secret access with timestamp, instance ID, KV version,
- * and outcome. Credential values are NEVER included.
+ * GET /audit/verify
+ * Walks the persistent audit file's hash chain (all rotated segments) and
+ * reports the first broken link, if any. `valid: false` with
+ * `firstBrokenLink: { segment, line, seq, reason }` means entries were
+ * altered, removed or reordered at or before that point.
  *
- * In production this endpoint would be restricted to an internal management
- * network or protected by mutual TLS. It is exposed here for auditor review.
+ * Query params:
+ *   ?instance=ID — verify another replica's chain on the shared volume
+ *                  (default: this instance)
+ */
+app.get('/audit/verify', (req, res) => {
+  try {
+    const report = auditLogger.verifyChain({
+      instanceId: req.query.instance || process.env.INSTANCE_ID || require('os').hostname(),
+    });
+    return res.status(200).json(report);
+  } catch (err) {
+    if (err.message === 'Invalid instance id') {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error({ err: err.message }, 'Audit chain verification failed to run');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Parse and validate GET /audit query parameters.
+ * @returns {{ filters?: object, format?: string, error?: string }}
+ */
+function parseAuditQuery(query) {
+  const filters = {};
+
+  if (query.event) {
+    const events = String(query.event).split(',');
+    const valid = Object.values(auditLogger.EVENT);
+    const unknown = events.find((e) => !valid.includes(e));
+    if (unknown) {
+      return { error: `Invalid "event" "${unknown}". Must be one of: ${valid.join(', ')}.` };
+    }
+    filters.event = events;
+  }
+
+  if (query.success !== undefined) {
+    if (query.success !== 'true' && query.success !== 'false') {
+      return { error: 'Invalid "success". Must be true or false.' };
+    }
+    filters.success = query.success === 'true';
+  }
+
+  if (query.path) filters.path = String(query.path);
+  if (query.instance) filters.instance = String(query.instance);
+  if (query.requestId) filters.requestId = String(query.requestId);
+
+  for (const param of ['from', 'to']) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid "${param}". Must be an ISO 8601 timestamp.` };
+      }
+      filters[param] = date.toISOString();
+    }
+  }
+
+  if (query.order !== undefined) {
+    if (query.order !== 'asc' && query.order !== 'desc') {
+      return { error: 'Invalid "order". Must be asc or desc.' };
+    }
+    filters.order = query.order;
+  }
+
+  if (query.limit !== undefined) {
+    const value = Number(query.limit);
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: 'Invalid "limit". Must be a positive integer.' };
+    }
+    filters.limit = value;
+  }
+
+  if (query.cursor) filters.cursor = String(query.cursor);
+
+  const format = query.format || 'json';
+  if (!['json', 'ndjson', 'csv'].includes(format)) {
+    return { error: 'Invalid "format". Must be one of: json, ndjson, csv.' };
+  }
+
+  return { filters, format };
+}
+
+const EXPORT_CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv:    'text/csv; charset=utf-8',
+};
+
+/**
+ * GET /audit
+ * Queries the persistent audit log of every replica (hash-chained files on the
+ * shared volume). Records every Vault secret access, auth event and webhook
+ * with timestamp, instance ID and outcome. Credential values are NEVER included.
  *
  * Query params:
- *   ?limit=N  — return last N entries (max 1000, default 100)
- */
-app.get('/audit', (req, res) => {
-  const limitParam = parseInt(req.query.limit || '100', 10);
-  const limit = Math.min(Math.max(1, isNaN(limitParam) ? 100 : limitParam), 1000);
-  const entries = auditLogger.getRecentEntries(limit);
-
-  return res.status(200).json({
-    instanceId: process.env.INSTANCE_ID || require('os').hostname(),
-    totalRecorded: auditLogger.getTotalCount(),
-    returned: entries.length,
-    entries,
-  });
+ *   ?event=AUTH_FAILURE,REAUTH          — one or more event types
+ *   ?success=false                      — outcome
+ *   ?path=webhooks/                     — path prefix
+ *   ?instance=ID                        — a single replica
+ *   ?from=2026-01-01T00:00:00Z&to=...   — time window, inclusive
+ *   ?order=asc                          — oldest first (default newest first)
+ *   ?limit=100&cursor=<nextCursor>      — cursor pagination (max 1000 per page)
+ *   ?format=ndjson|csv                  — stream every matching entry instead
+ *                                         of a page (cursor/limit ignored)
+ *
+ * A page stops reading once it is full; counts over ALL matching entries come
+ * from GET /audit/summary.
+ */
+app.get('/audit', async (req, res) => {
+  const { filters, format, error } = parseAuditQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (format !== 'json') {
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+    res.status(200);
+    // Headers are sent with the first line, so a read error can only cut the download short
+    return pipeline(Readable.from(exportAudit(filters, format)), res).catch((err) => {
+      if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return; // The client went away
+      logger.error({ err: err.message }, 'Audit export failed');
+    });
+  }
+
+  try {
+    const page = await queryAudit(filters);
+    return res.status(200).json({
+      instanceId: process.env.INSTANCE_ID || require('os').hostname(),
+      returned: page.items.length,
+      nextCursor: page.nextCursor,
+      entries: page.items,
+    });
+  } catch (err) {
+    if (err.message === 'Invalid "cursor"') {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error({ err: err.message }, 'Audit query failed');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /audit/summary
+ * Counts per event type (success / failure) and per UTC hour, without the
+ * entries. Accepts the same filters as GET /audit.
+ */
+app.get('/audit/summary', async (req, res) => {
+  const { filters, error } = parseAuditQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    return res.status(200).json(await summariseAudit(filters));
+  } catch (err) {
+    logger.error({ err: err.message }, 'Audit summary failed');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /audit/payments
+ * Cross-merchant ledger query for finance and support (auditor role). Accepts
+ * the GET /payments params plus ?merchantId=m_acme.
+ */
+app.get('/audit/payments', (req, res) => {
+  const { filters, error } = parsePaymentQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  return sendPaymentPage(res, filters);
+});
+
+/**
+ * GET /audit/payments/:id
+ * Any merchant's transaction (auditor role).
+ */
+app.get('/audit/payments/:id', (req, res) => {
+  const txn = getTransaction(req.params.id);
+  if (!txn) {
+    return res.status(404).json({ error: `Transaction "${req.params.id}" not found` });
+  }
+  return res.status(200).json(txn);
 });
 
 // ── 404 handler ───────────────────────────────────────────────────────────────
@@ -120,60 +706,97 @@ app.use((req, res) => {
 
 // ── Error handler ─────────────────────────────────────────────────────────────
 app.use((err, req, res, _next) => {
+  // JSON.parse messages quote the start of the body, which may hold card data
+  if (err.type === 'entity.parse.failed') {
+    logger.warn({ method: req.method, path: req.path }, 'Rejected malformed JSON body');
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
   logger.error({ err: err.message, stack: err.stack }, 'Unhandled application error');
   res.status(500).json({ error: 'Internal server error' });
 });
 
 // ── Graceful shutdown ─────────────────────────────────────────────────────────
+// Drain first (drain.js): report not ready, wait the pre-stop delay, refuse new
+// payment operations, then wait for in-flight ones. Credentials stay loaded
+// until the drain ends, because in-flight payments still need them.
+// A second SIGINT (Ctrl-C twice) stops waiting and abandons what is still in
+// flight; a repeated SIGTERM (e.g. forwarded by a wrapper) is ignored.
 let server;
+let shuttingDown = false;
 
-function shutdown(signal) {
+async function shutdown(signal) {
+  if (shuttingDown) {
+    if (signal !== 'SIGINT') {
+      logger.info({ signal }, 'Shutdown already in progress');
+      return;
+    }
+    logger.warn({ signal }, 'Second interrupt — abandoning in-flight operations');
+    const abandoned = abandonInFlight();
+    process.exit(abandoned > 0 ? 1 : 0);
+  }
+  shuttingDown = true;
   logger.info({ signal }, 'Graceful shutdown initiated');
 
-  stopPeriodicRefresh();
+  const { abandoned } = await drain();
 
+  stopSecretProvider();
   if (server) {
-    server.close(() => {
-      logger.info('HTTP server closed');
-      process.exit(0);
-    });
-
-    // Force exit if server doesn't close within 10 seconds
-    setTimeout(() => {
-      logger.warn('Forcing process exit after timeout');
-      process.exit(1);
-    }, 10_000).unref();
-  } else {
-    process.exit(0);
+    server.close();
+    server.closeAllConnections();
   }
+  logger.info({ abandoned }, 'Shutdown complete');
+  process.exit(abandoned > 0 ? 1 : 0);
 }
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
 
+// SIGHUP reloads secrets (e.g. `docker kill -s HUP <container>` after a rotation)
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received — scheduling secret refresh');
+  requestRefresh('sighup').catch((err) => {
+    logger.error({ err: err.message }, 'SIGHUP secret refresh failed');
+  });
+});
+
 // ── Startup sequence ──────────────────────────────────────────────────────────
 async function start() {
   logger.info({ port: PORT, nodeEnv: process.env.NODE_ENV || 'production' }, 'Starting FlexPay payment service');
 
   try {
-    // Step 1: Authenticate to Vault via AppRole
-    // VAULT_ROLE_ID and VAULT_SECRET_ID are AppRole auth identifiers — NOT payment credentials
-    await initVaultClient();
+    // Open the hash-chained audit file first so every later event is persisted
+    auditLogger.initAuditLog();
+
+    // Step 0: Load the processor registry — fail fast on a malformed config
+    loadProcessorRegistry();
 
-    // Step 2: Retrieve all payment processor credentials from Vault at runtime
+    // Replay the transaction ledger so earlier payments remain queryable
+    initLedger();
+
+    // Card tokenization backend — fail fast on an unknown or disallowed CARD_TOKENIZER
+    initCardTokens();
+
+    // Step 1–2: Authenticate to the secret provider and retrieve all payment processor
+    // credentials at runtime (Vault via AppRole by default; see SECRET_PROVIDER).
     // Credentials are never in the image, environment, or compose file
-    await getSecrets();
+    await initSecretProvider();
 
     // Step 3: Log credential summary (counts only — values never logged)
     logCredentialsSummary();
+    auditLogger.applyHmacKey(getCachedSecrets());
+    credentialVersions.initCredentialVersions();
 
-    // Step 4: Start periodic background refresh (picks up rotated secrets without restart)
-    startPeriodicRefresh();
+    // Step 4: Start change detection (picks up rotated secrets without restart).
+    // The outgoing version stays available for the credential grace period
+    startWatching(() => {
+      credentialVersions.handleRotation();
+      auditLogger.applyHmacKey(getCachedSecrets());
+    });
 
     // Step 5: Begin accepting HTTP traffic
-    server = app.listen(PORT, '0.0.0.0', () => {
+    server = createServer(app).listen(PORT, '0.0.0.0', () => {
       logger.info(
-        { port: PORT, secretsLoaded: true },
+        { port: PORT, secretsLoaded: true, secretProvider: getProviderName() },
         'FlexPay payment service is ready to serve traffic'
       );
     });
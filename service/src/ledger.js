@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * ledger.js
+ *
+ * Append-only transaction ledger persisted as newline-delimited JSON.
+ *
+ * Every payment and state change is appended as one line carrying the full
+ * transaction snapshot after the change. The latest snapshot per transaction
+ * is indexed in memory and rebuilt by replaying the file on startup, so
+ * transactions can be looked up days later and across restarts.
+ *
+ * Replicas may share one ledger file on a volume: appends use O_APPEND and
+ * every read first tails lines written since the last read, so each replica
+ * sees the others' entries. There is no cross-replica locking — two replicas
+ * mutating the SAME transaction concurrently is last-writer-wins.
+ *
+ * The ledger never stores credential values or card data — only amounts,
+ * statuses, processor ids and timestamps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('ledger');
+
+const INSTANCE_ID = process.env.INSTANCE_ID || require('os').hostname();
+const DEFAULT_LEDGER_FILE = 'data/ledger.ndjson';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Ledger entry types.
+ */
+const LEDGER_EVENT = {
+  PAYMENT_CREATED:      'PAYMENT_CREATED',
+  PAYMENT_CAPTURED:     'PAYMENT_CAPTURED',
+  PAYMENT_VOIDED:       'PAYMENT_VOIDED',
+  PAYMENT_REFUNDED:     'PAYMENT_REFUNDED',
+  REFUND_UPDATED:       'REFUND_UPDATED',
+  PAYMENT_CHARGED_BACK: 'PAYMENT_CHARGED_BACK',
+  PAYMENT_SETTLED:      'PAYMENT_SETTLED',
+};
+
+// Internal state
+let _file = null;
+let _offset = 0;        // Bytes of the file already applied to the index
+let _partial = '';      // Trailing bytes of an incomplete line
+let _entryCount = 0;
+let _localSeq = 0;
+const _latest = new Map(); // transactionId → latest snapshot
+
+function ensureInitialised() {
+  if (!_file) initLedger();
+}
+
+/**
+ * Open (creating if needed) the ledger file and replay it into the index.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - Defaults to LEDGER_FILE or data/ledger.ndjson
+ */
+function initLedger({ file = process.env.LEDGER_FILE || DEFAULT_LEDGER_FILE } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, '', { mode: 0o600 });
+  }
+
+  _file = file;
+  _offset = 0;
+  _partial = '';
+  _entryCount = 0;
+  _latest.clear();
+
+  sync();
+
+  logger.info({ file, entries: _entryCount, transactions: _latest.size }, 'Ledger loaded');
+}
+
+/**
+ * Apply any lines appended to the file since the last read.
+ */
+function sync() {
+  const size = fs.statSync(_file).size;
+  if (size <= _offset) return;
+
+  const fd = fs.openSync(_file, 'r');
+  try {
+    const buffer = Buffer.alloc(size - _offset);
+    fs.readSync(fd, buffer, 0, buffer.length, _offset);
+    _offset = size;
+
+    const lines = (_partial + buffer.toString('utf8')).split('\n');
+    _partial = lines.pop(); // incomplete last line (normally '')
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        _latest.set(entry.transactionId, entry.transaction);
+        _entryCount++;
+      } catch (err) {
+        logger.error({ err: err.message }, 'Skipping corrupt ledger line');
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append one entry for a transaction change.
+ *
+ * @param {string} type        - One of LEDGER_EVENT.*
+ * @param {object} transaction - Full transaction snapshot after the change
+ * @returns {object} The written entry
+ */
+function appendEntry(type, transaction) {
+  ensureInitialised();
+
+  const entry = {
+    entryId: `${INSTANCE_ID}-${Date.now()}-${++_localSeq}`,
+    type,
+    transactionId: transaction.id,
+    at: new Date().toISOString(),
+    instanceId: INSTANCE_ID,
+    transaction,
+  };
+
+  fs.appendFileSync(_file, JSON.stringify(entry) + '\n');
+  sync();
+  return entry;
+}
+
+/**
+ * Latest snapshot of a transaction (copy), or null.
+ * @param {string} id
+ */
+function getLatest(id) {
+  ensureInitialised();
+  sync();
+  const txn = _latest.get(id);
+  return txn ? JSON.parse(JSON.stringify(txn)) : null;
+}
+
+/**
+ * Latest snapshot (copy) of the transaction a processor knows by `processorReference`,
+ * or null. Used to match inbound webhooks to our transactions.
+ *
+ * @param {string} processor          - Processor id
+ * @param {string} processorReference - Processor's id for the payment
+ */
+function findByProcessorReference(processor, processorReference) {
+  ensureInitialised();
+  sync();
+  for (const txn of _latest.values()) {
+    if (txn.processor === processor && txn.processorReference === processorReference) {
+      return JSON.parse(JSON.stringify(txn));
+    }
+  }
+  return null;
+}
+
+function encodeCursor(txn) {
+  return Buffer.from(JSON.stringify([txn.createdAt, txn.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || typeof id !== 'string') throw new Error('bad cursor');
+    return { createdAt, id };
+  } catch {
+    throw new Error('Invalid "cursor"');
+  }
+}
+
+// Newest first; id breaks ties so the order is total and cursors are stable
+function compareNewestFirst(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+function matchesFilters(txn, f) {
+  const amount = txn.requestedAmount ?? txn.authorizedAmount;
+  if (f.processor && txn.processor !== f.processor) return false;
+  if (f.merchantId && txn.merchantId !== f.merchantId) return false;
+  if (f.status && txn.status !== f.status) return false;
+  if (f.currency && txn.currency !== f.currency) return false;
+  if (f.minAmount !== undefined && amount < f.minAmount) return false;
+  if (f.maxAmount !== undefined && amount > f.maxAmount) return false;
+  if (f.from && txn.createdAt < f.from) return false;
+  if (f.to && txn.createdAt > f.to) return false;
+  return true;
+}
+
+/**
+ * Per processor+currency totals over a set of transactions.
+ */
+function summarise(txns) {
+  const groups = new Map();
+  for (const txn of txns) {
+    const key = `${txn.processor}:${txn.currency}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        processor: txn.processor,
+        currency: txn.currency,
+        count: 0,
+        authorizedAmount: 0,
+        capturedAmount: 0,
+        refundedAmount: 0,
+        netAmount: 0,
+      });
+    }
+    const g = groups.get(key);
+    g.count++;
+    g.authorizedAmount += txn.authorizedAmount;
+    g.capturedAmount += txn.capturedAmount;
+    g.refundedAmount += txn.refundedAmount;
+    g.netAmount = g.capturedAmount - g.refundedAmount;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Query the latest state of transactions.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.processor]
+ * @param {string} [filters.merchantId]
+ * @param {string} [filters.status]
+ * @param {string} [filters.currency]
+ * @param {number} [filters.minAmount] - Inclusive, on the requested amount (cents)
+ * @param {number} [filters.maxAmount] - Inclusive
+ * @param {string} [filters.from]      - ISO timestamp, inclusive, on createdAt
+ * @param {string} [filters.to]        - ISO timestamp, inclusive
+ * @param {string} [filters.cursor]    - nextCursor from a previous page
+ * @param {number} [filters.limit]     - Page size (default 50, max 500)
+ * @returns {{ items: Array<object>, nextCursor: string|null, totalMatched: number, totals: Array<object> }}
+ */
+function queryTransactions(filters = {}) {
+  ensureInitialised();
+  sync();
+
+  const limit = Math.min(Math.max(1, filters.limit || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const matched = [..._latest.values()].filter((t) => matchesFilters(t, filters)).sort(compareNewestFirst);
+
+  let start = 0;
+  if (filters.cursor) {
+    const after = decodeCursor(filters.cursor);
+    start = matched.findIndex((t) => compareNewestFirst(t, after) > 0);
+    if (start === -1) start = matched.length;
+  }
+
+  const items = matched.slice(start, start + limit);
+  const hasMore = start + limit < matched.length;
+
+  return {
+    items: JSON.parse(JSON.stringify(items)),
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    totalMatched: matched.length,
+    totals: summarise(matched),
+  };
+}
+
+module.exports = {
+  LEDGER_EVENT,
+  initLedger,
+  appendEntry,
+  getLatest,
+  findByProcessorReference,
+  queryTransactions,
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * logger.js
+ *
+ * Shared pino logger factory — every module logs through createLogger(name).
+ *
+ *   - `redact` paths censor fields that must never be logged whatever their
+ *     value: credentials, Vault auth material, card number / CVC, auth headers
+ *   - every serialized line then passes the runtime scrubber (redaction.js),
+ *     which masks cached secret values and card numbers anywhere in the line,
+ *     including error messages and stack traces
+ *   - lines written while handling a request carry its requestId, traceId and
+ *     active spanId (request-context.js)
+ *
+ * Level from LOG_LEVEL (default info).
+ */
+
+const pino = require('pino');
+const { scrubLogLine } = require('./redaction');
+const { getContext } = require('./request-context');
+
+const REDACT_PATHS = [
+  'credentials', '*.credentials',
+  'secrets', '*.secrets',
+  'password', '*.password',
+  'secret_id', '*.secret_id',
+  'client_token', '*.client_token',
+  'card.number', 'card.cvc', '*.card.number', '*.card.cvc',
+  'headers.authorization', 'headers["x-api-key"]', 'headers["x-flexpay-signature"]',
+  '*.headers.authorization', '*.headers["x-api-key"]', '*.headers["x-flexpay-signature"]',
+];
+
+/**
+ * @param {string} name - Module name (the `name` field of every line)
+ * @returns {import('pino').Logger}
+ */
+function createLogger(name) {
+  return pino(
+    {
+      name,
+      level: process.env.LOG_LEVEL || 'info',
+      redact: { paths: REDACT_PATHS, censor: '[REDACTED]' },
+      mixin() {
+        const ctx = getContext();
+        return ctx ? { requestId: ctx.requestId, traceId: ctx.traceId, spanId: ctx.spanId } : {};
+      },
+    },
+    { write: (line) => process.stdout.write(scrubLogLine(line, name)) }
+  );
+}
+
+module.exports = { createLogger, REDACT_PATHS };
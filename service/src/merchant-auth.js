@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * merchant-auth.js
+ *
+ * Merchant authentication and rate limiting for the payment routes
+ * (POST /pay and the capture / void / refund operations).
+ *
+ * Requests pass through, in order:
+ *   1. limitByIp            — token bucket per client IP. Runs before
+ *                             authentication so it also slows key guessing.
+ *   2. authenticateMerchant — `X-API-Key` resolved to a merchant through
+ *                             MERCHANT_API_KEYS in the secret store (hashes
+ *                             only, see api-keys.js).
+ *   3. limitByMerchant      — token bucket per merchant id.
+ *
+ * MERCHANT_API_KEYS entries:
+ *   { "id": "m_acme", "sha256": "<hex>",
+ *     "processors": ["A", "B"],           optional — default: every enabled processor
+ *     "currencies": ["USD", "EUR"],       optional — default: every supported currency
+ *     "rateLimit": { "capacity": 50, "refillPerSecond": 20 } }   optional
+ *
+ * 401 for a missing or unknown key, 503 before secrets load, 429 +
+ * Retry-After when a bucket is empty. The resolved merchant is attached as
+ * `req.merchant`.
+ */
+
+const { createLogger } = require('./logger');
+const { getCachedSecrets } = require('./secret-provider');
+const { parseHashedKeys, findByKey } = require('./api-keys');
+const { createRateLimiter } = require('./rate-limiter');
+
+const logger = createLogger('merchant-auth');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+const merchantLimiter = createRateLimiter({
+  capacity: parseInt(process.env.MERCHANT_RATE_LIMIT_CAPACITY || '20', 10),
+  refillPerSecond: parseFloat(process.env.MERCHANT_RATE_LIMIT_PER_SECOND || '10'),
+});
+
+const ipLimiter = createRateLimiter({
+  capacity: parseInt(process.env.IP_RATE_LIMIT_CAPACITY || '40', 10),
+  refillPerSecond: parseFloat(process.env.IP_RATE_LIMIT_PER_SECOND || '20'),
+});
+
+// Internal state — parsed MERCHANT_API_KEYS, re-parsed when the secret changes
+let _keysSource = null;
+let _merchants = [];
+
+function optionalList(entry, field) {
+  if (entry[field] === undefined) return null;
+  if (!Array.isArray(entry[field]) || entry[field].some((v) => typeof v !== 'string' || !v)) {
+    throw new Error(`entry "${entry.id}": "${field}" must be an array of strings`);
+  }
+  return entry[field];
+}
+
+function describeMerchant(entry) {
+  const rateLimit = entry.rateLimit || {};
+  for (const field of ['capacity', 'refillPerSecond']) {
+    if (rateLimit[field] !== undefined && !(typeof rateLimit[field] === 'number' && rateLimit[field] > 0)) {
+      throw new Error(`entry "${entry.id}": "rateLimit.${field}" must be a positive number`);
+    }
+  }
+  const currencies = optionalList(entry, 'currencies');
+  return {
+    processors: optionalList(entry, 'processors'),
+    currencies: currencies && currencies.map((c) => c.toUpperCase()),
+    rateLimit: { capacity: rateLimit.capacity, refillPerSecond: rateLimit.refillPerSecond },
+  };
+}
+
+/**
+ * Current merchants from the secret cache, or null before secrets load.
+ * A malformed MERCHANT_API_KEYS disables every key (fail closed).
+ */
+function getMerchants() {
+  const secrets = getCachedSecrets();
+  if (!secrets) return null;
+
+  const raw = secrets.MERCHANT_API_KEYS || '[]';
+  if (raw !== _keysSource) {
+    try {
+      _merchants = parseHashedKeys(raw, describeMerchant);
+      logger.info({ merchantCount: _merchants.length }, 'Merchant API keys loaded');
+    } catch (err) {
+      _merchants = [];
+      logger.error({ err: err.message }, 'MERCHANT_API_KEYS is invalid — all merchant API keys are disabled');
+    }
+    _keysSource = raw;
+  }
+  return _merchants;
+}
+
+function tooManyRequests(res, scope, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error: 'Too many requests', reason: 'rate_limited', scope, retryAfterSeconds });
+}
+
+/**
+ * Express middleware: token bucket per client IP.
+ */
+function limitByIp(req, res, next) {
+  const result = ipLimiter.take(req.ip);
+  if (!result.allowed) {
+    logger.warn({ ip: req.ip, path: req.path, retryAfterSeconds: result.retryAfterSeconds }, 'Rate limit exceeded (IP)');
+    return tooManyRequests(res, 'ip', result.retryAfterSeconds);
+  }
+  return next();
+}
+
+/**
+ * Express middleware: resolve `X-API-Key` to `req.merchant`.
+ */
+function authenticateMerchant(req, res, next) {
+  const presented = req.get(API_KEY_HEADER);
+  if (!presented) {
+    return res.status(401).json({ error: 'Unauthorized', reason: 'missing_credentials' });
+  }
+
+  const merchants = getMerchants();
+  if (!merchants) {
+    return res.status(503).json({ error: 'Service unavailable', reason: 'auth_unavailable' });
+  }
+
+  const merchant = findByKey(merchants, presented);
+  if (!merchant) {
+    logger.warn({ ip: req.ip, path: req.path }, 'Rejected request with an unknown merchant API key');
+    return res.status(401).json({ error: 'Unauthorized', reason: 'invalid_credentials' });
+  }
+
+  req.merchant = merchant;
+  return next();
+}
+
+/**
+ * Express middleware: token bucket per merchant (after authenticateMerchant).
+ */
+function limitByMerchant(req, res, next) {
+  const result = merchantLimiter.take(req.merchant.id, req.merchant.rateLimit);
+  if (!result.allowed) {
+    logger.warn(
+      { merchantId: req.merchant.id, path: req.path, retryAfterSeconds: result.retryAfterSeconds },
+      'Rate limit exceeded (merchant)'
+    );
+    return tooManyRequests(res, 'merchant', result.retryAfterSeconds);
+  }
+  return next();
+}
+
+/**
+ * Whether the merchant may use a processor (explicitly or through routing).
+ * @param {object} merchant
+ * @param {string} processorId
+ */
+function isProcessorAllowed(merchant, processorId) {
+  return !merchant.processors || merchant.processors.includes(processorId);
+}
+
+/**
+ * @param {object} merchant
+ * @param {string} currency - Upper-case ISO 4217 code
+ */
+function isCurrencyAllowed(merchant, currency) {
+  return !merchant.currencies || merchant.currencies.includes(currency);
+}
+
+/** Middleware chain for merchant-facing routes. */
+const merchantGuard = [limitByIp, authenticateMerchant, limitByMerchant];
+
+module.exports = {
+  merchantGuard,
+  isProcessorAllowed,
+  isCurrencyAllowed,
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * metrics.js
+ *
+ * Minimal in-process metrics registry rendered in the Prometheus text
+ * exposition format (version 0.0.4) by GET /metrics. No push gateway or
+ * client library — Prometheus scrapes each replica directly.
+ *
+ * Instruments are registered by the module that owns the data:
+ *   - counter(name, help, labelNames)                 → { inc(labels, by) }
+ *   - histogram(name, help, labelNames, buckets)      → { observe(labels, value) }
+ *   - gauge(name, help, labelNames, collect)          — `collect()` is called at
+ *     scrape time and returns a number, null (no sample) or
+ *     [{ labels, value }], so gauges never go stale between scrapes.
+ *
+ * Label values must stay low-cardinality (processor ids, outcomes, event
+ * types) — never transaction ids, and never anything derived from a secret.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Latency buckets in seconds, from a local mock call up to a slow acquirer. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Internal state — name → metric, in registration order
+const _metrics = new Map();
+
+function register(metric) {
+  if (_metrics.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  _metrics.set(metric.name, metric);
+  return metric;
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name]))));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((name, i) => [name, values[i]]).concat(extra);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Monotonic counter.
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels, by = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + by);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * Cumulative histogram (`_bucket`, `_sum`, `_count`).
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - Upper bounds, ascending (+Inf is implicit)
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((bound, i) => { if (value <= bound) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', formatValue(bound)]])} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', '+Inf']])} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Gauge sampled at scrape time.
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {Function} collect - () => number | null | Array<{ labels, value }>
+ */
+function gauge(name, help, labelNames, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    render() {
+      let samples = collect();
+      if (samples === null || samples === undefined) return [];
+      if (!Array.isArray(samples)) samples = [{ labels: {}, value: samples }];
+      return samples.map(({ labels, value }) =>
+        `${name}${formatLabels(labelNames, JSON.parse(labelKey(labelNames, labels)))} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * Seconds elapsed since a process.hrtime.bigint() start mark.
+ * @param {bigint} start
+ */
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Render every registered metric. A failing gauge collector is reported as a
+ * comment instead of breaking the whole scrape.
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of _metrics.values()) {
+    let samples;
+    try {
+      samples = metric.render();
+    } catch (err) {
+      lines.push(`# collect error for ${metric.name}: ${err.message.replace(/\n/g, ' ')}`);
+      continue;
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...samples);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Express handler for GET /metrics.
+ */
+function metricsHandler(req, res) {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  secondsSince,
+  renderMetrics,
+  metricsHandler,
+};
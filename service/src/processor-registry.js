@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * processor-registry.js
+ *
+ * Config-driven registry of payment processors. Onboarding a new acquirer is a
+ * config change (config/processors.json, or PROCESSOR_REGISTRY_FILE) instead of
+ * code edits in routing, validation and health checks.
+ *
+ * Each entry declares:
+ *   - id            — value clients send as `processor` on POST /pay
+ *   - displayName   — human-readable name used in logs and responses
+ *   - adapter       — outbound API style: "stripe", "adyen" or "hmac" (see adapters/)
+ *   - baseUrl       — processor API base URL (override: PROCESSOR_<ID>_BASE_URL);
+ *                     omitted when the endpoint itself is a credential (Processor C)
+ *   - timeoutMs     — per-request timeout for outbound calls (default 5000)
+ *   - weight        — relative share of `processor: "auto"` traffic (default 1;
+ *                     0 = only used as a failover target)
+ *   - requiredKeys  — credential keys that must be present in the secret cache
+ *   - vaultPath     — KV v2 path holding those keys (default
+ *                     secret/data/flexpay/processors); a processor may keep
+ *                     its own secret below that path. Only the Vault provider
+ *                     reads it — file and mock sources hold every key
+ *   - webhookSecretKey — key of the webhook signing secret, stored alongside
+ *                     the credentials (optional; enables POST /webhooks/:id)
+ *   - secretRules   — optional per-key format rules checked on every secret
+ *                     fetch (see secret-validation.js):
+ *                       { "<KEY>": { "prefix": ["pk_live_"], "minLength": 16,
+ *                                    "pattern": "^[A-Z0-9_]+$", "url": "https" } }
+ *   - currencies    — ISO 4217 codes the processor accepts
+ *   - enabled       — disabled processors are rejected and excluded from health
+ *
+ * The registry contains NO credential values — only key names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { SECRETS_PATH } = require('./vault-client');
+const { getAdapter, ADAPTER_NAMES } = require('./adapters');
+
+const logger = createLogger('processor-registry');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'processors.json');
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_WEIGHT = 1;
+const SECRET_RULE_NAMES = ['prefix', 'minLength', 'pattern', 'url'];
+// The payment-service policy grants read on SECRETS_PATH and everything below it
+const VAULT_SUBPATH = /^(\/[A-Za-z0-9_-]+)+$/;
+
+// Internal state — Map preserves declaration order for health output
+let _processors = null;
+
+/**
+ * Validate and normalise an entry's secretRules. Rules may only name the
+ * entry's own credential or webhook keys.
+ * @returns {object} key → { prefix?: string[], minLength?: number, pattern?: RegExp, url?: 'https' }
+ */
+function normaliseSecretRules(entry, where) {
+  if (entry.secretRules === undefined) return {};
+  if (!entry.secretRules || typeof entry.secretRules !== 'object' || Array.isArray(entry.secretRules)) {
+    throw new Error(`${where}: "secretRules" must be an object of key → rules`);
+  }
+
+  const ownKeys = [...entry.requiredKeys, entry.webhookSecretKey].filter(Boolean);
+  const rules = {};
+  for (const [key, rule] of Object.entries(entry.secretRules)) {
+    const at = `${where}: secretRules.${key}`;
+    if (!ownKeys.includes(key)) {
+      throw new Error(`${at}: not one of this processor's keys (${ownKeys.join(', ')})`);
+    }
+    const unknown = Object.keys(rule || {}).filter((name) => !SECRET_RULE_NAMES.includes(name));
+    if (!rule || typeof rule !== 'object' || unknown.length > 0) {
+      throw new Error(`${at}: rules must be an object using only ${SECRET_RULE_NAMES.join(', ')}`);
+    }
+
+    const normalised = {};
+    if (rule.prefix !== undefined) {
+      const prefixes = Array.isArray(rule.prefix) ? rule.prefix : [rule.prefix];
+      if (prefixes.length === 0 || prefixes.some((p) => typeof p !== 'string' || !p)) {
+        throw new Error(`${at}: "prefix" must be a non-empty string or array of strings`);
+      }
+      normalised.prefix = prefixes;
+    }
+    if (rule.minLength !== undefined) {
+      if (!Number.isInteger(rule.minLength) || rule.minLength < 1) {
+        throw new Error(`${at}: "minLength" must be a positive integer`);
+      }
+      normalised.minLength = rule.minLength;
+    }
+    if (rule.pattern !== undefined) {
+      try {
+        normalised.pattern = new RegExp(rule.pattern);
+      } catch (err) {
+        throw new Error(`${at}: "pattern" is not a valid regular expression (${err.message})`);
+      }
+    }
+    if (rule.url !== undefined) {
+      if (rule.url !== 'https') throw new Error(`${at}: "url" must be "https"`);
+      normalised.url = rule.url;
+    }
+    rules[key] = normalised;
+  }
+  return rules;
+}
+
+/**
+ * Validate one registry entry and normalise it.
+ * @param {object} entry
+ * @param {number} index
+ * @returns {object}
+ */
+function normaliseEntry(entry, index) {
+  const where = `processor registry entry #${index}`;
+
+  if (!entry || typeof entry.id !== 'string' || !entry.id) {
+    throw new Error(`${where}: "id" must be a non-empty string`);
+  }
+  if (!Array.isArray(entry.requiredKeys) || entry.requiredKeys.length === 0) {
+    throw new Error(`${where} (${entry.id}): "requiredKeys" must be a non-empty array`);
+  }
+  if (!Array.isArray(entry.currencies) || entry.currencies.length === 0) {
+    throw new Error(`${where} (${entry.id}): "currencies" must be a non-empty array`);
+  }
+
+  if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0)) {
+    throw new Error(`${where} (${entry.id}): "weight" must be a non-negative number`);
+  }
+
+  if (entry.webhookSecretKey !== undefined && (typeof entry.webhookSecretKey !== 'string' || !entry.webhookSecretKey)) {
+    throw new Error(`${where} (${entry.id}): "webhookSecretKey" must be a non-empty string`);
+  }
+
+  if (!getAdapter(entry.adapter)) {
+    throw new Error(`${where} (${entry.id}): "adapter" must be one of: ${ADAPTER_NAMES.join(', ')}`);
+  }
+
+  const vaultPath = entry.vaultPath === undefined ? SECRETS_PATH : entry.vaultPath;
+  if (typeof vaultPath !== 'string' ||
+      (vaultPath !== SECRETS_PATH && !(vaultPath.startsWith(SECRETS_PATH) && VAULT_SUBPATH.test(vaultPath.slice(SECRETS_PATH.length))))) {
+    throw new Error(
+      `${where} (${entry.id}): "vaultPath" must be ${SECRETS_PATH} or a path below it ` +
+      '(the only paths the payment-service policy can read)'
+    );
+  }
+
+  return {
+    id: entry.id,
+    displayName: entry.displayName || entry.id,
+    adapter: entry.adapter,
+    baseUrl: process.env[`PROCESSOR_${entry.id}_BASE_URL`] || entry.baseUrl || null,
+    timeoutMs: entry.timeoutMs || DEFAULT_TIMEOUT_MS,
+    weight: entry.weight === undefined ? DEFAULT_WEIGHT : entry.weight,
+    requiredKeys: [...entry.requiredKeys],
+    vaultPath,
+    webhookSecretKey: entry.webhookSecretKey || null,
+    secretRules: normaliseSecretRules(entry, `${where} (${entry.id})`),
+    currencies: entry.currencies.map((c) => String(c).toUpperCase()),
+    enabled: entry.enabled !== false,
+  };
+}
+
+/**
+ * Load (or reload) the registry from a JSON file.
+ *
+ * @param {string} [file] - Defaults to PROCESSOR_REGISTRY_FILE or config/processors.json
+ * @returns {Array<object>} The loaded processor definitions
+ */
+function loadProcessorRegistry(file = process.env.PROCESSOR_REGISTRY_FILE || DEFAULT_REGISTRY_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(raw) ? raw : raw.processors;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Processor registry ${file} must declare at least one processor`);
+  }
+
+  const processors = new Map();
+  entries.forEach((entry, index) => {
+    const def = normaliseEntry(entry, index);
+    if (processors.has(def.id)) {
+      throw new Error(`Processor registry ${file}: duplicate id "${def.id}"`);
+    }
+    processors.set(def.id, def);
+  });
+
+  _processors = processors;
+
+  logger.info(
+    {
+      file,
+      processorCount: processors.size,
+      enabled: [...processors.values()].filter((p) => p.enabled).map((p) => p.id),
+    },
+    `Loaded ${processors.size} processors from registry`
+  );
+
+  return [...processors.values()];
+}
+
+function registry() {
+  if (!_processors) loadProcessorRegistry();
+  return _processors;
+}
+
+/**
+ * Look up a processor definition by id (enabled or not).
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getProcessor(id) {
+  return registry().get(id) || null;
+}
+
+/**
+ * All processor definitions, in declaration order.
+ * @param {{ enabledOnly?: boolean }} [options]
+ * @returns {Array<object>}
+ */
+function listProcessors({ enabledOnly = false } = {}) {
+  const all = [...registry().values()];
+  return enabledOnly ? all.filter((p) => p.enabled) : all;
+}
+
+/**
+ * Ids of enabled processors — the values accepted for `processor` on POST /pay.
+ * @returns {Array<string>}
+ */
+function getEnabledProcessorIds() {
+  return listProcessors({ enabledOnly: true }).map((p) => p.id);
+}
+
+/**
+ * Whether a processor accepts the given currency.
+ * @param {string} id
+ * @param {string} currency
+ * @returns {boolean}
+ */
+function supportsCurrency(id, currency) {
+  const def = getProcessor(id);
+  return !!def && def.currencies.includes(String(currency).toUpperCase());
+}
+
+module.exports = {
+  loadProcessorRegistry,
+  getProcessor,
+  listProcessors,
+  getEnabledProcessorIds,
+  supportsCurrency,
+};
@@ -1,111 +1,320 @@
 'use strict';
 
-const pino = require('pino');
-const { getCachedSecrets } = require('./vault-client');
-
-const logger = pino({ name: 'processors', level: process.env.LOG_LEVEL || 'info' });
-
-/**
- * Processor schema — defines which Vault secret keys belong to each processor.
- * Values are never hard-coded here; they are fetched from Vault at runtime.
- */
-const PROCESSOR_SCHEMA = {
-  A: {
-    name: 'ProcessorA (Stripe-like)',
-    requiredKeys: ['PROCESSOR_A_API_KEY', 'PROCESSOR_A_SECRET'],
-  },
-  B: {
-    name: 'ProcessorB (Adyen-like)',
-    requiredKeys: ['PROCESSOR_B_MERCHANT_ID', 'PROCESSOR_B_API_KEY'],
-  },
-  C: {
-    name: 'ProcessorC (Regional acquirer)',
-    requiredKeys: ['PROCESSOR_C_ENDPOINT', 'PROCESSOR_C_TOKEN'],
-  },
+const { createLogger } = require('./logger');
+const { getCachedSecrets } = require('./secret-provider');
+const { getProcessor, listProcessors, getEnabledProcessorIds } = require('./processor-registry');
+const transactions = require('./transactions');
+const { getAdapter } = require('./adapters');
+const { DECLINE_CODE } = require('./adapters/result');
+const circuitBreaker = require('./circuit-breaker');
+const { rankProcessors } = require('./router');
+const credentialVersions = require('./credential-versions');
+const { withSpan, correlation } = require('./request-context');
+const { trackInFlight } = require('./drain');
+
+const logger = createLogger('processors');
+
+/** `processor` value that asks the service to choose (and fail over). */
+const ROUTE_AUTO = 'auto';
+
+const ROUTING_MAX_ATTEMPTS = parseInt(process.env.ROUTING_MAX_ATTEMPTS || '3', 10);
+
+const ROUTING_REASON = {
+  CIRCUIT_OPEN: 'circuit_open',
+  NO_PROCESSOR_AVAILABLE: 'no_processor_available',
 };
 
+// Declines worth retrying on another acquirer: the first one explicitly refused
+// the payment, or never received the request. Anything the first acquirer may
+// still have authorized is excluded — retrying it risks a double charge.
+const RETRYABLE_DECLINES = new Set([
+  DECLINE_CODE.DO_NOT_HONOR,
+  DECLINE_CODE.CONNECTION_FAILED,
+  DECLINE_CODE.AUTHENTICATION_FAILED,
+]);
+
+// Outcomes that say nothing about whether the credentials were accepted
+const NO_AUTH_SIGNAL = new Set([
+  DECLINE_CODE.PROCESSOR_ERROR,
+  DECLINE_CODE.TIMEOUT,
+  DECLINE_CODE.NETWORK_ERROR,
+  DECLINE_CODE.CONNECTION_FAILED,
+]);
+
 /**
- * Retrieve credentials for a specific processor from the in-memory secret cache.
+ * Whether the acquirer may have authorized despite the failure: a timeout, a
+ * connection lost after sending, or an HTTP 5xx with no readable answer.
+ * @param {object} outcome - Adapter result
+ */
+function isOutcomeUnknown(outcome) {
+  if (outcome.approved) return false;
+  if (outcome.declineCode === DECLINE_CODE.TIMEOUT || outcome.declineCode === DECLINE_CODE.NETWORK_ERROR) return true;
+  return outcome.declineCode === DECLINE_CODE.PROCESSOR_ERROR && outcome.httpStatus >= 500;
+}
+
+/**
+ * Resolve a processor's credentials and the secret version they came from —
+ * the current version, or the previous one while the processor is rolled
+ * back (see credential-versions.js).
  * Throws if secrets have not been loaded or a required key is missing.
  * NEVER logs credential values.
+ *
+ * @returns {{ version: number|null, credentials: object, rolledBack: boolean }}
  */
-function getProcessorCredentials(processorName) {
-  const schema = PROCESSOR_SCHEMA[processorName];
-  if (!schema) {
-    throw new Error(`Unknown processor: "${processorName}". Valid processors: A, B, C`);
+function resolveCredentials(processorName) {
+  const schema = getProcessor(processorName);
+  if (!schema || !schema.enabled) {
+    throw new Error(
+      `Unknown processor: "${processorName}". Valid processors: ${getEnabledProcessorIds().join(', ')}`
+    );
   }
 
-  const secrets = getCachedSecrets();
+  const { version, secrets, rolledBack } = credentialVersions.activeSecrets(processorName);
   if (!secrets) {
-    throw new Error('Secrets not yet loaded from Vault. Service is not ready.');
+    throw new Error('Secrets not yet loaded. Service is not ready.');
   }
 
   const credentials = {};
   for (const key of schema.requiredKeys) {
     if (!secrets[key]) {
-      throw new Error(`Required credential "${key}" is missing from Vault secrets.`);
+      throw new Error(`Required credential "${key}" is missing from loaded secrets.`);
     }
     credentials[key] = secrets[key];
   }
 
-  return credentials;
+  return { version, credentials, rolledBack };
 }
 
 /**
- * Simulate a payment against a specific processor.
- * Uses live credentials fetched from Vault (proves secrets are available at runtime).
+ * Retrieve credentials for a specific processor from the in-memory secret cache.
+ * Throws if secrets have not been loaded or a required key is missing.
+ * NEVER logs credential values.
+ */
+function getProcessorCredentials(processorName) {
+  return resolveCredentials(processorName).credentials;
+}
+
+/**
+ * Build the adapter call context for a processor. Credentials stay in memory
+ * and are handed only to the adapter that signs the outbound request.
+ */
+function adapterContext(schema, credentials, idempotencyKey) {
+  return {
+    processorId: schema.id,
+    credentials,
+    baseUrl: schema.baseUrl,
+    timeoutMs: schema.timeoutMs,
+    idempotencyKey,
+  };
+}
+
+/**
+ * Call a processor adapter and feed the outcome and latency to its breaker.
+ * Timed as a `processor.<id>.<operation>` span (approved or the decline code).
+ */
+async function callAdapter(schema, operation, ctx, params) {
+  const started = Date.now();
+  let outcome;
+  try {
+    outcome = await withSpan(
+      `processor.${schema.id}.${operation}`,
+      () => getAdapter(schema.adapter)[operation](ctx, params),
+      (result) => (result.approved ? 'approved' : result.declineCode)
+    );
+  } finally {
+    // An adapter that throws never reaches recordOutcome — don't leave a half-open probe reserved
+    if (!outcome) circuitBreaker.release(schema.id);
+  }
+  circuitBreaker.recordOutcome(schema.id, outcome, Date.now() - started);
+  return outcome;
+}
+
+/**
+ * Call a processor adapter with resolved credentials. An auth failure during
+ * a rotation's grace period is retried once with the previous version's
+ * credentials; every authenticated or rejected call feeds the bad-version
+ * detection in credential-versions.js.
  *
- * @param {string} processorName - "A", "B", or "C"
+ * @param {object} schema
+ * @param {string} operation
+ * @param {{ version: number|null, credentials: object }} resolved - From resolveCredentials()
+ * @param {string} idempotencyKey
+ * @param {object} params
+ */
+async function callWithCredentials(schema, operation, resolved, idempotencyKey, params) {
+  const outcome = await callAdapter(schema, operation, adapterContext(schema, resolved.credentials, idempotencyKey), params);
+  const rejected = outcome.declineCode === DECLINE_CODE.AUTHENTICATION_FAILED;
+  if (!rejected && NO_AUTH_SIGNAL.has(outcome.declineCode)) return outcome;
+
+  credentialVersions.recordAuthResult(schema.id, resolved.version, !rejected);
+  if (!rejected || resolved.rolledBack) return outcome;
+
+  const fallback = credentialVersions.fallbackCredentials(schema.id, schema.requiredKeys);
+  if (!fallback) return outcome;
+
+  logger.warn(
+    { processor: schema.id, operation, rejectedVersion: resolved.version, fallbackVersion: fallback.version },
+    'Processor rejected rotated credentials — retrying with the previous version'
+  );
+  const retried = await callAdapter(schema, operation, adapterContext(schema, fallback.credentials, idempotencyKey), params);
+  credentialVersions.recordFallback(schema.id, retried.declineCode !== DECLINE_CODE.AUTHENTICATION_FAILED);
+  return retried;
+}
+
+/**
+ * Authorize (and by default capture) a payment with a specific processor.
+ * Uses live credentials fetched from Vault to sign the outbound request via
+ * the processor's adapter (see adapters/).
+ *
+ * Pass `ROUTE_AUTO` ("auto") as the processor to let the router pick one
+ * and fail over on soft declines (see routePayment).
+ *
+ * @param {string} processorName - Processor id from the registry (e.g. "A") or "auto"
  * @param {number} amount        - Payment amount in cents
  * @param {string} [currency]    - ISO 4217 currency code (default: "USD")
- * @returns {object} Mock payment result
+ * @param {object} [options]
+ * @param {boolean} [options.capture=true] - false = authorize only (capture later)
+ * @param {string} [options.merchantId]   - Merchant the payment is made for (recorded on the transaction)
+ * @param {Function} [options.allowProcessor] - (id) => boolean — processors "auto" may route to
+ * @param {object} [options.card]        - Card summary (cardToken, brand, last4, expiry) recorded on the transaction
+ * @param {object} [options.cardDetails] - Card number, expiry, CVC, holder — sent to the acquirer only
+ * @returns {object} Payment result (declines carry a common `declineCode`; results
+ *          from a request carry its `requestId` and `traceId`)
  */
-async function processPayment(processorName, amount, currency = 'USD') {
-  const schema = PROCESSOR_SCHEMA[processorName];
-  if (!schema) {
+async function processPayment(processorName, amount, currency = 'USD', options = {}) {
+  // Shutdown waits for the payment to finish (drain.js)
+  const done = trackInFlight('payment', { processor: processorName, merchantId: options.merchantId || null, amount, currency });
+  try {
+    return await dispatchPayment(processorName, amount, currency, options);
+  } finally {
+    done();
+  }
+}
+
+/**
+ * processPayment() without the in-flight tracking.
+ */
+async function dispatchPayment(processorName, amount, currency, { capture = true, merchantId = null, allowProcessor = () => true, card = null, cardDetails = null } = {}) {
+  const payment = { capture, merchantId, card, cardDetails };
+  if (processorName === ROUTE_AUTO) {
+    return routePayment(amount, currency, { ...payment, allowProcessor });
+  }
+
+  const schema = getProcessor(processorName);
+  if (!schema || !schema.enabled) {
+    return {
+      success: false,
+      error: `Unknown processor: "${processorName}". Valid options: ${getEnabledProcessorIds().join(', ')}`,
+    };
+  }
+
+  if (!schema.currencies.includes(currency)) {
+    return {
+      success: false,
+      error: `Processor "${processorName}" does not support currency "${currency}"`,
+    };
+  }
+
+  if (!circuitBreaker.tryAcquire(processorName)) {
+    logger.warn({ processor: processorName }, 'Payment rejected — processor circuit breaker is open');
     return {
       success: false,
-      error: `Unknown processor: "${processorName}". Valid options: A, B, C`,
+      reason: ROUTING_REASON.CIRCUIT_OPEN,
+      processor: processorName,
+      retryAfterSeconds: circuitBreaker.retryAfterSeconds(processorName),
+      error: `Processor "${processorName}" is temporarily unavailable (circuit open)`,
+      ...correlation(),
     };
   }
 
-  let credentials;
+  return attemptPayment(schema, amount, currency, payment);
+}
+
+/**
+ * Authorize with one processor whose breaker has already admitted the call.
+ * Every attempt — approved or declined — is recorded as a ledger transaction.
+ * Card details go only into the adapter call; the transaction and the logs
+ * carry the card summary.
+ */
+async function attemptPayment(schema, amount, currency, { capture, merchantId, card, cardDetails }) {
+  const processorName = schema.id;
+
+  let resolved;
   try {
-    credentials = getProcessorCredentials(processorName);
+    resolved = resolveCredentials(processorName);
   } catch (err) {
+    circuitBreaker.release(processorName);
     logger.error({ processorName, err: err.message }, 'Failed to retrieve processor credentials');
     return { success: false, error: err.message };
   }
 
   // Confirm credentials are present without logging their values
-  const credentialKeys = Object.keys(credentials);
+  const credentialKeys = Object.keys(resolved.credentials);
   logger.info(
-    { processorName, processor: schema.name, credentialKeys, amount, currency },
+    { processorName, processor: schema.displayName, merchantId, credentialKeys, secretsVersion: resolved.version, amount, currency, capture, cardToken: card ? card.cardToken : null },
     'Processing payment — credentials verified (values not logged)'
   );
 
-  // Mock processing logic — in production this would call the real processor API
-  // using the credential values from `credentials`
   const transactionId = `txn_${processorName}_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
 
-  // Simulate occasional network latency
-  await new Promise((r) => setTimeout(r, Math.random() * 50));
+  const outcome = await callWithCredentials(
+    schema,
+    'authorize',
+    resolved,
+    transactionId,
+    { amount, currency, capture, reference: transactionId, card: cardDetails }
+  );
+
+  const txn = transactions.createTransaction({
+    id: transactionId,
+    processor: processorName,
+    processorName: schema.displayName,
+    merchantId,
+    amount,
+    currency,
+    capture,
+    card,
+    processorReference: outcome.processorReference,
+    declineCode: outcome.approved ? null : outcome.declineCode,
+    outcomeUnknown: isOutcomeUnknown(outcome),
+    ...correlation(),
+  });
 
   const result = {
-    success: true,
+    success: outcome.approved,
     transactionId,
+    merchantId,
     processor: processorName,
-    processorName: schema.name,
+    processorName: schema.displayName,
+    processorReference: outcome.processorReference,
     amount,
     currency,
-    status: 'captured',
-    timestamp: new Date().toISOString(),
+    status: txn.status,
+    card,
+    timestamp: txn.createdAt,
     // Confirm which credential keys were used — NOT the values
     credentialsUsed: credentialKeys,
+    ...correlation(),
   };
 
+  if (txn.status === transactions.STATUS.UNKNOWN) {
+    logger.error(
+      { transactionId, merchantId, processor: processorName, declineCode: outcome.declineCode },
+      'Payment outcome unknown — the processor may have authorized it; reconcile before charging again'
+    );
+    return { ...result, declineCode: outcome.declineCode, error: outcome.message };
+  }
+
+  if (!outcome.approved) {
+    logger.warn(
+      { transactionId, merchantId, processor: processorName, declineCode: outcome.declineCode, rawCode: outcome.rawCode },
+      'Payment declined by processor'
+    );
+    return { ...result, declineCode: outcome.declineCode, error: outcome.message };
+  }
+
   logger.info(
-    { transactionId, processor: processorName, amount, currency },
+    { transactionId, merchantId, processor: processorName, amount, currency, status: txn.status },
     'Payment processed successfully'
   );
 
@@ -113,14 +322,174 @@ async function processPayment(processorName, amount, currency = 'USD') {
 }
 
 /**
- * Return the list of processor names that have all required credentials
+ * processor: "auto" — try processors in router order (currency support,
+ * weights, breaker state) and move to the next one on a retryable soft
+ * decline, up to ROUTING_MAX_ATTEMPTS. Hard declines (the card itself was
+ * refused) are returned immediately: another acquirer would refuse it too.
+ *
+ * The response describes the final attempt and lists every attempt made.
+ */
+async function routePayment(amount, currency, { allowProcessor, ...payment }) {
+  const candidates = rankProcessors(currency, getAvailableProcessors().filter(allowProcessor));
+  const attempts = [];
+  let result = null;
+
+  for (const processorName of candidates) {
+    if (attempts.length >= ROUTING_MAX_ATTEMPTS) break;
+    if (!circuitBreaker.tryAcquire(processorName)) continue;
+
+    result = await attemptPayment(getProcessor(processorName), amount, currency, payment);
+    attempts.push({
+      processor: processorName,
+      transactionId: result.transactionId || null,
+      status: result.status || null,
+      declineCode: result.declineCode || null,
+    });
+
+    if (result.success || !RETRYABLE_DECLINES.has(result.declineCode)) break;
+
+    logger.warn(
+      { processor: processorName, declineCode: result.declineCode, attempt: attempts.length },
+      'Soft decline — failing over to next processor'
+    );
+  }
+
+  if (!result) {
+    logger.error({ merchantId: payment.merchantId, currency, amount }, 'No processor available for routed payment');
+    return {
+      success: false,
+      merchantId: payment.merchantId,
+      reason: ROUTING_REASON.NO_PROCESSOR_AVAILABLE,
+      routing: ROUTE_AUTO,
+      retryAfterSeconds: Math.ceil(circuitBreaker.OPEN_MS / 1000),
+      card: payment.card,
+      error: `No processor is currently available for currency "${currency}"`,
+      ...correlation(),
+    };
+  }
+
+  return { ...result, routing: ROUTE_AUTO, attempts };
+}
+
+/**
+ * Shared flow for capture / void / refund: validate the transition, verify the
+ * processor credentials are still available, call the processor adapter, then
+ * apply the state change. The transition is re-validated when applied, so a
+ * concurrent operation can never over-capture or over-refund. Shutdown waits
+ * for the operation to finish (drain.js).
+ *
+ * @param {string}   transactionId
+ * @param {string}   operation - 'capture' | 'void' | 'refund'
+ * @param {number}   [amount]
+ * @param {Function} apply     - transactions.apply* function
+ */
+async function runLifecycleOperation(transactionId, operation, amount, apply) {
+  const txn = transactions.getTransaction(transactionId);
+  const done = trackInFlight(operation, {
+    transactionId,
+    processor: txn ? txn.processor : null,
+    merchantId: txn ? txn.merchantId : null,
+    amount: amount === undefined ? null : amount,
+  });
+  try {
+    return await applyLifecycleOperation(transactionId, operation, amount, apply);
+  } finally {
+    done();
+  }
+}
+
+/**
+ * runLifecycleOperation() without the in-flight tracking.
+ */
+async function applyLifecycleOperation(transactionId, operation, amount, apply) {
+  const check = transactions.checkTransition(transactionId, operation, amount);
+  if (!check.success) {
+    return check;
+  }
+
+  const txn = transactions.getTransaction(transactionId);
+  const schema = getProcessor(txn.processor);
+
+  let resolved;
+  try {
+    resolved = resolveCredentials(txn.processor);
+  } catch (err) {
+    logger.error({ transactionId, operation, err: err.message }, 'Failed to retrieve processor credentials');
+    return { success: false, error: err.message };
+  }
+
+  logger.info(
+    { transactionId, operation, processor: txn.processor, amount: check.amount, credentialKeys: Object.keys(resolved.credentials), secretsVersion: resolved.version },
+    `Processing ${operation} — credentials verified (values not logged)`
+  );
+
+  const outcome = await callWithCredentials(
+    schema,
+    operation,
+    resolved,
+    `${transactionId}:${operation}:${txn.history.length}`,
+    { processorReference: txn.processorReference, amount: check.amount, currency: txn.currency }
+  );
+
+  if (!outcome.approved) {
+    logger.warn(
+      { transactionId, operation, declineCode: outcome.declineCode, rawCode: outcome.rawCode },
+      `Payment ${operation} declined by processor`
+    );
+    return {
+      success: false,
+      reason: transactions.REASON.PROCESSOR_DECLINED,
+      declineCode: outcome.declineCode,
+      error: outcome.message,
+      ...correlation(),
+    };
+  }
+
+  const result = apply(transactionId, amount, outcome.processorReference);
+  if (result.success) {
+    logger.info(
+      { transactionId, operation, status: result.transaction.status },
+      `Payment ${operation} processed successfully`
+    );
+  }
+  return { ...result, ...correlation() };
+}
+
+/**
+ * Capture a previously authorized payment.
+ * @param {string} transactionId
+ * @param {number} [amount] - Defaults to the full authorized amount
+ */
+function capturePayment(transactionId, amount) {
+  return runLifecycleOperation(transactionId, 'capture', amount, transactions.applyCapture);
+}
+
+/**
+ * Void (cancel) an authorized, uncaptured payment.
+ * @param {string} transactionId
+ */
+function voidPayment(transactionId) {
+  return runLifecycleOperation(transactionId, 'void', undefined, transactions.applyVoid);
+}
+
+/**
+ * Refund a captured payment, fully or partially.
+ * @param {string} transactionId
+ * @param {number} [amount] - Defaults to the full remaining refundable amount
+ */
+function refundPayment(transactionId, amount) {
+  return runLifecycleOperation(transactionId, 'refund', amount, transactions.applyRefund);
+}
+
+/**
+ * Return the list of enabled processor ids that have all required credentials
  * currently available in the secret cache.
  */
 function getAvailableProcessors() {
   const secrets = getCachedSecrets();
   if (!secrets) return [];
 
-  return Object.keys(PROCESSOR_SCHEMA).filter((name) => {
+  return getEnabledProcessorIds().filter((name) => {
     try {
       getProcessorCredentials(name);
       return true;
@@ -142,9 +511,9 @@ function logCredentialsSummary() {
   }
 
   const totalCredentials = Object.keys(secrets).length;
-  const processorSummary = Object.entries(PROCESSOR_SCHEMA).map(([name, schema]) => ({
-    processor: name,
-    name: schema.name,
+  const processorSummary = listProcessors({ enabledOnly: true }).map((schema) => ({
+    processor: schema.id,
+    name: schema.displayName,
     expectedKeys: schema.requiredKeys.length,
     keysPresent: schema.requiredKeys.filter((k) => !!secrets[k]).length,
   }));
@@ -156,8 +525,12 @@ function logCredentialsSummary() {
 }
 
 module.exports = {
+  ROUTE_AUTO,
+  ROUTING_REASON,
   processPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
   getAvailableProcessors,
   logCredentialsSummary,
-  PROCESSOR_SCHEMA,
 };
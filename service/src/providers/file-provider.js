@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * file-provider.js
+ *
+ * SecretProvider that reads credentials from mounted files — Docker secrets,
+ * Kubernetes Secret volumes, or a Vault Agent rendered template.
+ *
+ * Two layouts are supported:
+ *   - SECRETS_DIR:  one file per key (file name = key, content = value).
+ *                   Dotfiles are skipped, which covers the `..data` symlink
+ *                   Kubernetes uses for atomic volume updates.
+ *   - SECRETS_FILE: a single JSON object of key → value.
+ *
+ * The version is a counter that advances whenever the content hash changes,
+ * so rotation detection behaves the same as with KV v2 versions.
+ * NEVER logs credential values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../logger');
+const auditLogger = require('../audit-logger');
+const { screenSecrets, getValidationFailure } = require('../secret-validation');
+
+const logger = createLogger('file-provider');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SECRETS_FILE_POLL_MS || '5000', 10);
+
+/**
+ * Read all secrets from a directory (one file per key).
+ * @param {string} dir
+ * @returns {object}
+ */
+function readSecretsDir(dir) {
+  const secrets = {};
+  for (const name of fs.readdirSync(dir)) {
+    if (name.startsWith('.')) continue;
+    const filePath = path.join(dir, name);
+    if (!fs.statSync(filePath).isFile()) continue;
+    secrets[name] = fs.readFileSync(filePath, 'utf8').trim();
+  }
+  return secrets;
+}
+
+/**
+ * Read all secrets from a single JSON file.
+ * @param {string} file
+ * @returns {object}
+ */
+function readSecretsFile(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Secrets file ${file} must contain a JSON object`);
+  }
+  return parsed;
+}
+
+function hashSecrets(secrets) {
+  const canonical = JSON.stringify(Object.keys(secrets).sort().map((k) => [k, secrets[k]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir]  - Directory of per-key files (default: SECRETS_DIR)
+ * @param {string} [options.file] - JSON file (default: SECRETS_FILE)
+ * @returns {import('../secret-provider').SecretProvider}
+ */
+function createFileProvider({ dir = process.env.SECRETS_DIR, file = process.env.SECRETS_FILE } = {}) {
+  if (!dir && !file) {
+    throw new Error('SECRET_PROVIDER=file requires SECRETS_DIR or SECRETS_FILE to be set.');
+  }
+
+  const source = dir || file;
+  let cached = null;
+  let loaded = false;
+  let version = null;
+  let contentHash = null;
+  let rejectedHash = null; // content validation last rejected — not re-checked until it changes
+  let loadedAt = null;
+  let refreshFailures = 0;
+  let lastFailureAt = null;
+  const listeners = new Set();
+
+  function read() {
+    const secrets = dir ? readSecretsDir(dir) : readSecretsFile(file);
+    if (Object.keys(secrets).length === 0) {
+      throw new Error(`No secrets found at ${source}`);
+    }
+    return secrets;
+  }
+
+  async function load() {
+    const raw = read();
+    const secrets = screenSecrets(raw, { source, version: 1, provider: 'file', initialLoad: true });
+    cached = secrets;
+    contentHash = hashSecrets(raw);
+    version = 1;
+    loaded = true;
+    loadedAt = Date.now();
+
+    const credentialCount = Object.keys(secrets).length;
+    logger.info({ source, credentialCount, version }, `Loaded ${credentialCount} credentials from file provider`);
+    auditLogger.recordSecretFetch(source, version);
+    return secrets;
+  }
+
+  async function refresh() {
+    try {
+      const raw = read();
+      const nextHash = hashSecrets(raw);
+      const changed = nextHash !== contentHash;
+      const previousVersion = version;
+      if (changed && nextHash === rejectedHash) return cached;
+
+      // An invalid change is rejected and counts as a failed refresh: cache
+      // and hash stay. Unchanged files are re-checked while a failure is
+      // reported, so reverting a bad edit clears it
+      const screened = changed || getValidationFailure()
+        ? screenSecrets(raw, { source, version: changed ? version + 1 : version, provider: 'file', initialLoad: false })
+        : raw;
+      if (changed && !screened) {
+        rejectedHash = nextHash;
+        throw Object.assign(new Error(`Secrets version ${version + 1} failed validation — update rejected`), { rejectedUpdate: true });
+      }
+      rejectedHash = null;
+      const rotationDetected = changed;
+      if (screened) loadedAt = Date.now();
+
+      if (rotationDetected) {
+        cached = screened;
+        contentHash = nextHash;
+        version += 1;
+        logger.info({ source, previousVersion, newVersion: version }, 'Secret file change detected — credentials updated');
+        for (const listener of listeners) {
+          listener({ previousVersion, newVersion: version });
+        }
+      }
+
+      auditLogger.recordSecretRefresh(source, version, rotationDetected);
+      refreshFailures = 0;
+      return cached;
+    } catch (err) {
+      refreshFailures += 1;
+      lastFailureAt = Date.now();
+      logger.error({ source, err: err.message, consecutiveFailures: refreshFailures }, 'Failed to re-read secret files — retaining cached values');
+      // A rejected update is audited once by secret-validation.js (SECRET_VALIDATION_FAILED)
+      if (!err.rejectedUpdate) auditLogger.recordSecretFetchError(source, err.message);
+      return cached;
+    }
+  }
+
+  function watch(onChange) {
+    listeners.add(onChange);
+
+    // fs.watch is best-effort (missing on some volume drivers); polling is the fallback
+    let watcher = null;
+    try {
+      watcher = fs.watch(source, { persistent: false }, () => { refresh(); });
+    } catch (err) {
+      logger.warn({ source, err: err.message }, 'fs.watch unavailable — relying on polling only');
+    }
+
+    const timer = setInterval(() => { refresh(); }, POLL_INTERVAL_MS);
+    if (timer.unref) timer.unref();
+
+    logger.info({ source, pollIntervalMs: POLL_INTERVAL_MS }, 'Watching secret files for changes');
+
+    return () => {
+      listeners.delete(onChange);
+      clearInterval(timer);
+      if (watcher) watcher.close();
+    };
+  }
+
+  return {
+    name: 'file',
+    load,
+    refresh,
+    version: () => version,
+    watch,
+    getCached: () => cached,
+    isLoaded: () => loaded,
+    lastLoadedAt: () => loadedAt,
+    refreshStatus: () => ({ consecutiveFailures: refreshFailures, lastFailureAt }),
+    connectivity: () => null,
+    close() {},
+  };
+}
+
+module.exports = { createFileProvider };
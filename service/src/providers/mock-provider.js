@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * mock-provider.js
+ *
+ * In-process SecretProvider for local development and CI runs without a
+ * Vault container. Values are obviously fake placeholders; they can be
+ * overridden with MOCK_SECRETS_JSON or replaced at runtime via setSecrets()
+ * to exercise rotation handling.
+ *
+ * MUST NOT be used in production — secret-provider.js refuses it when NODE_ENV=production.
+ */
+
+const { createLogger } = require('../logger');
+const auditLogger = require('../audit-logger');
+const { screenSecrets, getValidationFailure } = require('../secret-validation');
+
+const logger = createLogger('mock-provider');
+
+const MOCK_SOURCE = 'mock://flexpay/processors';
+
+// Placeholder values only — short and marked "mock" so scanners ignore them.
+// They satisfy the registry's secretRules (Processor A needs pk_/sk_ test prefixes)
+const DEFAULT_MOCK_SECRETS = {
+  PROCESSOR_A_API_KEY: 'pk_test_mock_a_key',
+  PROCESSOR_A_SECRET: 'sk_test_mock_a_secret',
+  PROCESSOR_B_MERCHANT_ID: 'mock-b-merchant',
+  PROCESSOR_B_API_KEY: 'mock-b-api-key',
+  PROCESSOR_C_ENDPOINT: 'http://localhost:4103/api/v1',
+  PROCESSOR_C_TOKEN: 'mock-c-token',
+  PROCESSOR_A_WEBHOOK_SECRET: 'mock-a-webhook',
+  PROCESSOR_B_WEBHOOK_SECRET: 'mock-b-webhook',
+  PROCESSOR_C_WEBHOOK_SECRET: 'mock-c-webhook',
+  AUDIT_HMAC_KEY: 'mock-audit-hmac',
+  ROTATION_NOTIFY_SECRET: 'mock-rotation-notify',
+  // SHA-256 of 'mock-operator-key' and 'mock-auditor-key'
+  ADMIN_API_KEYS: JSON.stringify([
+    { id: 'mock-operator', roles: ['operator'], sha256: 'f2acd9333156c586fcc58cbae4b17bcd97a58f6ce0714328369c63a0e602088c' },
+    { id: 'mock-auditor', roles: ['auditor'], sha256: 'a7af05b7d9ef7668f4d1f1164598d7a4f5733375ca58fbff74e74c9148e8a78b' },
+  ]),
+  // SHA-256 of 'mock-merchant-key' (any processor) and 'mock-merchant-usd-key' (A, USD only)
+  MERCHANT_API_KEYS: JSON.stringify([
+    { id: 'm_mock', sha256: '03b8300252c919b98a229f4285bbde984207391bdd1d33e68ef042e2ed88b073' },
+    { id: 'm_mock_usd', sha256: 'd3fc23cf15f88e19d358d8d88e39edead2cee370fe31b146607c34b98e95cd79', processors: ['A'], currencies: ['USD'] },
+  ]),
+};
+
+/**
+ * @param {object} [initialSecrets] - Defaults to DEFAULT_MOCK_SECRETS merged with MOCK_SECRETS_JSON
+ * @returns {import('../secret-provider').SecretProvider & { setSecrets: Function }}
+ */
+function createMockProvider(initialSecrets) {
+  const overrides = process.env.MOCK_SECRETS_JSON ? JSON.parse(process.env.MOCK_SECRETS_JSON) : {};
+  let cached = null;
+  let pending = { ...(initialSecrets || DEFAULT_MOCK_SECRETS), ...overrides };
+  let version = null;
+  let loadedAt = null;
+  let refreshFailures = 0;
+  let lastFailureAt = null;
+  const listeners = new Set();
+
+  async function load() {
+    cached = screenSecrets({ ...pending }, { source: MOCK_SOURCE, version: 1, provider: 'mock', initialLoad: true });
+    version = 1;
+    loadedAt = Date.now();
+    logger.warn({ credentialCount: Object.keys(cached).length }, 'Using in-process MOCK secret provider — not for production');
+    auditLogger.recordSecretFetch(MOCK_SOURCE, version);
+    return cached;
+  }
+
+  async function refresh() {
+    const changed = JSON.stringify(pending) !== JSON.stringify(cached);
+    // Same rules as the real providers: an invalid set is rejected and the cache kept
+    const screened = changed || getValidationFailure()
+      ? screenSecrets({ ...pending }, { source: MOCK_SOURCE, version: changed ? version + 1 : version, provider: 'mock', initialLoad: false })
+      : pending;
+    if (changed && !screened) {
+      // A rejected set is a failed refresh, already audited as SECRET_VALIDATION_FAILED
+      refreshFailures += 1;
+      lastFailureAt = Date.now();
+      return cached;
+    }
+    const rotationDetected = changed;
+    if (screened) loadedAt = Date.now();
+    if (rotationDetected) {
+      const previousVersion = version;
+      cached = screened;
+      version += 1;
+      for (const listener of listeners) {
+        listener({ previousVersion, newVersion: version });
+      }
+    }
+    auditLogger.recordSecretRefresh(MOCK_SOURCE, version, rotationDetected);
+    refreshFailures = 0;
+    return cached;
+  }
+
+  /**
+   * Replace the mock secret set and apply it immediately (simulates a rotation).
+   * @param {object} secrets
+   */
+  async function setSecrets(secrets) {
+    pending = { ...secrets };
+    return refresh();
+  }
+
+  function watch(onChange) {
+    listeners.add(onChange);
+    return () => listeners.delete(onChange);
+  }
+
+  return {
+    name: 'mock',
+    load,
+    refresh,
+    version: () => version,
+    watch,
+    getCached: () => cached,
+    isLoaded: () => cached !== null,
+    // In-process values cannot go stale: nothing polls, and setSecrets() applies at once
+    lastLoadedAt: () => (loadedAt === null ? null : Date.now()),
+    refreshStatus: () => ({ consecutiveFailures: refreshFailures, lastFailureAt }),
+    connectivity: () => null,
+    close() {},
+    setSecrets,
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_MOCK_SECRETS };
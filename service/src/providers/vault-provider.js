@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * vault-provider.js
+ *
+ * SecretProvider backed by HashiCorp Vault KV v2 (production default).
+ * Thin adapter over vault-client.js — authentication (VAULT_AUTH_METHOD),
+ * token lifecycle, retries and audit events all stay in that module.
+ */
+
+const vaultClient = require('../vault-client');
+const { getTokenStatus } = require('../token-manager');
+const { getSecretIdStatus } = require('../secret-id-manager');
+
+/**
+ * @returns {import('../secret-provider').SecretProvider}
+ */
+function createVaultProvider() {
+  return {
+    name: 'vault',
+
+    async load() {
+      await vaultClient.initVaultClient();
+      return vaultClient.getSecrets();
+    },
+
+    refresh() {
+      return vaultClient.refreshSecrets();
+    },
+
+    version(vaultPath) {
+      return vaultClient.getKvVersion(vaultPath);
+    },
+
+    watch(onChange) {
+      const unsubscribe = vaultClient.onRotation(onChange);
+      vaultClient.startPeriodicRefresh();
+      return () => {
+        unsubscribe();
+        vaultClient.stopPeriodicRefresh();
+      };
+    },
+
+    getCached() {
+      return vaultClient.getCachedSecrets();
+    },
+
+    isLoaded() {
+      return vaultClient.areSecretsLoaded();
+    },
+
+    lastLoadedAt() {
+      return vaultClient.getLastLoadedAt();
+    },
+
+    refreshStatus() {
+      return vaultClient.getRefreshStatus();
+    },
+
+    connectivity() {
+      const { ttlRemainingSeconds, renewable, nextAction } = getTokenStatus();
+      const authMethod = vaultClient.getAuthMethod();
+      return {
+        ...vaultClient.getConnectivity(),
+        authMethod,
+        transport: vaultClient.getConnectionSummary(),
+        // The Vault Agent renews a token-file token — its TTL is not tracked here
+        token: authMethod === 'token-file' ? null : { ttlRemainingSeconds, renewable, nextAction },
+        secretId: authMethod === 'approle' ? getSecretIdStatus() : null,
+      };
+    },
+
+    close() {
+      vaultClient.stopPeriodicRefresh();
+      vaultClient.stopTokenRenewal();
+    },
+  };
+}
+
+module.exports = { createVaultProvider };
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * rate-limiter.js
+ *
+ * In-process token buckets, one per key (merchant id, client IP).
+ *
+ * A bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerSecond`; each request takes one token. A client may burst up to
+ * the capacity, then is held to the refill rate. When the bucket is empty the
+ * caller gets the wait until the next token as `retryAfterSeconds`.
+ *
+ * Limits are per replica: behind a load balancer spreading traffic over N
+ * replicas, a client's effective limit is up to N times the configured one.
+ */
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * @param {object} options
+ * @param {number} options.capacity        - Burst size (tokens)
+ * @param {number} options.refillPerSecond - Sustained rate
+ * @returns {{ take: Function, reset: Function }}
+ */
+function createRateLimiter({ capacity, refillPerSecond }) {
+  if (!(capacity >= 1) || !(refillPerSecond > 0)) {
+    throw new Error('Rate limiter needs capacity >= 1 and refillPerSecond > 0');
+  }
+
+  const buckets = new Map(); // key → { tokens, updatedAt, capacity, refillPerSecond }
+
+  function refill(bucket, now) {
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  // Drop buckets that have refilled completely — they hold no state worth keeping
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= bucket.capacity) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  if (sweeper.unref) sweeper.unref();
+
+  return {
+    /**
+     * Take one token for `key`.
+     * @param {string} key
+     * @param {object} [limits] - Per-key { capacity, refillPerSecond } overrides
+     * @returns {{ allowed: boolean, remaining: number, retryAfterSeconds: number }}
+     */
+    take(key, limits = {}) {
+      const now = Date.now();
+      const bucketCapacity = limits.capacity || capacity;
+      const bucketRate = limits.refillPerSecond || refillPerSecond;
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: bucketCapacity, updatedAt: now };
+        buckets.set(key, bucket);
+      }
+      bucket.capacity = bucketCapacity;
+      bucket.refillPerSecond = bucketRate;
+      refill(bucket, now);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+      }
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((1 - bucket.tokens) / bucketRate)),
+      };
+    },
+
+    reset() {
+      buckets.clear();
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * redaction.js
+ *
+ * Runtime guard that masks sensitive values before they leave the process,
+ * instead of relying on scripts/validate-logs.sh to find them afterwards.
+ *
+ * Masked wherever they appear:
+ *   - every value of the cached secret set (getCachedSecrets()) and of the
+ *     set it replaced, which may still be in use during a rotation's grace
+ *     period → `[REDACTED:<key name>]`. Values shorter than
+ *     MIN_SECRET_LENGTH are skipped — they would mask ordinary text
+ *   - card numbers: 12-19 digits (single spaces or dashes allowed) that pass
+ *     the Luhn check and match a card brand → `[REDACTED:PAN:<last4>]`
+ *
+ * Applied to:
+ *   - log lines      — every logger built by logger.js
+ *   - audit entries  — audit-logger.js, before they are persisted
+ *   - HTTP error bodies — any response with status >= 400 (redactErrorResponses)
+ *
+ * Each redaction increments flexpay_redactions_total and writes a
+ * SENSITIVE_DATA_REDACTED audit event naming the channel, the source (logger
+ * name or route) and the matched key names — never the values. A redaction
+ * means some code path tried to emit a secret: treat the event as a bug.
+ */
+
+const metrics = require('./metrics');
+const { isCardNumber } = require('./card-validation');
+
+const MIN_SECRET_LENGTH = parseInt(process.env.REDACTION_MIN_SECRET_LENGTH || '8', 10);
+
+const CHANNEL = {
+  LOG:   'log',
+  AUDIT: 'audit',
+  HTTP:  'http',
+};
+
+// 12-19 digits, optionally grouped by single spaces or dashes, not inside a longer digit run
+const PAN_CANDIDATE = /(?<!\d)\d(?:[ -]?\d){11,18}(?!\d)/g;
+
+// Internal state
+let _source = null;    // secret set the matchers were built from
+let _previous = null;  // the set it replaced
+let _matchers = [];    // [{ key, forms: [raw, JSON-escaped] }], longest value first
+let _reporting = false;
+
+const redactions = metrics.counter(
+  'flexpay_redactions_total',
+  'Sensitive values masked in outgoing logs, audit entries and HTTP error bodies',
+  ['channel', 'kind']
+);
+
+function addMatchers(byValue, secrets) {
+  for (const [key, value] of Object.entries(secrets || {})) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || byValue.has(value)) continue;
+    const escaped = JSON.stringify(value).slice(1, -1);
+    byValue.set(value, { key, forms: escaped === value ? [value] : [value, escaped] });
+  }
+}
+
+/**
+ * Rebuild the matchers when the provider cache holds a new set.
+ */
+function syncSecrets() {
+  // Lazy: secret-provider logs through logger.js, which loads this module
+  const provider = require('./secret-provider');
+  if (typeof provider.getCachedSecrets !== 'function') return;
+  const secrets = provider.getCachedSecrets();
+  if (secrets === _source) return;
+
+  if (_source) _previous = _source;
+  _source = secrets;
+  const byValue = new Map();
+  addMatchers(byValue, _source);
+  addMatchers(byValue, _previous);
+  _matchers = [...byValue.entries()].sort(([a], [b]) => b.length - a.length).map(([, m]) => m);
+}
+
+function emptyFindings() {
+  return { secrets: 0, pans: 0, keys: new Set() };
+}
+
+function scrubString(text, findings) {
+  let out = text;
+  for (const { key, forms } of _matchers) {
+    for (const form of forms) {
+      if (!out.includes(form)) continue;
+      const parts = out.split(form);
+      findings.secrets += parts.length - 1;
+      findings.keys.add(key);
+      out = parts.join(`[REDACTED:${key}]`);
+    }
+  }
+  return out.replace(PAN_CANDIDATE, (match) => {
+    const digits = match.replace(/[ -]/g, '');
+    if (!isCardNumber(digits)) return match;
+    findings.pans += 1;
+    return `[REDACTED:PAN:${digits.slice(-4)}]`;
+  });
+}
+
+function scrubDeep(value, findings) {
+  if (typeof value === 'string') return scrubString(value, findings);
+  if (Array.isArray(value)) return value.map((item) => scrubDeep(item, findings));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = scrubDeep(v, findings);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Count and audit what was masked. Audit writes are themselves scrubbed, so
+ * nested reports are suppressed.
+ */
+function report(channel, source, findings) {
+  if (findings.secrets === 0 && findings.pans === 0) return;
+  if (findings.secrets) redactions.inc({ channel, kind: 'secret' }, findings.secrets);
+  if (findings.pans) redactions.inc({ channel, kind: 'pan' }, findings.pans);
+  if (_reporting) return;
+
+  _reporting = true;
+  try {
+    // Lazy: audit-logger loads this module
+    require('./audit-logger').recordRedaction(channel, source, {
+      secretValues: findings.secrets,
+      pans: findings.pans,
+      secretKeys: [...findings.keys].sort(),
+    });
+  } finally {
+    _reporting = false;
+  }
+}
+
+/**
+ * Mask a serialized log line.
+ * @param {string} line   - One pino JSON line
+ * @param {string} source - Logger name
+ * @returns {string}
+ */
+function scrubLogLine(line, source) {
+  syncSecrets();
+  const findings = emptyFindings();
+  const scrubbed = scrubString(line, findings);
+  report(CHANNEL.LOG, source, findings);
+  return scrubbed;
+}
+
+/**
+ * Mask every string in an audit entry before it is persisted.
+ * @param {object} entry
+ * @returns {object} The entry, or a scrubbed copy
+ */
+function scrubAuditEntry(entry) {
+  syncSecrets();
+  const findings = emptyFindings();
+  const scrubbed = scrubDeep(entry, findings);
+  if (findings.secrets === 0 && findings.pans === 0) return entry;
+  report(CHANNEL.AUDIT, entry.event, findings);
+  return scrubbed;
+}
+
+/**
+ * Express middleware: mask error response bodies (status >= 400), whatever
+ * put the sensitive value there — e.g. an `err.message` returned as `reason`.
+ */
+function redactErrorResponses(req, res, next) {
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (res.statusCode < 400 || typeof body !== 'string') return send(body);
+    syncSecrets();
+    const findings = emptyFindings();
+    const scrubbed = scrubString(body, findings);
+    report(CHANNEL.HTTP, `${req.method} ${req.path}`, findings);
+    return send(scrubbed);
+  };
+  next();
+}
+
+module.exports = {
+  CHANNEL,
+  scrubLogLine,
+  scrubAuditEntry,
+  redactErrorResponses,
+};
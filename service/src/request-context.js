@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * request-context.js
+ *
+ * Per-request correlation carried through async calls with AsyncLocalStorage,
+ * so a failed POST /pay can be tied to its processor log lines, the Vault
+ * calls it made and the audit entries it wrote.
+ *
+ *   - requestId — the caller's X-Request-Id (1-128 of A-Z a-z 0-9 . _ : -),
+ *                 or a generated UUID. Echoed in the X-Request-Id response header
+ *   - traceId   — from a valid W3C `traceparent` header, or generated. The
+ *                 caller's span becomes `parentSpanId` of this request's span
+ *
+ * Every logger built by logger.js adds requestId, traceId and the active
+ * spanId to its lines; audit-logger.js adds requestId and traceId to entries;
+ * payment results and transactions carry both.
+ *
+ * Spans: withSpan() times one Vault or processor call as a child of the
+ * active span and sends a `traceparent` for it on outbound processor
+ * requests. The request's spans are listed in its "Request completed" line.
+ * Outside a request (polling, token renewal) no spans are recorded.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Internal state
+const _storage = new AsyncLocalStorage();
+
+function newSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+}
+
+/**
+ * Parse a W3C trace-context `traceparent` header.
+ * @param {string} [header]
+ * @returns {{ traceId: string, parentSpanId: string, flags: string }|null}
+ *          null when absent or invalid (version ff, all-zero ids)
+ */
+function parseTraceparent(header) {
+  const match = typeof header === 'string' ? TRACEPARENT_PATTERN.exec(header.trim().toLowerCase()) : null;
+  if (!match) return null;
+  const [, version, traceId, parentSpanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) return null;
+  return { traceId, parentSpanId, flags };
+}
+
+/**
+ * @returns {object|undefined} Context of the request being handled
+ */
+function getContext() {
+  return _storage.getStore();
+}
+
+/**
+ * Correlation fields for log lines, audit entries and payment results.
+ * @returns {{ requestId: string, traceId: string }|{}} Empty outside a request
+ */
+function correlation() {
+  const ctx = getContext();
+  return ctx ? { requestId: ctx.requestId, traceId: ctx.traceId } : {};
+}
+
+/**
+ * `traceparent` for an outbound call made in the active span, or null
+ * outside a request.
+ */
+function outboundTraceparent() {
+  const ctx = getContext();
+  return ctx ? `00-${ctx.traceId}-${ctx.spanId}-${ctx.flags}` : null;
+}
+
+/**
+ * Run `fn` as a child span of the active one and record its duration.
+ *
+ * @param {string}   name      - e.g. "vault.read", "processor.A.authorize"
+ * @param {Function} fn        - Async work to time
+ * @param {Function} [outcome] - (result) => string — outcome of a resolved call (default "ok")
+ * @returns {Promise<*>} Whatever `fn` resolves to
+ */
+async function withSpan(name, fn, outcome = () => 'ok') {
+  const ctx = getContext();
+  if (!ctx) return fn();
+
+  const span = { name, spanId: newSpanId(), parentSpanId: ctx.spanId, durationMs: null, outcome: null };
+  ctx.spans.push(span);
+  const start = process.hrtime.bigint();
+  try {
+    const result = await _storage.run({ ...ctx, spanId: span.spanId }, fn);
+    span.outcome = outcome(result);
+    return result;
+  } catch (err) {
+    span.outcome = 'error';
+    throw err;
+  } finally {
+    span.durationMs = elapsedMs(start);
+  }
+}
+
+/**
+ * Express middleware: open the request context, echo X-Request-Id, and log
+ * completion with status, duration and spans.
+ *
+ * @param {import('pino').Logger} logger - Logger for the "Request completed" line
+ */
+function requestContext(logger) {
+  return (req, res, next) => {
+    const supplied = req.get(REQUEST_ID_HEADER);
+    const parent = parseTraceparent(req.get('traceparent'));
+    const ctx = {
+      requestId: supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID(),
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      spanId: newSpanId(),
+      parentSpanId: parent ? parent.parentSpanId : null,
+      flags: parent ? parent.flags : '01',
+      spans: [],
+    };
+    res.set(REQUEST_ID_HEADER, ctx.requestId);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      _storage.run(ctx, () => {
+        logger.info({
+          method: req.method,
+          path: req.originalUrl.split('?')[0], // req.path is relative to a mount point
+          statusCode: res.statusCode,
+          durationMs: elapsedMs(start),
+          parentSpanId: ctx.parentSpanId,
+          spans: ctx.spans,
+        }, 'Request completed');
+      });
+    });
+
+    _storage.run(ctx, next);
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  parseTraceparent,
+  getContext,
+  correlation,
+  outboundTraceparent,
+  withSpan,
+  requestContext,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * rotation-notify.js
+ *
+ * POST /admin/rotation-notify — push trigger for an immediate secret reload,
+ * called by rotate-secret.sh (or a Vault event forwarder) on every replica
+ * right after a rotation, instead of waiting for the next poll.
+ *
+ *   X-FlexPay-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(ROTATION_NOTIFY_SECRET, "<t>.<raw body>")>
+ *   { "version": 7, "path": "secret/data/flexpay/processors", "source": "rotate-secret.sh" }
+ *                                                     all optional
+ *
+ * ROTATION_NOTIFY_SECRET lives in the secret store with the credentials, so
+ * the hook needs no admin API key and the forwarder needs no access beyond
+ * that one value. A notification only schedules a (debounced) reload, so a
+ * replayed one within the timestamp tolerance is harmless. A `version` the
+ * replica already holds is acknowledged without a reload — the KV version of
+ * `path` when given (processors may keep their own vaultPath), otherwise the
+ * version of the whole set.
+ *
+ * If a rotation changes ROTATION_NOTIFY_SECRET itself, notifications signed
+ * with the new value are rejected until the next poll picks it up.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { getCachedSecrets, getSecretsVersion, requestRefresh } = require('./secret-provider');
+const { REJECT_REASON, safeEqual, withinTolerance } = require('./webhooks/event');
+const { DENY_REASON } = require('./admin-auth');
+const auditLogger = require('./audit-logger');
+
+const logger = createLogger('rotation-notify');
+
+const ROUTE = '/admin/rotation-notify';
+const SIGNATURE_HEADER = 'X-FlexPay-Signature';
+const TOLERANCE_SECONDS = parseInt(process.env.ROTATION_NOTIFY_TOLERANCE_SECONDS || '300', 10);
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * @returns {string|null} REJECT_REASON.* or null when the signature is valid
+ */
+function verifySignature(secret, header, rawBody) {
+  let t = null;
+  const v1 = [];
+  for (const item of String(header || '').split(',')) {
+    const [key, value] = item.split('=');
+    if (key === 't') t = parseInt(value, 10);
+    if (key === 'v1' && value) v1.push(value);
+  }
+  if (!t || v1.length === 0) return REJECT_REASON.MISSING_SIGNATURE;
+
+  const expected = computeSignature(secret, t, rawBody);
+  if (!v1.some((candidate) => safeEqual(candidate, expected))) return REJECT_REASON.INVALID_SIGNATURE;
+  if (!withinTolerance(t, TOLERANCE_SECONDS)) return REJECT_REASON.STALE_TIMESTAMP;
+  return null;
+}
+
+/**
+ * Express handler for POST /admin/rotation-notify. Requires req.rawBody.
+ */
+function rotationNotifyHandler(req, res) {
+  const body = req.body || {};
+  const meta = {
+    method: req.method,
+    caller: typeof body.source === 'string' ? body.source.slice(0, 64) : null,
+    authMethod: 'signature',
+    sourceIp: req.ip,
+  };
+
+  const secrets = getCachedSecrets();
+  const secret = secrets ? secrets.ROTATION_NOTIFY_SECRET : null;
+  if (!secret) {
+    auditLogger.recordAdminAccess(ROUTE, false, { ...meta, reason: DENY_REASON.UNAVAILABLE });
+    return res.status(503).json({ error: 'Service unavailable', reason: DENY_REASON.UNAVAILABLE });
+  }
+
+  const reason = verifySignature(secret, req.get(SIGNATURE_HEADER), req.rawBody ? req.rawBody.toString('utf8') : '');
+  if (reason) {
+    auditLogger.recordAdminAccess(ROUTE, false, { ...meta, reason });
+    logger.warn({ ...meta, reason }, 'Rotation notification rejected');
+    return res.status(401).json({ error: 'Unauthorized', reason });
+  }
+  auditLogger.recordAdminAccess(ROUTE, true, meta);
+
+  const notifiedVersion = Number.isInteger(body.version) ? body.version : null;
+  const kvVersion = getSecretsVersion(typeof body.path === 'string' ? body.path : undefined);
+  if (notifiedVersion !== null && kvVersion !== null && notifiedVersion <= kvVersion) {
+    logger.info({ notifiedVersion, kvVersion, source: meta.caller }, 'Rotation notification for a version already loaded');
+    return res.status(200).json({ scheduled: false, reason: 'already_current', kvVersion });
+  }
+
+  logger.info({ notifiedVersion, kvVersion, source: meta.caller }, 'Rotation notification accepted — reload scheduled');
+  requestRefresh('notify').catch((err) => {
+    logger.error({ err: err.message }, 'Notified secret refresh failed');
+  });
+  return res.status(202).json({ scheduled: true, kvVersion, notifiedVersion });
+}
+
+module.exports = { rotationNotifyHandler, SIGNATURE_HEADER };
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * router.js
+ *
+ * Candidate selection for `processor: "auto"` payments. A processor is
+ * eligible when it is enabled, supports the currency, has all its credentials
+ * in the secret cache and its circuit breaker is not open. Eligible processors
+ * are ordered by weighted random choice (registry `weight`), so traffic splits
+ * proportionally while every remaining processor stays available as a
+ * failover target. Weight-0 processors are only ever used for failover.
+ */
+
+const { listProcessors } = require('./processor-registry');
+const { isAvailable } = require('./circuit-breaker');
+
+/**
+ * Order processors by weighted random sampling without replacement.
+ * @param {Array<object>} schemas
+ * @returns {Array<object>}
+ */
+function weightedOrder(schemas) {
+  const pool = schemas.filter((s) => s.weight > 0);
+  const ordered = [];
+
+  while (pool.length > 0) {
+    const total = pool.reduce((sum, s) => sum + s.weight, 0);
+    let pick = Math.random() * total;
+    const index = pool.findIndex((s) => (pick -= s.weight) < 0);
+    ordered.push(...pool.splice(index === -1 ? pool.length - 1 : index, 1));
+  }
+
+  return ordered.concat(schemas.filter((s) => s.weight === 0));
+}
+
+/**
+ * Rank the processors that can take a payment in `currency` right now.
+ *
+ * @param {string}   currency            - ISO 4217 code (upper case)
+ * @param {string[]} availableProcessors - Ids with credentials loaded
+ * @returns {string[]} Processor ids, most preferred first
+ */
+function rankProcessors(currency, availableProcessors) {
+  const eligible = listProcessors({ enabledOnly: true }).filter((schema) =>
+    schema.currencies.includes(currency) &&
+    availableProcessors.includes(schema.id) &&
+    isAvailable(schema.id)
+  );
+  return weightedOrder(eligible).map((schema) => schema.id);
+}
+
+module.exports = { rankProcessors };
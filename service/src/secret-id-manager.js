@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * secret-id-manager.js
+ *
+ * Owns the AppRole SecretID the service logs in with, so a replica can still
+ * log in after the SecretID it was started with has expired
+ * (init-vault.sh issues them with secret_id_ttl=24h).
+ *
+ * Where the SecretID comes from at startup, first match wins:
+ *   1. VAULT_SECRET_ID_WRAPPED_FILE / VAULT_SECRET_ID_WRAPPED — a
+ *      response-wrapping token this service has not unwrapped yet (the
+ *      rotation file records a digest of the one it consumed). It is
+ *      unwrapped once through `sys/wrapping/unwrap` after checking its
+ *      creation path, and replaces the persisted SecretID; a wrap that was
+ *      already used, has expired or was not created for this role stops
+ *      startup — there is no fallback to a plain SecretID
+ *   2. VAULT_SECRET_ID_ROTATION_FILE — the SecretID an earlier unwrap or
+ *      rotation persisted, unless it has expired
+ *   3. VAULT_SECRET_ID_FILE / VAULT_SECRET_ID — a plain SecretID
+ *
+ * Vault refusing the persisted SecretID at login (revoked, or expired with no
+ * expiry on record) is not fatal: the service falls back to the plain
+ * SecretID and persists that instead.
+ *
+ * Rotation (VAULT_SECRET_ID_ROTATION=true): once VAULT_SECRET_ID_ROTATE_FRACTION
+ * of the current SecretID's remaining life has passed, the service requests a
+ * fresh one for its own role, receives it response-wrapped, unwraps it the
+ * same verified way and uses it for every later login. The previous SecretID
+ * is not destroyed — replicas may share it — and lapses at its own TTL.
+ *
+ * Every unwrap and rotation is written to the audit log. SecretID values are
+ * never logged or audited; the accessor identifies them instead.
+ *
+ * The persisted SecretID is a live credential: keep VAULT_SECRET_ID_ROTATION_FILE
+ * in a directory of its own (created 0700, file 0600), never on a volume
+ * shared with other runtime state.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const auditLogger = require('./audit-logger');
+
+const logger = createLogger('secret-id-manager');
+
+// AppRole role the SecretIDs belong to (init-vault.sh creates "payment-service")
+const APPROLE_ROLE = process.env.VAULT_APPROLE_ROLE || 'payment-service';
+// Creation path of a genuine wrapped SecretID, and where rotation requests new ones
+const SECRET_ID_PATH = `auth/approle/role/${APPROLE_ROLE}/secret-id`;
+const ROTATION_ENABLED = process.env.VAULT_SECRET_ID_ROTATION === 'true';
+// Rotate once this fraction of the remaining SecretID lifetime has elapsed
+const ROTATE_FRACTION = parseFloat(process.env.VAULT_SECRET_ID_ROTATE_FRACTION || '0.5');
+const ROTATION_FILE = process.env.VAULT_SECRET_ID_ROTATION_FILE || null;
+const ROTATION_RETRY_MS = 60_000;
+const MIN_SCHEDULE_MS = 1_000;
+// A persisted SecretID this close to expiry is not worth a login attempt
+const PERSISTED_MIN_REMAINING_MS = 60_000;
+
+const SOURCE = {
+  PERSISTED: 'persisted',
+  WRAPPED:   'wrapped',
+  STATIC:    'static',
+  ROTATED:   'rotated',
+};
+
+// Internal state — the SecretID never leaves this module except through currentSecretId()
+let _secretId = null;
+let _accessor = null;
+let _expiresAt = null; // epoch ms, null when the SecretID does not expire
+let _source = null;
+let _wrapDigest = null; // digest of the startup wrapping token already unwrapped
+let _rotationTimer = null;
+let _nextRotationAt = null;
+let _lookup = null;
+let _issue = null;
+let _lastRotation = null; // { at, success, error? }
+let _rotationFailures = 0;
+
+function adopt({ secretId, accessor = null, expiresAt = null }, source) {
+  _secretId = secretId;
+  _accessor = accessor;
+  _expiresAt = expiresAt;
+  _source = source;
+}
+
+function digest(wrappingToken) {
+  return crypto.createHash('sha256').update(wrappingToken).digest('hex');
+}
+
+function readPersisted() {
+  if (!ROTATION_FILE || !fs.existsSync(ROTATION_FILE)) return null;
+  try {
+    const persisted = JSON.parse(fs.readFileSync(ROTATION_FILE, 'utf8'));
+    if (typeof persisted.secretId !== 'string' || !persisted.secretId) return null;
+    if (typeof persisted.expiresAt === 'number' && persisted.expiresAt - Date.now() < PERSISTED_MIN_REMAINING_MS) {
+      logger.info({ file: ROTATION_FILE, expiresAt: new Date(persisted.expiresAt).toISOString() },
+        'Persisted SecretID has expired — ignoring it');
+      return null;
+    }
+    return persisted;
+  } catch (err) {
+    logger.warn({ file: ROTATION_FILE, err: err.message }, 'Could not read persisted SecretID — ignoring it');
+    return null;
+  }
+}
+
+/**
+ * Warn when the rotation file's directory is open to other users.
+ */
+function checkRotationDir() {
+  const dir = path.dirname(ROTATION_FILE);
+  try {
+    const mode = fs.statSync(dir).mode & 0o777;
+    if (mode & 0o077) {
+      logger.warn({ dir, mode: mode.toString(8) },
+        'VAULT_SECRET_ID_ROTATION_FILE directory is accessible to other users — use a dedicated 0700 directory');
+    }
+  } catch {
+    // Created 0700 on the first write
+  }
+}
+
+/**
+ * Write the current SecretID to VAULT_SECRET_ID_ROTATION_FILE (mode 0600,
+ * replaced atomically) so a restart can log in without the original one.
+ * @returns {boolean} Whether it was written
+ */
+function persist() {
+  if (!ROTATION_FILE) return false;
+  try {
+    fs.mkdirSync(path.dirname(ROTATION_FILE), { recursive: true, mode: 0o700 });
+    const tmp = `${ROTATION_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      secretId: _secretId,
+      accessor: _accessor,
+      expiresAt: _expiresAt,
+      wrapDigest: _wrapDigest,
+      writtenAt: Date.now(),
+    }), { mode: 0o600 });
+    fs.renameSync(tmp, ROTATION_FILE);
+    return true;
+  } catch (err) {
+    logger.error({ file: ROTATION_FILE, err: err.message }, 'Could not persist SecretID — a restart will need a new one');
+    return false;
+  }
+}
+
+/**
+ * Pick the SecretID for the first login (see the module header for the order).
+ *
+ * @param {object}      options
+ * @param {string|null} options.plain        - VAULT_SECRET_ID / VAULT_SECRET_ID_FILE
+ * @param {string|null} options.wrappedToken - VAULT_SECRET_ID_WRAPPED / VAULT_SECRET_ID_WRAPPED_FILE
+ * @param {Function}    options.unwrap       - (wrappingToken, context) => Promise<{ secretId, accessor, expiresAt }>;
+ *                                             rejects when the wrap is invalid
+ * @returns {Promise<string>} Source of the SecretID (SOURCE.*)
+ */
+async function resolveSecretId({ plain, wrappedToken, unwrap }) {
+  if (ROTATION_FILE) checkRotationDir();
+  const persisted = readPersisted();
+  // The wrap file usually outlives its first use — only a new wrap is unwrapped
+  const consumed = persisted && wrappedToken && persisted.wrapDigest === digest(wrappedToken);
+  if (wrappedToken && !consumed) {
+    // Fail closed: a rejected wrap propagates and startup stops
+    adopt(await unwrap(wrappedToken, 'startup'), SOURCE.WRAPPED);
+    _wrapDigest = digest(wrappedToken);
+    // The wrap is spent — keep the SecretID for restarts, replacing any older one
+    persist();
+  } else if (persisted) {
+    adopt(persisted, SOURCE.PERSISTED);
+    _wrapDigest = persisted.wrapDigest || null;
+  } else if (plain) {
+    adopt({ secretId: plain }, SOURCE.STATIC);
+  } else {
+    throw new Error('No AppRole SecretID configured');
+  }
+  logger.info({ source: _source, secretIdAccessor: _accessor }, 'AppRole SecretID selected');
+  return _source;
+}
+
+/**
+ * Vault refused the persisted SecretID at login: switch to the plain one and
+ * persist it in its place. A wrap still unused would have been chosen over
+ * the persisted SecretID, so a configured wrap is spent and not retried.
+ *
+ * @param {object}      options
+ * @param {string|null} options.plain - VAULT_SECRET_ID / VAULT_SECRET_ID_FILE
+ * @returns {string|null} The new source (SOURCE.STATIC), or null when there is nothing to fall back to
+ */
+function fallBackFromPersisted({ plain }) {
+  if (_source !== SOURCE.PERSISTED || !plain || plain === _secretId) return null;
+  const refusedAccessor = _accessor;
+  adopt({ secretId: plain }, SOURCE.STATIC);
+  persist();
+  logger.warn({ refusedAccessor, source: _source }, 'Persisted SecretID refused by Vault — falling back to the configured SecretID');
+  return _source;
+}
+
+/**
+ * The SecretID for the next AppRole login.
+ */
+function currentSecretId() {
+  return _secretId;
+}
+
+function schedule(delayMs) {
+  if (_rotationTimer) {
+    clearTimeout(_rotationTimer);
+  }
+  const wait = Math.max(MIN_SCHEDULE_MS, delayMs);
+  _nextRotationAt = Date.now() + wait;
+  _rotationTimer = setTimeout(rotate, wait);
+
+  // Don't keep the process alive solely for this timer
+  if (_rotationTimer.unref) {
+    _rotationTimer.unref();
+  }
+  logger.debug({ delayMs: wait }, 'Next SecretID rotation scheduled');
+}
+
+function scheduleFromExpiry() {
+  if (_expiresAt === null) {
+    _nextRotationAt = null;
+    logger.info('AppRole SecretID does not expire — rotation not scheduled');
+    return;
+  }
+  schedule((_expiresAt - Date.now()) * ROTATE_FRACTION);
+}
+
+/**
+ * Timer callback: request a fresh SecretID and switch to it.
+ */
+async function rotate() {
+  _rotationTimer = null;
+  const previousAccessor = _accessor;
+  try {
+    const issued = await _issue();
+    adopt(issued, SOURCE.ROTATED);
+    const persisted = persist();
+    _rotationFailures = 0;
+    _lastRotation = { at: Date.now(), success: true };
+    auditLogger.recordSecretIdRotation(SECRET_ID_PATH, true, {
+      secretIdAccessor: _accessor,
+      previousAccessor,
+      expiresAt: _expiresAt === null ? null : new Date(_expiresAt).toISOString(),
+      persisted,
+    });
+    logger.info({ secretIdAccessor: _accessor, previousAccessor, persisted }, 'AppRole SecretID rotated');
+    scheduleFromExpiry();
+  } catch (err) {
+    _rotationFailures += 1;
+    _lastRotation = { at: Date.now(), success: false, error: err.message };
+    auditLogger.recordSecretIdRotation(SECRET_ID_PATH, false, { previousAccessor, error: err.message, consecutiveFailures: _rotationFailures });
+    logger.error({ err: err.message, consecutiveFailures: _rotationFailures, retryInMs: ROTATION_RETRY_MS },
+      'AppRole SecretID rotation failed');
+    schedule(ROTATION_RETRY_MS);
+  }
+}
+
+/**
+ * Start rotating the SecretID (no-op unless VAULT_SECRET_ID_ROTATION=true).
+ * Call after the first successful login — both callbacks need a Vault token.
+ *
+ * @param {object}   callbacks
+ * @param {Function} callbacks.lookup - (secretId) => Promise<{ accessor, expiresAt }> — expiry of a SecretID
+ *                                      whose lifetime is not known yet (static or persisted without one)
+ * @param {Function} callbacks.issue  - () => Promise<{ secretId, accessor, expiresAt }> — a fresh SecretID
+ */
+async function startSecretIdRotation({ lookup, issue }) {
+  if (!ROTATION_ENABLED) return;
+  _lookup = lookup;
+  _issue = issue;
+
+  if (_source === SOURCE.STATIC) {
+    try {
+      const { accessor, expiresAt } = await _lookup(_secretId);
+      _accessor = accessor;
+      _expiresAt = expiresAt;
+    } catch (err) {
+      // Expiry unknown — rotate soon rather than risk running past it
+      logger.warn({ err: err.message, retryInMs: ROTATION_RETRY_MS }, 'SecretID lookup failed — rotating instead');
+      schedule(ROTATION_RETRY_MS);
+      return;
+    }
+  }
+
+  logger.info(
+    { source: _source, rotateFraction: ROTATE_FRACTION, expiresAt: _expiresAt === null ? null : new Date(_expiresAt).toISOString() },
+    'AppRole SecretID rotation started'
+  );
+  scheduleFromExpiry();
+}
+
+/**
+ * Stop the rotation timer (used during graceful shutdown).
+ */
+function stopSecretIdRotation() {
+  if (_rotationTimer) {
+    clearTimeout(_rotationTimer);
+    _rotationTimer = null;
+    _nextRotationAt = null;
+    logger.info('AppRole SecretID rotation stopped');
+  }
+}
+
+function secondsUntil(ms) {
+  return ms === null ? null : Math.max(0, Math.floor((ms - Date.now()) / 1000));
+}
+
+/**
+ * SecretID status for GET /health — accessor and timing only, never the value.
+ */
+function getSecretIdStatus() {
+  return {
+    source: _source,
+    accessor: _accessor,
+    expiresInSeconds: secondsUntil(_expiresAt),
+    rotation: {
+      enabled: ROTATION_ENABLED,
+      nextInSeconds: secondsUntil(_nextRotationAt),
+      lastAt: _lastRotation ? new Date(_lastRotation.at).toISOString() : null,
+      lastSuccess: _lastRotation ? _lastRotation.success : null,
+      consecutiveFailures: _rotationFailures,
+    },
+  };
+}
+
+module.exports = {
+  SOURCE,
+  APPROLE_ROLE,
+  SECRET_ID_PATH,
+  resolveSecretId,
+  fallBackFromPersisted,
+  currentSecretId,
+  startSecretIdRotation,
+  stopSecretIdRotation,
+  getSecretIdStatus,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * secret-provider.js
+ *
+ * Selects and fronts the active secret backend. The rest of the service
+ * (processors, health, admin routes) reads credentials ONLY through this
+ * module, so it never needs to know whether they came from Vault, mounted
+ * files, or the in-process mock.
+ *
+ * Selected with SECRET_PROVIDER:
+ *   - vault (default) — HashiCorp Vault KV v2 via AppRole (production)
+ *   - file            — SECRETS_DIR / SECRETS_FILE (Docker/K8s mounted secrets)
+ *   - mock            — in-process placeholder values (laptop / CI only)
+ *
+ * @typedef {object} SecretProvider
+ * @property {string}   name        - Backend identifier ('vault' | 'file' | 'mock')
+ * @property {Function} load        - () => Promise<object> — initial authenticate + fetch
+ * @property {Function} refresh     - () => Promise<object> — re-read; keeps cache on failure
+ * @property {Function} version     - ([source]) => number|null — version of the cached secret set, or of
+ *                                    one of its sources (a Vault path); single-source backends ignore it
+ * @property {Function} watch       - (onChange) => Function — start change detection, returns stop fn
+ * @property {Function} getCached   - () => object|null — cached secrets, no I/O
+ * @property {Function} isLoaded    - () => boolean — loaded at least once
+ * @property {Function} lastLoadedAt - () => number|null — epoch ms of the last successful load/refresh
+ * @property {Function} refreshStatus - () => { consecutiveFailures, lastFailureAt } — failed refreshes
+ *                                      since the last success
+ * @property {Function} connectivity - () => object|null — backend reachability (and Vault token),
+ *                                     null for backends without a remote service
+ * @property {Function} close       - () => void — release timers/handles
+ */
+
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+const { createVaultProvider } = require('./providers/vault-provider');
+const { createFileProvider } = require('./providers/file-provider');
+const { createMockProvider } = require('./providers/mock-provider');
+
+const logger = createLogger('secret-provider');
+
+const PROVIDERS = {
+  vault: createVaultProvider,
+  file: createFileProvider,
+  mock: createMockProvider,
+};
+
+// Push triggers arriving within this window share one reload
+const REFRESH_DEBOUNCE_MS = parseInt(process.env.SECRET_REFRESH_DEBOUNCE_MS || '1000', 10);
+
+// Internal state — the single active provider for this process
+let _provider = null;
+let _stopWatching = null;
+let _pendingRefresh = null; // { promise, triggers } — debounced reload not yet started
+
+const rotations = metrics.counter(
+  'flexpay_secret_rotations_total',
+  'Secret rotations detected (the cached secret set changed version)'
+);
+
+const refreshTriggers = metrics.counter(
+  'flexpay_secret_refresh_triggers_total',
+  'Push-triggered secret reload requests (several may share one reload)',
+  ['trigger']
+);
+
+metrics.gauge('flexpay_secrets_version', 'Version of the cached secret set (KV v2 version for Vault)', [],
+  () => getSecretsVersion());
+
+metrics.gauge('flexpay_secrets_seconds_since_refresh', 'Seconds since secrets were last loaded or refreshed successfully', [],
+  () => {
+    const at = _provider ? _provider.lastLoadedAt() : null;
+    return at === null ? null : (Date.now() - at) / 1000;
+  });
+
+/**
+ * Build the provider named by SECRET_PROVIDER (or `name`).
+ * @param {string} [name]
+ * @returns {SecretProvider}
+ */
+function createSecretProvider(name = process.env.SECRET_PROVIDER || 'vault') {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown SECRET_PROVIDER "${name}". Valid options: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('SECRET_PROVIDER=mock is not allowed when NODE_ENV=production.');
+  }
+  return factory();
+}
+
+/**
+ * Select the configured provider (unless one is passed in) and perform the initial load.
+ *
+ * @param {SecretProvider} [provider] - Explicit provider, e.g. a mock in tests
+ * @returns {Promise<object>} The loaded secrets
+ */
+async function initSecretProvider(provider) {
+  _provider = provider || createSecretProvider();
+  logger.info({ provider: _provider.name }, 'Initialising secret provider');
+  return _provider.load();
+}
+
+/**
+ * Start change detection on the active provider.
+ * @param {Function} [onChange] - Called with { previousVersion, newVersion }
+ */
+function startWatching(onChange = () => {}) {
+  if (_stopWatching) _stopWatching();
+  _stopWatching = requireProvider().watch((change) => {
+    rotations.inc();
+    onChange(change);
+  });
+}
+
+/**
+ * Stop change detection and release provider resources (graceful shutdown).
+ */
+function stopSecretProvider() {
+  if (_stopWatching) {
+    _stopWatching();
+    _stopWatching = null;
+  }
+  if (_provider) _provider.close();
+}
+
+function requireProvider() {
+  if (!_provider) {
+    throw new Error('Secret provider not initialised. Call initSecretProvider() first.');
+  }
+  return _provider;
+}
+
+/**
+ * On-demand reload from the active provider.
+ */
+function refreshSecrets() {
+  return requireProvider().refresh();
+}
+
+/**
+ * Debounced reload for push triggers (SIGHUP, rotation notifications).
+ * Requests arriving before the reload starts join it; a request arriving
+ * while a reload is in flight schedules the next one, so a rotation that
+ * lands mid-read is never missed.
+ *
+ * @param {string} trigger - What asked for the reload (e.g. 'sighup', 'notify')
+ * @returns {Promise<object>} Secrets after the reload
+ */
+function requestRefresh(trigger) {
+  refreshTriggers.inc({ trigger });
+  if (!_pendingRefresh) {
+    const pending = { triggers: new Set() };
+    pending.promise = new Promise((resolve) => setTimeout(resolve, REFRESH_DEBOUNCE_MS)).then(() => {
+      _pendingRefresh = null;
+      logger.info({ triggers: [...pending.triggers] }, 'Push-triggered secret refresh');
+      return refreshSecrets();
+    });
+    _pendingRefresh = pending;
+  }
+  _pendingRefresh.triggers.add(trigger);
+  return _pendingRefresh.promise;
+}
+
+/**
+ * Return the current cached secrets without I/O (null before first load).
+ */
+function getCachedSecrets() {
+  return _provider ? _provider.getCached() : null;
+}
+
+/**
+ * Whether secrets have been successfully loaded at least once.
+ */
+function areSecretsLoaded() {
+  return _provider ? _provider.isLoaded() : false;
+}
+
+/**
+ * Version of the cached secret set (KV version for Vault), or of one source
+ * of it (a Vault path).
+ * @param {string} [source]
+ */
+function getSecretsVersion(source) {
+  return _provider ? _provider.version(source) : null;
+}
+
+/**
+ * Secret freshness and backend state for GET /health.
+ * @returns {{ lastRefreshAt: number|null, consecutiveFailures: number, lastFailureAt: number|null, connectivity: object|null }}
+ */
+function getSecretsStatus() {
+  if (!_provider) return { lastRefreshAt: null, consecutiveFailures: 0, lastFailureAt: null, connectivity: null };
+  return {
+    lastRefreshAt: _provider.lastLoadedAt(),
+    ..._provider.refreshStatus(),
+    connectivity: _provider.connectivity(),
+  };
+}
+
+/**
+ * Name of the active provider, or null before initialisation.
+ */
+function getProviderName() {
+  return _provider ? _provider.name : null;
+}
+
+module.exports = {
+  createSecretProvider,
+  initSecretProvider,
+  startWatching,
+  stopSecretProvider,
+  refreshSecrets,
+  requestRefresh,
+  getCachedSecrets,
+  areSecretsLoaded,
+  getSecretsVersion,
+  getSecretsStatus,
+  getProviderName,
+};
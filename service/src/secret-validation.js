@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * secret-validation.js
+ *
+ * Checks every fetched secret set against the processor registry before it
+ * replaces the cache, so a typo in a rotated value is caught at rotation time
+ * instead of on the next failed payment.
+ *
+ * Rules per key:
+ *   - every enabled processor's requiredKeys must be non-empty strings
+ *   - registry `secretRules` (prefix, minLength, pattern, url) — for an
+ *     optional key (e.g. a webhook secret) only when it is present
+ *   - `url: "https"` also accepts http:// outside production (NODE_ENV set
+ *     to something other than "production") and with the mock provider,
+ *     where the mock acquirers listen on plain localhost ports
+ *
+ * Providers call screenSecrets() on every load and refresh:
+ *   - valid                     → the set is cached as usual
+ *   - invalid on a refresh      → the whole update is rejected and the
+ *                                 previous, valid cache is kept
+ *   - invalid on the first load → the invalid keys are left out, so only the
+ *                                 affected processors are unavailable
+ *
+ * Either way a SECRET_VALIDATION_FAILED audit event names the keys and rules
+ * that failed — never the values — and GET /health reports the failure until
+ * a later fetch validates cleanly.
+ */
+
+const { createLogger } = require('./logger');
+const auditLogger = require('./audit-logger');
+
+const logger = createLogger('secret-validation');
+
+const ACTION = {
+  UPDATE_REJECTED: 'update_rejected',
+  KEYS_DROPPED:    'keys_dropped',
+};
+
+// Internal state — last failed validation, cleared by the next clean one
+let _lastFailure = null;
+
+function allowsPlainHttp(provider) {
+  const env = process.env.NODE_ENV;
+  return provider === 'mock' || (!!env && env !== 'production');
+}
+
+/**
+ * @returns {string|null} Why the value breaks the rule, or null when it passes.
+ *                        Describes the rule only — never echoes the value.
+ */
+function checkRule(value, rule, { provider }) {
+  if (rule.prefix && !rule.prefix.some((p) => value.startsWith(p))) {
+    return `must start with ${rule.prefix.join(' or ')}`;
+  }
+  if (rule.minLength && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `must match ${rule.pattern.source}`;
+  }
+  if (rule.url) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return 'must be a valid URL';
+    }
+    const httpAllowed = url.protocol === 'http:' && allowsPlainHttp(provider);
+    if (url.protocol !== 'https:' && !httpAllowed) return 'must be an https:// URL';
+  }
+  return null;
+}
+
+/**
+ * Check a secret set against the registry.
+ * @param {object} secrets
+ * @param {object} options
+ * @param {string} options.provider - Provider name ('vault' | 'file' | 'mock')
+ * @returns {Array<{ key: string, processor: string, rule: string }>} Failures (empty when valid)
+ */
+function validateSecrets(secrets, { provider }) {
+  // Lazy: the registry imports vault-client, which imports this module
+  const { listProcessors } = require('./processor-registry');
+  const failures = [];
+
+  for (const schema of listProcessors({ enabledOnly: true })) {
+    const keys = new Set([...schema.requiredKeys, ...Object.keys(schema.secretRules)]);
+    for (const key of keys) {
+      const value = secrets[key];
+      const required = schema.requiredKeys.includes(key);
+      if (value === undefined && !required) continue;
+
+      if (typeof value !== 'string' || value.trim() === '') {
+        failures.push({ key, processor: schema.id, rule: 'must be a non-empty string' });
+        continue;
+      }
+      const broken = schema.secretRules[key] ? checkRule(value, schema.secretRules[key], { provider }) : null;
+      if (broken) failures.push({ key, processor: schema.id, rule: broken });
+    }
+  }
+  return failures;
+}
+
+function sameFailure(failure, source, version, keys) {
+  return !!failure && failure.source === source && failure.version === version &&
+    JSON.stringify(failure.keys) === JSON.stringify(keys);
+}
+
+/**
+ * Validate a freshly fetched set and decide what the provider caches.
+ *
+ * @param {object} secrets
+ * @param {object} options
+ * @param {string} options.source      - Path or location the set came from (audit `path`)
+ * @param {*}      options.version     - Version of the fetched set
+ * @param {string} options.provider    - Provider name
+ * @param {boolean} options.initialLoad - Nothing cached yet
+ * @returns {object|null} The set to cache, or null to keep the current cache
+ */
+function screenSecrets(secrets, { source, version, provider, initialLoad }) {
+  const failures = validateSecrets(secrets, { provider });
+  if (failures.length === 0) {
+    if (_lastFailure) logger.info({ source, version }, 'Secrets validate cleanly again');
+    _lastFailure = null;
+    return secrets;
+  }
+
+  const keys = failures.map((f) => f.key);
+  const repeated = sameFailure(_lastFailure, source, version ?? null, keys);
+  const action = repeated ? _lastFailure.action : initialLoad ? ACTION.KEYS_DROPPED : ACTION.UPDATE_REJECTED;
+
+  // Polling re-fetches a rejected version until it is fixed — audit it once
+  if (!repeated) {
+    auditLogger.recordSecretValidationFailed(source, { kvVersion: version ?? null, action, failures });
+    _lastFailure = { at: new Date().toISOString(), source, version: version ?? null, action, keys, failures };
+  }
+
+  if (initialLoad) {
+    logger.error({ source, version, failures }, 'Loaded secrets failed validation — invalid keys left out');
+    const kept = { ...secrets };
+    for (const key of keys) delete kept[key];
+    return kept;
+  }
+
+  logger.error({ source, version, failures }, 'Fetched secrets failed validation — update rejected, previous secrets kept');
+  return null;
+}
+
+/**
+ * Last validation failure for GET /health, or null when the latest fetch
+ * validated cleanly.
+ */
+function getValidationFailure() {
+  if (!_lastFailure) return null;
+  const { at, source, version, action, failures } = _lastFailure;
+  return { at, source, version, action, failures };
+}
+
+module.exports = {
+  ACTION,
+  validateSecrets,
+  screenSecrets,
+  getValidationFailure,
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * file-store.js
+ *
+ * JSON-file backed key/value store with per-entry TTL, so state survives a
+ * container restart when the file lives on a Docker volume.
+ *
+ * Every write re-reads the file, merges, and replaces it atomically
+ * (write to a temp file + rename), which keeps replicas sharing a volume from
+ * clobbering each other's entries in the common case. It is NOT a substitute
+ * for a real shared store (Redis, a database) under heavy concurrent load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('file-store');
+
+/**
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file (created if missing)
+ * @returns {{ get: Function, set: Function, delete: Function, close: Function }}
+ */
+function createFileStore({ file }) {
+  if (!file) {
+    throw new Error('File store requires a file path.');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  function readAll() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = Date.now();
+      for (const key of Object.keys(parsed)) {
+        if (parsed[key].expiresAt !== null && parsed[key].expiresAt <= now) delete parsed[key];
+      }
+      return parsed;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn({ file, err: err.message }, 'Could not read store file — starting empty');
+      }
+      return {};
+    }
+  }
+
+  function writeAll(entries) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entry = readAll()[key];
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const entries = readAll();
+      entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      writeAll(entries);
+    },
+
+    async delete(key) {
+      const entries = readAll();
+      if (key in entries) {
+        delete entries[key];
+        writeAll(entries);
+      }
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createFileStore };
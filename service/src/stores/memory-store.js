@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * memory-store.js
+ *
+ * In-process key/value store with per-entry TTL. Default backend for
+ * short-lived state such as idempotency records. Contents are lost on restart.
+ *
+ * All methods are async so callers can swap in a persistent backend
+ * (see file-store.js) without code changes.
+ */
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.sweepIntervalMs] - How often expired entries are purged
+ * @returns {{ get: Function, set: Function, delete: Function, close: Function }}
+ */
+function createMemoryStore({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  const sweeper = setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  if (sweeper.unref) sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    close() {
+      clearInterval(sweeper);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * token-manager.js
+ *
+ * Keeps the Vault client token alive for the lifetime of the process.
+ *
+ * AppRole tokens are issued with a TTL (token_ttl=1h) and a hard ceiling
+ * (token_max_ttl=4h). Without intervention the token silently expires and every
+ * subsequent Vault read fails, leaving the service on a stale secret cache.
+ *
+ * Lifecycle:
+ *   1. After login, schedule a renewal at RENEW_FRACTION of the lease duration.
+ *   2. Renew via `auth/token/renew-self`. If Vault grants a shorter TTL than
+ *      the original lease, the token is approaching its max TTL — the next
+ *      cycle performs a fresh AppRole login instead of another renewal.
+ *   3. If renewal is refused (token revoked, not renewable, expired), fall back
+ *      to a fresh AppRole login immediately.
+ *   4. If re-login fails, retry on a fixed backoff until it succeeds.
+ *
+ * The manager does not talk to Vault directly — vault-client.js supplies the
+ * `renewSelf` and `reLogin` callbacks, so this module never sees credentials.
+ *
+ * VAULT_AUTH_METHOD=token (static dev token) has no way to log in again, so
+ * its re-login always fails; with token-file the Vault Agent renews the token
+ * and this module is not started.
+ */
+
+const { createLogger } = require('./logger');
+const auditLogger = require('./audit-logger');
+const metrics = require('./metrics');
+
+const logger = createLogger('token-manager');
+
+// Renew once this fraction of the TTL has elapsed (default: two thirds)
+const RENEW_FRACTION = parseFloat(process.env.VAULT_TOKEN_RENEW_FRACTION || '0.67');
+const REAUTH_RETRY_MS = 30_000;
+const MIN_SCHEDULE_MS = 1_000;
+
+// Internal state
+let _renewTimer = null;
+let _renewSelf = null;
+let _reLogin = null;
+let _authPath = undefined; // audit path of _reLogin (audit-logger default: AppRole login)
+let _authMethod = null;
+let _initialLeaseDuration = null;
+let _leaseDuration = null;
+let _renewable = false;
+let _expiresAt = null;
+let _nextAction = null; // 'renew' | 'reauth'
+
+/**
+ * Schedule the next lifecycle step after `delayMs`.
+ * @param {number} delayMs
+ * @param {'renew'|'reauth'} action
+ */
+function schedule(delayMs, action) {
+  if (_renewTimer) {
+    clearTimeout(_renewTimer);
+  }
+  _nextAction = action;
+  _renewTimer = setTimeout(runLifecycleStep, Math.max(MIN_SCHEDULE_MS, delayMs));
+
+  // Don't keep the process alive solely for this timer
+  if (_renewTimer.unref) {
+    _renewTimer.unref();
+  }
+
+  logger.debug({ delayMs, action }, 'Next token lifecycle step scheduled');
+}
+
+/**
+ * Record a freshly issued or renewed lease and schedule the next step.
+ * @param {object} auth - The `auth` block of a Vault login/renew response
+ * @param {boolean} [isNewToken=false] - True after a login (resets the TTL baseline)
+ */
+function trackLease(auth, isNewToken = false) {
+  _leaseDuration = auth.lease_duration;
+  _renewable = auth.renewable !== false;
+  _expiresAt = Date.now() + _leaseDuration * 1000;
+
+  if (isNewToken || _initialLeaseDuration === null) {
+    _initialLeaseDuration = _leaseDuration;
+  }
+
+  // A zero lease means a non-expiring token (e.g. root in dev mode) — nothing to do
+  if (!_leaseDuration) {
+    _nextAction = null;
+    logger.info('Vault token has no TTL — renewal not scheduled');
+    return;
+  }
+
+  // Vault caps renewals at token_max_ttl: a shorter grant means we are near the ceiling
+  const nearMaxTtl = !isNewToken && _leaseDuration < _initialLeaseDuration;
+  const action = _renewable && !nearMaxTtl ? 'renew' : 'reauth';
+
+  schedule(_leaseDuration * 1000 * RENEW_FRACTION, action);
+}
+
+/**
+ * Perform a fresh login through the vault-client callback.
+ */
+async function reauthenticate(reason) {
+  logger.info({ reason, authMethod: _authMethod }, 'Re-authenticating to Vault with a fresh login');
+  try {
+    const auth = await _reLogin();
+    auditLogger.recordReauth(true, { reason, authMethod: _authMethod, leaseDuration: auth.lease_duration }, _authPath);
+    trackLease(auth, true);
+  } catch (err) {
+    logger.error({ err: err.message, retryInMs: REAUTH_RETRY_MS }, 'Vault re-authentication failed');
+    auditLogger.recordReauth(false, { reason, authMethod: _authMethod, error: err.message }, _authPath);
+    schedule(REAUTH_RETRY_MS, 'reauth');
+  }
+}
+
+/**
+ * Timer callback: renew the token or fall back to a fresh login.
+ */
+async function runLifecycleStep() {
+  _renewTimer = null;
+
+  if (_nextAction === 'reauth') {
+    auditLogger.recordTokenExpired('max_ttl_reached');
+    await reauthenticate('max_ttl_reached');
+    return;
+  }
+
+  try {
+    const response = await _renewSelf();
+    const auth = response.auth;
+    logger.info({ leaseDuration: auth.lease_duration }, 'Vault token renewed');
+    auditLogger.recordTokenRenewed(auth.lease_duration);
+    trackLease(auth);
+  } catch (err) {
+    logger.warn({ err: err.message }, 'Vault token renewal refused — falling back to re-login');
+    auditLogger.recordTokenExpired('renewal_refused', err.message);
+    await reauthenticate('renewal_refused');
+  }
+}
+
+/**
+ * Start managing the token issued by the initial login.
+ *
+ * @param {object}   auth               - `auth` block from the initial login response
+ * @param {object}   callbacks
+ * @param {Function} callbacks.renewSelf - Calls `auth/token/renew-self`; resolves with the response
+ * @param {Function} callbacks.reLogin   - Performs a fresh login; resolves with the new `auth` block
+ * @param {string}   [callbacks.authMethod] - VAULT_AUTH_METHOD, for audit entries
+ * @param {string}   [callbacks.authPath]   - Audit path of a re-login (default: AppRole login)
+ */
+function startTokenLifecycle(auth, { renewSelf, reLogin, authMethod = 'approle', authPath }) {
+  _renewSelf = renewSelf;
+  _reLogin = reLogin;
+  _authMethod = authMethod;
+  _authPath = authPath;
+  trackLease(auth, true);
+  logger.info(
+    { leaseDuration: _leaseDuration, renewable: _renewable, renewFraction: RENEW_FRACTION },
+    'Vault token lifecycle management started'
+  );
+}
+
+/**
+ * Stop the renewal timer (used during graceful shutdown).
+ */
+function stopTokenLifecycle() {
+  if (_renewTimer) {
+    clearTimeout(_renewTimer);
+    _renewTimer = null;
+    logger.info('Vault token lifecycle management stopped');
+  }
+}
+
+/**
+ * Current token status — TTL metadata only, never the token itself.
+ * @returns {{ leaseDuration: number|null, renewable: boolean, ttlRemainingSeconds: number|null, nextAction: string|null }}
+ */
+function getTokenStatus() {
+  return {
+    leaseDuration: _leaseDuration,
+    renewable: _renewable,
+    ttlRemainingSeconds: _expiresAt && _leaseDuration
+      ? Math.max(0, Math.floor((_expiresAt - Date.now()) / 1000))
+      : null,
+    nextAction: _nextAction,
+  };
+}
+
+metrics.gauge('flexpay_vault_token_ttl_seconds', 'Seconds until the Vault client token expires (absent for non-expiring tokens)', [],
+  () => getTokenStatus().ttlRemainingSeconds);
+
+module.exports = {
+  startTokenLifecycle,
+  stopTokenLifecycle,
+  getTokenStatus,
+};
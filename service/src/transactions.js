@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * transactions.js
+ *
+ * Payment transaction state machine and amount bookkeeping.
+ *
+ *   authorized ──capture──▶ captured ──refund──▶ partially_refunded ──refund──▶ refunded
+ *        │                      └──────────────refund (full)──────────────────────▲
+ *        └──void──▶ voided
+ *
+ *   declined     — terminal; recorded when the processor refuses the authorization
+ *   unknown      — terminal; the authorization timed out, lost its connection or
+ *                  got an HTTP 5xx, so the processor may have approved it —
+ *                  reconcile with the processor before charging again
+ *   charged_back — set by a processor chargeback webhook on a captured payment
+ *
+ * Rules:
+ *   - capture: only from `authorized`; amount ≤ authorized amount (partial capture
+ *     releases the remainder); one capture per authorization.
+ *   - void:    only from `authorized`.
+ *   - refund:  from `captured` or `partially_refunded`; cumulative refunds
+ *     never exceed the captured amount. Refunds start `pending` and are
+ *     confirmed (`succeeded`) or reversed (`failed`) by processor webhooks.
+ *
+ * Operations return `{ success: true, transaction }` or
+ * `{ success: false, reason, error }` where reason is one of REASON.* —
+ * the same result-object convention as processors.processPayment().
+ *
+ * State lives in the append-only ledger (ledger.js): every change appends the
+ * new snapshot, and reads return the latest one.
+ */
+
+const { LEDGER_EVENT, appendEntry, getLatest } = require('./ledger');
+
+const STATUS = {
+  AUTHORIZED:         'authorized',
+  CAPTURED:           'captured',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED:           'refunded',
+  VOIDED:             'voided',
+  DECLINED:           'declined',
+  UNKNOWN:            'unknown',
+  CHARGED_BACK:       'charged_back',
+};
+
+const REFUND_STATUS = {
+  PENDING:   'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED:    'failed',
+};
+
+const REASON = {
+  NOT_FOUND:          'not_found',
+  INVALID_TRANSITION: 'invalid_transition',
+  INVALID_AMOUNT:     'invalid_amount',
+  PROCESSOR_DECLINED: 'processor_declined',
+};
+
+// Which statuses each operation may start from
+const ALLOWED_FROM = {
+  capture:    [STATUS.AUTHORIZED],
+  void:       [STATUS.AUTHORIZED],
+  refund:     [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED],
+  chargeback: [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED],
+  settle:     [STATUS.CAPTURED, STATUS.PARTIALLY_REFUNDED, STATUS.REFUNDED],
+};
+
+function randomSuffix() {
+  return Math.random().toString(36).slice(2, 9);
+}
+
+function fail(reason, error) {
+  return { success: false, reason, error };
+}
+
+/**
+ * Record the outcome of a processor authorization.
+ *
+ * @param {object}  params
+ * @param {string}  params.id                   - Transaction id (txn_*)
+ * @param {string}  params.processor            - Processor id
+ * @param {string}  params.processorName        - Processor display name
+ * @param {string}  [params.merchantId]         - Merchant that requested the payment
+ * @param {number}  params.amount               - Requested amount in cents
+ * @param {string}  params.currency             - ISO 4217 code
+ * @param {boolean} [params.capture=true]       - Capture immediately (sale) or authorize only
+ * @param {object}  [params.card]               - Card summary { cardToken, brand, last4, expMonth, expYear }
+ * @param {string}  [params.processorReference] - Processor's id for the payment
+ * @param {string}  [params.declineCode]        - Set when the processor refused it
+ * @param {boolean} [params.outcomeUnknown]     - The processor may have authorized despite the decline code
+ * @param {string}  [params.requestId]          - Request that created it (request-context.js)
+ * @param {string}  [params.traceId]            - Its W3C trace id
+ * @returns {object} Transaction snapshot
+ */
+function createTransaction({ id, processor, processorName, merchantId = null, amount, currency, capture = true, card = null, processorReference = null, declineCode = null, outcomeUnknown = false, requestId = null, traceId = null }) {
+  const now = new Date().toISOString();
+  const isDeclined = !!declineCode;
+  const captured = capture && !isDeclined;
+  let status = captured ? STATUS.CAPTURED : STATUS.AUTHORIZED;
+  if (isDeclined) status = outcomeUnknown ? STATUS.UNKNOWN : STATUS.DECLINED;
+
+  const txn = {
+    id,
+    processor,
+    processorName,
+    processorReference,
+    merchantId,
+    card,
+    requestId,
+    traceId,
+    currency,
+    requestedAmount: amount,
+    authorizedAmount: isDeclined ? 0 : amount,
+    capturedAmount: captured ? amount : 0,
+    refundedAmount: 0,
+    status,
+    declineCode,
+    refunds: [],
+    history: [isDeclined ? { type: status === STATUS.UNKNOWN ? 'unknown' : 'decline', amount, declineCode, at: now } : { type: 'authorize', amount, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (captured) {
+    txn.history.push({ type: 'capture', amount, at: now });
+  }
+
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn);
+  return txn;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} Transaction snapshot
+ */
+function getTransaction(id) {
+  return getLatest(id);
+}
+
+/**
+ * Validate an operation without applying it.
+ *
+ * @param {string} id
+ * @param {'capture'|'void'|'refund'} operation
+ * @param {number} [amount] - Defaults to the full remaining amount
+ * @returns {{ success: true, amount: number }|{ success: false, reason: string, error: string }}
+ */
+function checkTransition(id, operation, amount) {
+  const txn = getLatest(id);
+  if (!txn) {
+    return fail(REASON.NOT_FOUND, `Transaction "${id}" not found`);
+  }
+
+  if (!ALLOWED_FROM[operation].includes(txn.status)) {
+    return fail(REASON.INVALID_TRANSITION, `Cannot ${operation} a transaction in status "${txn.status}"`);
+  }
+
+  if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+    return fail(REASON.INVALID_AMOUNT, '"amount" must be a positive number (in cents)');
+  }
+
+  if (operation === 'capture') {
+    const value = amount === undefined ? txn.authorizedAmount : amount;
+    if (value > txn.authorizedAmount) {
+      return fail(REASON.INVALID_AMOUNT, `Capture amount ${value} exceeds authorized amount ${txn.authorizedAmount}`);
+    }
+    return { success: true, amount: value };
+  }
+
+  if (operation === 'refund') {
+    const refundable = txn.capturedAmount - txn.refundedAmount;
+    const value = amount === undefined ? refundable : amount;
+    if (value > refundable) {
+      return fail(REASON.INVALID_AMOUNT, `Refund amount ${value} exceeds refundable amount ${refundable}`);
+    }
+    return { success: true, amount: value };
+  }
+
+  return { success: true, amount: 0 };
+}
+
+/**
+ * Capture an authorized transaction (fully or partially).
+ */
+function applyCapture(id, amount) {
+  const check = checkTransition(id, 'capture', amount);
+  if (!check.success) return check;
+
+  const txn = getLatest(id);
+  const now = new Date().toISOString();
+  txn.capturedAmount = check.amount;
+  txn.status = STATUS.CAPTURED;
+  txn.history.push({ type: 'capture', amount: check.amount, at: now });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.PAYMENT_CAPTURED, txn);
+  return { success: true, transaction: txn };
+}
+
+/**
+ * Void an authorized (uncaptured) transaction.
+ */
+function applyVoid(id) {
+  const check = checkTransition(id, 'void');
+  if (!check.success) return check;
+
+  const txn = getLatest(id);
+  const now = new Date().toISOString();
+  txn.status = STATUS.VOIDED;
+  txn.history.push({ type: 'void', amount: txn.authorizedAmount, at: now });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.PAYMENT_VOIDED, txn);
+  return { success: true, transaction: txn };
+}
+
+/**
+ * Refund a captured transaction (fully or partially).
+ *
+ * @param {string} id
+ * @param {number} [amount]
+ * @param {string} [processorReference] - Processor's id for the refund (matched by webhooks)
+ * @param {object} [options]
+ * @param {string} [options.status=pending] - REFUND_STATUS.*; webhook-initiated refunds arrive already settled
+ * @param {string} [options.eventId]        - Webhook event that created the refund
+ * @returns {{ success: true, transaction: object, refund: object }|{ success: false, reason: string, error: string }}
+ */
+function applyRefund(id, amount, processorReference = null, { status = REFUND_STATUS.PENDING, eventId } = {}) {
+  const check = checkTransition(id, 'refund', amount);
+  if (!check.success) return check;
+
+  const txn = getLatest(id);
+  const now = new Date().toISOString();
+  const refund = {
+    refundId: `rfnd_${Date.now()}_${randomSuffix()}`,
+    processorReference,
+    amount: check.amount,
+    status,
+    createdAt: now,
+  };
+
+  txn.refundedAmount += check.amount;
+  txn.refunds.push(refund);
+  txn.status = txn.refundedAmount >= txn.capturedAmount ? STATUS.REFUNDED : STATUS.PARTIALLY_REFUNDED;
+  txn.history.push(eventId
+    ? { type: 'refund', amount: check.amount, at: now, source: 'webhook', eventId }
+    : { type: 'refund', amount: check.amount, at: now });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.PAYMENT_REFUNDED, txn);
+  return { success: true, transaction: txn, refund: { ...refund } };
+}
+
+/**
+ * Webhook: the processor reports the final outcome of a refund. A failed
+ * refund gives its amount back to the refundable balance.
+ *
+ * @param {string}  id
+ * @param {string}  processorReference - Processor's id for the refund
+ * @param {boolean} succeeded
+ * @param {string}  eventId
+ */
+function applyRefundOutcome(id, processorReference, succeeded, eventId) {
+  const txn = getLatest(id);
+  if (!txn) {
+    return fail(REASON.NOT_FOUND, `Transaction "${id}" not found`);
+  }
+
+  const refund = txn.refunds.find((r) => r.processorReference && r.processorReference === processorReference);
+  if (!refund) {
+    return fail(REASON.NOT_FOUND, `Refund "${processorReference}" not found on transaction "${id}"`);
+  }
+  if (refund.status !== REFUND_STATUS.PENDING) {
+    return fail(REASON.INVALID_TRANSITION, `Refund is already ${refund.status}`);
+  }
+
+  const now = new Date().toISOString();
+  refund.status = succeeded ? REFUND_STATUS.SUCCEEDED : REFUND_STATUS.FAILED;
+  refund.updatedAt = now;
+
+  if (!succeeded) {
+    txn.refundedAmount -= refund.amount;
+    if (txn.status === STATUS.REFUNDED || txn.status === STATUS.PARTIALLY_REFUNDED) {
+      txn.status = txn.refundedAmount > 0 ? STATUS.PARTIALLY_REFUNDED : STATUS.CAPTURED;
+    }
+  }
+  txn.history.push({
+    type: succeeded ? 'refund_succeeded' : 'refund_failed',
+    amount: refund.amount,
+    at: now,
+    source: 'webhook',
+    eventId,
+  });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.REFUND_UPDATED, txn);
+  return { success: true, transaction: txn, refund: { ...refund } };
+}
+
+/**
+ * Webhook: the cardholder disputed a captured payment.
+ *
+ * @param {string} id
+ * @param {object} params
+ * @param {number} [params.amount] - Disputed amount; defaults to the captured amount
+ * @param {string} [params.reason] - Processor's dispute reason
+ * @param {string} params.eventId
+ */
+function applyChargeback(id, { amount, reason, eventId }) {
+  const txn = getLatest(id);
+  if (!txn) {
+    return fail(REASON.NOT_FOUND, `Transaction "${id}" not found`);
+  }
+  if (!ALLOWED_FROM.chargeback.includes(txn.status)) {
+    return fail(REASON.INVALID_TRANSITION, `Cannot charge back a transaction in status "${txn.status}"`);
+  }
+
+  const now = new Date().toISOString();
+  txn.status = STATUS.CHARGED_BACK;
+  txn.chargeback = { amount: amount ?? txn.capturedAmount, reason: reason || null, at: now };
+  txn.history.push({ type: 'chargeback', amount: txn.chargeback.amount, at: now, source: 'webhook', eventId });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.PAYMENT_CHARGED_BACK, txn);
+  return { success: true, transaction: txn };
+}
+
+/**
+ * Webhook: the processor settled (paid out) a captured payment. Informational —
+ * the status does not change.
+ *
+ * @param {string} id
+ * @param {object} params
+ * @param {number} [params.amount] - Settled amount; defaults to captured minus refunded
+ * @param {string} params.eventId
+ */
+function applySettlement(id, { amount, eventId }) {
+  const txn = getLatest(id);
+  if (!txn) {
+    return fail(REASON.NOT_FOUND, `Transaction "${id}" not found`);
+  }
+  if (!ALLOWED_FROM.settle.includes(txn.status)) {
+    return fail(REASON.INVALID_TRANSITION, `Cannot settle a transaction in status "${txn.status}"`);
+  }
+
+  const now = new Date().toISOString();
+  txn.settlement = { amount: amount ?? txn.capturedAmount - txn.refundedAmount, at: now };
+  txn.history.push({ type: 'settlement', amount: txn.settlement.amount, at: now, source: 'webhook', eventId });
+  txn.updatedAt = now;
+
+  appendEntry(LEDGER_EVENT.PAYMENT_SETTLED, txn);
+  return { success: true, transaction: txn };
+}
+
+module.exports = {
+  STATUS,
+  REFUND_STATUS,
+  REASON,
+  createTransaction,
+  getTransaction,
+  checkTransition,
+  applyCapture,
+  applyVoid,
+  applyRefund,
+  applyRefundOutcome,
+  applyChargeback,
+  applySettlement,
+};
@@ -1,19 +1,38 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const vault = require('node-vault');
-const pino = require('pino');
+const { createLogger } = require('./logger');
 const auditLogger = require('./audit-logger');
+const metrics = require('./metrics');
+const { screenSecrets } = require('./secret-validation');
+const { startTokenLifecycle, stopTokenLifecycle } = require('./token-manager');
+const secretIdManager = require('./secret-id-manager');
+const { withSpan } = require('./request-context');
+const { buildVaultConnection } = require('./vault-connection');
 
-const logger = pino({ name: 'vault-client', level: process.env.LOG_LEVEL || 'info' });
+const logger = createLogger('vault-client');
 
 // Internal state — never exposed outside this module
 let vaultClient = null;
 let clientToken = null;
+let _connection = null; // TLS / namespace options shared by every client (vault-connection.js)
 let _secretsLoaded = false;
 let _cachedSecrets = null;
 let _refreshTimer = null;
+let _refreshIntervalMs = null;
 let _lastKvVersion = null; // Track KV version for rotation detection
+let _pathVersions = {};    // KV version per path read (processors may set their own vaultPath)
+let _rejectedVersions = null; // Path versions of the last update validation rejected — not re-fetched by the poll
+let _lastLoadedAt = null;  // Time of the last successful secret read
+let _refreshFailures = 0;  // Consecutive failed refreshes, reset by the next success
+let _lastRefreshFailureAt = null;
+let _lastContact = { successAt: null, failureAt: null, failedOperation: null };
+const _rotationListeners = new Set();
+let _tokenFileWatcher = null;
+let _tokenFileTimer = null;
+let _rejectedSinkToken = null; // audited once, not on every poll
 
 /**
  * Read a credential value from a file path (preferred) or direct env var (fallback).
@@ -37,10 +56,79 @@ function readCredential(envVar, fileEnvVar) {
 }
 
 const VAULT_ADDR = process.env.VAULT_ADDR || 'http://vault:8200';
+// approle (default) | token-file (Vault Agent sink) | token (static, local dev only)
+const AUTH_METHOD = process.env.VAULT_AUTH_METHOD || 'approle';
+const VAULT_TOKEN_FILE = process.env.VAULT_TOKEN_FILE || null;
+const TOKEN_FILE_POLL_MS = parseInt(process.env.VAULT_TOKEN_FILE_POLL_MS || '5000', 10);
+// Audit path of each method's authentication — a supplied token is verified with lookup-self
+const AUTH_PATH = {
+  approle:      'auth/approle/login',
+  'token-file': 'auth/token/lookup-self',
+  token:        'auth/token/lookup-self',
+};
 const VAULT_ROLE_ID = readCredential('VAULT_ROLE_ID', 'VAULT_ROLE_ID_FILE');
 const VAULT_SECRET_ID = readCredential('VAULT_SECRET_ID', 'VAULT_SECRET_ID_FILE');
+// Response-wrapping token around a SecretID — takes precedence over VAULT_SECRET_ID
+const VAULT_SECRET_ID_WRAPPED = readCredential('VAULT_SECRET_ID_WRAPPED', 'VAULT_SECRET_ID_WRAPPED_FILE');
+// How long a SecretID requested by rotation stays wrapped before it is unwrapped
+const SECRET_ID_WRAP_TTL = process.env.VAULT_SECRET_ID_WRAP_TTL || '60s';
 const SECRETS_PATH = 'secret/data/flexpay/processors';
-const REFRESH_INTERVAL_MS = 60_000; // 60 seconds
+const REFRESH_INTERVAL_MS = parseInt(process.env.SECRET_REFRESH_INTERVAL_MS || '60000', 10);
+// Each poll is scheduled ±JITTER of the interval, so replicas started together
+// do not hit Vault in lockstep
+const REFRESH_JITTER = parseFloat(process.env.SECRET_REFRESH_JITTER || '0.2');
+// Transit key that encrypts tokenized card data (card-tokens.js)
+const TRANSIT_MOUNT = process.env.VAULT_TRANSIT_MOUNT || 'transit';
+const CARD_TRANSIT_KEY = process.env.CARD_TRANSIT_KEY || 'flexpay-card';
+
+// Why an unwrapped SecretID was refused (SECRET_ID_UNWRAPPED audit `reason`)
+const UNWRAP_REASON = {
+  WRAP_INVALID:           'wrap_invalid',           // already unwrapped, expired or never issued
+  CREATION_PATH_MISMATCH: 'creation_path_mismatch', // wraps something other than this role's SecretID
+  UNWRAP_FAILED:          'unwrap_failed',          // lookup passed but the unwrap was refused
+  VAULT_UNAVAILABLE:      'vault_unavailable',
+};
+
+const vaultRequests = metrics.counter(
+  'flexpay_vault_requests_total',
+  'Vault API calls by operation (login, lookup-self, read, metadata, renew, encrypt, decrypt, wrap-lookup, unwrap, ' +
+  'secret-id-lookup, secret-id-issue) and outcome (each retry attempt counts)',
+  ['operation', 'outcome']
+);
+const vaultRequestDuration = metrics.histogram(
+  'flexpay_vault_request_duration_seconds',
+  'Vault API call latency by operation',
+  ['operation']
+);
+
+/**
+ * Run one Vault call and record its outcome and latency — also as a
+ * `vault.<operation>` span when made while handling a request.
+ * @param {'login'|'lookup-self'|'read'|'metadata'|'renew'|'encrypt'|'decrypt'|'wrap-lookup'|'unwrap'|'secret-id-lookup'|'secret-id-issue'} operation
+ * @param {Function} fn
+ */
+async function instrumented(operation, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    const result = await withSpan(`vault.${operation}`, fn);
+    vaultRequests.inc({ operation, outcome: 'success' });
+    _lastContact.successAt = Date.now();
+    return result;
+  } catch (err) {
+    vaultRequests.inc({ operation, outcome: 'failure' });
+    _lastContact = { ..._lastContact, failureAt: Date.now(), failedOperation: operation };
+    throw err;
+  } finally {
+    vaultRequestDuration.observe({ operation }, metrics.secondsSince(start));
+  }
+}
+
+/**
+ * Vault answered and said no (4xx) — retrying will not change that.
+ */
+function isRefusal(err) {
+  return !!err.response && err.response.statusCode < 500;
+}
 
 /**
  * Retry helper with exponential backoff.
@@ -66,55 +154,414 @@ async function withRetry(fn, { maxAttempts = 5, baseDelayMs = 1000, label = 'ope
 }
 
 /**
- * Initialise the Vault client and authenticate via AppRole.
- * Sets the internal client token so subsequent requests are authenticated.
+ * Perform an AppRole login and attach the resulting token to the client.
+ * Used for the initial login and for re-authentication when the token
+ * can no longer be renewed.
+ *
+ * @returns {Promise<object>} The `auth` block of the login response
+ */
+async function appRoleLogin() {
+  const loginClient = createClient();
+
+  // Retry in case Vault is still starting — a 4xx is the answer
+  const authResult = await withRetry(
+    () => instrumented('login', () => loginClient.approleLogin({
+      role_id: VAULT_ROLE_ID,
+      secret_id: secretIdManager.currentSecretId(),
+    })).catch((err) => (isRefusal(err) ? { refused: err } : Promise.reject(err))),
+    { maxAttempts: 5, baseDelayMs: 2000, label: 'vault-approle-login' }
+  );
+  if (authResult.refused) throw authResult.refused;
+
+  attachToken(authResult.auth.client_token);
+  return authResult.auth;
+}
+
+/**
+ * Use `token` for all subsequent requests.
+ */
+function attachToken(token) {
+  clientToken = token;
+  vaultClient = createClient(clientToken);
+}
+
+/**
+ * A node-vault client on the configured transport (CA, client certificate,
+ * server name, namespace).
+ * @param {string} [token]
+ */
+function createClient(token) {
+  if (!_connection) {
+    _connection = buildVaultConnection(VAULT_ADDR);
+  }
+  return vault({
+    endpoint: _connection.endpoint,
+    token,
+    namespace: _connection.namespace,
+    requestOptions: _connection.requestOptions,
+  });
+}
+
+/**
+ * Verify a token with `auth/token/lookup-self`.
+ * @param {object} [client] - Client holding the token; defaults to the attached one
+ * @returns {Promise<object>} An `auth`-shaped block: lease_duration (remaining TTL), renewable
+ */
+async function lookupSelf(client = vaultClient) {
+  const response = await instrumented('lookup-self', () => client.tokenLookupSelf());
+  const data = (response && response.data) || {};
+  return { lease_duration: data.ttl || 0, renewable: !!data.renewable };
+}
+
+function readTokenFile() {
+  const token = fs.readFileSync(VAULT_TOKEN_FILE, 'utf8').trim();
+  if (!token) {
+    throw new Error(`VAULT_TOKEN_FILE ${VAULT_TOKEN_FILE} is empty`);
+  }
+  return token;
+}
+
+/**
+ * VAULT_AUTH_METHOD=token-file: use the token a Vault Agent writes to its
+ * sink file. The agent may still be logging in when the service starts, so
+ * a missing or empty file is retried like an unreachable Vault.
+ */
+async function tokenFileLogin() {
+  const token = await withRetry(async () => readTokenFile(),
+    { maxAttempts: 5, baseDelayMs: 1000, label: 'vault-token-file' })
+    .catch((err) => {
+      throw new Error(`No token in VAULT_TOKEN_FILE (${err.message}) — is the Vault Agent sink configured?`);
+    });
+  attachToken(token);
+  return withRetry(() => lookupSelf(), { maxAttempts: 5, baseDelayMs: 2000, label: 'vault-token-lookup' });
+}
+
+/**
+ * Re-read the sink file and switch to a token the agent has replaced. The new
+ * token is looked up on a client of its own and attached only once Vault
+ * accepts it, so requests in flight keep the current token meanwhile.
+ */
+async function checkTokenFile() {
+  let token;
+  try {
+    token = readTokenFile();
+  } catch (err) {
+    // The agent replaces the file as it writes; a gone or empty file is transient
+    logger.debug({ err: err.message }, 'Vault Agent token sink not readable — keeping the current token');
+    return;
+  }
+  if (token === clientToken || token === _rejectedSinkToken) return;
+
+  try {
+    const auth = await lookupSelf(createClient(token));
+    attachToken(token);
+    logger.info({ leaseDuration: auth.lease_duration }, 'Vault token replaced from the Vault Agent sink file');
+    auditLogger.recordReauth(true, { reason: 'token_file_changed', authMethod: AUTH_METHOD, leaseDuration: auth.lease_duration },
+      AUTH_PATH[AUTH_METHOD]);
+  } catch (err) {
+    _rejectedSinkToken = token;
+    logger.error({ err: err.message }, 'Token from the Vault Agent sink file was rejected — keeping the current token');
+    auditLogger.recordReauth(false, { reason: 'token_file_changed', authMethod: AUTH_METHOD, error: err.message },
+      AUTH_PATH[AUTH_METHOD]);
+  }
+}
+
+/**
+ * Hot-swap the client token whenever the sink file changes. fs.watch is
+ * best-effort (missing on some volume drivers); polling is the fallback.
+ */
+function watchTokenFile() {
+  try {
+    // Watch the directory: agents replace the sink file by rename
+    const name = path.basename(VAULT_TOKEN_FILE);
+    _tokenFileWatcher = fs.watch(path.dirname(VAULT_TOKEN_FILE), { persistent: false }, (event, filename) => {
+      if (!filename || filename === name) checkTokenFile();
+    });
+  } catch (err) {
+    logger.warn({ file: VAULT_TOKEN_FILE, err: err.message }, 'fs.watch unavailable — relying on polling only');
+  }
+  _tokenFileTimer = setInterval(checkTokenFile, TOKEN_FILE_POLL_MS);
+  _tokenFileTimer.unref();
+  logger.info({ file: VAULT_TOKEN_FILE, pollIntervalMs: TOKEN_FILE_POLL_MS }, 'Watching the Vault Agent token sink file');
+}
+
+function stopTokenFileWatch() {
+  if (_tokenFileWatcher) _tokenFileWatcher.close();
+  if (_tokenFileTimer) clearInterval(_tokenFileTimer);
+  _tokenFileWatcher = null;
+  _tokenFileTimer = null;
+}
+
+/**
+ * VAULT_AUTH_METHOD=token: a static token from VAULT_TOKEN (local dev).
+ */
+async function staticTokenLogin() {
+  attachToken(process.env.VAULT_TOKEN);
+  return withRetry(() => lookupSelf(), { maxAttempts: 5, baseDelayMs: 2000, label: 'vault-token-lookup' });
+}
+
+function staticTokenReLogin() {
+  return Promise.reject(new Error('VAULT_AUTH_METHOD=token cannot log in again — replace VAULT_TOKEN and restart'));
+}
+
+/**
+ * Reject missing or disallowed inputs for VAULT_AUTH_METHOD before any Vault call.
+ */
+function checkAuthInputs() {
+  switch (AUTH_METHOD) {
+    case 'approle':
+      if (!VAULT_ROLE_ID || (!VAULT_SECRET_ID && !VAULT_SECRET_ID_WRAPPED)) {
+        throw new Error(
+          'VAULT_ROLE_ID and VAULT_SECRET_ID must be set (or VAULT_SECRET_ID_WRAPPED_FILE for a response-wrapped SecretID). ' +
+          'These are Vault AppRole auth identifiers — do not confuse with payment credentials.'
+        );
+      }
+      return;
+    case 'token-file':
+      if (!VAULT_TOKEN_FILE) {
+        throw new Error('VAULT_AUTH_METHOD=token-file needs VAULT_TOKEN_FILE — the path of the Vault Agent token sink');
+      }
+      return;
+    case 'token':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('VAULT_AUTH_METHOD=token is for local development and is not allowed when NODE_ENV=production');
+      }
+      if (!process.env.VAULT_TOKEN) {
+        throw new Error('VAULT_AUTH_METHOD=token needs VAULT_TOKEN');
+      }
+      return;
+    default:
+      throw new Error(`Unknown VAULT_AUTH_METHOD "${AUTH_METHOD}". Valid options: approle, token-file, token`);
+  }
+}
+
+function unwrapRefused(reason, context, message, meta = {}) {
+  auditLogger.recordSecretIdUnwrap(false, { context, reason, error: message, ...meta });
+  logger.error({ context, reason, ...meta, err: message }, 'Refused response-wrapped SecretID');
+  return new Error(`Response-wrapped SecretID refused (${reason}): ${message}`);
+}
+
+/**
+ * Unwrap a response-wrapped SecretID. The wrapping token is looked up first
+ * and only unwrapped when it was created by this role's secret-id endpoint,
+ * so a wrap of anything else is never consumed. The wrapping token itself is
+ * never logged or audited.
+ *
+ * @param {string} wrappingToken
+ * @param {'startup'|'rotation'} context - Audit context
+ * @returns {Promise<{ secretId: string, accessor: string|null, expiresAt: number|null }>}
+ * @throws when the wrap was already used, has expired, or has the wrong creation path
+ */
+async function unwrapSecretId(wrappingToken, context) {
+  const expectedPath = secretIdManager.SECRET_ID_PATH;
+  // sys/wrapping/lookup and sys/wrapping/unwrap authenticate with the wrapping token itself
+  const wrapClient = createClient(wrappingToken);
+
+  let info;
+  try {
+    // Retry only while Vault is unreachable — a 4xx is the answer
+    info = await withRetry(
+      () => instrumented('wrap-lookup', () => wrapClient.write('sys/wrapping/lookup', { token: wrappingToken }))
+        .catch((err) => (isRefusal(err) ? { refused: err } : Promise.reject(err))),
+      { maxAttempts: 5, baseDelayMs: 2000, label: 'vault-wrap-lookup' }
+    );
+  } catch (err) {
+    throw unwrapRefused(UNWRAP_REASON.VAULT_UNAVAILABLE, context, err.message);
+  }
+  if (info.refused) {
+    throw unwrapRefused(UNWRAP_REASON.WRAP_INVALID, context, info.refused.message);
+  }
+
+  const creationPath = info.data && info.data.creation_path;
+  if (creationPath !== expectedPath) {
+    throw unwrapRefused(UNWRAP_REASON.CREATION_PATH_MISMATCH, context,
+      `wrapping token was created by "${creationPath}", expected "${expectedPath}"`, { creationPath });
+  }
+
+  let response;
+  try {
+    response = await instrumented('unwrap', () => wrapClient.unwrap());
+  } catch (err) {
+    // Lost a race with another consumer between lookup and unwrap, or Vault went away
+    throw unwrapRefused(UNWRAP_REASON.UNWRAP_FAILED, context, err.message, { creationPath });
+  }
+
+  const data = response && response.data;
+  if (!data || !data.secret_id) {
+    throw unwrapRefused(UNWRAP_REASON.UNWRAP_FAILED, context, 'unwrapped response holds no secret_id', { creationPath });
+  }
+
+  const accessor = data.secret_id_accessor || null;
+  auditLogger.recordSecretIdUnwrap(true, {
+    context,
+    creationPath,
+    secretIdAccessor: accessor,
+    secretIdTtl: data.secret_id_ttl ?? null,
+    secretIdNumUses: data.secret_id_num_uses ?? null,
+  });
+  logger.info({ context, secretIdAccessor: accessor, secretIdTtl: data.secret_id_ttl }, 'Response-wrapped SecretID unwrapped');
+
+  return {
+    secretId: data.secret_id,
+    accessor,
+    expiresAt: data.secret_id_ttl ? Date.now() + data.secret_id_ttl * 1000 : null,
+  };
+}
+
+/**
+ * Look up a SecretID of this role with the service's own token.
+ * @param {string} secretId
+ * @returns {Promise<{ accessor: string|null, expiresAt: number|null }>}
+ */
+async function lookupSecretId(secretId) {
+  const response = await instrumented('secret-id-lookup', () => vaultClient.write(`${secretIdManager.SECRET_ID_PATH}/lookup`, {
+    secret_id: secretId,
+  }));
+  const data = (response && response.data) || {};
+  const expiresAt = data.expiration_time ? Date.parse(data.expiration_time) : NaN;
+  return {
+    accessor: data.secret_id_accessor || null,
+    // Vault reports a SecretID without TTL as expiring at year 1
+    expiresAt: Number.isFinite(expiresAt) && expiresAt > 0 ? expiresAt : null,
+  };
+}
+
+/**
+ * Request a fresh SecretID for this role, response-wrapped, and unwrap it
+ * through the same creation-path check as the startup SecretID.
+ * @returns {Promise<{ secretId: string, accessor: string|null, expiresAt: number|null }>}
+ */
+async function issueSecretId() {
+  const response = await instrumented('secret-id-issue', () => vaultClient.write(secretIdManager.SECRET_ID_PATH, {}, {
+    headers: { 'X-Vault-Wrap-TTL': SECRET_ID_WRAP_TTL },
+  }));
+  if (!response || !response.wrap_info || !response.wrap_info.token) {
+    throw new Error('Vault did not return a response-wrapped SecretID');
+  }
+  return unwrapSecretId(response.wrap_info.token, 'rotation');
+}
+
+/**
+ * Renew the current client token via `auth/token/renew-self`.
+ * @returns {Promise<object>} The renew response (with an `auth` block)
+ */
+function renewToken() {
+  return instrumented('renew', () => vaultClient.tokenRenewSelf());
+}
+
+/**
+ * Initialise the Vault client and authenticate with VAULT_AUTH_METHOD.
+ * Sets the internal client token so subsequent requests are authenticated,
+ * then keeps it alive:
+ *   - approle    — token-manager renews / re-logs in; the SecretID rotates
+ *                  when enabled (secret-id-manager.js)
+ *   - token-file — the Vault Agent renews; the sink file is watched and a
+ *                  replaced token is hot-swapped (audited as REAUTH)
+ *   - token      — token-manager renews while Vault allows; there is no re-login
  *
  * Reads VAULT_ROLE_ID and VAULT_SECRET_ID from files (via VAULT_ROLE_ID_FILE /
  * VAULT_SECRET_ID_FILE env vars) or directly from env vars as a fallback.
+ * The SecretID may instead arrive response-wrapped, or come from an earlier
+ * rotation (secret-id-manager.js) — an invalid wrap stops startup.
  * These are AppRole authentication identifiers — NOT payment processor credentials.
  */
 async function initVaultClient() {
-  if (!VAULT_ROLE_ID || !VAULT_SECRET_ID) {
-    throw new Error(
-      'VAULT_ROLE_ID and VAULT_SECRET_ID must be set. ' +
-      'These are Vault AppRole auth identifiers — do not confuse with payment credentials.'
-    );
-  }
-
-  logger.info({ vaultAddr: VAULT_ADDR }, 'Initialising Vault client');
+  checkAuthInputs();
+  _connection = buildVaultConnection(VAULT_ADDR);
 
-  vaultClient = vault({ endpoint: VAULT_ADDR });
+  logger.info({ vaultAddr: VAULT_ADDR, authMethod: AUTH_METHOD }, 'Initialising Vault client');
 
-  // Authenticate with AppRole — retry in case Vault is still starting
-  let authResult;
+  const authPath = AUTH_PATH[AUTH_METHOD];
+  let auth;
   try {
-    authResult = await withRetry(
-      () => vaultClient.approleLogin({
-        role_id: VAULT_ROLE_ID,
-        secret_id: VAULT_SECRET_ID,
-      }),
-      { maxAttempts: 5, baseDelayMs: 2000, label: 'vault-approle-login' }
-    );
+    if (AUTH_METHOD === 'approle') {
+      const sources = { plain: VAULT_SECRET_ID, wrappedToken: VAULT_SECRET_ID_WRAPPED, unwrap: unwrapSecretId };
+      const source = await secretIdManager.resolveSecretId(sources);
+      try {
+        auth = await appRoleLogin();
+      } catch (err) {
+        // A persisted SecretID can be revoked, or expire with no expiry on record
+        if (source !== secretIdManager.SOURCE.PERSISTED || !isRefusal(err)) throw err;
+        auditLogger.recordAuthFailure(err.message, { authMethod: AUTH_METHOD, secretIdSource: source }, authPath);
+        if (!secretIdManager.fallBackFromPersisted(sources)) throw err;
+        auth = await appRoleLogin();
+      }
+    } else if (AUTH_METHOD === 'token-file') {
+      auth = await tokenFileLogin();
+    } else {
+      auth = await staticTokenLogin();
+    }
   } catch (err) {
-    auditLogger.recordAuthFailure(err.message);
+    auditLogger.recordAuthFailure(err.message, { authMethod: AUTH_METHOD }, authPath);
     throw err;
   }
 
-  clientToken = authResult.auth.client_token;
+  const leaseDuration = auth.lease_duration;
+  logger.info({ leaseDuration, authMethod: AUTH_METHOD }, 'Vault authentication successful');
+  auditLogger.recordAuthSuccess(leaseDuration, { authMethod: AUTH_METHOD }, authPath);
+
+  if (AUTH_METHOD === 'approle') {
+    startTokenLifecycle(auth, { renewSelf: renewToken, reLogin: appRoleLogin });
+    await secretIdManager.startSecretIdRotation({ lookup: lookupSecretId, issue: issueSecretId });
+  } else if (AUTH_METHOD === 'token-file') {
+    watchTokenFile();
+  } else {
+    startTokenLifecycle(auth, { renewSelf: renewToken, reLogin: staticTokenReLogin, authMethod: AUTH_METHOD, authPath });
+  }
+
+  return vaultClient;
+}
+
+/**
+ * Stop token renewal, SecretID rotation and the token sink watch (used
+ * during graceful shutdown).
+ */
+function stopTokenRenewal() {
+  stopTokenLifecycle();
+  secretIdManager.stopSecretIdRotation();
+  stopTokenFileWatch();
+}
 
-  // Attach token for all subsequent requests
-  vaultClient = vault({ endpoint: VAULT_ADDR, token: clientToken });
+function metadataPath(dataPath) {
+  return dataPath.replace(/^secret\/data\//, 'secret/metadata/');
+}
 
-  const leaseDuration = authResult.auth.lease_duration;
-  logger.info({ leaseDuration }, 'Vault AppRole authentication successful');
-  auditLogger.recordAuthSuccess(leaseDuration);
+/**
+ * Paths to read: SECRETS_PATH in full (service-wide keys and every processor
+ * without its own vaultPath), then each enabled processor's own vaultPath,
+ * from which only that processor's keys are taken.
+ * @returns {Array<{ vaultPath: string, keys: string[]|null }>}
+ */
+function secretPaths() {
+  // Required here rather than at load: the registry imports SECRETS_PATH from this module
+  const { listProcessors } = require('./processor-registry');
+  const own = new Map();
+  for (const def of listProcessors({ enabledOnly: true })) {
+    if (def.vaultPath === SECRETS_PATH) continue;
+    const keys = own.get(def.vaultPath) || [];
+    keys.push(...def.requiredKeys);
+    if (def.webhookSecretKey) keys.push(def.webhookSecretKey);
+    own.set(def.vaultPath, keys);
+  }
+  return [{ vaultPath: SECRETS_PATH, keys: null }, ...[...own].map(([vaultPath, keys]) => ({ vaultPath, keys }))];
+}
 
-  return vaultClient;
+/**
+ * One version for the whole set: the KV version when everything lives in
+ * SECRETS_PATH, otherwise the sum over paths, which moves whenever any of
+ * them does.
+ */
+function setVersion(versions) {
+  const values = Object.values(versions);
+  if (values.some((v) => typeof v !== 'number')) return null;
+  return values.reduce((sum, v) => sum + v, 0);
 }
 
 /**
- * Fetch all processor credentials from Vault.
- * Returns a plain object with all credential keys.
+ * Fetch all processor credentials from Vault (every path in secretPaths()).
+ * Returns a plain object with all credential keys. A set that fails
+ * validation (secret-validation.js) does not replace an existing cache: it
+ * throws an error with `rejectedUpdate: true` instead.
  * NEVER logs credential values.
  */
 async function getSecrets() {
@@ -122,39 +569,77 @@ async function getSecrets() {
     throw new Error('Vault client not initialised. Call initVaultClient() first.');
   }
 
-  const response = await withRetry(
-    () => vaultClient.read(SECRETS_PATH),
-    { maxAttempts: 3, baseDelayMs: 1000, label: 'vault-read-secrets' }
-  );
+  const merged = {};
+  const versions = {};
+  for (const { vaultPath, keys } of secretPaths()) {
+    let response;
+    try {
+      response = await withRetry(
+        () => instrumented('read', () => vaultClient.read(vaultPath)),
+        { maxAttempts: 3, baseDelayMs: 1000, label: 'vault-read-secrets' }
+      );
+    } catch (err) {
+      err.vaultPath = vaultPath;
+      throw err;
+    }
+
+    if (!response || !response.data || !response.data.data) {
+      throw Object.assign(new Error(`No data found at Vault path: ${vaultPath}`), { vaultPath });
+    }
 
-  if (!response || !response.data || !response.data.data) {
-    throw new Error(`No data found at Vault path: ${SECRETS_PATH}`);
+    const data = response.data.data;
+    if (keys) {
+      for (const key of keys) {
+        if (key in data) merged[key] = data[key];
+      }
+    } else {
+      Object.assign(merged, data);
+    }
+    // KV v2 metadata lives in response.data.metadata
+    versions[vaultPath] = response.data.metadata ? response.data.metadata.version : null;
   }
 
-  const secrets = response.data.data;
+  const kvVersion = setVersion(versions);
+  const source = Object.keys(versions).join(',');
+  const secrets = screenSecrets(merged, {
+    source,
+    version: kvVersion,
+    provider: 'vault',
+    initialLoad: !_secretsLoaded,
+  });
+  if (!secrets) {
+    // Invalid update — keep serving the previous, valid version
+    _rejectedVersions = versions;
+    throw Object.assign(new Error(`Secrets version ${kvVersion} failed validation — update rejected`), { rejectedUpdate: true });
+  }
   const credentialCount = Object.keys(secrets).length;
-  // KV v2 metadata lives in response.data.metadata
-  const kvVersion = response.data.metadata ? response.data.metadata.version : null;
 
   // Log count only — never log values
   logger.info(
-    { path: SECRETS_PATH, credentialCount, kvVersion },
+    { path: source, credentialCount, kvVersion },
     `Loaded ${credentialCount} credentials for payment processors`
   );
 
-  auditLogger.recordSecretFetch(SECRETS_PATH, kvVersion);
+  for (const [vaultPath, version] of Object.entries(versions)) {
+    auditLogger.recordSecretFetch(vaultPath, version);
+  }
 
   _cachedSecrets = secrets;
   _secretsLoaded = true;
   _lastKvVersion = kvVersion;
+  _pathVersions = versions;
+  _rejectedVersions = null;
+  _lastLoadedAt = Date.now();
 
   return secrets;
 }
 
 /**
  * On-demand secret reload. Fetches fresh values from Vault.
- * Updates the internal cache. Used by the periodic refresh timer
- * and can be called manually (e.g. after receiving a SIGHUP).
+ * Updates the internal cache. Used when the periodic poll sees a new
+ * version, and on push triggers (SIGHUP, POST /admin/rotation-notify,
+ * POST /admin/refresh-secrets). A fetch error and an update rejected by
+ * validation are both refresh failures: the cache is kept and returned.
  */
 async function refreshSecrets() {
   if (!vaultClient) {
@@ -164,6 +649,7 @@ async function refreshSecrets() {
   logger.info('Refreshing secrets from Vault');
 
   const previousVersion = _lastKvVersion;
+  const previousPathVersions = _pathVersions;
 
   try {
     const fresh = await getSecrets();
@@ -174,44 +660,126 @@ async function refreshSecrets() {
         { previousVersion, newVersion: _lastKvVersion },
         'Secret rotation detected — in-memory credentials updated without restart'
       );
+      notifyRotation(previousVersion, _lastKvVersion);
     } else {
       logger.info({ kvVersion: _lastKvVersion }, 'Secrets refreshed successfully (no rotation)');
     }
 
     // Override the fetch audit entry with a more specific refresh entry
-    auditLogger.recordSecretRefresh(SECRETS_PATH, _lastKvVersion, rotationDetected);
+    for (const [vaultPath, version] of Object.entries(_pathVersions)) {
+      const pathRotated = vaultPath in previousPathVersions && previousPathVersions[vaultPath] !== version;
+      auditLogger.recordSecretRefresh(vaultPath, version, pathRotated);
+    }
 
+    _refreshFailures = 0;
     return fresh;
   } catch (err) {
-    logger.error({ err: err.message }, 'Failed to refresh secrets — retaining cached values');
-    auditLogger.recordSecretFetchError(SECRETS_PATH, err.message);
+    _refreshFailures += 1;
+    _lastRefreshFailureAt = Date.now();
+    logger.error({ err: err.message, consecutiveFailures: _refreshFailures }, 'Failed to refresh secrets — retaining cached values');
+    // A rejected update is audited once by secret-validation.js (SECRET_VALIDATION_FAILED)
+    if (!err.rejectedUpdate) auditLogger.recordSecretFetchError(err.vaultPath || SECRETS_PATH, err.message);
     // Keep cached secrets so the service stays operational
     return _cachedSecrets;
   }
 }
 
 /**
- * Start the periodic background refresh so that secret rotations
- * are picked up without a container restart.
+ * Invoke rotation listeners. A failing listener must not break the refresh cycle.
  */
-function startPeriodicRefresh(intervalMs = REFRESH_INTERVAL_MS) {
-  if (_refreshTimer) {
-    clearInterval(_refreshTimer);
+function notifyRotation(previousVersion, newVersion) {
+  for (const listener of _rotationListeners) {
+    try {
+      listener({ previousVersion, newVersion });
+    } catch (err) {
+      logger.error({ err: err.message }, 'Rotation listener failed');
+    }
   }
-  _refreshTimer = setInterval(async () => {
+}
+
+/**
+ * Subscribe to rotation events (KV version changed during a refresh).
+ *
+ * @param {Function} listener - Called with { previousVersion, newVersion }
+ * @returns {Function} Unsubscribe function
+ */
+function onRotation(listener) {
+  _rotationListeners.add(listener);
+  return () => _rotationListeners.delete(listener);
+}
+
+/**
+ * Cheap rotation check: read only the KV metadata (current_version) of each
+ * path and re-read the secret data only when a version moved — and not to
+ * the versions validation last rejected, which stay rejected until a newer
+ * one is written. A failed metadata read falls back to a full refresh, so
+ * polling never silently stops.
+ *
+ * @returns {Promise<object>} The cached (possibly refreshed) secrets
+ */
+async function pollForRotation() {
+  const current = {};
+  for (const { vaultPath } of secretPaths()) {
     try {
-      await refreshSecrets();
+      const response = await instrumented('metadata', () => vaultClient.read(metadataPath(vaultPath)));
+      current[vaultPath] = response && response.data ? response.data.current_version : undefined;
+    } catch (err) {
+      logger.warn({ path: metadataPath(vaultPath), err: err.message }, 'Secret metadata check failed — falling back to a full read');
+      return refreshSecrets();
+    }
+    if (current[vaultPath] === undefined) return refreshSecrets();
+  }
+
+  const matches = (versions) => !!versions && Object.keys(current).every((p) => current[p] === versions[p]);
+  if (matches(_rejectedVersions)) {
+    logger.debug({ versions: current }, 'Secret version unchanged since it failed validation — not re-read');
+    return _cachedSecrets;
+  }
+  if (!matches(_pathVersions)) {
+    return refreshSecrets();
+  }
+
+  // The cache is confirmed current — counts as fresh for staleness reporting
+  _lastLoadedAt = Date.now();
+  _refreshFailures = 0;
+  logger.debug({ kvVersion: _lastKvVersion }, 'Secret metadata unchanged — no re-read needed');
+  return _cachedSecrets;
+}
+
+function jittered(intervalMs) {
+  return Math.max(1000, Math.round(intervalMs * (1 + REFRESH_JITTER * (Math.random() * 2 - 1))));
+}
+
+function schedulePoll() {
+  const timer = setTimeout(async () => {
+    try {
+      await pollForRotation();
     } catch (err) {
       logger.error({ err: err.message }, 'Periodic secret refresh failed');
     }
-  }, intervalMs);
+    // Stopped or restarted while this poll was running — that owner schedules the next one
+    if (_refreshTimer === timer) schedulePoll();
+  }, jittered(_refreshIntervalMs));
 
   // Don't keep the process alive solely for this timer
-  if (_refreshTimer.unref) {
-    _refreshTimer.unref();
+  if (timer.unref) {
+    timer.unref();
+  }
+  _refreshTimer = timer;
+}
+
+/**
+ * Start the periodic background poll so that secret rotations are picked up
+ * without a container restart. It is the fallback for missed push triggers.
+ */
+function startPeriodicRefresh(intervalMs = REFRESH_INTERVAL_MS) {
+  if (_refreshTimer) {
+    clearTimeout(_refreshTimer);
   }
+  _refreshIntervalMs = intervalMs;
+  schedulePoll();
 
-  logger.info({ intervalMs }, 'Periodic secret refresh scheduled');
+  logger.info({ intervalMs, jitter: REFRESH_JITTER }, 'Periodic secret refresh scheduled');
 }
 
 /**
@@ -219,12 +787,46 @@ function startPeriodicRefresh(intervalMs = REFRESH_INTERVAL_MS) {
  */
 function stopPeriodicRefresh() {
   if (_refreshTimer) {
-    clearInterval(_refreshTimer);
+    clearTimeout(_refreshTimer);
     _refreshTimer = null;
     logger.info('Periodic secret refresh stopped');
   }
 }
 
+/**
+ * Encrypt with the card Transit key. Used for card tokenization only; the
+ * plaintext never leaves this call and is never logged.
+ * @param {string} plaintext
+ * @returns {Promise<string>} Transit ciphertext ("vault:v<key version>:...")
+ */
+async function transitEncrypt(plaintext) {
+  if (!vaultClient) {
+    throw new Error('Vault client not initialised.');
+  }
+  const response = await instrumented('encrypt', () => vaultClient.write(
+    `${TRANSIT_MOUNT}/encrypt/${CARD_TRANSIT_KEY}`,
+    { plaintext: Buffer.from(plaintext, 'utf8').toString('base64') }
+  ));
+  return response.data.ciphertext;
+}
+
+/**
+ * Decrypt a ciphertext produced by transitEncrypt(). Older key versions
+ * decrypt for as long as the key's min_decryption_version allows.
+ * @param {string} ciphertext
+ * @returns {Promise<string>}
+ */
+async function transitDecrypt(ciphertext) {
+  if (!vaultClient) {
+    throw new Error('Vault client not initialised.');
+  }
+  const response = await instrumented('decrypt', () => vaultClient.write(
+    `${TRANSIT_MOUNT}/decrypt/${CARD_TRANSIT_KEY}`,
+    { ciphertext }
+  ));
+  return Buffer.from(response.data.plaintext, 'base64').toString('utf8');
+}
+
 /**
  * Return the current cached secrets without hitting Vault.
  * Returns null if secrets have not been loaded yet.
@@ -240,12 +842,79 @@ function areSecretsLoaded() {
   return _secretsLoaded;
 }
 
+/**
+ * Version of the currently cached secrets (null until first load): the KV v2
+ * version of SECRETS_PATH, or the sum over paths when processors keep their
+ * own vaultPath. With `vaultPath`, the KV version of that one path.
+ * @param {string} [vaultPath]
+ */
+function getKvVersion(vaultPath) {
+  if (vaultPath === undefined) return _lastKvVersion;
+  return _pathVersions[vaultPath] ?? null;
+}
+
+/**
+ * Epoch ms of the last successful secret read, or of the last metadata check
+ * that confirmed the cache is current (null until first load).
+ */
+function getLastLoadedAt() {
+  return _lastLoadedAt;
+}
+
+/**
+ * Refresh outcome for GET /health.
+ * @returns {{ consecutiveFailures: number, lastFailureAt: number|null }}
+ */
+function getRefreshStatus() {
+  return { consecutiveFailures: _refreshFailures, lastFailureAt: _lastRefreshFailureAt };
+}
+
+/**
+ * Vault reachability: whether the latest API call succeeded, and the
+ * operation of the latest one that failed.
+ * @returns {{ reachable: boolean|null, lastSuccessAt: number|null, lastFailureAt: number|null, failedOperation: string|null }}
+ *          `reachable` is null before the first call
+ */
+function getConnectivity() {
+  const { successAt, failureAt, failedOperation } = _lastContact;
+  const reachable = successAt === null && failureAt === null ? null : (successAt || 0) >= (failureAt || 0);
+  return { reachable, lastSuccessAt: successAt, lastFailureAt: failureAt, failedOperation };
+}
+
+/**
+ * VAULT_AUTH_METHOD in use.
+ */
+function getAuthMethod() {
+  return AUTH_METHOD;
+}
+
+/**
+ * Transport of the Vault connection for GET /health (null before init).
+ */
+function getConnectionSummary() {
+  return _connection ? _connection.summary : null;
+}
+
 module.exports = {
+  UNWRAP_REASON,
   initVaultClient,
   getSecrets,
   refreshSecrets,
+  pollForRotation,
   startPeriodicRefresh,
   stopPeriodicRefresh,
+  stopTokenRenewal,
   getCachedSecrets,
   areSecretsLoaded,
+  getKvVersion,
+  getLastLoadedAt,
+  getRefreshStatus,
+  getConnectivity,
+  getAuthMethod,
+  getConnectionSummary,
+  onRotation,
+  transitEncrypt,
+  transitDecrypt,
+  SECRETS_PATH,
+  CARD_TRANSIT_KEY,
 };
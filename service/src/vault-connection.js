@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * vault-connection.js
+ *
+ * Transport settings for every Vault client vault-client.js creates. The
+ * names match the Vault CLI:
+ *
+ *   - VAULT_CACERT          — PEM file with the CA(s) that signed Vault's certificate
+ *   - VAULT_CAPATH          — directory of PEM CA files (used with or instead of VAULT_CACERT)
+ *   - VAULT_CLIENT_CERT /
+ *     VAULT_CLIENT_KEY      — client certificate for Vault's TLS cert auth or a
+ *                             listener that requires one; both or neither
+ *   - VAULT_TLS_SERVER_NAME — name sent as SNI and checked against Vault's
+ *                             certificate when VAULT_ADDR is an IP or an alias
+ *   - VAULT_NAMESPACE       — Vault Enterprise namespace (X-Vault-Namespace)
+ *   - VAULT_SKIP_VERIFY     — true/1 skips verification of Vault's certificate;
+ *                             false/0 or unset verifies, as in the CLI
+ *
+ * Cardholder-data traffic must be encrypted in transit (PCI-DSS Requirement
+ * 4), and the AppRole credentials and the Vault token travel on this link:
+ * startup refuses an http:// VAULT_ADDR, and VAULT_SKIP_VERIFY, unless
+ * VAULT_INSECURE_DEV=true. Without a CA setting Node's public root store is
+ * used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('vault-connection');
+
+function isSet(name) {
+  return !!process.env[name];
+}
+
+function readFile(name) {
+  const file = process.env[name];
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    throw new Error(`${name} ${file} cannot be read: ${err.message}`);
+  }
+}
+
+// The CLI parses VAULT_SKIP_VERIFY with Go's strconv.ParseBool
+const BOOL_TRUE = ['1', 't', 'T', 'TRUE', 'true', 'True'];
+const BOOL_FALSE = ['0', 'f', 'F', 'FALSE', 'false', 'False'];
+
+/**
+ * Whether VAULT_SKIP_VERIFY asks for certificate verification to be skipped.
+ * @returns {boolean}
+ */
+function skipVerify() {
+  const value = process.env.VAULT_SKIP_VERIFY;
+  if (!value || BOOL_FALSE.includes(value)) return false;
+  if (BOOL_TRUE.includes(value)) return true;
+  throw new Error(`VAULT_SKIP_VERIFY "${value}" is not a boolean — use true or false`);
+}
+
+/**
+ * CA certificates from VAULT_CACERT and every PEM certificate file in VAULT_CAPATH.
+ * @returns {Buffer[]}
+ */
+function loadCaCertificates() {
+  const certs = [];
+  if (isSet('VAULT_CACERT')) {
+    certs.push(readFile('VAULT_CACERT'));
+  }
+  if (isSet('VAULT_CAPATH')) {
+    const dir = process.env.VAULT_CAPATH;
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      throw new Error(`VAULT_CAPATH ${dir} cannot be read: ${err.message}`);
+    }
+    const found = names
+      .map((name) => path.join(dir, name))
+      .filter((file) => fs.statSync(file).isFile())
+      .map((file) => fs.readFileSync(file))
+      .filter((pem) => pem.includes('-----BEGIN CERTIFICATE-----'));
+    if (found.length === 0) {
+      throw new Error(`VAULT_CAPATH ${dir} contains no PEM certificates`);
+    }
+    certs.push(...found);
+  }
+  return certs;
+}
+
+/**
+ * Validate the settings and build the client options. Call once at startup —
+ * throws with the setting to fix on any misconfiguration.
+ *
+ * @param {string} endpoint - VAULT_ADDR
+ * @returns {{ endpoint: string, namespace: string|undefined, requestOptions: object, summary: object }}
+ *          `requestOptions` is passed to node-vault for every request;
+ *          `summary` describes the transport for GET /health (no key material)
+ */
+function buildVaultConnection(endpoint) {
+  const insecureDev = process.env.VAULT_INSECURE_DEV === 'true';
+  const skipTlsVerify = skipVerify();
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new Error(`VAULT_ADDR "${endpoint}" is not a valid URL`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`VAULT_ADDR must be an https:// URL, got ${url.protocol}//`);
+  }
+  if (url.protocol === 'http:' && !insecureDev) {
+    throw new Error(
+      `VAULT_ADDR ${endpoint} is plaintext HTTP — AppRole credentials and Vault tokens would cross the network unencrypted. ` +
+      'Use an https:// address, or set VAULT_INSECURE_DEV=true for a local dev server'
+    );
+  }
+  if (skipTlsVerify && !insecureDev) {
+    throw new Error('VAULT_SKIP_VERIFY disables Vault certificate verification — it requires VAULT_INSECURE_DEV=true');
+  }
+  if (isSet('VAULT_CLIENT_CERT') !== isSet('VAULT_CLIENT_KEY')) {
+    throw new Error('VAULT_CLIENT_CERT and VAULT_CLIENT_KEY must be set together');
+  }
+
+  const namespace = process.env.VAULT_NAMESPACE || undefined;
+  const summary = {
+    scheme: url.protocol.slice(0, -1),
+    // Plaintext or unverified — only possible with VAULT_INSECURE_DEV=true
+    insecure: url.protocol === 'http:' || skipTlsVerify,
+    customCa: isSet('VAULT_CACERT') || isSet('VAULT_CAPATH'),
+    clientCertificate: isSet('VAULT_CLIENT_CERT'),
+    serverName: process.env.VAULT_TLS_SERVER_NAME || null,
+    namespace: namespace || null,
+  };
+
+  const requestOptions = {};
+  if (url.protocol === 'https:') {
+    const agentOptions = {};
+    const ca = loadCaCertificates();
+    if (ca.length > 0) agentOptions.ca = ca;
+    if (summary.clientCertificate) {
+      agentOptions.cert = readFile('VAULT_CLIENT_CERT');
+      agentOptions.key = readFile('VAULT_CLIENT_KEY');
+    }
+    if (summary.serverName) agentOptions.servername = summary.serverName;
+    if (skipTlsVerify) agentOptions.rejectUnauthorized = false;
+    requestOptions.agent = new https.Agent(agentOptions);
+  }
+
+  if (summary.insecure) {
+    logger.warn({ vaultAddr: endpoint, skipVerify: skipTlsVerify },
+      'VAULT_INSECURE_DEV=true — the Vault connection is not fully protected; never use this outside local development');
+  }
+  logger.info(summary, 'Vault connection configured');
+
+  return { endpoint, namespace, requestOptions, summary };
+}
+
+module.exports = { buildVaultConnection };
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * webhook-receiver.js
+ *
+ * POST /webhooks/:processor — asynchronous outcomes from processors
+ * (refunds completing or failing, chargebacks, settlement).
+ *
+ * Each delivery is:
+ *   1. Verified with the processor's signature scheme (webhooks/) using its
+ *      webhook signing secret, loaded from the secret store alongside the API
+ *      credentials (registry `webhookSecretKey`).
+ *   2. Checked for replays — the signed timestamp must be within
+ *      WEBHOOK_TOLERANCE_SECONDS where the scheme signs one, and each event id
+ *      is accepted only once (WEBHOOK_DEDUPE_STORE, shared across replicas
+ *      when it is a file on the data volume).
+ *   3. Matched to our transaction by the processor's payment reference and
+ *      applied to the state machine (transactions.js).
+ *
+ * Every verification success and failure goes to the audit log. Deliveries
+ * that verify are acknowledged with 200 even when an event cannot be applied
+ * (unknown payment, invalid transition) so the processor stops retrying;
+ * the outcome is in the response and the audit entry.
+ */
+
+const { createLogger } = require('./logger');
+const { getCachedSecrets } = require('./secret-provider');
+const { getProcessor } = require('./processor-registry');
+const { findByProcessorReference } = require('./ledger');
+const transactions = require('./transactions');
+const { getWebhookVerifier } = require('./webhooks');
+const { WEBHOOK_EVENT, REJECT_REASON } = require('./webhooks/event');
+const { createMemoryStore } = require('./stores/memory-store');
+const { createFileStore } = require('./stores/file-store');
+const auditLogger = require('./audit-logger');
+
+const logger = createLogger('webhook-receiver');
+
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+const DEDUPE_TTL_MS = parseInt(process.env.WEBHOOK_DEDUPE_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+
+const OUTCOME = {
+  APPLIED:   'applied',
+  DUPLICATE: 'duplicate',
+  IGNORED:   'ignored',     // event type we don't act on
+  UNMATCHED: 'unmatched',   // no transaction with that processor reference
+  REJECTED:  'rejected',    // transition not allowed from the current state
+};
+
+let _store = null;
+const _inFlight = new Set(); // dedupe keys being applied on this replica
+
+/**
+ * Build the store named by WEBHOOK_DEDUPE_STORE.
+ */
+function createWebhookEventStore(name = process.env.WEBHOOK_DEDUPE_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ file: process.env.WEBHOOK_DEDUPE_STORE_FILE || 'data/webhook-events.json' });
+    default:
+      throw new Error(`Unknown WEBHOOK_DEDUPE_STORE "${name}". Valid options: memory, file`);
+  }
+}
+
+function getStore() {
+  if (!_store) {
+    _store = createWebhookEventStore();
+    logger.info({ store: _store.name, dedupeTtlMs: DEDUPE_TTL_MS }, 'Webhook dedupe store initialised');
+  }
+  return _store;
+}
+
+function reject(res, processor, status, reason) {
+  auditLogger.recordWebhook(processor, false, { reason });
+  logger.warn({ processor, reason }, 'Webhook rejected');
+  return res.status(status).json({ error: 'Webhook rejected', reason });
+}
+
+/**
+ * Apply one verified event to the matching transaction.
+ * @returns {{ outcome: string, transactionId?: string, error?: string }}
+ */
+function applyEvent(processorId, event) {
+  if (!event.type) {
+    return { outcome: OUTCOME.IGNORED };
+  }
+
+  const txn = event.processorReference ? findByProcessorReference(processorId, event.processorReference) : null;
+  if (!txn) {
+    return { outcome: OUTCOME.UNMATCHED };
+  }
+
+  let result;
+  switch (event.type) {
+    case WEBHOOK_EVENT.REFUND_SUCCEEDED:
+      result = transactions.applyRefundOutcome(txn.id, event.refundReference, true, event.eventId);
+      if (!result.success && result.reason === transactions.REASON.NOT_FOUND) {
+        // Refund issued outside this service (e.g. processor dashboard) — record it
+        result = transactions.applyRefund(txn.id, event.amount ?? undefined, event.refundReference, {
+          status: transactions.REFUND_STATUS.SUCCEEDED,
+          eventId: event.eventId,
+        });
+      }
+      break;
+    case WEBHOOK_EVENT.REFUND_FAILED:
+      result = transactions.applyRefundOutcome(txn.id, event.refundReference, false, event.eventId);
+      break;
+    case WEBHOOK_EVENT.CHARGEBACK:
+      result = transactions.applyChargeback(txn.id, { amount: event.amount ?? undefined, reason: event.reason, eventId: event.eventId });
+      break;
+    case WEBHOOK_EVENT.SETTLEMENT:
+      result = transactions.applySettlement(txn.id, { amount: event.amount ?? undefined, eventId: event.eventId });
+      break;
+    default:
+      return { outcome: OUTCOME.IGNORED, transactionId: txn.id };
+  }
+
+  if (!result.success) {
+    return { outcome: OUTCOME.REJECTED, transactionId: txn.id, error: result.error };
+  }
+  return { outcome: OUTCOME.APPLIED, transactionId: txn.id, status: result.transaction.status };
+}
+
+/**
+ * Dedupe, apply and audit one verified event.
+ */
+async function receiveEvent(processorId, event) {
+  const key = `${processorId}:${event.eventId}`;
+  const store = getStore();
+
+  let result;
+  if (_inFlight.has(key) || await store.get(key)) {
+    result = { outcome: OUTCOME.DUPLICATE };
+  } else {
+    _inFlight.add(key);
+    try {
+      // Claim the id before applying so a concurrent redelivery is treated as a duplicate
+      await store.set(key, { receivedAt: new Date().toISOString() }, DEDUPE_TTL_MS);
+      result = applyEvent(processorId, event);
+    } catch (err) {
+      // Release the claim so the processor's retry is applied instead of dropped
+      await store.delete(key);
+      throw err;
+    } finally {
+      _inFlight.delete(key);
+    }
+  }
+
+  auditLogger.recordWebhook(processorId, true, {
+    eventId: event.eventId,
+    eventType: event.type || event.rawType,
+    outcome: result.outcome,
+    transactionId: result.transactionId || null,
+  });
+  logger.info(
+    { processor: processorId, eventId: event.eventId, eventType: event.type || event.rawType, ...result },
+    'Webhook event processed'
+  );
+
+  return { eventId: event.eventId, type: event.type || event.rawType, ...result };
+}
+
+/**
+ * Express handler for POST /webhooks/:processor. Requires req.rawBody — the
+ * exact bytes the processor signed (captured by the JSON body parser).
+ */
+async function webhookHandler(req, res) {
+  const processorId = req.params.processor;
+  const schema = getProcessor(processorId);
+  const verifier = schema && getWebhookVerifier(schema.adapter);
+
+  if (!schema || !schema.enabled || !schema.webhookSecretKey || !verifier) {
+    return reject(res, processorId, 404, 'unknown_processor');
+  }
+
+  const secrets = getCachedSecrets();
+  const secret = secrets && secrets[schema.webhookSecretKey];
+  if (!secret) {
+    return reject(res, processorId, 503, 'secret_unavailable');
+  }
+
+  const credentials = {};
+  for (const key of schema.requiredKeys) credentials[key] = secrets[key];
+
+  const verification = verifier.verify({
+    rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+    header: (name) => req.get(name),
+    path: req.originalUrl.split('?')[0],
+    secret,
+    credentials,
+    toleranceSeconds: TOLERANCE_SECONDS,
+  });
+
+  if (!verification.valid) {
+    const status = verification.reason === REJECT_REASON.MALFORMED_PAYLOAD ? 400 : 401;
+    return reject(res, processorId, status, verification.reason);
+  }
+
+  try {
+    const events = [];
+    for (const event of verification.events) {
+      events.push(await receiveEvent(processorId, event));
+    }
+    return res.status(200).json({ received: true, events });
+  } catch (err) {
+    logger.error({ processor: processorId, err: err.message }, 'Unexpected error processing webhook');
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = { webhookHandler, createWebhookEventStore, OUTCOME };
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * adyen-webhook.js
+ *
+ * Adyen-style notification verification (Processor B). A delivery batches
+ * notificationItems; each item carries its own signature in
+ * additionalData.hmacSignature:
+ *
+ *   base64(HMAC-SHA256(secret,
+ *     "pspReference:originalReference:merchantAccountCode:merchantReference:value:currency:eventCode:success"))
+ *
+ * The signed string has no timestamp (Adyen retries the same notification for
+ * days), so replays are stopped by event-id dedupe alone. Every item must also
+ * name our own merchant account.
+ *
+ *   REFUND (success=true|false) → refund.succeeded / refund.failed
+ *   REFUND_FAILED               → refund.failed
+ *   CHARGEBACK                  → chargeback
+ *   SETTLEMENT                  → settlement
+ */
+
+const crypto = require('crypto');
+const { WEBHOOK_EVENT, REJECT_REASON, safeEqual, rejected, verified } = require('./event');
+
+function signingString(item) {
+  const amount = item.amount || {};
+  return [
+    item.pspReference,
+    item.originalReference,
+    item.merchantAccountCode,
+    item.merchantReference,
+    amount.value,
+    amount.currency,
+    item.eventCode,
+    item.success,
+  ].map((v) => (v === undefined || v === null ? '' : String(v))).join(':');
+}
+
+function computeSignature(secret, item) {
+  return crypto.createHmac('sha256', secret).update(signingString(item)).digest('base64');
+}
+
+function toEvent(item) {
+  const success = String(item.success) === 'true';
+  const event = {
+    // Adyen's documented dedupe key: the same notification is retried with identical values
+    eventId: `${item.pspReference}:${item.eventCode}:${success}`,
+    type: null,
+    rawType: item.eventCode,
+    processorReference: item.originalReference || item.pspReference,
+    refundReference: null,
+    amount: item.amount && typeof item.amount.value === 'number' ? item.amount.value : null,
+    reason: item.reason || null,
+  };
+
+  switch (item.eventCode) {
+    case 'REFUND':
+      event.type = success ? WEBHOOK_EVENT.REFUND_SUCCEEDED : WEBHOOK_EVENT.REFUND_FAILED;
+      event.refundReference = item.pspReference;
+      break;
+    case 'REFUND_FAILED':
+      event.type = WEBHOOK_EVENT.REFUND_FAILED;
+      event.refundReference = item.pspReference;
+      break;
+    case 'CHARGEBACK':
+      event.type = WEBHOOK_EVENT.CHARGEBACK;
+      break;
+    case 'SETTLEMENT':
+      event.type = WEBHOOK_EVENT.SETTLEMENT;
+      break;
+    default:
+      break;
+  }
+  return event;
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.rawBody
+ * @param {string} params.secret
+ * @param {object} params.credentials - Used to check merchantAccountCode
+ * @returns {{ valid: true, events: Array<object> }|{ valid: false, reason: string }}
+ */
+function verify({ rawBody, secret, credentials }) {
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+  }
+
+  const items = Array.isArray(payload && payload.notificationItems)
+    ? payload.notificationItems.map((wrapper) => wrapper && wrapper.NotificationRequestItem)
+    : [];
+  if (items.length === 0 || items.some((item) => !item || !item.pspReference || !item.eventCode)) {
+    return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+  }
+
+  for (const item of items) {
+    const signature = item.additionalData && item.additionalData.hmacSignature;
+    if (!signature) return rejected(REJECT_REASON.MISSING_SIGNATURE);
+    if (!safeEqual(signature, computeSignature(secret, item))) return rejected(REJECT_REASON.INVALID_SIGNATURE);
+    if (item.merchantAccountCode !== credentials.PROCESSOR_B_MERCHANT_ID) {
+      return rejected(REJECT_REASON.INVALID_SIGNATURE);
+    }
+  }
+
+  return verified(items.map(toEvent));
+}
+
+/**
+ * Add additionalData.hmacSignature to a notification item (used by the mock acquirers).
+ */
+function signItem(secret, item) {
+  return { ...item, additionalData: { ...(item.additionalData || {}), hmacSignature: computeSignature(secret, item) } };
+}
+
+module.exports = { name: 'adyen', verify, signItem };
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * event.js
+ *
+ * Common webhook event model shared by the per-processor verifiers. Each
+ * verifier checks its processor's signature scheme and maps the payload onto
+ * WEBHOOK_EVENT so the receiver never branches on processor-specific types.
+ *
+ * A normalised event:
+ *   {
+ *     eventId,             // processor's unique id, used for replay dedupe
+ *     type,                // WEBHOOK_EVENT.* or null when we don't act on it
+ *     rawType,             // processor's own event type
+ *     processorReference,  // processor's id for the payment
+ *     refundReference,     // processor's id for the refund (refund events)
+ *     amount,              // cents, when the event carries one
+ *     reason,              // e.g. chargeback reason code
+ *   }
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENT = {
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  REFUND_FAILED:    'refund.failed',
+  CHARGEBACK:       'chargeback',
+  SETTLEMENT:       'settlement',
+};
+
+/**
+ * Verification failure reasons (recorded in the audit log).
+ */
+const REJECT_REASON = {
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_SIGNATURE: 'invalid_signature',
+  STALE_TIMESTAMP:   'stale_timestamp',
+  MALFORMED_PAYLOAD: 'malformed_payload',
+};
+
+/**
+ * Constant-time comparison of two signature strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a signed unix timestamp (seconds) is within the tolerance window.
+ * @param {number} timestamp
+ * @param {number} toleranceSeconds
+ * @returns {boolean}
+ */
+function withinTolerance(timestamp, toleranceSeconds) {
+  return Number.isFinite(timestamp) && Math.abs(Date.now() / 1000 - timestamp) <= toleranceSeconds;
+}
+
+function rejected(reason) {
+  return { valid: false, reason };
+}
+
+function verified(events) {
+  return { valid: true, events };
+}
+
+module.exports = {
+  WEBHOOK_EVENT,
+  REJECT_REASON,
+  safeEqual,
+  withinTolerance,
+  rejected,
+  verified,
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * hmac-webhook.js
+ *
+ * Regional acquirer webhook verification (Processor C). Same canonical string
+ * as outbound requests (see adapters/hmac-adapter.js), keyed by the webhook
+ * secret instead of the API token:
+ *
+ *   X-Timestamp: <unix seconds>
+ *   X-Signature: hex(HMAC-SHA256(secret, "<timestamp>\nPOST\n<path>\n<raw body>"))
+ *
+ * Body: { event_id, event_type, transaction_id, refund_id?, amount?, reason? }
+ *
+ *   REFUND_COMPLETED → refund.succeeded
+ *   REFUND_FAILED    → refund.failed
+ *   CHARGEBACK       → chargeback
+ *   SETTLED          → settlement
+ */
+
+const { computeSignature } = require('../adapters/hmac-adapter');
+const { WEBHOOK_EVENT, REJECT_REASON, safeEqual, withinTolerance, rejected, verified } = require('./event');
+
+const EVENT_TYPES = {
+  REFUND_COMPLETED: WEBHOOK_EVENT.REFUND_SUCCEEDED,
+  REFUND_FAILED:    WEBHOOK_EVENT.REFUND_FAILED,
+  CHARGEBACK:       WEBHOOK_EVENT.CHARGEBACK,
+  SETTLED:          WEBHOOK_EVENT.SETTLEMENT,
+};
+
+/**
+ * @param {object} params
+ * @param {string} params.rawBody
+ * @param {Function} params.header         - (name) => header value
+ * @param {string} params.path             - Request path the processor signed
+ * @param {string} params.secret
+ * @param {number} params.toleranceSeconds
+ * @returns {{ valid: true, events: Array<object> }|{ valid: false, reason: string }}
+ */
+function verify({ rawBody, header, path, secret, toleranceSeconds }) {
+  const timestamp = parseInt(header('X-Timestamp'), 10);
+  const signature = header('X-Signature');
+  if (!timestamp || !signature) return rejected(REJECT_REASON.MISSING_SIGNATURE);
+
+  if (!safeEqual(signature, computeSignature(secret, timestamp, 'POST', path, rawBody))) {
+    return rejected(REJECT_REASON.INVALID_SIGNATURE);
+  }
+  if (!withinTolerance(timestamp, toleranceSeconds)) return rejected(REJECT_REASON.STALE_TIMESTAMP);
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+  }
+  if (!payload || typeof payload.event_id !== 'string') return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+
+  return verified([{
+    eventId: payload.event_id,
+    type: EVENT_TYPES[payload.event_type] || null,
+    rawType: payload.event_type,
+    processorReference: payload.transaction_id || null,
+    refundReference: payload.refund_id || null,
+    amount: typeof payload.amount === 'number' ? payload.amount : null,
+    reason: payload.reason || null,
+  }]);
+}
+
+/**
+ * Build the headers for a delivery (used by the mock acquirers).
+ */
+function sign(secret, path, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'X-Timestamp': String(timestamp),
+    'X-Signature': computeSignature(secret, timestamp, 'POST', path, rawBody),
+  };
+}
+
+module.exports = { name: 'hmac', verify, sign };
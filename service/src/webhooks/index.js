@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Webhook verifier lookup, keyed by the registry entry's `adapter` — a
+ * processor's webhook signing scheme follows its API style.
+ *
+ * Every verifier implements
+ *   verify({ rawBody, header, path, secret, credentials, toleranceSeconds })
+ *     => { valid: true, events } | { valid: false, reason }
+ * with events in the common model described in event.js.
+ */
+
+const stripeWebhook = require('./stripe-webhook');
+const adyenWebhook = require('./adyen-webhook');
+const hmacWebhook = require('./hmac-webhook');
+
+const VERIFIERS = {
+  [stripeWebhook.name]: stripeWebhook,
+  [adyenWebhook.name]: adyenWebhook,
+  [hmacWebhook.name]: hmacWebhook,
+};
+
+/**
+ * @param {string} adapterName
+ * @returns {object|null}
+ */
+function getWebhookVerifier(adapterName) {
+  return VERIFIERS[adapterName] || null;
+}
+
+module.exports = { getWebhookVerifier };
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * stripe-webhook.js
+ *
+ * Stripe-style webhook verification (Processor A).
+ *
+ *   Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ *
+ * The timestamp is covered by the signature, so the tolerance check also
+ * stops an attacker from replaying an old, validly signed delivery.
+ *
+ *   refund.updated (status succeeded|failed) → refund.succeeded / refund.failed
+ *   charge.dispute.created                   → chargeback
+ */
+
+const crypto = require('crypto');
+const { WEBHOOK_EVENT, REJECT_REASON, safeEqual, withinTolerance, rejected, verified } = require('./event');
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function parseHeader(header) {
+  const parts = { t: null, v1: [] };
+  for (const item of String(header || '').split(',')) {
+    const [key, value] = item.split('=');
+    if (key === 't') parts.t = parseInt(value, 10);
+    if (key === 'v1' && value) parts.v1.push(value);
+  }
+  return parts;
+}
+
+function toEvent(payload) {
+  const object = (payload.data && payload.data.object) || {};
+  const event = {
+    eventId: payload.id,
+    type: null,
+    rawType: payload.type,
+    processorReference: object.payment_intent || null,
+    refundReference: null,
+    amount: typeof object.amount === 'number' ? object.amount : null,
+    reason: null,
+  };
+
+  if (payload.type === 'refund.updated' || payload.type === 'refund.created') {
+    event.refundReference = object.id || null;
+    if (object.status === 'succeeded') event.type = WEBHOOK_EVENT.REFUND_SUCCEEDED;
+    if (object.status === 'failed') event.type = WEBHOOK_EVENT.REFUND_FAILED;
+  } else if (payload.type === 'charge.dispute.created') {
+    event.type = WEBHOOK_EVENT.CHARGEBACK;
+    event.reason = object.reason || null;
+  }
+  return event;
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.rawBody
+ * @param {Function} params.header          - (name) => header value
+ * @param {string} params.secret
+ * @param {number} params.toleranceSeconds
+ * @returns {{ valid: true, events: Array<object> }|{ valid: false, reason: string }}
+ */
+function verify({ rawBody, header, secret, toleranceSeconds }) {
+  const { t, v1 } = parseHeader(header('Stripe-Signature'));
+  if (!t || v1.length === 0) return rejected(REJECT_REASON.MISSING_SIGNATURE);
+
+  const expected = computeSignature(secret, t, rawBody);
+  if (!v1.some((candidate) => safeEqual(candidate, expected))) {
+    return rejected(REJECT_REASON.INVALID_SIGNATURE);
+  }
+  if (!withinTolerance(t, toleranceSeconds)) return rejected(REJECT_REASON.STALE_TIMESTAMP);
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+  }
+  if (!payload || typeof payload.id !== 'string') return rejected(REJECT_REASON.MALFORMED_PAYLOAD);
+
+  return verified([toEvent(payload)]);
+}
+
+/**
+ * Build the headers for a delivery (used by the mock acquirers).
+ */
+function sign(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return { 'Stripe-Signature': `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}` };
+}
+
+module.exports = { name: 'stripe', verify, sign };
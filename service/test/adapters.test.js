@@ -0,0 +1,130 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+const { getAdapter } = require('../src/adapters');
+const { DECLINE_CODE } = require('../src/adapters/result');
+const { createStripeLikeApp } = require('../mock-acquirers/stripe-like');
+const { createAdyenLikeApp } = require('../mock-acquirers/adyen-like');
+const { createRegionalApp } = require('../mock-acquirers/regional');
+
+// Magic amounts understood by the mock acquirers (mock-acquirers/scenarios.js)
+const APPROVE = 2500;
+const DECLINES = {
+  1051: DECLINE_CODE.INSUFFICIENT_FUNDS,
+  1005: DECLINE_CODE.DO_NOT_HONOR,
+  1054: DECLINE_CODE.EXPIRED_CARD,
+};
+const PROCESSOR_ERROR = 1096;
+const STALL = 1098;
+
+const CARD = { number: '4242424242424242', expMonth: 12, expYear: 2030, cvc: '123', holderName: 'Ada Lovelace' };
+
+const servers = [];
+const processors = {};
+
+function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  servers.push(server);
+  return new Promise((resolve) => server.once('listening', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+// A port nothing listens on
+async function closedPort() {
+  const server = require('http').createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+before(async () => {
+  const regionalUrl = await listen(createRegionalApp(DEFAULT_MOCK_SECRETS, '/api/v1'));
+  processors.A = { adapter: 'stripe', baseUrl: await listen(createStripeLikeApp(DEFAULT_MOCK_SECRETS)), keys: ['PROCESSOR_A_API_KEY', 'PROCESSOR_A_SECRET'] };
+  processors.B = { adapter: 'adyen', baseUrl: await listen(createAdyenLikeApp(DEFAULT_MOCK_SECRETS)), keys: ['PROCESSOR_B_MERCHANT_ID', 'PROCESSOR_B_API_KEY'] };
+  processors.C = { adapter: 'hmac', baseUrl: null, keys: ['PROCESSOR_C_ENDPOINT', 'PROCESSOR_C_TOKEN'], endpoint: `${regionalUrl}/api/v1` };
+});
+
+after(() => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+function ctx(id, { timeoutMs = 2000, credentials = {} } = {}) {
+  const processor = processors[id];
+  const base = Object.fromEntries(processor.keys.map((key) => [key, DEFAULT_MOCK_SECRETS[key]]));
+  if (processor.endpoint) base.PROCESSOR_C_ENDPOINT = processor.endpoint;
+  return { processorId: id, baseUrl: processor.baseUrl, timeoutMs, idempotencyKey: `txn_${id}_${Date.now()}`, credentials: { ...base, ...credentials } };
+}
+
+function authorize(id, amount, options = {}, capture = false) {
+  return getAdapter(processors[id].adapter).authorize(ctx(id, options), { amount, currency: 'USD', capture, reference: `ref_${amount}`, card: CARD });
+}
+
+for (const id of ['A', 'B', 'C']) {
+  test(`${id}: authorize, capture and refund, or void, with signed requests`, async () => {
+    const adapter = getAdapter(processors[id].adapter);
+
+    const auth = await authorize(id, APPROVE);
+    assert.equal(auth.approved, true, auth.message);
+    assert.ok(auth.processorReference);
+
+    const captured = await adapter.capture(ctx(id), { processorReference: auth.processorReference, amount: 2000 });
+    assert.equal(captured.approved, true, captured.message);
+    const refunded = await adapter.refund(ctx(id), { processorReference: auth.processorReference, amount: 500 });
+    assert.equal(refunded.approved, true, refunded.message);
+
+    const other = await authorize(id, APPROVE);
+    const voided = await adapter.void(ctx(id), { processorReference: other.processorReference });
+    assert.equal(voided.approved, true, voided.message);
+  });
+
+  test(`${id}: declines map to the common decline codes`, async () => {
+    for (const [amount, declineCode] of Object.entries(DECLINES)) {
+      const result = await authorize(id, Number(amount));
+      assert.equal(result.approved, false);
+      assert.equal(result.declineCode, declineCode, `${id} ${amount}`);
+    }
+    const failed = await authorize(id, PROCESSOR_ERROR);
+    assert.equal(failed.declineCode, DECLINE_CODE.PROCESSOR_ERROR);
+  });
+
+  test(`${id}: wrong credentials are an authentication failure`, async () => {
+    const wrong = Object.fromEntries(processors[id].keys
+      .filter((key) => key !== 'PROCESSOR_C_ENDPOINT' && key !== 'PROCESSOR_B_MERCHANT_ID')
+      .map((key) => [key, `${DEFAULT_MOCK_SECRETS[key]}_wrong`]));
+
+    const result = await authorize(id, APPROVE, { credentials: wrong });
+
+    assert.equal(result.declineCode, DECLINE_CODE.AUTHENTICATION_FAILED);
+    assert.ok(!JSON.stringify(result).includes('_wrong'), 'results never carry credential values');
+  });
+
+  test(`${id}: a processor that stalls is a timeout`, async () => {
+    const result = await authorize(id, STALL, { timeoutMs: 200 });
+
+    assert.equal(result.declineCode, DECLINE_CODE.TIMEOUT);
+  });
+}
+
+test('an unreachable processor is a connection failure — nothing was sent', async () => {
+  const port = await closedPort();
+  const saved = processors.A.baseUrl;
+  processors.A.baseUrl = `http://127.0.0.1:${port}`;
+  try {
+    assert.equal((await authorize('A', APPROVE)).declineCode, DECLINE_CODE.CONNECTION_FAILED);
+  } finally {
+    processors.A.baseUrl = saved;
+  }
+});
+
+test('an invalid PROCESSOR_C_ENDPOINT is refused without echoing it', async () => {
+  const result = await authorize('C', APPROVE, { credentials: { PROCESSOR_C_ENDPOINT: 'not a url secret-ish' } });
+
+  assert.equal(result.declineCode, DECLINE_CODE.INVALID_REQUEST);
+  assert.ok(!result.message.includes('secret-ish'));
+});
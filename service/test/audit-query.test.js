@@ -0,0 +1,101 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { queryAudit, summariseAudit, exportAudit } = require('../src/audit-query');
+
+let tmp;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-audit-query-'));
+  process.env.AUDIT_LOG_DIR = tmp;
+});
+
+afterEach(() => {
+  delete process.env.AUDIT_LOG_DIR;
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const at = (minute) => `2026-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+// Chains are only read here, so the hash fields are left out
+function writeSegment(name, instanceId, entries) {
+  const lines = entries.map(([seq, minute, event = 'SECRET_FETCH', success = true]) =>
+    JSON.stringify({ seq, timestamp: at(minute), instanceId, event, success, path: 'secret/flexpay' }) + '\n');
+  fs.writeFileSync(path.join(tmp, name), lines.join(''));
+}
+
+// Replica "a": a rotated segment closed at 10:20 and the active one; replica "b": active only
+function writeTwoReplicas() {
+  writeSegment('audit-a.20260301T102000000Z.ndjson', 'a', [[1, 1], [2, 10], [3, 20]]);
+  writeSegment('audit-a.ndjson', 'a', [[4, 30], [5, 40, 'AUTH_FAILURE', false]]);
+  writeSegment('audit-b.ndjson', 'b', [[1, 5], [2, 25, 'AUTH_FAILURE', false], [3, 35]]);
+}
+
+const keys = (items) => items.map((e) => `${e.instanceId}${e.seq}`);
+
+test('replica chains are merged newest first by default', async () => {
+  writeTwoReplicas();
+
+  const page = await queryAudit();
+
+  assert.deepEqual(keys(page.items), ['a5', 'b3', 'a4', 'b2', 'a3', 'a2', 'b1', 'a1']);
+  assert.equal(page.nextCursor, null);
+});
+
+test('cursor pages cover every entry once, in order', async () => {
+  writeTwoReplicas();
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await queryAudit({ order: 'asc', limit: 3, cursor });
+    assert.ok(page.items.length <= 3);
+    seen.push(...keys(page.items));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['a1', 'b1', 'a2', 'a3', 'b2', 'a4', 'b3', 'a5']);
+});
+
+test('from / to, instance and outcome filters', async () => {
+  writeTwoReplicas();
+
+  assert.deepEqual(keys((await queryAudit({ from: at(10), to: at(30), order: 'asc' })).items),
+    ['a2', 'a3', 'b2', 'a4']);
+  assert.deepEqual(keys((await queryAudit({ instance: 'b' })).items), ['b3', 'b2', 'b1']);
+  assert.deepEqual(keys((await queryAudit({ success: false })).items), ['a5', 'b2']);
+});
+
+test('an invalid cursor is rejected', async () => {
+  await assert.rejects(queryAudit({ cursor: 'not-a-cursor' }), /Invalid "cursor"/);
+});
+
+test('the summary counts every match', async () => {
+  writeTwoReplicas();
+
+  const summary = await summariseAudit({ event: ['AUTH_FAILURE'] });
+
+  assert.equal(summary.totalMatched, 2);
+  assert.deepEqual(summary.byEvent, { AUTH_FAILURE: { total: 2, success: 0, failure: 2 } });
+  assert.deepEqual(summary.byHour, [{ hour: '2026-03-01T10:00:00Z', total: 2, failures: 2, events: { AUTH_FAILURE: 2 } }]);
+});
+
+test('exports stream one line per entry', async () => {
+  writeTwoReplicas();
+
+  const chunks = [];
+  for await (const chunk of exportAudit({ instance: 'b', order: 'asc' }, 'csv')) chunks.push(chunk);
+
+  assert.equal(chunks.length, 4);
+  assert.equal(chunks[0], 'timestamp,instanceId,seq,event,path,success,details,prevHash,hash,hmac\r\n');
+  assert.equal(chunks[1], `${at(5)},b,1,SECRET_FETCH,secret/flexpay,true,,,,\r\n`);
+
+  const ndjson = [];
+  for await (const chunk of exportAudit({ from: at(40) }, 'ndjson')) ndjson.push(JSON.parse(chunk));
+  assert.deepEqual(keys(ndjson), ['a5']);
+});
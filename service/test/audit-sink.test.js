@@ -0,0 +1,148 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.INSTANCE_ID = 'test-instance';
+const auditSink = require('../src/audit-sink');
+
+const KEY = 'test-audit-hmac-key';
+const FILE = 'audit-test-instance.ndjson';
+
+let tmp;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-audit-sink-'));
+  auditSink.setHmacKey(null);
+  auditSink.initAuditSink({ dir: tmp });
+});
+
+afterEach(() => {
+  auditSink.setHmacKey(null);
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function writeEntries(count) {
+  for (let i = 0; i < count; i++) {
+    auditSink.appendAuditEntry({ timestamp: new Date().toISOString(), event: 'TEST', n: i });
+  }
+}
+
+function readLines() {
+  return fs.readFileSync(path.join(tmp, FILE), 'utf8').split('\n').filter(Boolean).map((l) => JSON.parse(l));
+}
+
+function writeLines(entries) {
+  fs.writeFileSync(path.join(tmp, FILE), entries.map((e) => JSON.stringify(e) + '\n').join(''));
+}
+
+// What someone with file access but no key can do: edit, re-hash onwards, drop the HMACs
+function rewriteFrom(entries, index, edit) {
+  let prevHash = entries[index - 1].hash;
+  for (let i = index; i < entries.length; i++) {
+    const { hash, hmac, hmacKeyId, ...body } = entries[i];
+    if (i === index) edit(body);
+    body.prevHash = prevHash;
+    const newHash = crypto.createHash('sha256').update(prevHash).update(JSON.stringify(body)).digest('hex');
+    entries[i] = { ...body, hash: newHash };
+    prevHash = newHash;
+  }
+  return entries;
+}
+
+test('a signed chain verifies', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(5);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.entriesChecked, 5);
+  assert.equal(report.hmacChecked, 5);
+  assert.equal(report.firstBrokenLink, null);
+});
+
+test('entries written before the key loads are vouched for by the next signed entry', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(2);
+  // A restart: the first entries go out before secrets (and the key) load
+  auditSink.setHmacKey(null);
+  auditSink.initAuditSink({ dir: tmp });
+  writeEntries(2);
+  auditSink.setHmacKey(KEY);
+  writeEntries(1);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.unsigned, 2);
+});
+
+test('an edited entry breaks the chain', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(3);
+  const entries = readLines();
+  entries[1].n = 42;
+  writeLines(entries);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.firstBrokenLink, { segment: FILE, line: 2, seq: 2, reason: 'hash_mismatch' });
+});
+
+test('rewriting the chain and stripping the HMACs is a break', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(5);
+  writeLines(rewriteFrom(readLines(), 2, (body) => { body.n = 42; }));
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.firstBrokenLink, { segment: FILE, line: 3, seq: 3, reason: 'unsigned_after_signed' });
+});
+
+test('the rewrite is caught by a verifier without the key too', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(5);
+  writeLines(rewriteFrom(readLines(), 2, (body) => { body.n = 42; }));
+  auditSink.setHmacKey(null);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, false);
+  assert.equal(report.firstBrokenLink.reason, 'unsigned_after_signed');
+});
+
+test('an unsigned chain is a break once a key is configured', () => {
+  writeEntries(3);
+  writeLines(rewriteFrom(readLines(), 1, (body) => { body.n = 42; }));
+  auditSink.setHmacKey(KEY);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.firstBrokenLink, { segment: FILE, line: 1, seq: 1, reason: 'unsigned_after_signed' });
+});
+
+test('an HMAC under a key id the verifier does not hold does not vouch for the chain', () => {
+  auditSink.setHmacKey(KEY);
+  writeEntries(4);
+  const entries = rewriteFrom(readLines(), 2, (body) => { body.n = 42; });
+  // Forge a "rotated key" signature on the last entry
+  const last = entries[3];
+  const { hash, ...body } = last;
+  body.hmacKeyId = 'ffffffffffffffff';
+  const newHash = crypto.createHash('sha256').update(body.prevHash).update(JSON.stringify(body)).digest('hex');
+  entries[3] = { ...body, hash: newHash, hmac: 'f'.repeat(64) };
+  writeLines(entries);
+
+  const report = auditSink.verifyAuditChain({ dir: tmp });
+
+  assert.equal(report.valid, false);
+  assert.equal(report.firstBrokenLink.reason, 'unsigned_after_signed');
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-card-tokens-'));
+const STORE_FILE = path.join(tmp, 'card-tokens.json');
+const AUDIT_DIR = path.join(tmp, 'audit');
+Object.assign(process.env, {
+  CARD_TOKENIZER: 'mock',
+  CARD_TOKEN_STORE: 'file',
+  CARD_TOKEN_STORE_FILE: STORE_FILE,
+  AUDIT_LOG_DIR: AUDIT_DIR,
+});
+
+const { CARD_REASON, initCardTokens, tokenizeCard, detokenizeCard, cardForPayment } = require('../src/card-tokens');
+
+const NUMBER = '4242424242424242';
+const CARD = { number: '4242 4242 4242 4242', expMonth: 12, expYear: 2030, cvc: '987', holderName: 'Ada Lovelace' };
+
+before(() => {
+  initCardTokens();
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function filesUnder(dir) {
+  if (!fs.existsSync(dir)) return '';
+  return fs.readdirSync(dir).map((name) => fs.readFileSync(path.join(dir, name), 'utf8')).join('\n');
+}
+
+test('tokenizing returns the token and display fields only', async () => {
+  const result = await tokenizeCard(CARD, 'merchant-1');
+
+  assert.equal(result.success, true);
+  assert.match(result.summary.cardToken, /^ctok_[A-Za-z0-9_-]{24}$/);
+  assert.deepEqual(result.summary, { cardToken: result.summary.cardToken, brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 });
+  assert.equal(result.card.cvc, '987', 'the CVC is handed back for an immediate charge');
+});
+
+test('neither the number, the holder name nor the CVC is stored or audited in plaintext', async () => {
+  await tokenizeCard(CARD, 'merchant-1');
+
+  const stored = fs.readFileSync(STORE_FILE, 'utf8');
+  const audited = filesUnder(AUDIT_DIR);
+  assert.ok(audited.includes('CARD_TOKENIZED'));
+  for (const text of [stored, audited]) {
+    assert.ok(!text.includes(NUMBER));
+    assert.ok(!text.includes('Ada Lovelace'));
+    assert.ok(!text.includes('"987"'));
+  }
+});
+
+test('a token decrypts for its own merchant only, without a CVC', async () => {
+  const { summary } = await tokenizeCard(CARD, 'merchant-1');
+
+  const own = await detokenizeCard(summary.cardToken, 'merchant-1');
+  const other = await detokenizeCard(summary.cardToken, 'merchant-2');
+
+  assert.equal(own.success, true);
+  assert.equal(own.card.number, NUMBER);
+  assert.equal(own.card.holderName, 'Ada Lovelace');
+  assert.equal(own.card.cvc, null);
+  assert.equal(other.reason, CARD_REASON.UNKNOWN_TOKEN);
+});
+
+test('malformed and unknown tokens are one answer', async () => {
+  for (const token of ['ctok_short', `ctok_${'a'.repeat(24)}`, 42]) {
+    assert.equal((await detokenizeCard(token, 'merchant-1')).reason, CARD_REASON.UNKNOWN_TOKEN, String(token));
+  }
+});
+
+test('an invalid card is refused with field errors', async () => {
+  const result = await tokenizeCard({ ...CARD, number: '4242424242424241' }, 'merchant-1');
+
+  assert.equal(result.reason, CARD_REASON.INVALID_CARD);
+  assert.deepEqual(result.errors.map((e) => e.field), ['number']);
+});
+
+test('a payment takes either a card or a token', async () => {
+  const { summary } = await tokenizeCard(CARD, 'merchant-1');
+
+  assert.equal((await cardForPayment({ card: CARD, cardToken: summary.cardToken }, 'merchant-1')).reason, CARD_REASON.INVALID_CARD);
+  assert.equal((await cardForPayment({ cardToken: summary.cardToken }, 'merchant-1')).card.number, NUMBER);
+  assert.deepEqual(await cardForPayment({}, 'merchant-1'), { success: true, summary: null, card: null });
+});
+
+test('the mock tokenizer is refused in production', () => {
+  process.env.NODE_ENV = 'production';
+  try {
+    assert.throws(() => initCardTokens(), /CARD_TOKENIZER=mock is not allowed/);
+  } finally {
+    delete process.env.NODE_ENV;
+  }
+});
+
+test('without Vault, tokenization reports unavailable', async () => {
+  process.env.CARD_TOKENIZER = 'transit';
+  try {
+    initCardTokens();
+    const result = await tokenizeCard(CARD, 'merchant-1');
+    assert.equal(result.reason, CARD_REASON.UNAVAILABLE);
+  } finally {
+    process.env.CARD_TOKENIZER = 'mock';
+    initCardTokens();
+  }
+});
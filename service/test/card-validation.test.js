@@ -0,0 +1,87 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BRAND, validateCard, maskCard, isCardNumber } = require('../src/card-validation');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+function card(overrides = {}) {
+  return { number: '4242 4242 4242 4242', expMonth: 12, expYear: 2030, cvc: '123', ...overrides };
+}
+
+const fields = (result) => result.errors.map((e) => e.field);
+
+test('a valid card is normalised', () => {
+  const { card: valid, errors } = validateCard(card({ expYear: '30', holderName: '  Ada Lovelace ' }), NOW);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(valid, {
+    number: '4242424242424242', brand: BRAND.VISA, last4: '4242',
+    expMonth: 12, expYear: 2030, cvc: '123', holderName: 'Ada Lovelace',
+  });
+});
+
+test('brands are detected from the prefix and their length and CVC rules applied', () => {
+  const numbers = {
+    [BRAND.VISA]: '4111111111111111',
+    [BRAND.MASTERCARD]: '5555555555554444',
+    [BRAND.AMEX]: '378282246310005',
+    [BRAND.DISCOVER]: '6011111111111117',
+    [BRAND.JCB]: '3530111333300000',
+    [BRAND.DINERS]: '30569309025904',
+  };
+  for (const [brand, number] of Object.entries(numbers)) {
+    const cvc = brand === BRAND.AMEX ? '1234' : '123';
+    assert.equal(validateCard(card({ number, cvc }), NOW).card.brand, brand, brand);
+  }
+
+  assert.deepEqual(fields(validateCard(card({ number: numbers[BRAND.AMEX] }), NOW)), ['cvc']);
+  assert.deepEqual(fields(validateCard(card({ cvc: '1234' }), NOW)), ['cvc']);
+});
+
+test('numbers failing Luhn, length or brand are refused without echoing them', () => {
+  const cases = {
+    '4242424242424241': 'failed the Luhn check',
+    '4242': 'must be 12-19 digits',
+    '4242-4242-4242-4242-4242-4': 'must be 12-19 digits',
+    '9999999999999995': 'card brand not supported',
+    '42424242424242426': 'invalid length for visa cards',
+  };
+  for (const [number, message] of Object.entries(cases)) {
+    const { card: valid, errors } = validateCard(card({ number }), NOW);
+    assert.equal(valid, null, number);
+    assert.match(errors[0].message, new RegExp(message), number);
+    assert.ok(!JSON.stringify(errors).includes(number.replace(/-/g, '')), 'errors never carry the number');
+  }
+  assert.deepEqual(fields(validateCard(card({ number: 4242424242424242 }), NOW)), ['number']);
+});
+
+test('a card is valid through the last day of its expiry month', () => {
+  assert.equal(validateCard(card({ expMonth: 6, expYear: 2026 }), NOW).card.expMonth, 6);
+  assert.match(validateCard(card({ expMonth: 5, expYear: 2026 }), NOW).errors[0].message, /expired/);
+  assert.deepEqual(fields(validateCard(card({ expMonth: 13 }), NOW)), ['expMonth']);
+  assert.deepEqual(fields(validateCard(card({ expYear: 'soon' }), NOW)), ['expYear']);
+  assert.match(validateCard(card({ expYear: 2050 }), NOW).errors[0].message, /within/);
+});
+
+test('cvc and holder name rules', () => {
+  assert.deepEqual(fields(validateCard(card({ cvc: undefined }), NOW)), ['cvc']);
+  assert.deepEqual(fields(validateCard(card({ cvc: 123 }), NOW)), ['cvc']);
+  assert.deepEqual(fields(validateCard(card({ holderName: ' ' }), NOW)), ['holderName']);
+  assert.deepEqual(fields(validateCard(card({ holderName: 'x'.repeat(101) }), NOW)), ['holderName']);
+  assert.deepEqual(fields(validateCard([], NOW)), ['card']);
+});
+
+test('maskCard keeps only BIN, last4 and expiry', () => {
+  assert.deepEqual(maskCard(card()), { bin: '424242', last4: '4242', expMonth: 12, expYear: 2030 });
+  assert.deepEqual(maskCard({ number: 'not a number', cvc: '123' }), { bin: null, last4: null, expMonth: null, expYear: null });
+  assert.equal(maskCard('4242424242424242'), null);
+});
+
+test('isCardNumber needs a brand, a valid length and Luhn', () => {
+  assert.equal(isCardNumber('4242424242424242'), true);
+  assert.equal(isCardNumber('4242424242424241'), false);
+  assert.equal(isCardNumber('1234567890123452'), false);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Breaker settings are read at load; state is per processor id, so each test uses its own
+Object.assign(process.env, { CIRCUIT_FAILURE_THRESHOLD: '3', CIRCUIT_OPEN_MS: '500', CIRCUIT_SLOW_CALL_MS: '1000' });
+
+const circuitBreaker = require('../src/circuit-breaker');
+const { STATE } = circuitBreaker;
+
+const APPROVED = { approved: true };
+const TIMEOUT = { approved: false, declineCode: 'timeout' };
+const DECLINED = { approved: false, declineCode: 'insufficient_funds' };
+
+const stateOf = (id) => circuitBreaker.getBreakerStates([id])[id];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function fail(id, times) {
+  for (let i = 0; i < times; i++) {
+    assert.equal(circuitBreaker.tryAcquire(id), true);
+    circuitBreaker.recordOutcome(id, TIMEOUT, 10);
+  }
+}
+
+test('consecutive failures trip the breaker open', () => {
+  fail('trip', 2);
+  assert.equal(stateOf('trip').state, STATE.CLOSED);
+
+  fail('trip', 1);
+
+  const state = stateOf('trip');
+  assert.equal(state.state, STATE.OPEN);
+  assert.equal(state.consecutiveFailures, 3);
+  assert.equal(state.lastFailure.reason, 'timeout');
+  assert.equal(circuitBreaker.tryAcquire('trip'), false);
+  assert.equal(circuitBreaker.isAvailable('trip'), false);
+  assert.equal(circuitBreaker.retryAfterSeconds('trip'), 1);
+});
+
+test('a success in between resets the count', () => {
+  fail('reset', 2);
+  circuitBreaker.recordOutcome('reset', APPROVED, 10);
+  fail('reset', 2);
+
+  assert.equal(stateOf('reset').state, STATE.CLOSED);
+});
+
+test('card declines are healthy answers; slow calls are failures', () => {
+  for (let i = 0; i < 5; i++) circuitBreaker.recordOutcome('declines', DECLINED, 10);
+  assert.equal(stateOf('declines').state, STATE.CLOSED);
+
+  for (let i = 0; i < 3; i++) circuitBreaker.recordOutcome('slow', APPROVED, 1001);
+  assert.equal(stateOf('slow').state, STATE.OPEN);
+  assert.equal(stateOf('slow').lastFailure.reason, 'slow_call');
+});
+
+test('after the cool-down one probe is let through; its success closes the breaker', async () => {
+  fail('probe-ok', 3);
+  await sleep(550);
+
+  assert.equal(stateOf('probe-ok').state, STATE.HALF_OPEN);
+  assert.equal(circuitBreaker.tryAcquire('probe-ok'), true);
+  assert.equal(circuitBreaker.tryAcquire('probe-ok'), false, 'only one probe at a time');
+  assert.equal(circuitBreaker.isAvailable('probe-ok'), false);
+
+  circuitBreaker.recordOutcome('probe-ok', APPROVED, 10);
+  assert.equal(stateOf('probe-ok').state, STATE.CLOSED);
+  assert.equal(stateOf('probe-ok').consecutiveFailures, 0);
+});
+
+test('a failed probe re-opens the breaker at once', async () => {
+  fail('probe-fail', 3);
+  await sleep(550);
+
+  assert.equal(circuitBreaker.tryAcquire('probe-fail'), true);
+  circuitBreaker.recordOutcome('probe-fail', TIMEOUT, 10);
+
+  assert.equal(stateOf('probe-fail').state, STATE.OPEN);
+  assert.equal(circuitBreaker.tryAcquire('probe-fail'), false);
+});
+
+test('a released probe can be taken again', async () => {
+  fail('release', 3);
+  await sleep(550);
+
+  assert.equal(circuitBreaker.tryAcquire('release'), true);
+  circuitBreaker.release('release');
+
+  assert.equal(circuitBreaker.tryAcquire('release'), true);
+});
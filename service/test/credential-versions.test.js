@@ -0,0 +1,129 @@
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-credential-versions-'));
+Object.assign(process.env, { AUDIT_LOG_DIR: tmp, CREDENTIAL_GRACE_MS: '300', CREDENTIAL_BAD_THRESHOLD: '3' });
+
+const { createMockProvider, DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+const { initSecretProvider } = require('../src/secret-provider');
+const credentialVersions = require('../src/credential-versions');
+const auditLogger = require('../src/audit-logger');
+
+const SECRETS = { ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_ENDPOINT: 'https://acquirer-c.example/api/v1' };
+const A_KEYS = ['PROCESSOR_A_API_KEY', 'PROCESSOR_A_SECRET'];
+const B_KEYS = ['PROCESSOR_B_MERCHANT_ID', 'PROCESSOR_B_API_KEY'];
+const ROTATED_A_KEY = `${SECRETS.PROCESSOR_A_API_KEY}_rotated`;
+
+let provider;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rotate Processor A's API key (version n → n+1) the way the rotation callback does
+async function rotateA(apiKey = ROTATED_A_KEY) {
+  await provider.setSecrets({ ...provider.getCached(), PROCESSOR_A_API_KEY: apiKey });
+  credentialVersions.handleRotation();
+}
+
+function failAuth(processorId, times) {
+  const { version } = credentialVersions.activeSecrets(processorId);
+  for (let i = 0; i < times; i++) credentialVersions.recordAuthResult(processorId, version, false);
+}
+
+beforeEach(async () => {
+  provider = createMockProvider(SECRETS);
+  await initSecretProvider(provider);
+  credentialVersions.initCredentialVersions();
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('without a rotation there is nothing to fall back to', () => {
+  assert.deepEqual(credentialVersions.activeSecrets('A'), { version: 1, secrets: SECRETS, rolledBack: false });
+  assert.equal(credentialVersions.fallbackCredentials('A', A_KEYS), null);
+});
+
+test('during the grace period the previous credentials are offered for a changed processor only', async () => {
+  await rotateA();
+
+  assert.deepEqual(credentialVersions.fallbackCredentials('A', A_KEYS), {
+    version: 1,
+    credentials: { PROCESSOR_A_API_KEY: SECRETS.PROCESSOR_A_API_KEY, PROCESSOR_A_SECRET: SECRETS.PROCESSOR_A_SECRET },
+  });
+  assert.equal(credentialVersions.fallbackCredentials('B', B_KEYS), null, "B's credentials did not change");
+  assert.equal(credentialVersions.getRotationState().inGracePeriod, true);
+});
+
+test('the previous version is discarded when the grace period ends', async () => {
+  await rotateA();
+  await sleep(350);
+
+  assert.equal(credentialVersions.fallbackCredentials('A', A_KEYS), null);
+  assert.equal(credentialVersions.getRotationState().previousVersion, null);
+});
+
+test('repeated auth failures on the new version roll the processor back', async () => {
+  await rotateA();
+  const written = auditLogger.getTotalCount();
+
+  failAuth('A', 2);
+  assert.equal(credentialVersions.activeSecrets('A').rolledBack, false);
+  failAuth('A', 1);
+
+  const active = credentialVersions.activeSecrets('A');
+  assert.equal(active.rolledBack, true);
+  assert.equal(active.version, 1);
+  assert.equal(active.secrets.PROCESSOR_A_API_KEY, SECRETS.PROCESSOR_A_API_KEY);
+  assert.equal(credentialVersions.activeSecrets('B').rolledBack, false);
+
+  const state = credentialVersions.getRotationState();
+  assert.deepEqual(state.rolledBack, ['A']);
+  assert.equal(state.badVersions.A.version, 2);
+  const events = auditLogger.getRecentEntries(auditLogger.getTotalCount() - written);
+  assert.equal(events.filter((e) => e.event === auditLogger.EVENT.CREDENTIAL_VERSION_BAD).length, 1);
+});
+
+test('a rollback outlives the grace period', async () => {
+  await rotateA();
+  failAuth('A', 3);
+  await sleep(350);
+
+  assert.equal(credentialVersions.activeSecrets('A').rolledBack, true);
+  assert.equal(credentialVersions.getRotationState().previousVersion, 1);
+});
+
+test('a successful call resets the failure count', async () => {
+  await rotateA();
+
+  failAuth('A', 2);
+  credentialVersions.recordAuthResult('A', 2, true);
+  failAuth('A', 2);
+
+  assert.equal(credentialVersions.activeSecrets('A').rolledBack, false);
+});
+
+test('failures reported against an older version are ignored', async () => {
+  await rotateA();
+
+  for (let i = 0; i < 5; i++) credentialVersions.recordAuthResult('A', 1, false);
+
+  assert.equal(credentialVersions.activeSecrets('A').rolledBack, false);
+});
+
+test('a newer version clears the rollback', async () => {
+  await rotateA();
+  failAuth('A', 3);
+
+  await rotateA(`${SECRETS.PROCESSOR_A_API_KEY}_fixed`);
+
+  const active = credentialVersions.activeSecrets('A');
+  assert.equal(active.rolledBack, false);
+  assert.equal(active.version, 3);
+  assert.deepEqual(credentialVersions.getRotationState().badVersions, {});
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileProvider } = require('../src/providers/file-provider');
+const { DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+
+// The mock placeholders pass the registry rules; Processor C's endpoint must be https here
+const SECRETS = { ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_ENDPOINT: 'https://acquirer-c.example/api/v1' };
+
+let tmp;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-file-provider-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function writeDir(dir, secrets) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [key, value] of Object.entries(secrets)) {
+    fs.writeFileSync(path.join(dir, key), `${value}\n`);
+  }
+}
+
+test('SECRETS_DIR: one file per key, trimmed, dotfiles skipped', async () => {
+  const dir = path.join(tmp, 'secrets');
+  writeDir(dir, SECRETS);
+  fs.writeFileSync(path.join(dir, '..data'), 'kubernetes symlink target');
+
+  const provider = createFileProvider({ dir });
+  const secrets = await provider.load();
+
+  assert.deepEqual(secrets, SECRETS);
+  assert.equal(provider.version(), 1);
+  assert.equal(provider.isLoaded(), true);
+});
+
+test('SECRETS_FILE: a JSON object of key → value', async () => {
+  const file = path.join(tmp, 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify(SECRETS));
+
+  const secrets = await createFileProvider({ file }).load();
+
+  assert.deepEqual(secrets, SECRETS);
+});
+
+test('SECRETS_FILE must hold a JSON object', async () => {
+  const file = path.join(tmp, 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify(['PROCESSOR_A_API_KEY']));
+
+  await assert.rejects(createFileProvider({ file }).load(), /must contain a JSON object/);
+});
+
+test('an empty directory fails the initial load', async () => {
+  const dir = path.join(tmp, 'empty');
+  fs.mkdirSync(dir);
+
+  await assert.rejects(createFileProvider({ dir }).load(), /No secrets found/);
+});
+
+test('a content change advances the version and notifies watchers', async () => {
+  const dir = path.join(tmp, 'secrets');
+  writeDir(dir, SECRETS);
+  const provider = createFileProvider({ dir });
+  await provider.load();
+  const changes = [];
+  const stop = provider.watch((change) => changes.push(change));
+
+  await provider.refresh();
+  assert.equal(provider.version(), 1, 'unchanged files keep the version');
+
+  fs.writeFileSync(path.join(dir, 'PROCESSOR_B_API_KEY'), 'mock-b-api-key-rotated');
+  await provider.refresh();
+
+  stop();
+  assert.equal(provider.version(), 2);
+  assert.equal(provider.getCached().PROCESSOR_B_API_KEY, 'mock-b-api-key-rotated');
+  assert.deepEqual(changes, [{ previousVersion: 1, newVersion: 2 }]);
+});
+
+test('an unreadable source keeps the cache and counts the failure', async () => {
+  const file = path.join(tmp, 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify(SECRETS));
+  const provider = createFileProvider({ file });
+  await provider.load();
+
+  fs.writeFileSync(file, '{ not json');
+  const secrets = await provider.refresh();
+
+  assert.deepEqual(secrets, SECRETS);
+  assert.equal(provider.version(), 1);
+  assert.equal(provider.refreshStatus().consecutiveFailures, 1);
+});
+
+test('an invalid change is a failed refresh, checked once until the file changes again', async () => {
+  const dir = path.join(tmp, 'secrets');
+  writeDir(dir, SECRETS);
+  const provider = createFileProvider({ dir });
+  await provider.load();
+
+  fs.writeFileSync(path.join(dir, 'PROCESSOR_C_ENDPOINT'), 'not-a-url');
+  await provider.refresh();
+  await provider.refresh();
+
+  assert.equal(provider.version(), 1);
+  assert.equal(provider.getCached().PROCESSOR_C_ENDPOINT, SECRETS.PROCESSOR_C_ENDPOINT);
+  assert.equal(provider.refreshStatus().consecutiveFailures, 1);
+
+  fs.writeFileSync(path.join(dir, 'PROCESSOR_C_ENDPOINT'), 'https://acquirer-c.example/api/v2');
+  await provider.refresh();
+
+  assert.equal(provider.version(), 2);
+  assert.equal(provider.refreshStatus().consecutiveFailures, 0);
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { idempotencyMiddleware, createIdempotencyStore, setIdempotencyStore } = require('../src/idempotency');
+
+// A route whose outcome each test scripts; `calls` counts handler runs
+let calls;
+let respond;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.merchant = { id: 'merchant-1' };
+  next();
+});
+app.post('/pay', idempotencyMiddleware, async (req, res) => {
+  calls++;
+  await respond(req, res);
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  calls = 0;
+  respond = (req, res) => res.status(201).json({ paymentId: `pay_${calls}`, amount: req.body.amount });
+  setIdempotencyStore(createIdempotencyStore('memory'));
+});
+
+function pay(key, body, options = {}) {
+  return fetch(`${baseUrl}/pay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body),
+    ...options,
+  });
+}
+
+function gate() {
+  let open;
+  const opened = new Promise((resolve) => { open = resolve; });
+  return { open, opened };
+}
+
+test('a retry with the same key and body replays the stored response', async () => {
+  const first = await pay('key-1', { amount: 500 });
+  const retry = await pay('key-1', { amount: 500 });
+
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepEqual(await retry.json(), await first.json());
+  assert.equal(calls, 1);
+});
+
+test('the same key with a different body is a 409', async () => {
+  await pay('key-1', { amount: 500 });
+
+  const reused = await pay('key-1', { amount: 900 });
+
+  assert.equal(reused.status, 409);
+  assert.match((await reused.json()).error, /different request body/);
+  assert.equal(calls, 1);
+});
+
+test('a 5xx is not stored, so the retry runs the handler again', async () => {
+  respond = (req, res) => (calls === 1
+    ? res.status(503).json({ error: 'processor unavailable' })
+    : res.status(201).json({ paymentId: 'pay_2' }));
+
+  assert.equal((await pay('key-1', { amount: 500 })).status, 503);
+  const retry = await pay('key-1', { amount: 500 });
+
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), null);
+  assert.equal(calls, 2);
+});
+
+test('a retry after the client aborted gets the result of the first attempt, not a 409', async () => {
+  const started = gate();
+  const charge = gate();
+  respond = async (req, res) => {
+    started.open();
+    await charge.opened;
+    res.status(201).json({ paymentId: 'pay_1' });
+  };
+
+  const aborter = new AbortController();
+  const aborted = pay('key-1', { amount: 500 }, { signal: aborter.signal });
+  await started.opened;
+  aborter.abort();
+  await assert.rejects(aborted);
+
+  // The first handler is still charging when the retry arrives
+  const retry = pay('key-1', { amount: 500 });
+  setTimeout(charge.open, 50);
+  const response = await retry;
+
+  assert.equal(response.status, 201);
+  assert.equal(response.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepEqual(await response.json(), { paymentId: 'pay_1' });
+  assert.equal(calls, 1);
+});
+
+test('an aborted attempt that ends without a result frees the key for the retry', async () => {
+  const started = gate();
+  const finish = gate();
+  respond = async (req, res) => {
+    if (calls > 1) return res.status(201).json({ paymentId: 'pay_2' });
+    started.open();
+    await finish.opened;
+    return res.status(202).end();
+  };
+
+  const aborter = new AbortController();
+  const aborted = pay('key-1', { amount: 500 }, { signal: aborter.signal });
+  await started.opened;
+  aborter.abort();
+  await assert.rejects(aborted);
+  finish.open();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const retry = await pay('key-1', { amount: 500 });
+
+  assert.equal(retry.status, 201);
+  assert.deepEqual(await retry.json(), { paymentId: 'pay_2' });
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LEDGER_EVENT, initLedger, appendEntry, getLatest, findByProcessorReference, queryTransactions } = require('../src/ledger');
+
+let tmp;
+let file;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-ledger-'));
+  file = path.join(tmp, 'ledger.ndjson');
+  initLedger({ file });
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const at = (minute) => `2026-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+function txn(id, minute, overrides = {}) {
+  return {
+    id,
+    processor: 'A',
+    processorReference: `ref_${id}`,
+    merchantId: 'merchant-1',
+    currency: 'USD',
+    requestedAmount: 1000,
+    authorizedAmount: 1000,
+    capturedAmount: 1000,
+    refundedAmount: 0,
+    status: 'captured',
+    createdAt: at(minute),
+    ...overrides,
+  };
+}
+
+// What another replica sharing the volume appends
+function appendFromReplica(transaction, type = LEDGER_EVENT.PAYMENT_CREATED) {
+  fs.appendFileSync(file, JSON.stringify({ entryId: 'other-1', type, transactionId: transaction.id, instanceId: 'other', transaction }) + '\n');
+}
+
+const ids = (page) => page.items.map((t) => t.id);
+
+test('the latest snapshot wins and reads are copies', () => {
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t1', 1, { status: 'authorized', capturedAmount: 0 }));
+  appendEntry(LEDGER_EVENT.PAYMENT_CAPTURED, txn('t1', 1));
+
+  const latest = getLatest('t1');
+  latest.status = 'voided';
+
+  assert.equal(getLatest('t1').status, 'captured');
+  assert.equal(getLatest('missing'), null);
+});
+
+test('a restart replays the file and skips a corrupt line', () => {
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t1', 1));
+  fs.appendFileSync(file, '{not json\n');
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t2', 2));
+
+  initLedger({ file });
+
+  assert.equal(getLatest('t1').id, 't1');
+  assert.equal(getLatest('t2').id, 't2');
+});
+
+test("another replica's appends are seen, including a line completed later", () => {
+  appendFromReplica(txn('t1', 1));
+  assert.equal(getLatest('t1').processor, 'A');
+
+  const line = JSON.stringify({ entryId: 'other-2', type: LEDGER_EVENT.PAYMENT_CREATED, transactionId: 't2', transaction: txn('t2', 2) }) + '\n';
+  fs.appendFileSync(file, line.slice(0, 20));
+  assert.equal(getLatest('t2'), null, 'half a line is not applied');
+  fs.appendFileSync(file, line.slice(20));
+  assert.equal(getLatest('t2').id, 't2');
+});
+
+test('transactions are found by processor reference', () => {
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t1', 1));
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t2', 2, { processor: 'B', processorReference: 'ref_t1' }));
+
+  assert.equal(findByProcessorReference('B', 'ref_t1').id, 't2');
+  assert.equal(findByProcessorReference('C', 'ref_t1'), null);
+});
+
+test('queries filter, page newest first and total per processor and currency', () => {
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t1', 1));
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t2', 2, { refundedAmount: 400, status: 'partially_refunded' }));
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t3', 3, { processor: 'B', requestedAmount: 5000, authorizedAmount: 5000, capturedAmount: 5000 }));
+  appendEntry(LEDGER_EVENT.PAYMENT_CREATED, txn('t4', 3, { currency: 'EUR', merchantId: 'merchant-2' }));
+
+  const first = queryTransactions({ limit: 2 });
+  assert.deepEqual(ids(first), ['t4', 't3'], 'same createdAt is ordered by id');
+  assert.equal(first.totalMatched, 4);
+  const second = queryTransactions({ limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(ids(second), ['t2', 't1']);
+  assert.equal(second.nextCursor, null);
+
+  assert.deepEqual(ids(queryTransactions({ processor: 'A', currency: 'USD' })), ['t2', 't1']);
+  assert.deepEqual(ids(queryTransactions({ merchantId: 'merchant-2' })), ['t4']);
+  assert.deepEqual(ids(queryTransactions({ minAmount: 2000 })), ['t3']);
+  assert.deepEqual(ids(queryTransactions({ from: at(2), to: at(2) })), ['t2']);
+  assert.deepEqual(ids(queryTransactions({ status: 'partially_refunded' })), ['t2']);
+
+  const { totals } = queryTransactions({ processor: 'A', currency: 'USD' });
+  assert.deepEqual(totals, [{
+    processor: 'A', currency: 'USD', count: 2,
+    authorizedAmount: 2000, capturedAmount: 2000, refundedAmount: 400, netAmount: 1600,
+  }]);
+});
+
+test('an invalid cursor is rejected', () => {
+  assert.throws(() => queryTransactions({ cursor: 'not-a-cursor' }), /Invalid "cursor"/);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockProvider, DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+
+test('loads the placeholder secret set as version 1', async () => {
+  const provider = createMockProvider();
+  assert.equal(provider.isLoaded(), false);
+
+  const secrets = await provider.load();
+
+  assert.deepEqual(secrets, DEFAULT_MOCK_SECRETS);
+  assert.equal(provider.version(), 1);
+  assert.equal(provider.isLoaded(), true);
+  assert.equal(provider.connectivity(), null);
+});
+
+test('MOCK_SECRETS_JSON overrides individual keys', async () => {
+  process.env.MOCK_SECRETS_JSON = JSON.stringify({ PROCESSOR_B_API_KEY: 'mock-b-override-key' });
+  try {
+    const secrets = await createMockProvider().load();
+    assert.equal(secrets.PROCESSOR_B_API_KEY, 'mock-b-override-key');
+    assert.equal(secrets.PROCESSOR_A_API_KEY, DEFAULT_MOCK_SECRETS.PROCESSOR_A_API_KEY);
+  } finally {
+    delete process.env.MOCK_SECRETS_JSON;
+  }
+});
+
+test('setSecrets rotates the set and notifies watchers', async () => {
+  const provider = createMockProvider();
+  await provider.load();
+  const changes = [];
+  const stop = provider.watch((change) => changes.push(change));
+
+  await provider.setSecrets({ ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_TOKEN: 'mock-c-token-rotated' });
+
+  assert.equal(provider.version(), 2);
+  assert.equal(provider.getCached().PROCESSOR_C_TOKEN, 'mock-c-token-rotated');
+  assert.deepEqual(changes, [{ previousVersion: 1, newVersion: 2 }]);
+  stop();
+});
+
+test('a refresh without changes keeps the version', async () => {
+  const provider = createMockProvider();
+  await provider.load();
+
+  await provider.refresh();
+
+  assert.equal(provider.version(), 1);
+});
+
+test('an invalid rotation is rejected and the previous set kept', async () => {
+  const provider = createMockProvider();
+  await provider.load();
+
+  // Processor A's secret must start with sk_live_ / sk_test_ (config/processors.json)
+  await provider.setSecrets({ ...DEFAULT_MOCK_SECRETS, PROCESSOR_A_SECRET: 'not-a-stripe-secret' });
+
+  assert.equal(provider.version(), 1);
+  assert.equal(provider.getCached().PROCESSOR_A_SECRET, DEFAULT_MOCK_SECRETS.PROCESSOR_A_SECRET);
+  assert.equal(provider.refreshStatus().consecutiveFailures, 1, 'a rejected set is a failed refresh');
+});
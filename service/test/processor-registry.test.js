@@ -0,0 +1,48 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadProcessorRegistry } = require('../src/processor-registry');
+
+const SHARED_PATH = 'secret/data/flexpay/processors';
+
+let tmp;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-registry-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function load(entry) {
+  const file = path.join(tmp, 'processors.json');
+  fs.writeFileSync(file, JSON.stringify({
+    processors: [{ id: 'D', adapter: 'stripe', requiredKeys: ['PROCESSOR_D_API_KEY'], currencies: ['usd'], ...entry }],
+  }));
+  return loadProcessorRegistry(file);
+}
+
+test('vaultPath defaults to the shared processors secret', () => {
+  const [def] = load({});
+
+  assert.equal(def.vaultPath, SHARED_PATH);
+  assert.deepEqual(def.currencies, ['USD']);
+});
+
+test('a processor may keep its own secret below the shared path', () => {
+  const [def] = load({ vaultPath: `${SHARED_PATH}/acquirer-d` });
+
+  assert.equal(def.vaultPath, `${SHARED_PATH}/acquirer-d`);
+});
+
+test('a vaultPath the payment-service policy cannot read is rejected', () => {
+  for (const vaultPath of ['secret/data/flexpay/other', `${SHARED_PATH}-d`, `${SHARED_PATH}/`, `${SHARED_PATH}/../admin`, 42]) {
+    assert.throws(() => load({ vaultPath }), /"vaultPath" must be/, String(vaultPath));
+  }
+});
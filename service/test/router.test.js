@@ -0,0 +1,126 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_MOCK_SECRETS, createMockProvider } = require('../src/providers/mock-provider');
+const { createStripeLikeApp } = require('../mock-acquirers/stripe-like');
+const { createAdyenLikeApp } = require('../mock-acquirers/adyen-like');
+
+// The registry, breakers and ledger read their settings at first use
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-router-'));
+const REGISTRY_FILE = path.join(tmp, 'processors.json');
+Object.assign(process.env, {
+  PROCESSOR_REGISTRY_FILE: REGISTRY_FILE,
+  LEDGER_FILE: path.join(tmp, 'ledger.ndjson'),
+  AUDIT_LOG_DIR: path.join(tmp, 'audit'),
+  CIRCUIT_FAILURE_THRESHOLD: '2',
+  CIRCUIT_OPEN_MS: '60000',
+  ROUTING_MAX_ATTEMPTS: '3',
+});
+
+const { initSecretProvider } = require('../src/secret-provider');
+const { processPayment, ROUTE_AUTO, ROUTING_REASON } = require('../src/processors');
+const { rankProcessors } = require('../src/router');
+const circuitBreaker = require('../src/circuit-breaker');
+
+// Magic amounts understood by the mock acquirers (mock-acquirers/scenarios.js)
+const APPROVE = 1000;
+const DO_NOT_HONOR = 1005;
+const INSUFFICIENT_FUNDS = 1051;
+const PROCESSOR_ERROR = 1096;
+
+const servers = [];
+
+function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  servers.push(server);
+  return new Promise((resolve) => server.once('listening', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+before(async () => {
+  process.env.PROCESSOR_A_BASE_URL = await listen(createStripeLikeApp(DEFAULT_MOCK_SECRETS));
+  process.env.PROCESSOR_B_BASE_URL = await listen(createAdyenLikeApp(DEFAULT_MOCK_SECRETS));
+
+  // A and B only: C's endpoint is not served here
+  const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'processors.json'), 'utf8'));
+  for (const entry of registry.processors) {
+    if (entry.id === 'C') entry.enabled = false;
+  }
+  fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry));
+
+  await initSecretProvider(createMockProvider({ ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_ENDPOINT: 'https://acquirer-c.example/api/v1' }));
+});
+
+after(() => {
+  for (const server of servers) server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('only enabled processors with the currency and credentials are ranked', () => {
+  assert.deepEqual(rankProcessors('USD', ['A', 'B']).sort(), ['A', 'B']);
+  assert.deepEqual(rankProcessors('CAD', ['A', 'B']), ['A']);
+  assert.deepEqual(rankProcessors('USD', ['B']), ['B']);
+  assert.deepEqual(rankProcessors('MXN', ['A', 'B', 'C']), [], 'C is disabled');
+});
+
+test('an approved auto payment names the processor and its single attempt', async () => {
+  const result = await processPayment(ROUTE_AUTO, APPROVE, 'USD');
+
+  assert.equal(result.success, true);
+  assert.equal(result.routing, ROUTE_AUTO);
+  assert.equal(result.attempts.length, 1);
+  assert.equal(result.attempts[0].processor, result.processor);
+});
+
+test('a soft decline fails over to the next processor', async () => {
+  const result = await processPayment(ROUTE_AUTO, DO_NOT_HONOR, 'USD');
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.attempts.map((a) => a.processor).sort(), ['A', 'B']);
+  assert.ok(result.attempts.every((a) => a.declineCode === 'do_not_honor' && a.status === 'declined'));
+});
+
+test('a hard decline is returned without trying elsewhere', async () => {
+  const result = await processPayment(ROUTE_AUTO, INSUFFICIENT_FUNDS, 'USD');
+
+  assert.equal(result.declineCode, 'insufficient_funds');
+  assert.equal(result.attempts.length, 1);
+});
+
+test('a processor error is never retried elsewhere and is left to reconcile', async () => {
+  const result = await processPayment(ROUTE_AUTO, PROCESSOR_ERROR, 'USD');
+
+  assert.equal(result.attempts.length, 1);
+  assert.equal(result.declineCode, 'processor_error');
+  assert.equal(result.status, 'unknown');
+
+  // A success resets that breaker's failure count for the tests below
+  assert.equal((await processPayment(result.attempts[0].processor, APPROVE, 'USD')).success, true);
+});
+
+test('allowProcessor limits where a payment may be routed', async () => {
+  const result = await processPayment(ROUTE_AUTO, APPROVE, 'USD', { allowProcessor: (id) => id === 'B' });
+
+  assert.equal(result.processor, 'B');
+});
+
+test('an open breaker takes its processor out of routing and rejects direct calls', async () => {
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await processPayment('A', PROCESSOR_ERROR, 'USD')).declineCode, 'processor_error');
+  }
+  assert.equal(circuitBreaker.getBreakerStates(['A']).A.state, circuitBreaker.STATE.OPEN);
+
+  const direct = await processPayment('A', APPROVE, 'USD');
+  assert.equal(direct.reason, ROUTING_REASON.CIRCUIT_OPEN);
+  assert.ok(direct.retryAfterSeconds > 0);
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await processPayment(ROUTE_AUTO, APPROVE, 'USD')).processor, 'B');
+  }
+  const cad = await processPayment(ROUTE_AUTO, APPROVE, 'CAD');
+  assert.equal(cad.reason, ROUTING_REASON.NO_PROCESSOR_AVAILABLE, 'only A takes CAD');
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// secret-id-manager reads its settings at load
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-secret-id-'));
+const ROTATION_FILE = path.join(tmp, 'secret-id', 'secret-id.json');
+Object.assign(process.env, {
+  VAULT_SECRET_ID_ROTATION_FILE: ROTATION_FILE,
+  AUDIT_LOG_DIR: path.join(tmp, 'audit'),
+});
+
+const secretIdManager = require('../src/secret-id-manager');
+const { SOURCE } = secretIdManager;
+
+// Each wrapping token unwraps once, to a SecretID named after it
+let unwrapped;
+
+async function unwrap(wrappingToken) {
+  if (unwrapped.includes(wrappingToken)) {
+    throw Object.assign(new Error('wrapping token is not valid or does not exist'), { wrapInvalid: true });
+  }
+  unwrapped.push(wrappingToken);
+  return { secretId: `sid-from-${wrappingToken}`, accessor: `acc-${wrappingToken}`, expiresAt: null };
+}
+
+function readFile() {
+  return JSON.parse(fs.readFileSync(ROTATION_FILE, 'utf8'));
+}
+
+beforeEach(() => {
+  unwrapped = [];
+  fs.rmSync(path.dirname(ROTATION_FILE), { recursive: true, force: true });
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a wrap is unwrapped once and the persisted SecretID is used on restart', async () => {
+  assert.equal(await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap }), SOURCE.WRAPPED);
+  assert.equal(readFile().secretId, 'sid-from-wrap-1');
+
+  // Restart with the same (now spent) wrap still mounted
+  assert.equal(await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap }), SOURCE.PERSISTED);
+  assert.equal(secretIdManager.currentSecretId(), 'sid-from-wrap-1');
+  assert.deepEqual(unwrapped, ['wrap-1']);
+});
+
+test('a new wrap wins over the persisted SecretID and replaces it', async () => {
+  await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap });
+
+  assert.equal(await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-2', unwrap }), SOURCE.WRAPPED);
+
+  assert.equal(secretIdManager.currentSecretId(), 'sid-from-wrap-2');
+  assert.equal(readFile().secretId, 'sid-from-wrap-2');
+  assert.equal(readFile().accessor, 'acc-wrap-2');
+});
+
+test('a persisted SecretID written without a wrap does not hide a supplied one', async () => {
+  fs.mkdirSync(path.dirname(ROTATION_FILE), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(ROTATION_FILE, JSON.stringify({ secretId: 'sid-old', accessor: 'acc-old', expiresAt: null }));
+
+  assert.equal(await secretIdManager.resolveSecretId({ plain: 'sid-plain', wrappedToken: 'wrap-3', unwrap }), SOURCE.WRAPPED);
+  assert.equal(readFile().secretId, 'sid-from-wrap-3');
+});
+
+test('an invalid wrap still stops startup', async () => {
+  await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap });
+  unwrapped.push('wrap-4');
+
+  await assert.rejects(secretIdManager.resolveSecretId({ plain: 'sid-plain', wrappedToken: 'wrap-4', unwrap }), /not valid/);
+});
+
+test('a refused persisted SecretID falls back to the plain one and is replaced', async () => {
+  await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap });
+  const sources = { plain: 'sid-plain', wrappedToken: 'wrap-1', unwrap };
+  assert.equal(await secretIdManager.resolveSecretId(sources), SOURCE.PERSISTED);
+
+  assert.equal(secretIdManager.fallBackFromPersisted(sources), SOURCE.STATIC);
+
+  assert.equal(secretIdManager.currentSecretId(), 'sid-plain');
+  assert.equal(readFile().secretId, 'sid-plain');
+  // The spent wrap stays recognised, so the next restart uses the file
+  assert.equal(await secretIdManager.resolveSecretId(sources), SOURCE.PERSISTED);
+  assert.equal(secretIdManager.currentSecretId(), 'sid-plain');
+  assert.deepEqual(unwrapped, ['wrap-1']);
+});
+
+test('without a plain SecretID there is nothing to fall back to', async () => {
+  await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap });
+  await secretIdManager.resolveSecretId({ wrappedToken: 'wrap-1', unwrap });
+
+  assert.equal(secretIdManager.fallBackFromPersisted({ plain: null }), null);
+  assert.equal(secretIdManager.currentSecretId(), 'sid-from-wrap-1');
+});
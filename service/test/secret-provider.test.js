@@ -0,0 +1,66 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createSecretProvider,
+  initSecretProvider,
+  getCachedSecrets,
+  getProviderName,
+  getSecretsVersion,
+  areSecretsLoaded,
+} = require('../src/secret-provider');
+
+function withEnv(vars, fn) {
+  const saved = {};
+  for (const [name, value] of Object.entries(vars)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('SECRET_PROVIDER selects the backend', () => {
+  withEnv({ SECRET_PROVIDER: 'mock', NODE_ENV: undefined }, () => {
+    assert.equal(createSecretProvider().name, 'mock');
+  });
+  withEnv({ SECRET_PROVIDER: 'file', SECRETS_FILE: '/nonexistent/secrets.json', SECRETS_DIR: undefined }, () => {
+    assert.equal(createSecretProvider().name, 'file');
+  });
+});
+
+test('an unknown SECRET_PROVIDER is rejected with the valid options', () => {
+  assert.throws(() => createSecretProvider('consul'), /Unknown SECRET_PROVIDER "consul"\. Valid options: vault, file, mock/);
+});
+
+test('the mock provider is refused in production', () => {
+  withEnv({ NODE_ENV: 'production' }, () => {
+    assert.throws(() => createSecretProvider('mock'), /not allowed when NODE_ENV=production/);
+  });
+});
+
+test('the file provider needs SECRETS_DIR or SECRETS_FILE', () => {
+  withEnv({ SECRETS_DIR: undefined, SECRETS_FILE: undefined }, () => {
+    assert.throws(() => createSecretProvider('file'), /requires SECRETS_DIR or SECRETS_FILE/);
+  });
+});
+
+test('initSecretProvider loads through the selected provider', async () => {
+  assert.equal(areSecretsLoaded(), false);
+
+  await withEnv({ SECRET_PROVIDER: 'mock', NODE_ENV: undefined }, () => initSecretProvider());
+
+  assert.equal(getProviderName(), 'mock');
+  assert.equal(areSecretsLoaded(), true);
+  assert.equal(getSecretsVersion(), 1);
+  assert.equal(getCachedSecrets().PROCESSOR_A_API_KEY, 'pk_test_mock_a_key');
+});
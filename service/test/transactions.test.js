@@ -0,0 +1,172 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { initLedger } = require('../src/ledger');
+const {
+  STATUS, REFUND_STATUS, REASON,
+  createTransaction, getTransaction, checkTransition,
+  applyCapture, applyVoid, applyRefund, applyRefundOutcome, applyChargeback, applySettlement,
+} = require('../src/transactions');
+
+let tmp;
+let nextId = 0;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-transactions-'));
+  initLedger({ file: path.join(tmp, 'ledger.ndjson') });
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function create(overrides = {}) {
+  return createTransaction({
+    id: `txn_test_${++nextId}`,
+    processor: 'A',
+    processorName: 'Stripe',
+    amount: 1000,
+    currency: 'USD',
+    ...overrides,
+  });
+}
+
+test('a sale is captured at once; an authorization waits for capture', () => {
+  const sale = create();
+  const auth = create({ capture: false });
+
+  assert.equal(sale.status, STATUS.CAPTURED);
+  assert.equal(sale.capturedAmount, 1000);
+  assert.equal(auth.status, STATUS.AUTHORIZED);
+  assert.equal(auth.capturedAmount, 0);
+  assert.deepEqual(getTransaction(auth.id), auth);
+});
+
+test('declines are terminal; an unknown outcome is kept apart from a decline', () => {
+  const declined = create({ declineCode: 'insufficient_funds' });
+  const unknown = create({ declineCode: 'timeout', outcomeUnknown: true });
+
+  assert.equal(declined.status, STATUS.DECLINED);
+  assert.equal(declined.authorizedAmount, 0);
+  assert.equal(unknown.status, STATUS.UNKNOWN);
+  for (const txn of [declined, unknown]) {
+    for (const operation of ['capture', 'void', 'refund']) {
+      assert.equal(checkTransition(txn.id, operation).reason, REASON.INVALID_TRANSITION, `${txn.status} ${operation}`);
+    }
+  }
+});
+
+test('a partial capture releases the remainder and allows one capture only', () => {
+  const auth = create({ capture: false });
+
+  const captured = applyCapture(auth.id, 600);
+
+  assert.equal(captured.success, true);
+  assert.equal(captured.transaction.status, STATUS.CAPTURED);
+  assert.equal(captured.transaction.capturedAmount, 600);
+  assert.equal(applyCapture(auth.id, 100).reason, REASON.INVALID_TRANSITION);
+  assert.equal(getTransaction(auth.id).capturedAmount, 600);
+});
+
+test('a capture above the authorized amount is refused', () => {
+  const auth = create({ capture: false });
+
+  const result = applyCapture(auth.id, 1001);
+
+  assert.equal(result.reason, REASON.INVALID_AMOUNT);
+  assert.equal(getTransaction(auth.id).status, STATUS.AUTHORIZED);
+});
+
+test('void is only allowed before capture', () => {
+  const auth = create({ capture: false });
+  const sale = create();
+
+  assert.equal(applyVoid(auth.id).transaction.status, STATUS.VOIDED);
+  assert.equal(applyVoid(auth.id).reason, REASON.INVALID_TRANSITION);
+  assert.equal(applyVoid(sale.id).reason, REASON.INVALID_TRANSITION);
+  assert.equal(applyCapture(auth.id).reason, REASON.INVALID_TRANSITION);
+});
+
+test('refunds accumulate up to the captured amount', () => {
+  const sale = create();
+
+  const first = applyRefund(sale.id, 300, 're_1');
+  assert.equal(first.transaction.status, STATUS.PARTIALLY_REFUNDED);
+  assert.equal(first.refund.status, REFUND_STATUS.PENDING);
+
+  assert.equal(applyRefund(sale.id, 701).reason, REASON.INVALID_AMOUNT);
+
+  const rest = applyRefund(sale.id, undefined, 're_2');
+  assert.equal(rest.refund.amount, 700);
+  assert.equal(rest.transaction.status, STATUS.REFUNDED);
+  assert.equal(rest.transaction.refundedAmount, 1000);
+  assert.equal(applyRefund(sale.id, 1).reason, REASON.INVALID_TRANSITION);
+});
+
+test('an authorization cannot be refunded and amounts must be positive', () => {
+  const auth = create({ capture: false });
+  const sale = create();
+
+  assert.equal(applyRefund(auth.id, 100).reason, REASON.INVALID_TRANSITION);
+  for (const amount of [0, -5, '100']) {
+    assert.equal(applyRefund(sale.id, amount).reason, REASON.INVALID_AMOUNT, String(amount));
+  }
+  assert.equal(applyCapture('txn_missing').reason, REASON.NOT_FOUND);
+});
+
+test('a failed refund gives its amount back to the refundable balance', () => {
+  const sale = create();
+  applyRefund(sale.id, 1000, 're_1');
+
+  const failed = applyRefundOutcome(sale.id, 're_1', false, 'evt_1');
+
+  assert.equal(failed.refund.status, REFUND_STATUS.FAILED);
+  assert.equal(failed.transaction.status, STATUS.CAPTURED);
+  assert.equal(failed.transaction.refundedAmount, 0);
+  assert.equal(applyRefundOutcome(sale.id, 're_1', true, 'evt_2').reason, REASON.INVALID_TRANSITION);
+  assert.equal(applyRefund(sale.id, 1000).success, true);
+});
+
+test('a succeeded refund keeps the balance and the status', () => {
+  const sale = create();
+  applyRefund(sale.id, 400, 're_1');
+
+  const succeeded = applyRefundOutcome(sale.id, 're_1', true, 'evt_1');
+
+  assert.equal(succeeded.refund.status, REFUND_STATUS.SUCCEEDED);
+  assert.equal(succeeded.transaction.status, STATUS.PARTIALLY_REFUNDED);
+  assert.equal(succeeded.transaction.refundedAmount, 400);
+  assert.equal(applyRefundOutcome(sale.id, 're_unknown', true, 'evt_2').reason, REASON.NOT_FOUND);
+});
+
+test('chargebacks and settlements need a captured payment', () => {
+  const auth = create({ capture: false });
+  const sale = create();
+
+  assert.equal(applyChargeback(auth.id, { eventId: 'evt_1' }).reason, REASON.INVALID_TRANSITION);
+  assert.equal(applySettlement(auth.id, { eventId: 'evt_2' }).reason, REASON.INVALID_TRANSITION);
+
+  applyRefund(sale.id, 250);
+  assert.equal(applySettlement(sale.id, { eventId: 'evt_3' }).transaction.settlement.amount, 750);
+  const disputed = applyChargeback(sale.id, { reason: 'fraudulent', eventId: 'evt_4' });
+  assert.equal(disputed.transaction.status, STATUS.CHARGED_BACK);
+  assert.equal(disputed.transaction.chargeback.amount, 1000);
+  assert.equal(applyRefund(sale.id, 100).reason, REASON.INVALID_TRANSITION);
+});
+
+test('every change is replayed from the ledger after a restart', () => {
+  const auth = create({ capture: false });
+  applyCapture(auth.id, 800);
+  applyRefund(auth.id, 200, 're_1');
+
+  initLedger({ file: path.join(tmp, 'ledger.ndjson') });
+
+  const replayed = getTransaction(auth.id);
+  assert.equal(replayed.status, STATUS.PARTIALLY_REFUNDED);
+  assert.deepEqual(replayed.history.map((h) => h.type), ['authorize', 'capture', 'refund']);
+});
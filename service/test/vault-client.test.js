@@ -0,0 +1,209 @@
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+
+// vault-client reads its settings at load; Vault is replaced by the in-memory fake below
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-vault-client-'));
+const TOKEN_FILE = path.join(tmp, 'token');
+const REGISTRY_FILE = path.join(tmp, 'processors.json');
+Object.assign(process.env, {
+  VAULT_ADDR: 'http://127.0.0.1:8200',
+  VAULT_INSECURE_DEV: 'true',
+  VAULT_AUTH_METHOD: 'token-file',
+  VAULT_TOKEN_FILE: TOKEN_FILE,
+  VAULT_TOKEN_FILE_POLL_MS: '3600000',
+  AUDIT_LOG_DIR: path.join(tmp, 'audit'),
+  PROCESSOR_REGISTRY_FILE: REGISTRY_FILE,
+});
+
+const SHARED_PATH = 'secret/data/flexpay/processors';
+const C_PATH = `${SHARED_PATH}/acquirer-c`;
+const C_KEYS = ['PROCESSOR_C_ENDPOINT', 'PROCESSOR_C_TOKEN', 'PROCESSOR_C_WEBHOOK_SECRET'];
+
+/**
+ * In-memory Vault: KV v2 data/metadata reads and token lookups. `reads`
+ * records every path read, for asserting what a poll fetched, and
+ * `readTokens` the token each read carried. `onLookup` runs before a
+ * lookup-self answers.
+ */
+const fakeVault = {
+  kv: new Map(),
+  tokens: new Set(),
+  reads: [],
+  readTokens: [],
+  onLookup: null,
+  write(dataPath, data) {
+    const current = this.kv.get(dataPath);
+    this.kv.set(dataPath, { version: current ? current.version + 1 : 1, data });
+  },
+};
+
+function denied() {
+  return Object.assign(new Error('permission denied'), { response: { statusCode: 403 } });
+}
+
+function createFakeClient({ token }) {
+  return {
+    async tokenLookupSelf() {
+      if (fakeVault.onLookup) await fakeVault.onLookup(token);
+      if (!fakeVault.tokens.has(token)) throw denied();
+      return { data: { ttl: 3600, renewable: true } };
+    },
+    async read(vaultPath) {
+      if (!fakeVault.tokens.has(token)) throw denied();
+      fakeVault.reads.push(vaultPath);
+      fakeVault.readTokens.push(token);
+      const dataPath = vaultPath.replace(/^secret\/metadata\//, 'secret/data/');
+      const entry = fakeVault.kv.get(dataPath);
+      if (!entry) throw Object.assign(new Error('not found'), { response: { statusCode: 404 } });
+      if (dataPath !== vaultPath) return { data: { current_version: entry.version } };
+      return { data: { data: { ...entry.data }, metadata: { version: entry.version } } };
+    },
+  };
+}
+
+require('node-vault');
+require.cache[require.resolve('node-vault')].exports = createFakeClient;
+
+const vaultClient = require('../src/vault-client');
+
+const SECRETS = { ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_ENDPOINT: 'https://acquirer-c.example/api/v1' };
+
+function sharedSecrets() {
+  const shared = { ...SECRETS };
+  for (const key of C_KEYS) delete shared[key];
+  return shared;
+}
+
+function cSecrets(overrides = {}) {
+  const own = Object.fromEntries(C_KEYS.map((key) => [key, SECRETS[key]]));
+  // Keys the registry does not give Processor C must not be taken from its path
+  return { ...own, AUDIT_HMAC_KEY: 'not-from-this-path', ...overrides };
+}
+
+before(async () => {
+  const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'processors.json'), 'utf8'));
+  for (const entry of registry.processors) {
+    if (entry.id === 'C') entry.vaultPath = C_PATH;
+  }
+  fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry));
+
+  fakeVault.write(SHARED_PATH, sharedSecrets());
+  fakeVault.write(C_PATH, cSecrets());
+  fakeVault.tokens.add('token-1');
+  fs.writeFileSync(TOKEN_FILE, 'token-1\n');
+
+  await vaultClient.initVaultClient();
+  await vaultClient.getSecrets();
+});
+
+after(() => {
+  vaultClient.stopTokenRenewal();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fakeVault.reads = [];
+  fakeVault.readTokens = [];
+});
+
+async function waitFor(condition, what) {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.ok(condition(), `timed out waiting for ${what}`);
+}
+
+test('a processor vaultPath is read alongside the shared path', () => {
+  const secrets = vaultClient.getCachedSecrets();
+
+  assert.deepEqual(secrets, { ...SECRETS });
+  assert.equal(secrets.AUDIT_HMAC_KEY, SECRETS.AUDIT_HMAC_KEY, 'only declared keys come from a processor path');
+  assert.equal(vaultClient.getKvVersion(SHARED_PATH), 1);
+  assert.equal(vaultClient.getKvVersion(C_PATH), 1);
+  assert.equal(vaultClient.getKvVersion(), 2, 'the set version is the sum over paths');
+  assert.equal(vaultClient.getKvVersion('secret/data/flexpay/other'), null);
+});
+
+test('an unchanged poll reads only metadata', async () => {
+  await vaultClient.pollForRotation();
+
+  assert.deepEqual(fakeVault.reads, ['secret/metadata/flexpay/processors', 'secret/metadata/flexpay/processors/acquirer-c']);
+});
+
+test('rotating a processor path is picked up by the poll', async () => {
+  const rotations = [];
+  const unsubscribe = vaultClient.onRotation((change) => rotations.push(change));
+  fakeVault.write(C_PATH, cSecrets({ PROCESSOR_C_TOKEN: 'tok_regional_rotated_abc' }));
+
+  await vaultClient.pollForRotation();
+  unsubscribe();
+
+  assert.equal(vaultClient.getCachedSecrets().PROCESSOR_C_TOKEN, 'tok_regional_rotated_abc');
+  assert.equal(vaultClient.getKvVersion(C_PATH), 2);
+  assert.deepEqual(rotations, [{ previousVersion: 2, newVersion: 3 }]);
+});
+
+test('an update rejected by validation is a failed refresh and is not re-read', async () => {
+  const auditLogger = require('../src/audit-logger');
+  const written = auditLogger.getTotalCount();
+  fakeVault.write(C_PATH, cSecrets({ PROCESSOR_C_ENDPOINT: 'not-a-url' }));
+
+  await vaultClient.pollForRotation();
+
+  assert.equal(vaultClient.getCachedSecrets().PROCESSOR_C_ENDPOINT, SECRETS.PROCESSOR_C_ENDPOINT);
+  assert.equal(vaultClient.getKvVersion(C_PATH), 2);
+  assert.equal(vaultClient.getRefreshStatus().consecutiveFailures, 1);
+  const events = auditLogger.getRecentEntries(auditLogger.getTotalCount() - written).map((e) => e.event);
+  assert.ok(events.includes(auditLogger.EVENT.SECRET_VALIDATION_FAILED));
+  assert.ok(!events.includes(auditLogger.EVENT.SECRET_REFRESH));
+
+  fakeVault.reads = [];
+  await vaultClient.pollForRotation();
+  assert.ok(fakeVault.reads.every((p) => p.startsWith('secret/metadata/')), 'the rejected version is not fetched again');
+  assert.equal(vaultClient.getRefreshStatus().consecutiveFailures, 1);
+
+  // A corrected version is a new one, and loads
+  fakeVault.write(C_PATH, cSecrets({ PROCESSOR_C_TOKEN: 'tok_regional_fixed_789' }));
+  await vaultClient.pollForRotation();
+  assert.equal(vaultClient.getCachedSecrets().PROCESSOR_C_TOKEN, 'tok_regional_fixed_789');
+  assert.equal(vaultClient.getRefreshStatus().consecutiveFailures, 0);
+});
+
+test('a sink token Vault rejects never becomes the live token', async () => {
+  const lookups = [];
+  fakeVault.onLookup = async (token) => { lookups.push(token); };
+  fs.writeFileSync(TOKEN_FILE, 'token-forged\n');
+
+  await waitFor(() => lookups.includes('token-forged'), 'the sink token lookup');
+  await vaultClient.pollForRotation();
+  fakeVault.onLookup = null;
+
+  assert.ok(fakeVault.readTokens.length > 0);
+  assert.ok(fakeVault.readTokens.every((token) => token === 'token-1'));
+});
+
+test('a replaced sink token is attached only after its lookup succeeds', async () => {
+  fakeVault.tokens.add('token-2');
+  let release;
+  const pending = new Promise((resolve) => { release = resolve; });
+  fakeVault.onLookup = (token) => (token === 'token-2' ? pending : undefined);
+  fs.writeFileSync(TOKEN_FILE, 'token-2\n');
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  // The lookup is still out: requests keep the current token
+  await vaultClient.pollForRotation();
+  assert.ok(fakeVault.readTokens.every((token) => token === 'token-1'));
+
+  release();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  fakeVault.onLookup = null;
+  fakeVault.readTokens = [];
+  await vaultClient.pollForRotation();
+  assert.ok(fakeVault.readTokens.length > 0);
+  assert.ok(fakeVault.readTokens.every((token) => token === 'token-2'));
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildVaultConnection } = require('../src/vault-connection');
+
+const HTTPS_ADDR = 'https://vault.internal:8200';
+
+afterEach(() => {
+  delete process.env.VAULT_SKIP_VERIFY;
+  delete process.env.VAULT_INSECURE_DEV;
+});
+
+test('certificates are verified by default', () => {
+  const { requestOptions, summary } = buildVaultConnection(HTTPS_ADDR);
+
+  assert.notEqual(requestOptions.agent.options.rejectUnauthorized, false);
+  assert.equal(summary.insecure, false);
+});
+
+test('VAULT_SKIP_VERIFY=true turns verification off under VAULT_INSECURE_DEV', () => {
+  for (const value of ['true', '1', 'TRUE']) {
+    Object.assign(process.env, { VAULT_SKIP_VERIFY: value, VAULT_INSECURE_DEV: 'true' });
+
+    const { requestOptions, summary } = buildVaultConnection(HTTPS_ADDR);
+
+    assert.equal(requestOptions.agent.options.rejectUnauthorized, false, value);
+    assert.equal(summary.insecure, true, value);
+  }
+});
+
+test('VAULT_SKIP_VERIFY=true is refused without VAULT_INSECURE_DEV', () => {
+  process.env.VAULT_SKIP_VERIFY = 'true';
+
+  assert.throws(() => buildVaultConnection(HTTPS_ADDR), /requires VAULT_INSECURE_DEV=true/);
+});
+
+test('VAULT_SKIP_VERIFY=false or 0 leaves verification on, as in the CLI', () => {
+  for (const value of ['false', '0']) {
+    process.env.VAULT_SKIP_VERIFY = value;
+
+    const { requestOptions, summary } = buildVaultConnection(HTTPS_ADDR);
+
+    assert.notEqual(requestOptions.agent.options.rejectUnauthorized, false, value);
+    assert.equal(summary.insecure, false, value);
+  }
+});
+
+test('a VAULT_SKIP_VERIFY that is not a boolean stops startup', () => {
+  process.env.VAULT_SKIP_VERIFY = 'yes';
+
+  assert.throws(() => buildVaultConnection(HTTPS_ADDR), /VAULT_SKIP_VERIFY "yes" is not a boolean/);
+});
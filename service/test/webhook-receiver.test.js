@@ -0,0 +1,135 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'flexpay-webhooks-'));
+process.env.AUDIT_LOG_DIR = path.join(tmp, 'audit');
+
+const { createMockProvider, DEFAULT_MOCK_SECRETS } = require('../src/providers/mock-provider');
+const { initSecretProvider } = require('../src/secret-provider');
+const { initLedger } = require('../src/ledger');
+const { createTransaction, getTransaction, STATUS } = require('../src/transactions');
+const { webhookHandler, OUTCOME } = require('../src/webhook-receiver');
+const stripeWebhook = require('../src/webhooks/stripe-webhook');
+const hmacWebhook = require('../src/webhooks/hmac-webhook');
+
+const SECRETS = { ...DEFAULT_MOCK_SECRETS, PROCESSOR_C_ENDPOINT: 'https://acquirer-c.example/api/v1' };
+
+// The same raw-body capture index.js sets up for /webhooks/
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.post('/webhooks/:processor', webhookHandler);
+
+let server;
+let baseUrl;
+let nextId = 0;
+
+before(async () => {
+  initLedger({ file: path.join(tmp, 'ledger.ndjson') });
+  await initSecretProvider(createMockProvider(SECRETS));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function payment(processor = 'A') {
+  const id = `txn_webhook_${++nextId}`;
+  return createTransaction({ id, processor, processorName: processor, processorReference: `pi_${id}`, amount: 1000, currency: 'USD' });
+}
+
+function refundSucceeded(eventId, txn, refundId, amount) {
+  return { id: eventId, type: 'refund.updated', data: { object: { id: refundId, status: 'succeeded', payment_intent: txn.processorReference, amount } } };
+}
+
+async function deliverToA(payload, secret = SECRETS.PROCESSOR_A_WEBHOOK_SECRET) {
+  const rawBody = JSON.stringify(payload);
+  const response = await fetch(`${baseUrl}/webhooks/A`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...stripeWebhook.sign(secret, rawBody) },
+    body: rawBody,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function deliverToC(payload) {
+  const rawBody = JSON.stringify(payload);
+  const response = await fetch(`${baseUrl}/webhooks/C`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...hmacWebhook.sign(SECRETS.PROCESSOR_C_WEBHOOK_SECRET, '/webhooks/C', rawBody) },
+    body: rawBody,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a redelivered event is applied once', async () => {
+  const txn = payment();
+  const event = refundSucceeded('evt_redelivered', txn, 're_1', 300);
+
+  const first = await deliverToA(event);
+  const second = await deliverToA(event);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.events[0].outcome, OUTCOME.APPLIED);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.events[0].outcome, OUTCOME.DUPLICATE);
+  assert.equal(getTransaction(txn.id).refundedAmount, 300);
+  assert.equal(getTransaction(txn.id).refunds.length, 1);
+});
+
+test('concurrent deliveries of one event apply it once', async () => {
+  const txn = payment();
+  const event = refundSucceeded('evt_concurrent', txn, 're_2', 200);
+
+  const results = await Promise.all([deliverToA(event), deliverToA(event), deliverToA(event)]);
+
+  const outcomes = results.map((r) => r.body.events[0].outcome).sort();
+  assert.deepEqual(outcomes, [OUTCOME.APPLIED, OUTCOME.DUPLICATE, OUTCOME.DUPLICATE]);
+  assert.equal(getTransaction(txn.id).refundedAmount, 200);
+});
+
+test('an event that fails verification does not claim its id', async () => {
+  const txn = payment();
+  const event = refundSucceeded('evt_forged_first', txn, 're_3', 100);
+
+  const forged = await deliverToA(event, 'not-the-webhook-secret');
+  const genuine = await deliverToA(event);
+
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.reason, 'invalid_signature');
+  assert.equal(genuine.body.events[0].outcome, OUTCOME.APPLIED);
+});
+
+test('event ids are deduplicated per processor', async () => {
+  const a = payment('A');
+  const c = payment('C');
+
+  await deliverToA(refundSucceeded('evt_shared_id', a, 're_4', 100));
+  const fromC = await deliverToC({ event_id: 'evt_shared_id', event_type: 'CHARGEBACK', transaction_id: c.processorReference, reason: 'fraud' });
+
+  assert.equal(fromC.body.events[0].outcome, OUTCOME.APPLIED);
+  assert.equal(getTransaction(c.id).status, STATUS.CHARGED_BACK);
+});
+
+test('an event that cannot be applied is still acknowledged and deduplicated', async () => {
+  const txn = payment();
+  const dispute = { id: 'evt_dispute', type: 'charge.dispute.created', data: { object: { payment_intent: txn.processorReference, reason: 'fraudulent' } } };
+  await deliverToA(dispute);
+
+  const again = await deliverToA({ ...dispute, id: 'evt_dispute_2' });
+  const unmatched = await deliverToA({ ...dispute, id: 'evt_unmatched', data: { object: { payment_intent: 'pi_unknown' } } });
+
+  assert.equal(again.status, 200);
+  assert.equal(again.body.events[0].outcome, OUTCOME.REJECTED);
+  assert.equal(unmatched.body.events[0].outcome, OUTCOME.UNMATCHED);
+  assert.equal((await deliverToA({ ...dispute, id: 'evt_dispute_2' })).body.events[0].outcome, OUTCOME.DUPLICATE);
+});